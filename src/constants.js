@@ -13,15 +13,61 @@ export const RATE_LIMIT_RETRY_DELAY_MS = 60000; // Wait 1 minute when rate limit
 export const BATCH_SIZE = 10; // Number of issues to process per batch in scheduled sync
 export const BATCH_DELAY_MS = 5000; // Delay between batches (5 seconds) to avoid rate limits
 
+// Outbound Sync Queue
+export const OUTBOUND_MAX_ATTEMPTS = 6; // Queue deliveries before an item moves to the dead-letter store
+export const OUTBOUND_RETRY_BASE_DELAY_SECONDS = 30; // First re-delivery delay, doubled on every failure
+export const OUTBOUND_RETRY_MAX_DELAY_SECONDS = 900; // Forge queues accept at most 15 minutes of delay
+
+// Inbound Sync Queue
+export const INBOUND_MAX_ATTEMPTS = 6; // Attempts at a remote event before it is dropped and logged as an error
+export const INBOUND_LOCK_TTL_MS = 900000; // A consumer that dies releases its remote issue after 15 minutes
+export const INBOUND_BUSY_DELAY_SECONDS = 15; // Re-delivery delay while another consumer drains the same remote issue
+export const INBOUND_DRAIN_BUDGET_MS = 780000; // Stop draining and hand over to a new delivery before the 900s timeout
+
+// Event Sequencing
+export const PARKED_EVENT_TTL_MS = 86400000; // Events waiting for a mapping are discarded after 24 hours
+export const MAX_PARKED_EVENTS = 50; // Events kept per missing mapping; later ones are not parked
+
 // Sync Detection & Loop Prevention
 export const SYNC_FLAG_TTL_MS = 120000; // TTL for "syncing" flag in storage (2 minutes for large issues with attachments)
 export const RECENT_CREATION_WINDOW_MS = 3000; // 3 seconds window to detect newly created issues
+export const ISSUE_UPDATE_QUIET_WINDOW_SECONDS = 10; // Issue updates within this window are synced once
+export const ISSUE_UPDATE_MAX_WAIT_MS = 120000; // Sync anyway once edits have kept coming for 2 minutes
+export const MAX_COALESCED_CHANGELOG_ITEMS = 100; // Changelog items kept across a coalesced burst
 
 // Storage Management
 export const MAX_AUDIT_LOG_ENTRIES = 50; // Keep only 50 most recent audit entries
 export const MAX_ERROR_ENTRIES = 50; // Keep only 50 most recent errors
 export const MAX_PENDING_LINK_ATTEMPTS = 10; // Remove pending links after 10 failed attempts
+export const MAX_DEAD_LETTER_ENTRIES = 200; // Dead-letter items listed in the admin UI
 export const MAX_HOURLY_HISTORY = 24; // Keep last 24 hourly sync stats
+export const MAX_RECONCILIATION_ITEMS = 500; // Drift items kept in a reconciliation report
+export const MAX_ADOPT_PREVIEW_PAIRS = 1000; // Proposed pairings kept by an adopt-existing dry run
+
+// Reconciliation
+export const RECONCILIATION_BATCH_SIZE = 50; // Mapped issues fetched per JQL search on each side
+export const MAX_RECONCILIATION_REMOTE_SCAN = 5000; // Remote issues scanned for missing mappings
+
+// Remote Authentication
+export const OAUTH_STATE_TTL_MS = 600000; // Authorization links expire after 10 minutes
+export const OAUTH_REFRESH_SKEW_MS = 60000; // Refresh access tokens a minute before they expire
+
+// Incoming Webhook Authentication
+export const INCOMING_AUTH_MODES = ['query-secret', 'signature']; // ?secret= in the URL, or X-Hub-Signature HMAC-SHA256
+export const WEBHOOK_MAX_AGE_MS = 1800000; // Deliveries whose timestamp is older than 30 minutes are rejected
+export const WEBHOOK_MAX_CLOCK_SKEW_MS = 300000; // Timestamps up to 5 minutes in the future are accepted
+export const WEBHOOK_DEDUPE_TTL_MS = 86400000; // Accepted deliveries are remembered for 24 hours to suppress retried duplicates
+export const INCOMING_SECRET_GRACE_HOURS = 24; // Default time the previous secret stays valid after a rotation
+export const MAX_INCOMING_SECRET_GRACE_HOURS = 720; // Longest grace window an admin can choose (30 days)
+
+// Remote Rate Budget (token bucket per remote organization)
+export const RATE_BUDGET_CAPACITY = 50; // Requests an organization can burst before callers are throttled
+export const RATE_BUDGET_REFILL_PER_SECOND = 10; // Sustained request rate while the remote is healthy
+export const RATE_BUDGET_MIN_REFILL_PER_SECOND = 0.5; // Floor for the refill rate after repeated 429s
+export const RATE_BUDGET_RECOVERY_STEP = 0.1; // Refill rate regained per successful response
+export const RATE_BUDGET_SYNC_INTERVAL_MS = 5000; // How often a bucket is reconciled with storage
+export const RATE_BUDGET_TOKENS_PER_ISSUE = 10; // Budget a sync loop waits for before starting an issue
+export const MAX_RATE_LIMIT_WAIT_MS = 60000; // Longest wait for budget or Retry-After before giving up
 
 // Sync Hierarchy Limits
 export const MAX_PARENT_SYNC_DEPTH = 5; // Maximum depth for recursive parent/epic sync
@@ -86,6 +132,7 @@ export const LOG_EMOJI = {
   CREATE: '✨',
   UPDATE: '📝',
   COMMENT: '💬',
+  WORKLOG: '⏱️',
   ATTACHMENT: '📎',
   LINK: '🔗',
   COMPONENT: '🏷️',
@@ -2,10 +2,15 @@
 export { handler } from './resolvers/index.js';
 export { run } from './triggers/issue.js';
 export { run as runComment } from './triggers/comment.js';
+export { run as runWorklog } from './triggers/worklog.js';
 export { run as runLinkCreated } from './triggers/link.js';
 export { run as runLinkDeleted } from './triggers/link-deleted.js';
 export { run as runIssueDeleted } from './triggers/issue-deleted.js';
 export { run as runScheduledSync } from './triggers/scheduled.js';
 export { run as runBulkSync } from './triggers/bulk-sync.js';
 export { run as runManualScheduledSync } from './triggers/manual-scheduled-sync.js';
-export { run as runIncomingWebhook } from './webtriggers/incoming-webhook.js';
\ No newline at end of file
+export { run as runOutboundSync } from './triggers/outbound-queue.js';
+export { run as runInboundSync } from './triggers/inbound-queue.js';
+export { run as runReconciliation } from './triggers/reconciliation.js';
+export { run as runIncomingWebhook } from './webtriggers/incoming-webhook.js';
+export { run as runOAuthCallback } from './webtriggers/oauth-callback.js';
\ No newline at end of file
@@ -1,6 +1,28 @@
-import api, { route, fetch, webTrigger } from '@forge/api';
+import api, { route, webTrigger } from '@forge/api';
 import * as kvsStore from '../services/storage/kvs.js';
-import { MAX_STORAGE_SIZE } from '../constants.js';
+import { MAX_STORAGE_SIZE, INCOMING_SECRET_GRACE_HOURS, MAX_INCOMING_SECRET_GRACE_HOURS } from '../constants.js';
+import { migrateMappingStorage, getMappingStorageStatus } from '../services/storage/mappings.js';
+import { CONFLICT_POLICIES, DEFAULT_CONFLICT_POLICY } from '../services/sync/conflict-resolution.js';
+import { getOptionMappingsKey, listUnmappedOptions, pruneUnmappedOptions } from '../services/sync/option-mapping.js';
+import { DEFAULT_USER_MAPPING_CONFIG, getUserMappingConfig, getUserMappingConfigKey } from '../services/sync/user-resolution.js';
+import { FIELD_DIRECTIONS, getFieldDirections, getFieldDirectionsKey } from '../services/sync/field-directions.js';
+import {
+  hasRemoteCredentials,
+  createOAuthAuthorizeUrl,
+  clearOAuthTokens,
+  getOAuthClientSecretKey
+} from '../services/jira/remote-auth.js';
+import { RemoteJiraClient } from '../services/jira/remote-client.js';
+import {
+  generateIncomingSecret,
+  getIncomingSecret,
+  setIncomingSecret,
+  getIncomingSecretKey,
+  getPreviousIncomingSecretKey,
+  getIncomingSecretUsage,
+  deleteIncomingSecretUsage,
+  rotateIncomingSecret
+} from '../services/sync/webhook-auth.js';
 import { 
   validateOrganizationPayload, 
   validateOrgId, 
@@ -14,9 +36,11 @@ const DEFAULT_SYNC_OPTIONS = {
   syncComments: true,
   syncAttachments: true,
   syncLinks: true,
-  recreateDeletedIssues: false
+  recreateDeletedIssues: false,
+  syncWorklogs: false,
+  autoCreateSprints: false,
+  conflictPolicy: DEFAULT_CONFLICT_POLICY
 };
-const DEFAULT_USER_MAPPING_CONFIG = { autoMapUsers: true, fallbackUser: 'unassigned' };
 
 // Utility function to validate storage size
 async function validateStorageSize(key, data) {
@@ -48,7 +72,8 @@ export function defineConfigResolvers(resolver) {
     // Fetch API tokens from secret storage for each org
     const orgsWithTokens = await Promise.all(orgs.map(async (org) => {
       const token = await kvsStore.getSecret(`secret:${org.id}:token`);
-      const incomingSecret = await kvsStore.getSecret(`secret:${org.id}:incomingSecret`);
+      const incomingSecret = await getIncomingSecret(org);
+      const incomingSecretUsage = await getIncomingSecretUsage(org.id);
       
       let incomingWebhookUrl = null;
       // Only fetch URL if needed to avoid unnecessary API calls
@@ -63,7 +88,9 @@ export function defineConfigResolvers(resolver) {
       return {
         ...org,
         remoteApiToken: token || org.remoteApiToken || '', // Fallback for migration
-        incomingSecret: incomingSecret || '',
+        incomingSecret: incomingSecret?.secret || '',
+        incomingSecretVersion: incomingSecret?.version || org.incomingSecretVersion || 1,
+        incomingSecretUsage,
         incomingWebhookUrl
       };
     }));
@@ -83,21 +110,26 @@ export function defineConfigResolvers(resolver) {
       if (validated.remoteApiToken) {
         await kvsStore.setSecret(`secret:${orgId}:token`, validated.remoteApiToken);
       }
+      if (validated.oauthClientSecret) {
+        await kvsStore.setSecret(getOAuthClientSecretKey(orgId), validated.oauthClientSecret);
+      }
 
       // Generate incoming secret if bidirectional (or just generate it anyway for future use)
-      const incomingSecret = Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
-      await kvsStore.setSecret(`secret:${orgId}:incomingSecret`, incomingSecret);
+      await setIncomingSecret(orgId, generateIncomingSecret());
       
       const newOrg = {
         id: orgId,
         name: validated.name,
         remoteUrl: validated.remoteUrl,
+        authType: validated.authType,
         remoteEmail: validated.remoteEmail,
+        oauthClientId: validated.oauthClientId,
         // Don't store token in regular storage
         remoteProjectKey: validated.remoteProjectKey,
         allowedProjects: validated.allowedProjects || [],
         jqlFilter: validated.jqlFilter || '',
         syncDirection: payload.syncDirection || 'push',
+        incomingAuthMode: validated.incomingAuthMode,
         createdAt: new Date().toISOString()
       };
       orgs.push(newOrg);
@@ -122,29 +154,47 @@ export function defineConfigResolvers(resolver) {
       }
       validateOrgId(payload.id);
       
-      // Validate input
-      const validated = validateOrganizationPayload(payload);
-      
       const orgs = await kvsStore.get('organizations') || [];
       const index = orgs.findIndex(o => o.id === payload.id);
       if (index === -1) {
         return { success: false, error: 'Organization not found' };
       }
+
+      // Validate input; partial updates keep the stored credential type
+      const validated = validateOrganizationPayload({
+        authType: orgs[index].authType,
+        oauthClientId: orgs[index].oauthClientId,
+        incomingAuthMode: orgs[index].incomingAuthMode,
+        ...payload
+      });
       
       // Update token in secret storage if provided
       if (validated.remoteApiToken) {
         await kvsStore.setSecret(`secret:${payload.id}:token`, validated.remoteApiToken);
       }
+      if (validated.oauthClientSecret) {
+        await kvsStore.setSecret(getOAuthClientSecretKey(payload.id), validated.oauthClientSecret);
+      }
+
+      // OAuth tokens belong to one client app and one site; changing either requires reconnecting
+      let oauthConnectedAt = orgs[index].oauthConnectedAt || null;
+      if (oauthConnectedAt && (
+        validated.authType !== 'oauth' ||
+        validated.oauthClientId !== orgs[index].oauthClientId ||
+        validated.remoteUrl !== orgs[index].remoteUrl
+      )) {
+        await clearOAuthTokens(payload.id);
+        oauthConnectedAt = null;
+      }
 
       // Handle sync direction change
       const syncDirection = payload.syncDirection || orgs[index].syncDirection || 'push';
       
       // Generate incoming secret if switching to bidirectional and doesn't exist
       if (syncDirection === 'bidirectional') {
-        const existingSecret = await kvsStore.getSecret(`secret:${payload.id}:incomingSecret`);
+        const existingSecret = await getIncomingSecret(orgs[index]);
         if (!existingSecret) {
-           const newSecret = Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
-           await kvsStore.setSecret(`secret:${payload.id}:incomingSecret`, newSecret);
+           await setIncomingSecret(payload.id, generateIncomingSecret(), orgs[index].incomingSecretVersion || 1);
         }
       }
       
@@ -152,12 +202,16 @@ export function defineConfigResolvers(resolver) {
         ...orgs[index],
         name: validated.name,
         remoteUrl: validated.remoteUrl,
+        authType: validated.authType,
         remoteEmail: validated.remoteEmail,
+        oauthClientId: validated.oauthClientId,
+        oauthConnectedAt,
         // Don't store token in regular storage
         remoteProjectKey: validated.remoteProjectKey,
         allowedProjects: validated.allowedProjects || [],
         jqlFilter: validated.jqlFilter || '',
         syncDirection: syncDirection,
+        incomingAuthMode: validated.incomingAuthMode,
         updatedAt: new Date().toISOString()
       };
       
@@ -190,6 +244,11 @@ export function defineConfigResolvers(resolver) {
       
       // Clean up the API token from secret storage
       await kvsStore.deleteSecret(`secret:${payload.id}:token`);
+      await kvsStore.deleteSecret(getOAuthClientSecretKey(payload.id));
+      await kvsStore.deleteSecret(getIncomingSecretKey(payload.id));
+      await kvsStore.deleteSecret(getPreviousIncomingSecretKey(payload.id));
+      await deleteIncomingSecretUsage(payload.id);
+      await clearOAuthTokens(payload.id);
       
       // Clean up org-specific mappings
       const orgId = payload.id;
@@ -203,6 +262,103 @@ export function defineConfigResolvers(resolver) {
     }
   });
 
+  // Redirect URI to register on the OAuth 2.0 (3LO) app in the developer console
+  resolver.define('getOAuthCallbackUrl', async () => {
+    try {
+      return { success: true, callbackUrl: await webTrigger.getUrl('oauth-callback') };
+    } catch (error) {
+      console.error('Error getting OAuth callback URL:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Start the authorization-code flow; the admin opens authorizeUrl and consents as the integration user
+  resolver.define('startOAuthAuthorization', async ({ payload }) => {
+    try {
+      validateOrgId(payload?.orgId);
+
+      const orgs = await kvsStore.get('organizations') || [];
+      const org = orgs.find(o => o.id === payload.orgId);
+      if (!org) {
+        return { success: false, error: 'Organization not found' };
+      }
+      if (org.authType !== 'oauth' || !org.oauthClientId) {
+        return { success: false, error: 'Save the organization with OAuth and a client ID first' };
+      }
+      if (!await kvsStore.getSecret(getOAuthClientSecretKey(org.id))) {
+        return { success: false, error: 'OAuth client secret is not set' };
+      }
+
+      const callbackUrl = await webTrigger.getUrl('oauth-callback');
+      const authorizeUrl = await createOAuthAuthorizeUrl(org, callbackUrl);
+      return { success: true, authorizeUrl, callbackUrl };
+    } catch (error) {
+      console.error('Error starting OAuth authorization:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Replace the incoming secret; the old one keeps working for graceHours so the remote webhook can be updated
+  resolver.define('rotateIncomingSecret', async ({ payload }) => {
+    try {
+      validateOrgId(payload?.orgId);
+      const graceHours = payload.graceHours ?? INCOMING_SECRET_GRACE_HOURS;
+      if (!Number.isFinite(graceHours) || graceHours < 0 || graceHours > MAX_INCOMING_SECRET_GRACE_HOURS) {
+        return { success: false, error: `Grace period must be between 0 and ${MAX_INCOMING_SECRET_GRACE_HOURS} hours` };
+      }
+
+      const orgs = await kvsStore.get('organizations') || [];
+      const index = orgs.findIndex(o => o.id === payload.orgId);
+      if (index === -1) {
+        return { success: false, error: 'Organization not found' };
+      }
+
+      const rotated = await rotateIncomingSecret(orgs[index], graceHours * 60 * 60 * 1000);
+      orgs[index] = {
+        ...orgs[index],
+        incomingSecretVersion: rotated.version,
+        incomingSecretRotatedAt: new Date().toISOString(),
+        previousIncomingSecretValidUntil: rotated.previousValidUntil,
+        updatedAt: new Date().toISOString()
+      };
+      await kvsStore.set('organizations', orgs);
+
+      return {
+        success: true,
+        incomingSecret: rotated.secret,
+        version: rotated.version,
+        previousValidUntil: rotated.previousValidUntil,
+        message: rotated.previousValidUntil
+          ? `Secret rotated. The previous secret stays valid until ${rotated.previousValidUntil}.`
+          : 'Secret rotated. The previous secret is no longer accepted.'
+      };
+    } catch (error) {
+      console.error('Error rotating incoming secret:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Drop stored OAuth tokens; sync for the org stops until it is connected again
+  resolver.define('disconnectOAuth', async ({ payload }) => {
+    try {
+      validateOrgId(payload?.orgId);
+
+      const orgs = await kvsStore.get('organizations') || [];
+      const index = orgs.findIndex(o => o.id === payload.orgId);
+      if (index === -1) {
+        return { success: false, error: 'Organization not found' };
+      }
+
+      await clearOAuthTokens(payload.orgId);
+      orgs[index] = { ...orgs[index], oauthConnectedAt: null, updatedAt: new Date().toISOString() };
+      await kvsStore.set('organizations', orgs);
+      return { success: true };
+    } catch (error) {
+      console.error('Error disconnecting OAuth:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   // Legacy support - get old config
   resolver.define('getConfig', async () => {
     const config = await kvsStore.get('syncConfig');
@@ -220,10 +376,10 @@ export function defineConfigResolvers(resolver) {
     const orgId = payload?.orgId;
     const key = orgId ? `userMappings:${orgId}` : 'userMappings';
     const mappings = await kvsStore.get(key);
-    const config = await kvsStore.get('userMappingConfig');
+    const config = await getUserMappingConfig(orgId);
     return {
       mappings: mappings || {},
-      config: config || { autoMapUsers: true, fallbackUser: 'unassigned' }
+      config
     };
   });
 
@@ -236,6 +392,9 @@ export function defineConfigResolvers(resolver) {
       // Validate mappings
       const mappings = validateMappings(payload.mappings || {}, 'mappings');
       const config = validateObject(payload.config || DEFAULT_USER_MAPPING_CONFIG, 'config');
+      if (config.fallbackUser !== undefined && config.fallbackUser !== null) {
+        validateString(config.fallbackUser, 'config.fallbackUser', 128);
+      }
       
       const key = orgId ? `userMappings:${orgId}` : 'userMappings';
       const data = {
@@ -246,7 +405,10 @@ export function defineConfigResolvers(resolver) {
       
       await validateStorageSize(key, data);
       await kvsStore.set(key, data.mappings);
-      await kvsStore.set('userMappingConfig', config);
+      await kvsStore.set(getUserMappingConfigKey(orgId), {
+        autoMapUsers: config.autoMapUsers !== false,
+        fallbackUser: config.fallbackUser || null
+      });
       
       return { success: true };
     } catch (error) {
@@ -342,6 +504,127 @@ export function defineConfigResolvers(resolver) {
     }
   });
 
+  // Get sprint mappings for specific org (remote sprint ID → local sprint)
+  resolver.define('getSprintMappings', async ({ payload }) => {
+    const orgId = payload?.orgId;
+    const key = orgId ? `sprintMappings:${orgId}` : 'sprintMappings';
+    const mappings = await kvsStore.get(key);
+    return mappings || {};
+  });
+
+  // Save sprint mappings for specific org
+  resolver.define('saveSprintMappings', async ({ payload }) => {
+    try {
+      const orgId = payload?.orgId;
+      if (orgId) validateOrgId(orgId);
+
+      const mappings = validateMappings(payload.mappings || {}, 'mappings');
+
+      const key = orgId ? `sprintMappings:${orgId}` : 'sprintMappings';
+
+      await validateStorageSize(key, mappings);
+      await kvsStore.set(key, mappings);
+
+      return { success: true, message: 'Sprint mappings saved' };
+    } catch (error) {
+      console.error('Error saving sprint mappings:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Get option overrides for specific org (remote field ID → remote option name → local option name)
+  resolver.define('getOptionMappings', async ({ payload }) => {
+    const orgId = payload?.orgId;
+    const mappings = await kvsStore.get(getOptionMappingsKey(orgId));
+    return mappings || {};
+  });
+
+  // Save option overrides for specific org
+  resolver.define('saveOptionMappings', async ({ payload }) => {
+    try {
+      const orgId = payload?.orgId;
+      if (orgId) validateOrgId(orgId);
+
+      const mappings = validateMappings(payload.mappings || {}, 'mappings');
+      for (const [fieldId, options] of Object.entries(mappings)) {
+        validateMappings(options, `mappings.${fieldId}`);
+        for (const [remoteOption, localOption] of Object.entries(options)) {
+          validateString(remoteOption, 'remote option', 255);
+          validateString(localOption, 'local option', 255);
+        }
+      }
+
+      const key = getOptionMappingsKey(orgId);
+
+      await validateStorageSize(key, mappings);
+      await kvsStore.set(key, mappings);
+      await pruneUnmappedOptions(orgId, mappings);
+
+      return { success: true, message: 'Option mappings saved' };
+    } catch (error) {
+      console.error('Error saving option mappings:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Options seen during sync that have no counterpart on the other site
+  resolver.define('getUnmappedOptions', async ({ payload }) => {
+    try {
+      const orgId = payload?.orgId;
+      const options = await listUnmappedOptions(orgId);
+      return { success: true, options };
+    } catch (error) {
+      console.error('Error loading unmapped options:', error);
+      return { success: false, error: error.message, options: [] };
+    }
+  });
+
+  resolver.define('dismissUnmappedOptions', async ({ payload }) => {
+    try {
+      const orgId = payload?.orgId;
+      if (orgId) validateOrgId(orgId);
+      const keys = validateArray(payload.keys || [], 'keys');
+
+      await pruneUnmappedOptions(orgId, {}, keys);
+      return { success: true };
+    } catch (error) {
+      console.error('Error dismissing unmapped options:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Get per-field sync directions for specific org (field key or remote custom field ID → direction)
+  resolver.define('getFieldDirections', async ({ payload }) => {
+    return await getFieldDirections(payload?.orgId);
+  });
+
+  // Save per-field sync directions for specific org
+  resolver.define('saveFieldDirections', async ({ payload }) => {
+    try {
+      const orgId = payload?.orgId;
+      if (orgId) validateOrgId(orgId);
+
+      const directions = validateMappings(payload.directions || {}, 'directions');
+      for (const [field, direction] of Object.entries(directions)) {
+        if (!FIELD_DIRECTIONS.includes(direction)) {
+          throw new Error(`Direction for ${field} must be one of: ${FIELD_DIRECTIONS.join(', ')}`);
+        }
+      }
+
+      // 'both' is the default, so only exceptions are stored
+      const stored = Object.fromEntries(Object.entries(directions).filter(([, direction]) => direction !== 'both'));
+      const key = getFieldDirectionsKey(orgId);
+
+      await validateStorageSize(key, stored);
+      await kvsStore.set(key, stored);
+
+      return { success: true, message: 'Field directions saved' };
+    } catch (error) {
+      console.error('Error saving field directions:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   // Get project mappings for specific org (source project key → target project key)
   resolver.define('getProjectMappings', async ({ payload }) => {
     const orgId = payload?.orgId;
@@ -403,7 +686,10 @@ export function defineConfigResolvers(resolver) {
       syncAttachments: true,
       syncLinks: true,
       syncCrossReference: true,
-      recreateDeletedIssues: false
+      recreateDeletedIssues: false,
+      syncWorklogs: false,
+      autoCreateSprints: false,
+      conflictPolicy: DEFAULT_CONFLICT_POLICY
     };
     // Merge stored options with defaults to ensure all keys exist
     return options ? { ...defaults, ...options } : defaults;
@@ -416,6 +702,9 @@ export function defineConfigResolvers(resolver) {
       
       // Validate options
       const options = validateObject(payload.options, 'options');
+      if (options.conflictPolicy !== undefined && !CONFLICT_POLICIES.includes(options.conflictPolicy)) {
+        throw new Error(`conflictPolicy must be one of: ${CONFLICT_POLICIES.join(', ')}`);
+      }
       
       const key = orgId ? `syncOptions:${orgId}` : 'syncOptions';
       await kvsStore.set(key, options);
@@ -445,7 +734,7 @@ export function defineConfigResolvers(resolver) {
         kvsStore.get(`userMappings:${orgId}`),
         kvsStore.get(`fieldMappings:${orgId}`),
         kvsStore.get(`statusMappings:${orgId}`),
-        kvsStore.get('userMappingConfig'),
+        getUserMappingConfig(orgId),
         kvsStore.get('scheduledSyncConfig')
       ]);
 
@@ -455,7 +744,7 @@ export function defineConfigResolvers(resolver) {
         org: organization,
         syncOptions: syncOptions || DEFAULT_SYNC_OPTIONS,
         userMappings: userMappings || {},
-        userMappingConfig: userMappingConfig || DEFAULT_USER_MAPPING_CONFIG,
+        userMappingConfig,
         fieldMappings: fieldMappings || {},
         statusMappings: statusMappings || {},
         scheduledSyncConfig: scheduledSyncConfig || null
@@ -529,7 +818,7 @@ export function defineConfigResolvers(resolver) {
         await validateStorageSize(key, importData.userMappings);
         await kvsStore.set(key, importData.userMappings);
         if (importData.userMappingConfig) {
-          await kvsStore.set('userMappingConfig', importData.userMappingConfig);
+          await kvsStore.set(getUserMappingConfigKey(orgId), importData.userMappingConfig);
         }
         applied.push('userMappings');
       }
@@ -682,6 +971,32 @@ export function defineConfigResolvers(resolver) {
     }
   });
 
+  // Move issue mappings into the issue-mapping entity. Large installs need several calls:
+  // each one stops before the resolver timeout and reports done: false.
+  resolver.define('migrateMappingStorage', async () => {
+    try {
+      const result = await migrateMappingStorage();
+      return {
+        success: true,
+        ...result,
+        message: result.done
+          ? `Mapping storage migrated (${result.migrated} mappings)`
+          : `Migrated ${result.migrated} mappings so far, run again to continue`
+      };
+    } catch (error) {
+      console.error('Error migrating mapping storage:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  resolver.define('getMappingStorageStatus', async () => {
+    try {
+      return { success: true, ...(await getMappingStorageStatus()) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
   // Test connection to remote Jira
   resolver.define('testConnection', async ({ payload }) => {
     try {
@@ -702,20 +1017,19 @@ export function defineConfigResolvers(resolver) {
       const token = await kvsStore.getSecret(`secret:${orgId}:token`);
       const apiToken = token || org.remoteApiToken;
 
-      if (!org.remoteUrl || !org.remoteEmail || !apiToken) {
-        return { success: false, error: 'Missing connection details (URL, email, or API token)' };
+      const orgWithToken = { ...org, remoteApiToken: apiToken };
+      if (!org.remoteUrl || !hasRemoteCredentials(orgWithToken)) {
+        return {
+          success: false,
+          error: orgWithToken.authType === 'oauth'
+            ? 'Organization is not connected. Use Connect with Atlassian first.'
+            : 'Missing connection details (URL, email, or API token)'
+        };
       }
 
-      const auth = Buffer.from(`${org.remoteEmail}:${apiToken}`).toString('base64');
       const startTime = Date.now();
 
-      const response = await fetch(`${org.remoteUrl}/rest/api/3/myself`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Basic ${auth}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      const response = await new RemoteJiraClient(orgWithToken).get('/rest/api/3/myself', { retries: 1 });
 
       const latency = Date.now() - startTime;
 
@@ -1,11 +1,53 @@
-import api, { route, fetch } from '@forge/api';
+import api, { route } from '@forge/api';
 import * as kvsStore from '../services/storage/kvs.js';
 import { getOrgName, getFullIssue } from '../services/jira/local-client.js';
-import { getAllRemoteKeys, getRemoteKey, removeMapping } from '../services/storage/mappings.js';
+import { getAllRemoteKeys, getRemoteKey, getLocalKey, removeMapping, listMappings, storeMapping, getOrganizationsWithTokens } from '../services/storage/mappings.js';
+import { unlinkIssueData } from '../services/storage/cleanup.js';
 import { createIssueForOrg, updateIssueForOrg } from '../services/sync/issue-sync.js';
+import { fetchLocalSprints, fetchRemoteSprints } from '../services/sync/sprint-sync.js';
+import { hasRemoteCredentials } from '../services/jira/remote-auth.js';
+import { RemoteJiraClient } from '../services/jira/remote-client.js';
 
 const MAX_ISSUE_EXPORT = 250;
 const ISSUE_EXPORT_PAGE_SIZE = 50;
+const MAPPING_ISSUE_FIELDS = 'summary,comment,worklog,attachment,issuelinks';
+
+// Both sides of a manual mapping change are checked before anything is stored
+async function loadMappingContext(orgId, localKey, remoteKey) {
+  const orgs = await getOrganizationsWithTokens();
+  const org = orgs.find(o => o.id === orgId);
+  if (!org) {
+    throw new Error('Organization not found');
+  }
+
+  let localIssue = null;
+  if (localKey) {
+    const response = await api.asApp().requestJira(route`/rest/api/3/issue/${localKey}?fields=${MAPPING_ISSUE_FIELDS}`);
+    localIssue = response.ok ? await response.json() : null;
+  }
+
+  // The issue's worklog field holds only the first page of worklogs
+  const worklog = localIssue?.fields?.worklog;
+  if (worklog && worklog.total > (worklog.worklogs || []).length) {
+    const response = await api.asApp().requestJira(route`/rest/api/3/issue/${localKey}/worklog`);
+    if (!response.ok) {
+      throw new Error(`Could not read the worklogs of ${localKey}: ${response.status}`);
+    }
+    localIssue.fields.worklog = await response.json();
+  }
+
+  let remoteIssue = null;
+  if (remoteKey) {
+    const response = await new RemoteJiraClient(org).get(`/rest/api/3/issue/${remoteKey}?fields=summary`);
+    remoteIssue = response.ok ? await response.json() : null;
+  }
+
+  return { org, storageOrgId: orgId === 'legacy' ? null : orgId, localIssue, remoteIssue };
+}
+
+function normalizeIssueKey(key) {
+  return (key || '').trim().toUpperCase();
+}
 
 export function defineDataResolvers(resolver) {
   resolver.define('fetchLocalProjects', async () => {
@@ -37,6 +79,7 @@ export function defineDataResolvers(resolver) {
       // Get organization config
       const orgId = req?.payload?.orgId;
       let projectKey;
+      let sprintProjectKeys = [];
 
       console.log('fetchLocalData extracted orgId:', orgId);
 
@@ -52,6 +95,7 @@ export function defineDataResolvers(resolver) {
           throw new Error('Organization missing remoteProjectKey');
         }
         projectKey = org.remoteProjectKey;
+        sprintProjectKeys = org.allowedProjects || [];
       } else {
         // Fallback to legacy format
         console.log('No orgId provided, falling back to legacy config');
@@ -106,6 +150,14 @@ export function defineDataResolvers(resolver) {
       const statuses = Array.from(statusMap.values());
       const issueTypes = Array.from(issueTypeMap.values());
 
+      // Sprints need Jira Software; a site without it simply has none to map
+      let sprints = [];
+      try {
+        sprints = await fetchLocalSprints(sprintProjectKeys);
+      } catch (error) {
+        console.log('Could not fetch local sprints:', error.message);
+      }
+
       return {
         users: users.map(u => ({
           accountId: u.accountId,
@@ -117,7 +169,8 @@ export function defineDataResolvers(resolver) {
           name: f.name
         })),
         statuses: statuses,
-        issueTypes: issueTypes
+        issueTypes: issueTypes,
+        sprints: sprints
       };
     } catch (error) {
       console.error('Error fetching local data:', error);
@@ -146,21 +199,16 @@ export function defineDataResolvers(resolver) {
         const token = await kvsStore.getSecret(`secret:${orgId}:token`);
         const remoteApiToken = token || org.remoteApiToken;
         
-        if (!org.remoteUrl || !org.remoteEmail || !remoteApiToken || !org.remoteProjectKey) {
+        config = { ...org, remoteApiToken };
+
+        if (!org.remoteUrl || !hasRemoteCredentials(config) || !org.remoteProjectKey) {
           console.error('Organization missing fields:', { 
             hasUrl: !!org.remoteUrl, 
-            hasEmail: !!org.remoteEmail, 
-            hasToken: !!remoteApiToken, 
+            hasCredentials: hasRemoteCredentials(config), 
             hasProject: !!org.remoteProjectKey 
           });
           throw new Error('Organization missing required fields');
         }
-        config = {
-          remoteUrl: org.remoteUrl,
-          remoteEmail: org.remoteEmail,
-          remoteApiToken: remoteApiToken,
-          remoteProjectKey: org.remoteProjectKey
-        };
       } else {
         // Fallback to legacy format
         console.log('No orgId provided, falling back to legacy config');
@@ -170,16 +218,9 @@ export function defineDataResolvers(resolver) {
         }
       }
 
-      const auth = Buffer.from(`${config.remoteEmail}:${config.remoteApiToken}`).toString('base64');
-      const headers = {
-        'Authorization': `Basic ${auth}`,
-        'Content-Type': 'application/json'
-      };
+      const client = new RemoteJiraClient(config);
 
-      const usersResponse = await fetch(
-        `${config.remoteUrl}/rest/api/3/users/search?maxResults=1000`,
-        { headers }
-      );
+      const usersResponse = await client.get('/rest/api/3/users/search?maxResults=1000');
       const allUsers = await usersResponse.json();
 
       const users = allUsers.filter(u =>
@@ -188,17 +229,11 @@ export function defineDataResolvers(resolver) {
         !u.displayName.includes('(')
       );
 
-      const fieldsResponse = await fetch(
-        `${config.remoteUrl}/rest/api/3/field`,
-        { headers }
-      );
+      const fieldsResponse = await client.get('/rest/api/3/field');
       const allFields = await fieldsResponse.json();
       const customFields = allFields.filter(f => f.custom);
 
-      const statusesResponse = await fetch(
-        `${config.remoteUrl}/rest/api/3/project/${config.remoteProjectKey}/statuses`,
-        { headers }
-      );
+      const statusesResponse = await client.get(`/rest/api/3/project/${config.remoteProjectKey}/statuses`);
       const statusData = await statusesResponse.json();
 
       const statusMap = new Map();
@@ -223,6 +258,14 @@ export function defineDataResolvers(resolver) {
       const statuses = Array.from(statusMap.values());
       const issueTypes = Array.from(issueTypeMap.values());
 
+      // Sprints need Jira Software; a site without it simply has none to map
+      let sprints = [];
+      try {
+        sprints = await fetchRemoteSprints(config);
+      } catch (error) {
+        console.log('Could not fetch remote sprints:', error.message);
+      }
+
       return {
         users: users.map(u => ({
           accountId: u.accountId,
@@ -234,7 +277,8 @@ export function defineDataResolvers(resolver) {
           name: f.name
         })),
         statuses: statuses,
-        issueTypes: issueTypes
+        issueTypes: issueTypes,
+        sprints: sprints
       };
     } catch (error) {
       console.error('Error fetching remote data:', error);
@@ -450,17 +494,19 @@ export function defineDataResolvers(resolver) {
 
       const storageOrgId = org.id === 'legacy' ? null : org.id;
 
-      const [userMappings, fieldMappings, statusMappings, syncOptions] = await Promise.all([
+      const [userMappings, fieldMappings, statusMappings, sprintMappings, syncOptions] = await Promise.all([
         kvsStore.get(storageOrgId ? `userMappings:${storageOrgId}` : 'userMappings'),
         kvsStore.get(storageOrgId ? `fieldMappings:${storageOrgId}` : 'fieldMappings'),
         kvsStore.get(storageOrgId ? `statusMappings:${storageOrgId}` : 'statusMappings'),
+        kvsStore.get(storageOrgId ? `sprintMappings:${storageOrgId}` : 'sprintMappings'),
         kvsStore.get(storageOrgId ? `syncOptions:${storageOrgId}` : 'syncOptions')
       ]);
 
       const mappings = {
         userMappings: userMappings || {},
         fieldMappings: fieldMappings || {},
-        statusMappings: statusMappings || {}
+        statusMappings: statusMappings || {},
+        sprintMappings: sprintMappings || {}
       };
 
       const forceRecreate = !!options.forceRecreate;
@@ -576,7 +622,7 @@ export function defineDataResolvers(resolver) {
             matchCount++;
           }
         }
-      } else if (type === 'field' || type === 'status' || type === 'issueType') {
+      } else if (type === 'field' || type === 'status' || type === 'issueType' || type === 'sprint') {
         // Match by name
         for (const remote of remoteItems) {
           const remoteNorm = normalize(remote.name);
@@ -611,11 +657,11 @@ export function defineDataResolvers(resolver) {
     const { issueKey, orgId } = payload;
     
     try {
-      // Get mapping for org-namespaced key
-      const orgMapping = orgId ? await kvsStore.get(`${orgId}:local-to-remote:${issueKey}`) : null;
+      // Get mapping for the org
+      const orgMapping = orgId ? await getRemoteKey(issueKey, orgId) : null;
       
       // Get legacy mapping (non-namespaced)
-      const legacyMapping = await kvsStore.get(`local-to-remote:${issueKey}`);
+      const legacyMapping = await getRemoteKey(issueKey, null);
       
       // Check if remote issue exists (if we have a mapping)
       let remoteExists = null;
@@ -627,12 +673,10 @@ export function defineDataResolvers(resolver) {
         
         if (org) {
           const token = await kvsStore.getSecret(`secret:${org.id}:token`);
-          const auth = Buffer.from(`${org.remoteEmail}:${token || org.remoteApiToken}`).toString('base64');
           
           try {
-            const checkRes = await fetch(`${org.remoteUrl}/rest/api/3/issue/${remoteKey}?fields=key,summary`, {
-              headers: { 'Authorization': `Basic ${auth}` }
-            });
+            const checkRes = await new RemoteJiraClient({ ...org, remoteApiToken: token || org.remoteApiToken })
+              .get(`/rest/api/3/issue/${remoteKey}?fields=key,summary`);
             remoteExists = checkRes.ok;
             if (!checkRes.ok) {
               console.log(`Remote issue ${remoteKey} check returned ${checkRes.status}`);
@@ -661,4 +705,119 @@ export function defineDataResolvers(resolver) {
       return { error: error.message };
     }
   });
+
+  // Page through an org's issue mappings
+  resolver.define('listIssueMappings', async ({ payload }) => {
+    const { orgId, cursor, limit, localKeyPrefix, remoteKeyPrefix, projectKey } = payload;
+
+    try {
+      // A project filter is a local key prefix ending at the dash
+      const project = normalizeIssueKey(projectKey);
+      const { mappings, nextCursor } = await listMappings(orgId === 'legacy' ? null : orgId, {
+        cursor: cursor || null,
+        limit: Math.min(Math.max(parseInt(limit, 10) || 50, 1), 100),
+        localKeyPrefix: normalizeIssueKey(localKeyPrefix) || (project ? `${project}-` : ''),
+        remoteKeyPrefix: normalizeIssueKey(remoteKeyPrefix)
+      });
+      return { success: true, mappings, nextCursor };
+    } catch (error) {
+      console.error('Error listing issue mappings:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Link two existing issues without creating anything
+  resolver.define('createIssueMapping', async ({ payload }) => {
+    const localKey = normalizeIssueKey(payload.localKey);
+    const remoteKey = normalizeIssueKey(payload.remoteKey);
+
+    try {
+      if (!localKey || !remoteKey) {
+        return { success: false, error: 'Both a local and a remote issue key are required' };
+      }
+
+      const { storageOrgId, localIssue, remoteIssue } = await loadMappingContext(payload.orgId, localKey, remoteKey);
+      if (!localIssue) {
+        return { success: false, error: `Local issue ${localKey} not found` };
+      }
+      if (!remoteIssue) {
+        return { success: false, error: `Remote issue ${remoteKey} not found` };
+      }
+
+      const existingRemote = await getRemoteKey(localKey, storageOrgId);
+      if (existingRemote) {
+        return { success: false, error: `${localKey} is already mapped to ${existingRemote}` };
+      }
+      const existingLocal = await getLocalKey(remoteKey, storageOrgId);
+      if (existingLocal) {
+        return { success: false, error: `${remoteKey} is already mapped to ${existingLocal}` };
+      }
+
+      await storeMapping(localKey, remoteKey, storageOrgId);
+      console.log(`✅ Manually mapped ${localKey} → ${remoteKey}`);
+      return { success: true, mapping: { localKey, remoteKey } };
+    } catch (error) {
+      console.error('Error creating issue mapping:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Point a local issue at a different remote issue; synced comments, worklogs, attachments and links
+  // belonged to the old remote issue, so their mappings are dropped
+  resolver.define('repointIssueMapping', async ({ payload }) => {
+    const localKey = normalizeIssueKey(payload.localKey);
+    const remoteKey = normalizeIssueKey(payload.remoteKey);
+
+    try {
+      if (!localKey || !remoteKey) {
+        return { success: false, error: 'Both a local and a remote issue key are required' };
+      }
+
+      const { storageOrgId, localIssue, remoteIssue } = await loadMappingContext(payload.orgId, localKey, remoteKey);
+      if (!remoteIssue) {
+        return { success: false, error: `Remote issue ${remoteKey} not found` };
+      }
+
+      const previousRemote = await getRemoteKey(localKey, storageOrgId);
+      if (!previousRemote) {
+        return { success: false, error: `${localKey} is not mapped` };
+      }
+      if (previousRemote === remoteKey) {
+        return { success: true, mapping: { localKey, remoteKey } };
+      }
+      const existingLocal = await getLocalKey(remoteKey, storageOrgId);
+      if (existingLocal && existingLocal !== localKey) {
+        return { success: false, error: `${remoteKey} is already mapped to ${existingLocal}` };
+      }
+
+      await unlinkIssueData(localKey, previousRemote, storageOrgId, localIssue);
+      await storeMapping(localKey, remoteKey, storageOrgId);
+      console.log(`✅ Re-pointed ${localKey} from ${previousRemote} to ${remoteKey}`);
+      return { success: true, mapping: { localKey, remoteKey }, previousRemoteKey: previousRemote };
+    } catch (error) {
+      console.error('Error re-pointing issue mapping:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Remove a mapping and everything synced under it, keeping both issues
+  resolver.define('unlinkIssueMapping', async ({ payload }) => {
+    const localKey = normalizeIssueKey(payload.localKey);
+
+    try {
+      if (!localKey) {
+        return { success: false, error: 'A local issue key is required' };
+      }
+
+      const { storageOrgId, localIssue } = await loadMappingContext(payload.orgId, localKey, null);
+      const remoteKey = await getRemoteKey(localKey, storageOrgId) || normalizeIssueKey(payload.remoteKey) || null;
+
+      await unlinkIssueData(localKey, remoteKey, storageOrgId, localIssue);
+      console.log(`✅ Unlinked ${localKey}${remoteKey ? ` from ${remoteKey}` : ''}`);
+      return { success: true };
+    } catch (error) {
+      console.error('Error unlinking issue mapping:', error);
+      return { success: false, error: error.message };
+    }
+  });
 }
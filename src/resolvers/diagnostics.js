@@ -1,6 +1,9 @@
-import api, { route, fetch } from '@forge/api';
+import api, { route } from '@forge/api';
 import * as kvsStore from '../services/storage/kvs.js';
+import { Queue } from '@forge/events';
 import { getOrganizationsWithTokens } from '../services/storage/mappings.js';
+import { getReconciliationReport, getReconciliationReportKey, fixDriftItem } from '../services/sync/reconciliation.js';
+import { RemoteJiraClient } from '../services/jira/remote-client.js';
 
 export function defineDiagnosticsResolvers(resolver) {
   
@@ -21,20 +24,16 @@ export function defineDiagnosticsResolvers(resolver) {
       
       results.steps.push({ name: 'Load Configuration', status: 'success', message: `Loaded config for ${org.name}` });
 
-      const auth = Buffer.from(`${org.remoteEmail}:${org.remoteApiToken}`).toString('base64');
-      const headers = {
-        'Authorization': `Basic ${auth}`,
-        'Content-Type': 'application/json'
-      };
+      const client = new RemoteJiraClient(org);
 
       // 2. Check Authentication (Remote)
-      const myselfRes = await fetch(`${org.remoteUrl}/rest/api/3/myself`, { headers });
+      const myselfRes = await client.get('/rest/api/3/myself');
       if (!myselfRes.ok) throw new Error(`Authentication failed: ${myselfRes.status}`);
       const user = await myselfRes.json();
       results.steps.push({ name: 'Remote Authentication', status: 'success', message: `Authenticated as ${user.displayName}` });
 
       // 3. Check Remote Project Access
-      const projectRes = await fetch(`${org.remoteUrl}/rest/api/3/project/${org.remoteProjectKey}`, { headers });
+      const projectRes = await client.get(`/rest/api/3/project/${org.remoteProjectKey}`);
       if (!projectRes.ok) {
         if (projectRes.status === 404) throw new Error(`Project ${org.remoteProjectKey} not found or not accessible`);
         throw new Error(`Project check failed: ${projectRes.status}`);
@@ -42,7 +41,7 @@ export function defineDiagnosticsResolvers(resolver) {
       results.steps.push({ name: 'Remote Project Access', status: 'success', message: `Found project ${org.remoteProjectKey}` });
 
       // 4. Check Create Permissions (Remote)
-      const permRes = await fetch(`${org.remoteUrl}/rest/api/3/mypermissions?projectKey=${org.remoteProjectKey}&permissions=CREATE_ISSUES,EDIT_ISSUES,DELETE_ISSUES`, { headers });
+      const permRes = await client.get(`/rest/api/3/mypermissions?projectKey=${org.remoteProjectKey}&permissions=CREATE_ISSUES,EDIT_ISSUES,DELETE_ISSUES`);
       if (permRes.ok) {
         const perms = await permRes.json();
         const permissions = perms.permissions;
@@ -118,10 +117,7 @@ export function defineDiagnosticsResolvers(resolver) {
       }
 
       // 4. Get Remote Issue
-      const auth = Buffer.from(`${org.remoteEmail}:${org.remoteApiToken}`).toString('base64');
-      const remoteRes = await fetch(`${org.remoteUrl}/rest/api/3/issue/${remoteKey}`, {
-        headers: { 'Authorization': `Basic ${auth}`, 'Content-Type': 'application/json' }
-      });
+      const remoteRes = await new RemoteJiraClient(org).get(`/rest/api/3/issue/${remoteKey}`);
 
       if (!remoteRes.ok) {
         results.discrepancies.push(`Remote issue ${remoteKey} not found (Status: ${remoteRes.status})`);
@@ -196,11 +192,7 @@ export function defineDiagnosticsResolvers(resolver) {
       const org = orgs.find(o => o.id === orgId);
       if (!org) throw new Error('Organization not found');
 
-      const auth = Buffer.from(`${org.remoteEmail}:${org.remoteApiToken}`).toString('base64');
-      const headers = {
-        'Authorization': `Basic ${auth}`,
-        'Content-Type': 'application/json'
-      };
+      const client = new RemoteJiraClient(org);
 
       // 2. Create Local Issue
       log('Creating test issue in Local Jira...');
@@ -262,13 +254,9 @@ export function defineDiagnosticsResolvers(resolver) {
         
         // Fallback: Search by summary
         log(`Attempting fallback search by summary...`);
-        const searchRes = await fetch(`${org.remoteUrl}/rest/api/3/search/jql`, {
-          method: 'POST',
-          headers,
-          body: JSON.stringify({
-            jql: `project = "${org.remoteProjectKey}" AND summary ~ "\\"${testSummary}\\""`,
-            fields: ['key', 'summary']
-          })
+        const searchRes = await client.post('/rest/api/3/search/jql', {
+          jql: `project = "${org.remoteProjectKey}" AND summary ~ "\\"${testSummary}\\""`,
+          fields: ['key', 'summary']
         });
         
         if (searchRes.ok) {
@@ -283,17 +271,14 @@ export function defineDiagnosticsResolvers(resolver) {
       if (remoteKey) {
         // Verify the issue actually exists on remote
         log(`Verifying remote issue ${remoteKey} exists...`);
-        const remoteIssueRes = await fetch(`${org.remoteUrl}/rest/api/3/issue/${remoteKey}`, { headers });
+        const remoteIssueRes = await client.get(`/rest/api/3/issue/${remoteKey}`);
         
         if (remoteIssueRes.ok) {
           log(`✅ Verified remote issue ${remoteKey} is accessible.`);
           
           // Cleanup Remote
           log(`Cleaning up Remote (Deleting ${remoteKey})...`);
-          const delRemote = await fetch(`${org.remoteUrl}/rest/api/3/issue/${remoteKey}`, { 
-            method: 'DELETE',
-            headers
-          });
+          const delRemote = await client.delete(`/rest/api/3/issue/${remoteKey}`);
           if (delRemote.ok) log(`✅ Deleted remote issue ${remoteKey}`);
           else log(`⚠️ Failed to delete remote issue ${remoteKey}: ${delRemote.status}`);
           
@@ -320,4 +305,53 @@ export function defineDiagnosticsResolvers(resolver) {
       return { success: false, logs, error: error.message };
     }
   });
+
+  // Drift report across every mapping of an organization, built by the reconciliation consumer
+  resolver.define('startReconciliation', async ({ payload }) => {
+    const { orgId } = payload;
+    try {
+      const storageOrgId = orgId === 'legacy' ? null : orgId;
+      const current = await getReconciliationReport(storageOrgId);
+      if (current?.status === 'queued' || current?.status === 'running') {
+        return { success: false, error: 'A reconciliation is already running for this organization' };
+      }
+
+      await kvsStore.set(getReconciliationReportKey(storageOrgId), {
+        ...(current || {}),
+        orgId,
+        status: 'queued',
+        queuedAt: new Date().toISOString()
+      });
+      const queue = new Queue({ key: 'reconciliation-queue' });
+      await queue.push({ body: { orgId } });
+
+      console.log(`✅ Reconciliation queued for ${orgId}`);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error starting reconciliation:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  resolver.define('getReconciliationReport', async ({ payload }) => {
+    const { orgId } = payload;
+    try {
+      const report = await getReconciliationReport(orgId === 'legacy' ? null : orgId);
+      return { success: true, report: report || null };
+    } catch (error) {
+      console.error('❌ Error loading reconciliation report:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  resolver.define('fixDriftItem', async ({ payload }) => {
+    const { orgId, itemId } = payload;
+    try {
+      const item = await fixDriftItem(orgId, itemId);
+      return { success: true, item };
+    } catch (error) {
+      console.error(`❌ Error fixing drift item ${itemId}:`, error);
+      return { success: false, error: error.message };
+    }
+  });
 }
@@ -60,16 +60,34 @@ const protectedResolvers = [
   'addOrganization',
   'updateOrganization',
   'deleteOrganization',
+  'startOAuthAuthorization',
+  'disconnectOAuth',
+  'rotateIncomingSecret',
   'saveUserMappings',
   'saveFieldMappings',
   'saveStatusMappings',
+  'saveSprintMappings',
+  'saveOptionMappings',
+  'saveFieldDirections',
+  'dismissUnmappedOptions',
   'saveSyncOptions',
   'saveScheduledSyncConfig',
   'forceSyncIssue',
+  'resolveConflict',
+  'commitAdoptPreview',
+  'retryDeadLetter',
+  'discardDeadLetter',
   'retryPendingLinks',
+  'resumeBulkSync',
   'importSettings',
+  'migrateMappingStorage',
   'importIssues',
-  'runSystemTest'
+  'createIssueMapping',
+  'repointIssueMapping',
+  'unlinkIssueMapping',
+  'runSystemTest',
+  'startReconciliation',
+  'fixDriftItem'
 ];
 
 // Get the raw definitions and wrap protected ones with admin checks
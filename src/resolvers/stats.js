@@ -1,5 +1,6 @@
 import * as kvsStore from '../services/storage/kvs.js';
 import { getApiUsageStats, resetApiUsageStats } from '../services/storage/stats.js';
+import { getRateBudgets } from '../services/storage/rate-budget.js';
 
 export function defineStatsResolvers(resolver) {
   resolver.define('getScheduledSyncStats', async () => {
@@ -26,6 +27,8 @@ export function defineStatsResolvers(resolver) {
       issuesCreated: 0,
       issuesUpdated: 0,
       commentsSynced: 0,
+      attachmentsDeleted: 0,
+      worklogsSynced: 0,
       issuesSkipped: 0,
       errors: [],
       lastSync: null
@@ -33,7 +36,15 @@ export function defineStatsResolvers(resolver) {
   });
 
   resolver.define('getApiUsageStats', async () => {
-    return await getApiUsageStats();
+    const [usage, organizations] = await Promise.all([
+      getApiUsageStats(),
+      kvsStore.get('organizations')
+    ]);
+    const orgIds = (organizations || []).map(org => org.id);
+    return {
+      ...usage,
+      remoteBudgets: await getRateBudgets(orgIds.length > 0 ? orgIds : ['legacy'])
+    };
   });
 
   resolver.define('resetApiUsageStats', async () => {
@@ -1,4 +1,3 @@
-import api, { route, fetch } from '@forge/api';
 import { Queue } from '@forge/events';
 import * as kvsStore from '../services/storage/kvs.js';
 import { getRemoteKey, getOrganizationsWithTokens, storeMapping } from '../services/storage/mappings.js';
@@ -6,6 +5,10 @@ import { getFullIssue } from '../services/jira/local-client.js';
 import { createRemoteIssue, updateRemoteIssue } from '../services/sync/issue-sync.js';
 import { retryAllPendingLinks } from '../services/scheduled/scheduled-sync.js';
 import { isProjectAllowedToSync } from '../utils/validation.js';
+import { listConflicts, getConflict, clearConflict } from '../services/sync/conflict-resolution.js';
+import { applyRemoteIssueUpdate } from '../services/sync/incoming-sync.js';
+import { listDeadLetters, retryDeadLetter, discardDeadLetter } from '../services/sync/outbound-queue.js';
+import { ADOPT_MATCH_RULES, getAdoptPreviewKey, commitAdoptPreview } from '../services/sync/adopt-existing.js';
 
 export function defineSyncResolvers(resolver) {
   resolver.define('forceSyncIssue', async ({ payload }) => {
@@ -72,11 +75,12 @@ export function defineSyncResolvers(resolver) {
           continue;
         }
         // Fetch org-specific mappings
-        const [userMappings, fieldMappings, statusMappings, issueTypeMappings, syncOptions] = await Promise.all([
+        const [userMappings, fieldMappings, statusMappings, issueTypeMappings, sprintMappings, syncOptions] = await Promise.all([
           kvsStore.get(org.id === 'legacy' ? 'userMappings' : `userMappings:${org.id}`),
           kvsStore.get(org.id === 'legacy' ? 'fieldMappings' : `fieldMappings:${org.id}`),
           kvsStore.get(org.id === 'legacy' ? 'statusMappings' : `statusMappings:${org.id}`),
           kvsStore.get(org.id === 'legacy' ? 'issueTypeMappings' : `issueTypeMappings:${org.id}`),
+          kvsStore.get(org.id === 'legacy' ? 'sprintMappings' : `sprintMappings:${org.id}`),
           kvsStore.get(org.id === 'legacy' ? 'syncOptions' : `syncOptions:${org.id}`)
         ]);
         
@@ -84,7 +88,8 @@ export function defineSyncResolvers(resolver) {
           userMappings: userMappings || {},
           fieldMappings: fieldMappings || {},
           statusMappings: statusMappings || {},
-          issueTypeMappings: issueTypeMappings || {}
+          issueTypeMappings: issueTypeMappings || {},
+          sprintMappings: sprintMappings || {}
         };
         
         const existingRemoteKey = await getRemoteKey(issueKey, org.id === 'legacy' ? null : org.id);
@@ -191,8 +196,29 @@ export function defineSyncResolvers(resolver) {
   // This handles: 1) Never synced issues, 2) Deleted remote issues, 3) Missing attachments/links/comments
   resolver.define('scanForDeletedIssues', async ({ payload }) => {
     try {
-      const { orgId, syncMissingData = false, updateExisting = false, force = false, dryRun = false } = payload || {};
-      console.log(`🚀 Triggering bulk sync (org: ${orgId || 'all'}, syncMissingData: ${syncMissingData}, updateExisting: ${updateExisting}, force: ${force}, dryRun: ${dryRun})...`);
+      const {
+        orgId,
+        syncMissingData = false,
+        updateExisting = false,
+        force = false,
+        dryRun = false,
+        adoptExisting = false,
+        matchBy = 'summary',
+        matchFieldId = null
+      } = payload || {};
+      console.log(`🚀 Triggering bulk sync (org: ${orgId || 'all'}, syncMissingData: ${syncMissingData}, updateExisting: ${updateExisting}, force: ${force}, dryRun: ${dryRun}, adoptExisting: ${adoptExisting ? matchBy : false})...`);
+
+      if (adoptExisting) {
+        if (!orgId) {
+          return { success: false, error: 'Adopting existing issues needs an organization' };
+        }
+        if (!ADOPT_MATCH_RULES.includes(matchBy)) {
+          return { success: false, error: `Match rule must be one of: ${ADOPT_MATCH_RULES.join(', ')}` };
+        }
+        if (matchBy === 'customField' && !/^customfield_\d+$/.test(matchFieldId || '')) {
+          return { success: false, error: 'Enter the remote custom field ID that holds the local issue key (customfield_NNNNN)' };
+        }
+      }
 
       // Check if sync is already in progress (skip if force=true)
       const currentStatus = await kvsStore.get('bulkSyncStatus');
@@ -217,7 +243,8 @@ export function defineSyncResolvers(resolver) {
         orgId: orgId || 'all',
         syncMissingData,
         updateExisting,
-        dryRun
+        dryRun,
+        adoptExisting
       });
 
       // Push to async queue for background processing with 900s timeout
@@ -227,7 +254,10 @@ export function defineSyncResolvers(resolver) {
           orgId,
           syncMissingData,
           updateExisting,
-          dryRun
+          dryRun,
+          adoptExisting,
+          matchBy,
+          matchFieldId
         }
       });
 
@@ -252,6 +282,32 @@ export function defineSyncResolvers(resolver) {
   });
 
   // New resolver to check bulk sync status
+  // Pairings proposed by the last adopt-existing dry run
+  resolver.define('getAdoptPreview', async ({ payload }) => {
+    try {
+      const { orgId } = payload;
+      const preview = await kvsStore.get(getAdoptPreviewKey(orgId === 'legacy' ? null : orgId));
+      return { success: true, preview: preview || null };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  resolver.define('commitAdoptPreview', async ({ payload }) => {
+    try {
+      const { orgId } = payload;
+      const result = await commitAdoptPreview(orgId);
+      return {
+        success: true,
+        ...result,
+        message: `Linked ${result.linked} issue pair(s)${result.skipped.length ? `, skipped ${result.skipped.length} that were mapped since the preview` : ''}`
+      };
+    } catch (error) {
+      console.error('❌ Error committing adopt preview:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   resolver.define('getBulkSyncStatus', async () => {
     try {
       const status = await kvsStore.get('bulkSyncStatus');
@@ -285,6 +341,56 @@ export function defineSyncResolvers(resolver) {
     }
   });
 
+  // Continue a bulk sync that paused when its remote rate budget ran out
+  resolver.define('resumeBulkSync', async () => {
+    try {
+      const currentStatus = await kvsStore.get('bulkSyncStatus');
+      if (!currentStatus || currentStatus.status !== 'paused' || !currentStatus.checkpoint) {
+        return { success: false, error: 'There is no paused bulk sync to resume' };
+      }
+
+      const { orgId, syncMissingData, updateExisting, dryRun, adoptExisting, matchBy, matchFieldId, checkpoint, progress } = currentStatus;
+
+      await kvsStore.set('bulkSyncStatus', {
+        status: 'running',
+        timestamp: new Date().toISOString(),
+        orgId,
+        syncMissingData,
+        updateExisting,
+        dryRun,
+        adoptExisting,
+        progress
+      });
+
+      const queue = new Queue({ key: 'bulk-sync-queue' });
+      const { jobId } = await queue.push({
+        body: {
+          orgId: orgId === 'all' ? undefined : orgId,
+          syncMissingData,
+          updateExisting,
+          dryRun,
+          adoptExisting,
+          matchBy,
+          matchFieldId,
+          checkpoint,
+          totals: progress || {}
+        }
+      });
+
+      console.log(`✅ Bulk sync resumed from ${checkpoint.orgId}/${checkpoint.projectKey}: ${jobId}`);
+
+      return {
+        success: true,
+        message: 'Bulk sync resumed in background from where it paused.',
+        jobId,
+        status: 'running'
+      };
+    } catch (error) {
+      console.error('Error resuming bulk sync:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   // Resolver to manually trigger scheduled sync (for testing)
   resolver.define('triggerScheduledSync', async () => {
     try {
@@ -300,5 +406,125 @@ export function defineSyncResolvers(resolver) {
       return { success: false, error: error.message };
     }
   });
-}
 
+  resolver.define('getConflicts', async ({ payload }) => {
+    try {
+      const orgId = payload?.orgId;
+      const conflicts = await listConflicts(orgId && orgId !== 'legacy' ? orgId : null);
+      return { success: true, conflicts };
+    } catch (error) {
+      console.error('Error loading conflicts:', error);
+      return { success: false, error: error.message, conflicts: [] };
+    }
+  });
+
+  // Resolve a queued (manual policy) conflict by forcing one side's values onto the other
+  resolver.define('resolveConflict', async ({ payload }) => {
+    try {
+      const { orgId, localKey, winner } = payload || {};
+      if (!localKey) {
+        throw new Error('Issue key is required');
+      }
+      if (winner !== 'local' && winner !== 'remote') {
+        throw new Error('winner must be "local" or "remote"');
+      }
+
+      const storageOrgId = orgId && orgId !== 'legacy' ? orgId : null;
+      const conflict = await getConflict(storageOrgId, localKey);
+      if (!conflict) {
+        return { success: false, error: `No queued conflict for ${localKey}` };
+      }
+
+      const organizations = await getOrganizationsWithTokens();
+      const org = organizations.find(o => o.id === (orgId || 'legacy'));
+      if (!org) {
+        throw new Error('Organization not found');
+      }
+
+      const remoteKey = conflict.remoteKey || await getRemoteKey(localKey, storageOrgId);
+      if (!remoteKey) {
+        throw new Error(`${localKey} is no longer mapped to a remote issue`);
+      }
+
+      console.log(`🔄 Resolving conflict on ${localKey} ⇄ ${remoteKey} in favour of ${winner}`);
+
+      if (winner === 'local') {
+        const issue = await getFullIssue(localKey);
+        if (!issue) {
+          throw new Error('Could not fetch issue data');
+        }
+        const [userMappings, fieldMappings, statusMappings, issueTypeMappings, sprintMappings, syncOptions] = await Promise.all([
+          kvsStore.get(storageOrgId ? `userMappings:${storageOrgId}` : 'userMappings'),
+          kvsStore.get(storageOrgId ? `fieldMappings:${storageOrgId}` : 'fieldMappings'),
+          kvsStore.get(storageOrgId ? `statusMappings:${storageOrgId}` : 'statusMappings'),
+          kvsStore.get(storageOrgId ? `issueTypeMappings:${storageOrgId}` : 'issueTypeMappings'),
+          kvsStore.get(storageOrgId ? `sprintMappings:${storageOrgId}` : 'sprintMappings'),
+          kvsStore.get(storageOrgId ? `syncOptions:${storageOrgId}` : 'syncOptions')
+        ]);
+        const mappings = {
+          userMappings: userMappings || {},
+          fieldMappings: fieldMappings || {},
+          statusMappings: statusMappings || {},
+          issueTypeMappings: issueTypeMappings || {},
+          sprintMappings: sprintMappings || {}
+        };
+        const result = await updateRemoteIssue(localKey, remoteKey, issue, org, mappings, null, { ...(syncOptions || {}), conflictOverride: 'local' });
+        if (!result) {
+          throw new Error(`Failed to update ${remoteKey}`);
+        }
+      } else {
+        const applied = await applyRemoteIssueUpdate(remoteKey, org, { conflictOverride: 'remote' });
+        if (!applied) {
+          throw new Error(`Could not apply ${remoteKey} to ${localKey}; the issue is unmapped or currently syncing`);
+        }
+      }
+
+      await clearConflict(storageOrgId, localKey);
+      return { success: true, message: `Kept ${winner} values for ${localKey}` };
+    } catch (error) {
+      console.error('Error resolving conflict:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  resolver.define('getDeadLetters', async ({ payload }) => {
+    try {
+      const orgId = payload?.orgId;
+      const items = await listDeadLetters(orgId || null);
+      return { success: true, items };
+    } catch (error) {
+      console.error('Error loading dead-letter items:', error);
+      return { success: false, error: error.message, items: [] };
+    }
+  });
+
+  resolver.define('retryDeadLetter', async ({ payload }) => {
+    try {
+      const { id } = payload || {};
+      if (!id) {
+        throw new Error('Item id is required');
+      }
+      const entry = await retryDeadLetter(id);
+      if (!entry) {
+        return { success: false, error: 'Dead-letter item not found' };
+      }
+      return { success: true, message: `Re-queued ${entry.type} sync for ${entry.label}` };
+    } catch (error) {
+      console.error('Error retrying dead-letter item:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  resolver.define('discardDeadLetter', async ({ payload }) => {
+    try {
+      const { id } = payload || {};
+      if (!id) {
+        throw new Error('Item id is required');
+      }
+      await discardDeadLetter(id);
+      return { success: true, message: 'Dead-letter item discarded' };
+    } catch (error) {
+      console.error('Error discarding dead-letter item:', error);
+      return { success: false, error: error.message };
+    }
+  });
+}
@@ -53,6 +53,22 @@ export async function getOrgName() {
   }
 }
 
+// Account the app acts as; changes it makes show up under this ID in product events
+export async function getAppAccountId() {
+  try {
+    const response = await api.asApp().requestJira(route`/rest/api/3/myself`);
+    if (!response.ok) {
+      console.error(`Failed to fetch app user: ${response.status}`);
+      return null;
+    }
+    const user = await response.json();
+    return user.accountId || null;
+  } catch (error) {
+    console.error('Error fetching app user:', error);
+    return null;
+  }
+}
+
 export async function downloadAttachment(attachmentUrl) {
   try {
     // Extract attachment ID from URL
@@ -163,3 +179,90 @@ export async function uploadAttachment(issueKey, filename, fileBuffer) {
     return null;
   }
 }
+
+export async function deleteAttachment(attachmentId) {
+  try {
+    const response = await api.asApp().requestJira(
+      route`/rest/api/3/attachment/${attachmentId}`,
+      { method: 'DELETE' }
+    );
+
+    // 404 means it is already gone, which is the outcome we want
+    if (response.ok || response.status === 204 || response.status === 404) {
+      return true;
+    }
+
+    console.error(`Failed to delete local attachment ${attachmentId}: ${response.status}`);
+    return false;
+  } catch (error) {
+    console.error('Error deleting local attachment:', error);
+    return false;
+  }
+}
+
+export async function getLocalFields() {
+  try {
+    const response = await api.asApp().requestJira(route`/rest/api/3/field`);
+    if (!response.ok) {
+      console.error(`Failed to fetch local fields: ${response.status}`);
+      return null;
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching local fields:', error);
+    return null;
+  }
+}
+
+// Fields (with schema and allowedValues) editable on an existing issue, keyed by field ID
+export async function getEditMeta(issueKey) {
+  try {
+    const response = await api.asApp().requestJira(route`/rest/api/3/issue/${issueKey}/editmeta`);
+    if (!response.ok) {
+      console.error(`Failed to fetch editmeta for ${issueKey}: ${response.status}`);
+      return null;
+    }
+    const data = await response.json();
+    return data.fields || {};
+  } catch (error) {
+    console.error('Error fetching editmeta:', error);
+    return null;
+  }
+}
+
+// Fields (with schema and allowedValues) on the create screen, keyed by field ID. issueType may carry an id or only a name.
+export async function getCreateMeta(projectKey, issueType) {
+  try {
+    let issueTypeId = issueType?.id;
+    if (!issueTypeId) {
+      const typesResponse = await api.asApp().requestJira(route`/rest/api/3/issue/createmeta/${projectKey}/issuetypes`);
+      if (!typesResponse.ok) {
+        console.error(`Failed to fetch createmeta issue types for ${projectKey}: ${typesResponse.status}`);
+        return null;
+      }
+      const typesData = await typesResponse.json();
+      const match = (typesData.issueTypes || typesData.values || []).find(t => t.name === issueType?.name);
+      issueTypeId = match?.id;
+      if (!issueTypeId) {
+        return null;
+      }
+    }
+
+    const response = await api.asApp().requestJira(
+      route`/rest/api/3/issue/createmeta/${projectKey}/issuetypes/${issueTypeId}?maxResults=200`
+    );
+    if (!response.ok) {
+      console.error(`Failed to fetch createmeta for ${projectKey}: ${response.status}`);
+      return null;
+    }
+    const data = await response.json();
+    const fields = {};
+    for (const field of data.fields || data.values || []) {
+      fields[field.fieldId || field.key] = field;
+    }
+    return fields;
+  } catch (error) {
+    console.error('Error fetching createmeta:', error);
+    return null;
+  }
+}
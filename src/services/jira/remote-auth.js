@@ -0,0 +1,264 @@
+import { fetch } from '@forge/api';
+import crypto from 'crypto';
+import * as kvsStore from '../storage/kvs.js';
+import { LOG_EMOJI, HTTP_STATUS, OAUTH_STATE_TTL_MS, OAUTH_REFRESH_SKEW_MS } from '../../constants.js';
+
+// Every request to a remote Jira goes through this module. Organizations authenticate either with
+// Basic auth (remoteEmail + API token) or with an OAuth 2.0 (3LO) authorization-code grant. OAuth
+// tokens live in secret storage as { accessToken, refreshToken, expiresAt, cloudId }; Atlassian
+// rotates the refresh token on every refresh, so the new one is written back each time.
+export const REMOTE_AUTH_TYPES = ['basic', 'oauth'];
+
+export const OAUTH_AUTHORIZE_URL = 'https://auth.atlassian.com/authorize';
+export const OAUTH_TOKEN_URL = 'https://auth.atlassian.com/oauth/token';
+export const OAUTH_RESOURCES_URL = 'https://api.atlassian.com/oauth/token/accessible-resources';
+const OAUTH_API_BASE_URL = 'https://api.atlassian.com/ex/jira';
+
+export const OAUTH_SCOPES = [
+  'read:jira-work',
+  'write:jira-work',
+  'read:jira-user',
+  'read:board-scope:jira-software',
+  'read:sprint:jira-software',
+  'write:sprint:jira-software',
+  'offline_access'
+];
+
+const tokenCache = new Map();
+
+export function getOAuthTokensKey(orgId) {
+  return `secret:${orgId}:oauth`;
+}
+
+export function getOAuthClientSecretKey(orgId) {
+  return `secret:${orgId}:oauthClientSecret`;
+}
+
+function getOAuthStateKey(state) {
+  return `oauthState:${state}`;
+}
+
+export function getRemoteAuthType(org) {
+  return org?.authType === 'oauth' ? 'oauth' : 'basic';
+}
+
+/**
+ * Whether the organization has credentials to call its remote Jira. For OAuth this
+ * reflects the last successful authorization; tokens themselves are loaded lazily.
+ */
+export function hasRemoteCredentials(org) {
+  if (getRemoteAuthType(org) === 'oauth') {
+    return !!org.oauthConnectedAt;
+  }
+  return !!(org?.remoteEmail && org?.remoteApiToken);
+}
+
+function normalizeSiteUrl(url) {
+  return (url || '').replace(/\/+$/, '').toLowerCase();
+}
+
+async function loadOAuthTokens(org) {
+  const cached = tokenCache.get(org.id);
+  if (cached) {
+    return cached;
+  }
+  const tokens = await kvsStore.getSecret(getOAuthTokensKey(org.id));
+  if (!tokens?.accessToken) {
+    throw new Error(`Organization ${org.name || org.id} is not connected with OAuth`);
+  }
+  tokenCache.set(org.id, tokens);
+  return tokens;
+}
+
+async function saveOAuthTokens(orgId, tokens) {
+  await kvsStore.setSecret(getOAuthTokensKey(orgId), tokens);
+  tokenCache.set(orgId, tokens);
+}
+
+export async function clearOAuthTokens(orgId) {
+  tokenCache.delete(orgId);
+  await kvsStore.deleteSecret(getOAuthTokensKey(orgId));
+}
+
+function tokensFromResponse(data, previous = {}) {
+  return {
+    ...previous,
+    accessToken: data.access_token,
+    // Rotating refresh tokens: always keep the newest one
+    refreshToken: data.refresh_token || previous.refreshToken,
+    expiresAt: Date.now() + (data.expires_in || 3600) * 1000
+  };
+}
+
+async function requestToken(org, body) {
+  const clientSecret = await kvsStore.getSecret(getOAuthClientSecretKey(org.id));
+  if (!org.oauthClientId || !clientSecret) {
+    throw new Error(`OAuth client ID and secret are not configured for ${org.name || org.id}`);
+  }
+
+  return fetch(OAUTH_TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+    body: JSON.stringify({
+      client_id: org.oauthClientId,
+      client_secret: clientSecret,
+      ...body
+    })
+  });
+}
+
+async function refreshOAuthTokens(org, current) {
+  console.log(`${LOG_EMOJI.INFO} Refreshing OAuth access token for ${org.name || org.id}`);
+  const response = await requestToken(org, {
+    grant_type: 'refresh_token',
+    refresh_token: current.refreshToken
+  });
+
+  if (!response.ok) {
+    // Another invocation may have rotated the refresh token first; use what it stored
+    const stored = await kvsStore.getSecret(getOAuthTokensKey(org.id));
+    if (stored?.refreshToken && stored.refreshToken !== current.refreshToken) {
+      tokenCache.set(org.id, stored);
+      return stored;
+    }
+    const errorText = await response.text();
+    console.error(`${LOG_EMOJI.ERROR} OAuth token refresh failed for ${org.name || org.id}: ${response.status} ${errorText}`);
+    throw new Error(`OAuth token refresh failed (${response.status}). Reconnect the organization.`);
+  }
+
+  const tokens = tokensFromResponse(await response.json(), current);
+  await saveOAuthTokens(org.id, tokens);
+  return tokens;
+}
+
+async function getOAuthTokens(org, forceRefresh) {
+  let tokens = await loadOAuthTokens(org);
+  if (forceRefresh || !tokens.expiresAt || tokens.expiresAt - OAUTH_REFRESH_SKEW_MS <= Date.now()) {
+    tokens = await refreshOAuthTokens(org, tokens);
+  }
+  return tokens;
+}
+
+/**
+ * Returns the Authorization header value for the organization's remote Jira.
+ */
+export async function getRemoteAuthHeader(org, { forceRefresh = false } = {}) {
+  if (getRemoteAuthType(org) === 'oauth') {
+    const tokens = await getOAuthTokens(org, forceRefresh);
+    return `Bearer ${tokens.accessToken}`;
+  }
+  const auth = Buffer.from(`${org.remoteEmail}:${org.remoteApiToken}`).toString('base64');
+  return `Basic ${auth}`;
+}
+
+// OAuth tokens are only accepted by the API gateway, so site URLs are rewritten to
+// https://api.atlassian.com/ex/jira/{cloudId}/...
+async function resolveRemoteUrl(org, url) {
+  const target = url.toString();
+  if (getRemoteAuthType(org) !== 'oauth') {
+    return target;
+  }
+  const site = normalizeSiteUrl(org.remoteUrl);
+  if (!site || !target.toLowerCase().startsWith(site)) {
+    return target;
+  }
+  const { cloudId } = await loadOAuthTokens(org);
+  return `${OAUTH_API_BASE_URL}/${cloudId}${target.slice(site.length)}`;
+}
+
+/**
+ * fetch() against the organization's remote Jira with its credentials applied.
+ * OAuth requests that come back 401 are retried once with a freshly refreshed token.
+ */
+export async function remoteFetch(org, url, options = {}) {
+  const send = async (forceRefresh) => {
+    const authorization = await getRemoteAuthHeader(org, { forceRefresh });
+    return fetch(await resolveRemoteUrl(org, url), {
+      ...options,
+      headers: {
+        ...(options.headers || {}),
+        'Authorization': authorization
+      }
+    });
+  };
+
+  const response = await send(false);
+  if (response.status === HTTP_STATUS.UNAUTHORIZED && getRemoteAuthType(org) === 'oauth') {
+    console.warn(`${LOG_EMOJI.WARNING} Remote returned 401 for ${org.name || org.id}, refreshing OAuth token and retrying`);
+    return send(true);
+  }
+  return response;
+}
+
+/**
+ * Starts the authorization-code flow: remembers a one-time state value for the
+ * organization and returns the consent URL to open.
+ */
+export async function createOAuthAuthorizeUrl(org, redirectUri) {
+  const state = crypto.randomBytes(24).toString('hex');
+  await kvsStore.set(getOAuthStateKey(state), { orgId: org.id, redirectUri }, { ttl: OAUTH_STATE_TTL_MS });
+
+  const url = new URL(OAUTH_AUTHORIZE_URL);
+  url.searchParams.set('audience', 'api.atlassian.com');
+  url.searchParams.set('client_id', org.oauthClientId);
+  url.searchParams.set('scope', OAUTH_SCOPES.join(' '));
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('state', state);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('prompt', 'consent');
+  return url.toString();
+}
+
+/**
+ * Consumes a state value created by createOAuthAuthorizeUrl. Returns null when it
+ * is unknown, already used or expired.
+ */
+export async function consumeOAuthState(state) {
+  if (!state) {
+    return null;
+  }
+  const key = getOAuthStateKey(state);
+  const stored = await kvsStore.get(key);
+  if (!stored) {
+    return null;
+  }
+  await kvsStore.del(key);
+  if (!stored.expiresAt || stored.expiresAt < Date.now()) {
+    return null;
+  }
+  return stored.value;
+}
+
+/**
+ * Exchanges an authorization code for tokens, resolves the cloud ID of the
+ * organization's site and stores the result in secret storage.
+ */
+export async function completeOAuthAuthorization(org, code, redirectUri) {
+  const response = await requestToken(org, {
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri
+  });
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Authorization code exchange failed (${response.status}): ${errorText}`);
+  }
+  const tokens = tokensFromResponse(await response.json());
+
+  const resourcesResponse = await fetch(OAUTH_RESOURCES_URL, {
+    headers: { 'Authorization': `Bearer ${tokens.accessToken}`, 'Accept': 'application/json' }
+  });
+  if (!resourcesResponse.ok) {
+    throw new Error(`Could not list accessible sites (${resourcesResponse.status})`);
+  }
+  const resources = await resourcesResponse.json();
+  const site = normalizeSiteUrl(org.remoteUrl);
+  const resource = (resources || []).find(r => normalizeSiteUrl(r.url) === site);
+  if (!resource) {
+    throw new Error(`The authorizing user has no access to ${org.remoteUrl}`);
+  }
+
+  await saveOAuthTokens(org.id, { ...tokens, cloudId: resource.id });
+  console.log(`${LOG_EMOJI.SUCCESS} Connected ${org.name || org.id} with OAuth (cloud ${resource.id})`);
+  return { cloudId: resource.id };
+}
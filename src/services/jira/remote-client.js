@@ -1,25 +1,173 @@
-import { fetch } from '@forge/api';
 import { retryWithBackoff } from '../../utils/retry.js';
-import { LOG_EMOJI } from '../../constants.js';
+import { LOG_EMOJI, HTTP_STATUS, RATE_LIMIT_RETRY_DELAY_MS } from '../../constants.js';
+import { remoteFetch } from './remote-auth.js';
+import { acquireRateToken, recordRateLimitResponse, RateBudgetExhaustedError } from '../storage/rate-budget.js';
 
-export async function getRemoteIssue(remoteKey, config, fields = []) {
-  const auth = Buffer.from(`${config.remoteEmail}:${config.remoteApiToken}`).toString('base64');
-  const url = new URL(`${config.remoteUrl}/rest/api/3/issue/${remoteKey}`);
+/**
+ * Raised by RemoteJiraClient when a request cannot be completed. status is the
+ * HTTP status when the remote answered, or null for network failures.
+ */
+export class RemoteJiraError extends Error {
+  constructor(message, { status = null, method = null, path = null, orgId = null, body = null, response = null, cause = null } = {}) {
+    super(message);
+    this.name = 'RemoteJiraError';
+    this.status = status;
+    this.statusCode = status; // read by retryWithBackoff
+    this.method = method;
+    this.path = path;
+    this.orgId = orgId;
+    this.body = body;
+    this.response = response;
+    this.cause = cause;
+  }
+}
 
-  if (fields.length > 0) {
-    url.searchParams.set('fields', fields.join(','));
+/**
+ * Delay in milliseconds requested by a 429/503 response. Retry-After may be
+ * delta-seconds or an HTTP date; anything else falls back to the default wait.
+ */
+export function parseRetryAfter(response, fallbackMs = RATE_LIMIT_RETRY_DELAY_MS) {
+  const value = response?.headers?.get?.('Retry-After');
+  if (!value) {
+    return fallbackMs;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds) && seconds >= 0) {
+    return Math.ceil(seconds * 1000);
   }
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(date - Date.now(), 0);
+  }
+  return fallbackMs;
+}
 
-  try {
-    const response = await retryWithBackoff(async () => {
-      return await fetch(url.toString(), {
-        method: 'GET',
-        headers: {
-          'Authorization': `Basic ${auth}`,
-          'Accept': 'application/json'
+function isServerError(status) {
+  return status >= HTTP_STATUS.INTERNAL_SERVER_ERROR;
+}
+
+/**
+ * Client for one organization's remote Jira. Every remote call goes through
+ * request(), which applies the organization's credentials, resolves paths against
+ * remoteUrl, takes a token from the organization's rate budget, retries network
+ * failures and 5xx responses, waits out 429s for as long as Retry-After asks (up
+ * to MAX_RATE_LIMIT_WAIT_MS) and records each attempt in the API usage stats
+ * under the organization. An exhausted budget surfaces as RateBudgetExhaustedError.
+ *
+ * request() resolves with the Response for any status the remote answered with,
+ * so callers keep their own handling of 4xx results. getJson() and friends throw
+ * RemoteJiraError instead.
+ */
+export class RemoteJiraClient {
+  constructor(org) {
+    this.org = org;
+    this.orgId = org?.id || null;
+    this.baseUrl = (org?.remoteUrl || '').replace(/\/+$/, '');
+  }
+
+  url(path) {
+    return /^https?:\/\//i.test(path) ? path : `${this.baseUrl}${path.startsWith('/') ? '' : '/'}${path}`;
+  }
+
+  async request(path, { method = 'GET', body, headers = {}, operation, retries } = {}) {
+    const url = this.url(path);
+    const endpoint = `${method} ${new URL(url).pathname}`;
+    const init = {
+      method,
+      headers: { 'Accept': 'application/json', ...headers }
+    };
+    if (body !== undefined) {
+      const isRaw = typeof body === 'string' || Buffer.isBuffer(body);
+      init.body = isRaw ? body : JSON.stringify(body);
+      if (!isRaw && !Object.keys(init.headers).some(h => h.toLowerCase() === 'content-type')) {
+        init.headers['Content-Type'] = 'application/json';
+      }
+    }
+
+    try {
+      return await retryWithBackoff(async () => {
+        await acquireRateToken(this.orgId);
+        const response = await remoteFetch(this.org, url, init);
+        const isRateLimited = response.status === HTTP_STATUS.TOO_MANY_REQUESTS;
+        await recordRateLimitResponse(this.orgId, response, isRateLimited ? parseRetryAfter(response) : null);
+        if (isServerError(response.status)) {
+          throw new RemoteJiraError(`${endpoint} returned ${response.status}`, {
+            status: response.status, method, path, orgId: this.orgId, response
+          });
         }
+        return response;
+      }, operation || endpoint, retries, {
+        endpoint,
+        orgId: this.orgId,
+        rateLimitDelay: parseRetryAfter
+      });
+    } catch (error) {
+      // Out of retries on a 5xx: hand the last response back like any other status
+      if (error instanceof RemoteJiraError && error.response) {
+        return error.response;
+      }
+      if (error instanceof RemoteJiraError || error instanceof RateBudgetExhaustedError) {
+        throw error;
+      }
+      throw new RemoteJiraError(`${endpoint} failed for ${this.org?.name || this.orgId}: ${error.message}`, {
+        method, path, orgId: this.orgId, cause: error
       });
-    }, `Get remote issue ${remoteKey}`);
+    }
+  }
+
+  get(path, options = {}) {
+    return this.request(path, { ...options, method: 'GET' });
+  }
+
+  post(path, body, options = {}) {
+    return this.request(path, { ...options, method: 'POST', body });
+  }
+
+  put(path, body, options = {}) {
+    return this.request(path, { ...options, method: 'PUT', body });
+  }
+
+  delete(path, options = {}) {
+    return this.request(path, { ...options, method: 'DELETE' });
+  }
+
+  /**
+   * Sends a request and parses the JSON body. Throws RemoteJiraError for any
+   * non-2xx status, except 404 with allowNotFound, which resolves with null.
+   */
+  async requestJson(path, { allowNotFound = false, ...options } = {}) {
+    const response = await this.request(path, options);
+    if (response.ok) {
+      if (response.status === HTTP_STATUS.NO_CONTENT) {
+        return null;
+      }
+      return response.json();
+    }
+    if (allowNotFound && response.status === HTTP_STATUS.NOT_FOUND) {
+      return null;
+    }
+    const text = await response.text().catch(() => '');
+    throw new RemoteJiraError(`${options.method || 'GET'} ${path} returned ${response.status}`, {
+      status: response.status,
+      method: options.method || 'GET',
+      path,
+      orgId: this.orgId,
+      body: text
+    });
+  }
+
+  getJson(path, options = {}) {
+    return this.requestJson(path, { ...options, method: 'GET' });
+  }
+}
+
+export async function getRemoteIssue(remoteKey, config, fields = []) {
+  const params = fields.length > 0 ? `?fields=${encodeURIComponent(fields.join(','))}` : '';
+
+  try {
+    const response = await new RemoteJiraClient(config).get(`/rest/api/3/issue/${remoteKey}${params}`, {
+      operation: `Get remote issue ${remoteKey}`
+    });
 
     if (response.ok) {
       return await response.json();
@@ -35,21 +183,10 @@ export async function getRemoteIssue(remoteKey, config, fields = []) {
 }
 
 export async function getRemoteIssueAttachments(remoteKey, config) {
-  const auth = Buffer.from(`${config.remoteEmail}:${config.remoteApiToken}`).toString('base64');
-  
   try {
-    const response = await retryWithBackoff(async () => {
-      return await fetch(
-        `${config.remoteUrl}/rest/api/3/issue/${remoteKey}?fields=attachment`,
-        {
-          method: 'GET',
-          headers: {
-            'Authorization': `Basic ${auth}`,
-            'Accept': 'application/json'
-          }
-        }
-      );
-    }, `Get attachments for ${remoteKey}`);
+    const response = await new RemoteJiraClient(config).get(`/rest/api/3/issue/${remoteKey}?fields=attachment`, {
+      operation: `Get attachments for ${remoteKey}`
+    });
 
     if (response.ok) {
       const issue = await response.json();
@@ -65,8 +202,6 @@ export async function getRemoteIssueAttachments(remoteKey, config) {
 }
 
 export async function uploadAttachment(remoteKey, filename, fileBuffer, config) {
-  const auth = Buffer.from(`${config.remoteEmail}:${config.remoteApiToken}`).toString('base64');
-  
   try {
     // Create form data boundary
     const boundary = `----ForgeFormBoundary${Date.now()}`;
@@ -84,20 +219,13 @@ export async function uploadAttachment(remoteKey, filename, fileBuffer, config)
     // Combine all parts
     const body = Buffer.concat([header, fileBuffer, footer]);
     
-    const response = await retryWithBackoff(async () => {
-      return await fetch(
-        `${config.remoteUrl}/rest/api/3/issue/${remoteKey}/attachments`,
-        {
-          method: 'POST',
-          headers: {
-            'Authorization': `Basic ${auth}`,
-            'Content-Type': `multipart/form-data; boundary=${boundary}`,
-            'X-Atlassian-Token': 'no-check'
-          },
-          body: body
-        }
-      );
-    }, `Upload attachment ${filename} to ${remoteKey}`);
+    const response = await new RemoteJiraClient(config).post(`/rest/api/3/issue/${remoteKey}/attachments`, body, {
+      operation: `Upload attachment ${filename} to ${remoteKey}`,
+      headers: {
+        'Content-Type': `multipart/form-data; boundary=${boundary}`,
+        'X-Atlassian-Token': 'no-check'
+      }
+    });
 
     if (response.ok) {
       const result = await response.json();
@@ -123,19 +251,10 @@ export async function getRemoteComment(issueKey, commentId, config) {
     return null;
   }
 
-  const auth = Buffer.from(`${config.remoteEmail}:${config.remoteApiToken}`).toString('base64');
-  const url = `${config.remoteUrl}/rest/api/3/issue/${issueKey}/comment/${commentId}?expand=properties`;
-
   try {
-    const response = await retryWithBackoff(async () => {
-      return await fetch(url, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Basic ${auth}`,
-          'Accept': 'application/json'
-        }
-      });
-    }, `Get remote comment ${commentId}`);
+    const response = await new RemoteJiraClient(config).get(`/rest/api/3/issue/${issueKey}/comment/${commentId}?expand=properties`, {
+      operation: `Get remote comment ${commentId}`
+    });
 
     if (response.ok) {
       return await response.json();
@@ -149,3 +268,105 @@ export async function getRemoteComment(issueKey, commentId, config) {
     return null;
   }
 }
+
+export async function getRemoteWorklog(issueKey, worklogId, config) {
+  if (!issueKey || !worklogId || !config) {
+    return null;
+  }
+
+  try {
+    const response = await new RemoteJiraClient(config).get(`/rest/api/3/issue/${issueKey}/worklog/${worklogId}`, {
+      operation: `Get remote worklog ${worklogId}`
+    });
+
+    if (response.ok) {
+      return await response.json();
+    }
+
+    const errorText = await response.text();
+    console.error(`${LOG_EMOJI.ERROR} Failed to get remote worklog ${worklogId}: ${errorText}`);
+    return null;
+  } catch (error) {
+    console.error(`${LOG_EMOJI.ERROR} Error getting remote worklog ${worklogId}:`, error);
+    return null;
+  }
+}
+
+export async function deleteAttachment(attachmentId, config) {
+  try {
+    const response = await new RemoteJiraClient(config).delete(`/rest/api/3/attachment/${attachmentId}`, {
+      operation: `Delete remote attachment ${attachmentId}`
+    });
+
+    // 404 means it is already gone, which is the outcome we want
+    if (response.ok || response.status === 204 || response.status === 404) {
+      return true;
+    }
+
+    const errorText = await response.text();
+    console.error(`${LOG_EMOJI.ERROR} Failed to delete remote attachment ${attachmentId}: ${errorText}`);
+    return false;
+  } catch (error) {
+    console.error(`${LOG_EMOJI.ERROR} Error deleting remote attachment ${attachmentId}:`, error);
+    return false;
+  }
+}
+
+export async function getRemoteFields(config) {
+  try {
+    return await new RemoteJiraClient(config).getJson('/rest/api/3/field', { operation: 'Get remote fields' });
+  } catch (error) {
+    console.error(`${LOG_EMOJI.ERROR} Error getting remote fields:`, error);
+    return null;
+  }
+}
+
+/**
+ * Fields (with schema and allowedValues) editable on an existing remote issue, keyed by field ID
+ */
+export async function getRemoteEditMeta(issueKey, config) {
+  try {
+    const data = await new RemoteJiraClient(config).getJson(`/rest/api/3/issue/${issueKey}/editmeta`, {
+      operation: `Get remote editmeta ${issueKey}`
+    });
+    return data.fields || {};
+  } catch (error) {
+    console.error(`${LOG_EMOJI.ERROR} Error getting remote editmeta for ${issueKey}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Fields (with schema and allowedValues) on the remote create screen for a project and issue type, keyed by field ID.
+ * issueType may carry an id or only a name.
+ */
+export async function getRemoteCreateMeta(projectKey, issueType, config) {
+  const client = new RemoteJiraClient(config);
+
+  try {
+    let issueTypeId = issueType?.id;
+    if (!issueTypeId) {
+      const typesData = await client.getJson(`/rest/api/3/issue/createmeta/${projectKey}/issuetypes`, {
+        operation: `Get remote createmeta issue types for ${projectKey}`
+      });
+      const match = (typesData.issueTypes || typesData.values || []).find(t => t.name === issueType?.name);
+      issueTypeId = match?.id;
+      if (!issueTypeId) {
+        return null;
+      }
+    }
+
+    const data = await client.getJson(`/rest/api/3/issue/createmeta/${projectKey}/issuetypes/${issueTypeId}?maxResults=200`, {
+      operation: `Get remote createmeta for ${projectKey}`
+    });
+
+    const fields = {};
+    for (const field of data.fields || data.values || []) {
+      fields[field.fieldId || field.key] = field;
+    }
+    return fields;
+  } catch (error) {
+    console.error(`${LOG_EMOJI.ERROR} Error getting remote createmeta for ${projectKey}:`, error);
+    return null;
+  }
+}
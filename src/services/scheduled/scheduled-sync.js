@@ -1,12 +1,38 @@
-import api, { route, fetch } from '@forge/api';
+import api, { route } from '@forge/api';
 import * as kvsStore from '../storage/kvs.js';
-import { LOG_EMOJI, SCHEDULED_SYNC_DELAY_MS, MAX_PENDING_LINK_ATTEMPTS } from '../../constants.js';
+import { LOG_EMOJI, SCHEDULED_SYNC_DELAY_MS, MAX_PENDING_LINK_ATTEMPTS, RATE_BUDGET_TOKENS_PER_ISSUE } from '../../constants.js';
 import { sleep } from '../../utils/retry.js';
 import { getRemoteKey, getLocalKey, storeLinkMapping, removeMapping, getAllMappings, addToMappingIndex, getOrganizationsWithTokens, getLastSyncedLocalUpdated } from '../storage/mappings.js';
 import { removePendingLink, getPendingLinks, removeIssueFromPendingLinksIndex } from '../storage/flags.js';
 import { getFullIssue } from '../jira/local-client.js';
 import { createRemoteIssue, updateRemoteIssue } from '../sync/issue-sync.js';
 import { syncIssueLinks } from '../sync/link-sync.js';
+import { RemoteJiraClient } from '../jira/remote-client.js';
+import { waitForRateBudget, RateBudgetExhaustedError } from '../storage/rate-budget.js';
+
+// Where each organization stopped when its remote rate budget ran out, keyed by org id.
+// Phases run in SCHEDULED_SYNC_PHASES order; afterKey is the last issue the phase finished.
+const SCHEDULED_SYNC_CHECKPOINTS_KEY = 'scheduledSyncCheckpoints';
+const SCHEDULED_SYNC_PHASES = ['recreate', 'missing', 'recent'];
+
+function withCheckpoint(error, checkpoint) {
+  if (error instanceof RateBudgetExhaustedError && !error.checkpoint) {
+    error.checkpoint = checkpoint;
+  }
+  return error;
+}
+
+/**
+ * Waits for enough remote budget to sync one more issue. When the organization's
+ * budget is exhausted, the RateBudgetExhaustedError carries the checkpoint to resume from.
+ */
+async function reserveRemoteBudget(config, checkpoint) {
+  try {
+    await waitForRateBudget(config.id, { tokens: RATE_BUDGET_TOKENS_PER_ISSUE });
+  } catch (error) {
+    throw withCheckpoint(error, checkpoint);
+  }
+}
 
 /**
  * Check if a remote issue exists in the target Jira instance
@@ -16,14 +42,11 @@ import { syncIssueLinks } from '../sync/link-sync.js';
  */
 async function checkRemoteIssueExists(remoteKey, config) {
   try {
-    const auth = Buffer.from(`${config.remoteEmail}:${config.remoteApiToken}`).toString('base64');
-    
-    const response = await fetch(
-      `${config.remoteUrl}/rest/api/3/issue/${remoteKey}?fields=key`,
+    const response = await new RemoteJiraClient(config).request(
+      `/rest/api/3/issue/${remoteKey}?fields=key`,
       {
         method: 'GET',
         headers: {
-          'Authorization': `Basic ${auth}`,
           'Content-Type': 'application/json'
         }
       }
@@ -43,6 +66,9 @@ async function checkRemoteIssueExists(remoteKey, config) {
     return true; // Assume exists to avoid accidental recreation
     
   } catch (error) {
+    if (error instanceof RateBudgetExhaustedError) {
+      throw error;
+    }
     console.error(`${LOG_EMOJI.ERROR} Error checking remote issue ${remoteKey}:`, error);
     return true; // Assume exists on error to be safe
   }
@@ -52,7 +78,7 @@ async function checkRemoteIssueExists(remoteKey, config) {
  * Check all existing mappings to find and recreate deleted remote issues
  * This runs when "Recreate Deleted Issues" option is enabled
  */
-async function checkAndRecreateDeletedIssues(config, mappings, syncOptions, orgId, orgName, stats, startTime, timeoutThreshold) {
+async function checkAndRecreateDeletedIssues(config, mappings, syncOptions, orgId, orgName, stats, startTime, timeoutThreshold, resumeAfterKey = null) {
   console.log(`${LOG_EMOJI.INFO} Checking all mappings for deleted remote issues...`);
   
   // Get all mappings for this org
@@ -75,8 +101,15 @@ async function checkAndRecreateDeletedIssues(config, mappings, syncOptions, orgI
   
   let checkedCount = 0;
   let deletedCount = 0;
+  let startIndex = 0;
+  let previousKey = resumeAfterKey;
+
+  if (resumeAfterKey) {
+    startIndex = mappingsToCheck.findIndex(m => m.localKey === resumeAfterKey) + 1;
+    console.log(`${LOG_EMOJI.INFO} Resuming deleted issue check for ${orgName} after ${resumeAfterKey}`);
+  }
   
-  for (const mapping of mappingsToCheck) {
+  for (const mapping of mappingsToCheck.slice(startIndex)) {
     // Check for timeout
     if (startTime && timeoutThreshold && (Date.now() - startTime > timeoutThreshold)) {
       console.warn(`⚠️ Recreate deleted issues stopped early for ${orgName} due to timeout risk`);
@@ -84,11 +117,20 @@ async function checkAndRecreateDeletedIssues(config, mappings, syncOptions, orgI
       break;
     }
 
+    const checkpoint = { phase: 'recreate', afterKey: previousKey };
+    await reserveRemoteBudget(config, checkpoint);
+
     checkedCount++;
     const { localKey, remoteKey } = mapping;
+    previousKey = localKey;
     
     // Check if remote issue still exists
-    const remoteExists = await checkRemoteIssueExists(remoteKey, config);
+    let remoteExists;
+    try {
+      remoteExists = await checkRemoteIssueExists(remoteKey, config);
+    } catch (error) {
+      throw withCheckpoint(error, checkpoint);
+    }
     
     if (!remoteExists) {
       deletedCount++;
@@ -144,6 +186,9 @@ async function checkAndRecreateDeletedIssues(config, mappings, syncOptions, orgI
         await sleep(SCHEDULED_SYNC_DELAY_MS);
         
       } catch (error) {
+        if (error instanceof RateBudgetExhaustedError) {
+          throw withCheckpoint(error, checkpoint);
+        }
         console.error(`${LOG_EMOJI.ERROR} Error recreating ${localKey}:`, error);
         stats.errors.push(`${localKey}: ${error.message}`);
         recordEvent(stats, {
@@ -168,7 +213,7 @@ async function checkAndRecreateDeletedIssues(config, mappings, syncOptions, orgI
  * Sync ALL missing issues from local to remote
  * This finds issues that were never synced and creates them on remote
  */
-async function syncAllMissingIssues(config, mappings, syncOptions, orgId, orgName, stats, scheduledConfig, startTime, timeoutThreshold) {
+async function syncAllMissingIssues(config, mappings, syncOptions, orgId, orgName, stats, scheduledConfig, startTime, timeoutThreshold, resume = null) {
   const scope = scheduledConfig?.syncScope || 'recent';
   console.log(`${LOG_EMOJI.INFO} Checking for issues that were NEVER synced to ${orgName} (Scope: ${scope})...`);
   
@@ -196,7 +241,15 @@ async function syncAllMissingIssues(config, mappings, syncOptions, orgId, orgNam
     return;
   }
 
-  const projectsToScan = localProjects.filter(p => allowedProjects.includes(p.key));
+  let projectsToScan = localProjects.filter(p => allowedProjects.includes(p.key));
+
+  if (resume?.projectKey) {
+    const resumeIndex = projectsToScan.findIndex(p => p.key === resume.projectKey);
+    if (resumeIndex > 0) {
+      projectsToScan = projectsToScan.slice(resumeIndex);
+    }
+    console.log(`${LOG_EMOJI.INFO} Resuming never-synced check for ${orgName} at ${resume.projectKey}${resume.afterKey ? ` after ${resume.afterKey}` : ''}`);
+  }
 
   let neverSyncedCount = 0;
   let createdCount = 0;
@@ -222,6 +275,12 @@ async function syncAllMissingIssues(config, mappings, syncOptions, orgId, orgNam
       baseJql += ` AND updated >= -24h`;
     }
 
+    let previousKey = null;
+    if (resume?.afterKey && resume.projectKey === projectKey) {
+      baseJql += ` AND key > ${resume.afterKey}`;
+      previousKey = resume.afterKey;
+    }
+
     const jql = `${baseJql} ORDER BY key ASC`;
     
     let hasMore = true;
@@ -269,6 +328,8 @@ async function syncAllMissingIssues(config, mappings, syncOptions, orgId, orgNam
         }
 
         const localKey = issue.key;
+        const checkpoint = { phase: 'missing', projectKey, afterKey: previousKey };
+        previousKey = localKey;
         
         // Check if mapping exists
         let remoteKey = await getRemoteKey(localKey, orgId);
@@ -277,6 +338,8 @@ async function syncAllMissingIssues(config, mappings, syncOptions, orgId, orgNam
         }
 
         if (!remoteKey) {
+          await reserveRemoteBudget(config, checkpoint);
+
           // Never synced - but first check if issue already exists on remote to avoid duplicates
           neverSyncedCount++;
           
@@ -284,15 +347,13 @@ async function syncAllMissingIssues(config, mappings, syncOptions, orgId, orgNam
             const fullIssue = await getFullIssue(localKey);
             if (fullIssue) {
               // Search for existing issue on remote with same summary
-              const auth = Buffer.from(`${config.remoteEmail}:${config.remoteApiToken}`).toString('base64');
               const searchJql = `project = ${config.remoteProjectKey} AND summary ~ "${fullIssue.fields.summary.replace(/"/g, '\\"').substring(0, 50)}"`;
               
-              const searchResponse = await fetch(
-                `${config.remoteUrl}/rest/api/3/search/jql`,
+              const searchResponse = await new RemoteJiraClient(config).request(
+                '/rest/api/3/search/jql',
                 {
                   method: 'POST',
                   headers: {
-                    'Authorization': `Basic ${auth}`,
                     'Content-Type': 'application/json'
                   },
                   body: JSON.stringify({
@@ -358,6 +419,9 @@ async function syncAllMissingIssues(config, mappings, syncOptions, orgId, orgNam
             await sleep(SCHEDULED_SYNC_DELAY_MS);
             
           } catch (error) {
+            if (error instanceof RateBudgetExhaustedError) {
+              throw withCheckpoint(error, checkpoint);
+            }
             console.error(`${LOG_EMOJI.ERROR} Error creating ${localKey}:`, error);
             stats.errors.push(`${localKey}: ${error.message}`);
           }
@@ -479,8 +543,6 @@ export async function retryAllPendingLinks(config, mappings, stats) {
 
       console.log(`🔗 Retrying ${orgPendingLinks.length} pending link(s) for ${localIssueKey} (org: ${config.name || orgId})`);
 
-      const auth = Buffer.from(`${config.remoteEmail}:${config.remoteApiToken}`).toString('base64');
-
       for (const pendingLink of orgPendingLinks) {
         totalRetried++;
 
@@ -535,12 +597,11 @@ export async function retryAllPendingLinks(config, mappings, stats) {
             console.log(`${LOG_EMOJI.LINK} Creating link: ${remoteLinkedKey} → ${remoteIssueKey}`);
           }
 
-          const response = await fetch(
-            `${config.remoteUrl}/rest/api/3/issueLink`,
+          const response = await new RemoteJiraClient(config).request(
+            '/rest/api/3/issueLink',
             {
               method: 'POST',
               headers: {
-                'Authorization': `Basic ${auth}`,
                 'Content-Type': 'application/json'
               },
               body: JSON.stringify(linkPayload)
@@ -658,6 +719,12 @@ export async function performScheduledSync() {
     events: []
   };
 
+  const checkpoints = await kvsStore.get(SCHEDULED_SYNC_CHECKPOINTS_KEY) || {};
+  const initialCheckpoints = JSON.stringify(checkpoints);
+
+  // Organizations paused by their rate budget go first so the others cannot starve them
+  configs.sort((a, b) => Number(!!checkpoints[b.id || 'legacy']) - Number(!!checkpoints[a.id || 'legacy']));
+
   try {
     // Process each organization
     for (const org of configs) {
@@ -687,9 +754,34 @@ export async function performScheduledSync() {
         continue;
       }
 
+      const checkpoint = checkpoints[orgId] || null;
+      if (checkpoint && Date.parse(checkpoint.resumeAt) > Date.now()) {
+        console.log(`⏭️ Skipping ${orgName} - remote rate budget exhausted until ${checkpoint.resumeAt}`);
+        stats.issuesSkipped++;
+        recordEvent(stats, {
+          type: 'skip',
+          orgName,
+          message: `Remote rate budget exhausted until ${checkpoint.resumeAt}`
+        });
+        continue;
+      }
+
+      const runsPhase = (phase) => !checkpoint || SCHEDULED_SYNC_PHASES.indexOf(phase) >= SCHEDULED_SYNC_PHASES.indexOf(checkpoint.phase);
+      const resumeFor = (phase) => (checkpoint?.phase === phase ? checkpoint : null);
+      let currentPhase = checkpoint?.phase || SCHEDULED_SYNC_PHASES[0];
+
+      if (checkpoint) {
+        console.log(`${LOG_EMOJI.INFO} Resuming ${orgName} from its ${checkpoint.phase} checkpoint`);
+      }
+
       try {
         // Build config object compatible with sync functions
         const config = {
+          id: org.id,
+          name: org.name,
+          authType: org.authType,
+          oauthClientId: org.oauthClientId,
+          oauthConnectedAt: org.oauthConnectedAt,
           remoteUrl: org.remoteUrl,
           remoteEmail: org.remoteEmail,
           remoteApiToken: org.remoteApiToken,
@@ -703,19 +795,23 @@ export async function performScheduledSync() {
         orgUserMappings, 
         orgFieldMappings, 
         orgStatusMappings, 
+        orgSprintMappings,
         orgSyncOptions,
         legacyUserMappings,
         legacyFieldMappings,
         legacyStatusMappings,
+        legacySprintMappings,
         legacySyncOptions
       ] = await Promise.all([
         kvsStore.get(`userMappings:${orgId}`),
         kvsStore.get(`fieldMappings:${orgId}`),
         kvsStore.get(`statusMappings:${orgId}`),
+        kvsStore.get(`sprintMappings:${orgId}`),
         kvsStore.get(`syncOptions:${orgId}`),
         kvsStore.get('userMappings'),
         kvsStore.get('fieldMappings'),
         kvsStore.get('statusMappings'),
+        kvsStore.get('sprintMappings'),
         kvsStore.get('syncOptions')
       ]);
       
@@ -723,7 +819,8 @@ export async function performScheduledSync() {
       const mappings = {
         userMappings: orgUserMappings || legacyUserMappings || {},
         fieldMappings: orgFieldMappings || legacyFieldMappings || {},
-        statusMappings: orgStatusMappings || legacyStatusMappings || {}
+        statusMappings: orgStatusMappings || legacyStatusMappings || {},
+        sprintMappings: orgSprintMappings || legacySprintMappings || {}
       };
 
       const effectiveSyncOptions = orgSyncOptions || legacySyncOptions || {
@@ -736,17 +833,21 @@ export async function performScheduledSync() {
       // Always force check links during scheduled sync to catch missing links
       effectiveSyncOptions.forceCheckLinks = true;
 
-      if (effectiveSyncOptions.recreateDeletedIssues) {
+      if (effectiveSyncOptions.recreateDeletedIssues && runsPhase('recreate')) {
         console.log(`${LOG_EMOJI.INFO} Recreate deleted issues is ENABLED for ${orgName}`);
         
         // Check ALL existing mappings for deleted remote issues (not just recently updated)
-        await checkAndRecreateDeletedIssues(config, mappings, effectiveSyncOptions, orgId, orgName, stats, startTime, TIMEOUT_THRESHOLD_MS);
+        await checkAndRecreateDeletedIssues(config, mappings, effectiveSyncOptions, orgId, orgName, stats, startTime, TIMEOUT_THRESHOLD_MS, resumeFor('recreate')?.afterKey);
       }
       
       // ALWAYS sync issues that were never synced (no mapping exists)
       // This ensures NO issue is left behind
-      console.log(`${LOG_EMOJI.INFO} Checking for never-synced issues for ${orgName}...`);
-      await syncAllMissingIssues(config, mappings, effectiveSyncOptions, orgId, orgName, stats, scheduledConfig, startTime, TIMEOUT_THRESHOLD_MS);
+      if (runsPhase('missing')) {
+        currentPhase = 'missing';
+        console.log(`${LOG_EMOJI.INFO} Checking for never-synced issues for ${orgName}...`);
+        await syncAllMissingIssues(config, mappings, effectiveSyncOptions, orgId, orgName, stats, scheduledConfig, startTime, TIMEOUT_THRESHOLD_MS, resumeFor('missing'));
+      }
+      currentPhase = 'recent';
       
       // Build project filter for JQL
       let projectFilter;
@@ -798,8 +899,14 @@ export async function performScheduledSync() {
       const searchResults = await searchResponse.json();
       
       console.log(`📋 Found ${searchResults.issues.length} issues to check for ${orgName}`);
+
+      let recentIssues = searchResults.issues;
+      let previousKey = resumeFor('recent')?.afterKey || null;
+      if (previousKey) {
+        recentIssues = recentIssues.slice(recentIssues.findIndex(i => i.key === previousKey) + 1);
+      }
       
-      for (const issueData of searchResults.issues) {
+      for (const issueData of recentIssues) {
         // Check for timeout inside the issue loop
         if (Date.now() - startTime > TIMEOUT_THRESHOLD_MS) {
           console.warn(`⚠️ Scheduled sync approaching timeout. Stopping issue loop for ${orgName}.`);
@@ -807,8 +914,11 @@ export async function performScheduledSync() {
           break;
         }
 
-        stats.issuesChecked++;
         const issueKey = issueData.key;
+        const recentCheckpoint = { phase: 'recent', afterKey: previousKey };
+        await reserveRemoteBudget(config, recentCheckpoint);
+        previousKey = issueKey;
+        stats.issuesChecked++;
         
         try {
           const issue = await getFullIssue(issueKey);
@@ -892,6 +1002,9 @@ export async function performScheduledSync() {
           await sleep(SCHEDULED_SYNC_DELAY_MS);
           
         } catch (error) {
+          if (error instanceof RateBudgetExhaustedError) {
+            throw withCheckpoint(error, recentCheckpoint);
+          }
           console.error(`Error syncing ${issueKey}:`, error);
           stats.errors.push(`${issueKey}: ${error.message}`);
           recordEvent(stats, {
@@ -910,8 +1023,26 @@ export async function performScheduledSync() {
       } catch (error) {
         console.error(`Error retrying pending links for ${orgName}:`, error);
       }
+
+      delete checkpoints[orgId];
       
     } catch (error) {
+      if (error instanceof RateBudgetExhaustedError) {
+        const resumeAt = new Date(error.resumeAt).toISOString();
+        checkpoints[orgId] = {
+          ...(error.checkpoint || { phase: currentPhase }),
+          pausedAt: new Date().toISOString(),
+          resumeAt
+        };
+        console.warn(`${LOG_EMOJI.WARNING} Pausing ${orgName} at ${checkpoints[orgId].phase} until ${resumeAt}: remote rate budget exhausted`);
+        recordEvent(stats, {
+          type: 'paused',
+          orgName,
+          phase: checkpoints[orgId].phase,
+          resumeAt
+        });
+        continue;
+      }
       console.error(`Error processing org ${orgName}:`, error);
       stats.errors.push(`${orgName}: ${error.message}`);
       recordEvent(stats, {
@@ -924,6 +1055,9 @@ export async function performScheduledSync() {
 
   // Save stats
   await kvsStore.set('scheduledSyncStats', stats);
+  if (JSON.stringify(checkpoints) !== initialCheckpoints) {
+    await kvsStore.set(SCHEDULED_SYNC_CHECKPOINTS_KEY, checkpoints);
+  }
 
   console.log(`\n✅ Scheduled sync complete:`, stats);
   return stats;
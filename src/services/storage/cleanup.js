@@ -1,13 +1,55 @@
 import * as kvsStore from './kvs.js';
-import { removeMapping } from './mappings.js';
+import {
+  removeMapping,
+  removeIssueSyncState,
+  getRemoteCommentId,
+  removeCommentMapping,
+  removeAttachmentMapping,
+  removeLinkMapping,
+  getRemoteWorklogId,
+  removeWorklogMapping
+} from './mappings.js';
 import { removeIssueFromPendingLinksIndex } from './flags.js';
 import { LOG_EMOJI } from '../../constants.js';
 
+/**
+ * Remove the comment, worklog, attachment and link mappings that belong to an issue.
+ * Needs the issue itself (fields comment, worklog, attachment, issuelinks) since those mappings are keyed by ID.
+ */
+async function removeRelatedMappings(issue, orgId) {
+  const fields = issue?.fields || {};
+
+  for (const comment of fields.comment?.comments || []) {
+    const remoteCommentId = await getRemoteCommentId(comment.id, orgId);
+    await removeCommentMapping(comment.id, remoteCommentId, orgId);
+  }
+  for (const worklog of fields.worklog?.worklogs || []) {
+    const remoteWorklogId = await getRemoteWorklogId(worklog.id, orgId);
+    await removeWorklogMapping(worklog.id, remoteWorklogId, orgId);
+  }
+  await Promise.all((fields.attachment || []).map(attachment => removeAttachmentMapping(attachment.id, orgId)));
+  await Promise.all((fields.issuelinks || []).map(link => removeLinkMapping(link.id, orgId)));
+}
+
+/**
+ * Remove what one organization stored for a synced issue: the mapping, its sync state and,
+ * given the local issue, its comment, worklog, attachment and link mappings. Other organizations'
+ * state is left alone. Throws when a key could not be removed, so the caller can report it.
+ */
+export async function unlinkIssueData(issueKey, remoteKey, orgId = null, relatedIssue = null) {
+  await removeMapping(issueKey, remoteKey, orgId);
+  await removeIssueSyncState(issueKey, orgId);
+  if (relatedIssue) {
+    await removeRelatedMappings(relatedIssue, orgId);
+  }
+}
+
 /**
  * Centralized cleanup for issue data when an issue is deleted
  * Ensures all related storage keys are removed
+ * Pass options.relatedIssue (the local issue) to also drop its comment, worklog, attachment and link mappings
  */
-export async function cleanupIssueData(issueKey, remoteKey, orgId = null) {
+export async function cleanupIssueData(issueKey, remoteKey, orgId = null, options = {}) {
   console.log(`${LOG_EMOJI.INFO} Cleaning up storage for issue ${issueKey}`);
   
   try {
@@ -23,6 +65,14 @@ export async function cleanupIssueData(issueKey, remoteKey, orgId = null) {
     
     // 4. Remove syncing flag
     await kvsStore.del(`syncing:${issueKey}`);
+
+    // 5. Remove last-synced timestamp and field snapshot
+    await removeIssueSyncState(issueKey, orgId);
+
+    // 6. Remove comment, attachment and link mappings
+    if (options.relatedIssue) {
+      await removeRelatedMappings(options.relatedIssue, orgId);
+    }
     
     console.log(`${LOG_EMOJI.SUCCESS} Cleanup complete for ${issueKey}`);
   } catch (error) {
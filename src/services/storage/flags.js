@@ -28,6 +28,28 @@ export async function isSyncing(issueKey) {
   return data === 'true' || data.value === 'true';
 }
 
+// Link deletions made by an incoming sync, so the local link-deleted trigger can skip exactly that link
+export async function markLinkDeletedBySync(linkId) {
+  await kvsStore.set(`syncing-link-delete:${linkId}`, {
+    value: 'true',
+    expiresAt: Date.now() + SYNC_FLAG_TTL_MS
+  });
+}
+
+export async function clearLinkDeletedBySync(linkId) {
+  await kvsStore.del(`syncing-link-delete:${linkId}`);
+}
+
+// True once per marked link: the marker is removed when it is read
+export async function consumeLinkDeletedBySync(linkId) {
+  const key = `syncing-link-delete:${linkId}`;
+  const data = await kvsStore.get(key);
+  if (!data) return false;
+
+  await kvsStore.del(key);
+  return Date.now() <= data.expiresAt;
+}
+
 export async function storePendingLink(issueKey, linkData) {
   const pendingLinks = await kvsStore.get(`pending-links:${issueKey}`) || [];
   // Check if link already pending to avoid duplicates
@@ -8,7 +8,7 @@
  * 
  * @see https://developer.atlassian.com/platform/forge/storage-reference/kvs-migration-from-legacy/
  */
-import { kvs, WhereConditions } from '@forge/kvs';
+import { kvs, WhereConditions, FilterConditions, Filter } from '@forge/kvs';
 
 // Re-export for use in other modules
 export { kvs, WhereConditions };
@@ -28,18 +28,60 @@ export async function get(key) {
   }
 }
 
+function toKvsTtl(ttlMs) {
+  return { value: Math.ceil(ttlMs / 1000), unit: 'SECONDS' };
+}
+
 /**
- * Set a value in storage with optional TTL
+ * Set a value in storage with optional TTL (milliseconds)
  */
 export async function set(key, value, options = {}) {
   if (options.ttl) {
-    // @forge/kvs doesn't support TTL directly on set - use separate mechanism if needed
-    // For now, store with metadata for manual TTL checking
-    return await kvs.set(key, { value, expiresAt: Date.now() + options.ttl });
+    // KVS removes the key once the TTL passes, but not necessarily at that moment,
+    // so readers still compare expiresAt
+    return await kvs.set(key, { value, expiresAt: Date.now() + options.ttl }, { ttl: toKvsTtl(options.ttl) });
   }
   return await kvs.set(key, value);
 }
 
+/**
+ * Store a value with a TTL (milliseconds) unless an unexpired value is already stored.
+ * Returns true when this call stored it. Of two concurrent callers only one gets true.
+ */
+export async function claim(key, value, ttlMs) {
+  const record = { value, expiresAt: Date.now() + ttlMs };
+  try {
+    await kvs.set(key, record, { ttl: toKvsTtl(ttlMs), keyPolicy: 'FAIL_IF_EXISTS' });
+    return true;
+  } catch (error) {
+    const existing = await get(key);
+    if (!existing) {
+      throw error;
+    }
+    if (existing.expiresAt > Date.now()) {
+      return false;
+    }
+  }
+
+  // The key has expired but KVS has not removed it yet. Whoever swaps out the expired value wins.
+  const previous = await kvs.set(key, record, { ttl: toKvsTtl(ttlMs), keyPolicy: 'OVERRIDE', returnValue: 'PREVIOUS' });
+  return !(previous?.value?.expiresAt > Date.now());
+}
+
+/**
+ * Replace a value and return the one it replaced (null if none) in a single operation,
+ * so a caller can tell whether another write landed after its own read.
+ * options.ttl (milliseconds) only tells KVS when to remove the key; the value is stored as given.
+ */
+export async function swap(key, value, options = {}) {
+  const setOptions = { keyPolicy: 'OVERRIDE', returnValue: 'PREVIOUS' };
+  if (options.ttl) {
+    setOptions.ttl = toKvsTtl(options.ttl);
+  }
+  const previous = await kvs.set(key, value, setOptions);
+  return previous?.value ?? null;
+}
+
 /**
  * Delete a value from storage
  */
@@ -119,6 +161,138 @@ export async function queryByPrefix(prefix, limit = 100) {
   return results;
 }
 
+/**
+ * Read one page of keys by prefix, for callers that walk large key ranges across invocations
+ *
+ * @returns {Promise<{results: Array<{key: string, value: any}>, nextCursor: string|null}>}
+ */
+export async function queryPage(prefix, { cursor = null, limit = 100 } = {}) {
+  const query = kvs.query()
+    .where('key', WhereConditions.beginsWith(prefix))
+    .limit(Math.min(limit, 100));
+
+  if (cursor) {
+    query.cursor(cursor);
+  }
+
+  const response = await query.getMany();
+  return { results: response.results, nextCursor: response.nextCursor || null };
+}
+
+/**
+ * Get a custom entity value, returns null if not found
+ */
+export async function getEntity(entityName, key) {
+  const value = await kvs.entity(entityName).get(key);
+  return value ?? null;
+}
+
+/**
+ * Set a custom entity value (entities are declared under app.storage.entities in manifest.yml)
+ */
+export async function setEntity(entityName, key, value) {
+  return await kvs.entity(entityName).set(key, value);
+}
+
+/**
+ * Create a custom entity value unless the key already exists. Returns false when it does.
+ */
+export async function createEntity(entityName, key, value, { ttl } = {}) {
+  const options = { keyPolicy: 'FAIL_IF_EXISTS' };
+  if (ttl) {
+    options.ttl = toKvsTtl(ttl);
+  }
+  try {
+    await kvs.entity(entityName).set(key, value, options);
+    return true;
+  } catch (error) {
+    if (await getEntity(entityName, key)) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+function fieldEquals(field, expected) {
+  return new Filter().and(field, FilterConditions.equalTo(expected));
+}
+
+/**
+ * Replace a custom entity value only while its `field` still equals `expected`, in one transaction.
+ * Returns false when the stored value no longer matches.
+ */
+export async function setEntityIf(entityName, key, value, field, expected, { ttl } = {}) {
+  try {
+    await kvs.transact()
+      .set(key, value, { entityName, conditions: fieldEquals(field, expected) }, ttl ? { ttl: toKvsTtl(ttl) } : undefined)
+      .execute();
+    return true;
+  } catch (error) {
+    const current = await getEntity(entityName, key);
+    if (current?.[field] !== expected) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete a custom entity value only while its `field` still equals `expected`, in one transaction.
+ * Returns false when the stored value no longer matches or is gone.
+ */
+export async function deleteEntityIf(entityName, key, field, expected) {
+  try {
+    await kvs.transact()
+      .delete(key, { entityName, conditions: fieldEquals(field, expected) })
+      .execute();
+    return true;
+  } catch (error) {
+    const current = await getEntity(entityName, key);
+    if (current?.[field] !== expected) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete a custom entity value
+ */
+export async function deleteEntity(entityName, key) {
+  try {
+    return await kvs.entity(entityName).delete(key);
+  } catch (error) {
+    if (error.code === 'KEY_NOT_FOUND') {
+      return;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read one page of a custom entity index
+ *
+ * @param {string} entityName - Entity declared in manifest.yml
+ * @param {string} indexName - Index on that entity
+ * @param {Object} options - partition values, optional where condition on the range attribute, cursor and limit
+ * @returns {Promise<{results: Array<{key: string, value: any}>, nextCursor: string|null}>}
+ */
+export async function queryEntityIndex(entityName, indexName, { partition, where, cursor = null, limit = 100 } = {}) {
+  const query = kvs.entity(entityName)
+    .query()
+    .index(indexName, partition ? { partition } : undefined);
+
+  if (where) {
+    query.where(where);
+  }
+  if (cursor) {
+    query.cursor(cursor);
+  }
+
+  const response = await query.limit(Math.min(limit, 100)).getMany();
+  return { results: response.results, nextCursor: response.nextCursor || null };
+}
+
 /**
  * Create a transaction builder for atomic operations
  * Max 25 operations per transaction
@@ -0,0 +1,37 @@
+import crypto from 'crypto';
+import * as kvsStore from './kvs.js';
+
+// Locks are rows of the sync-lock entity (manifest.yml): { owner, expiresAt }. Taking, taking over
+// and releasing a lock are conditional writes, so two invocations never both believe they hold it
+// and one never releases a lock that has since passed to another.
+const LOCK_ENTITY = 'sync-lock';
+
+/**
+ * Take the named lock for ttlMs. Returns the owner token to release it with, or null while
+ * someone else holds it. A lock whose holder stopped without releasing it is taken over once expired.
+ */
+export async function acquireLock(name, ttlMs) {
+  const owner = crypto.randomUUID();
+  const lock = { owner, expiresAt: Date.now() + ttlMs };
+
+  if (await kvsStore.createEntity(LOCK_ENTITY, name, lock, { ttl: ttlMs })) {
+    return owner;
+  }
+
+  const held = await kvsStore.getEntity(LOCK_ENTITY, name);
+  if (!held) {
+    // Released between the two calls; the caller tries again later rather than racing for it
+    return null;
+  }
+  if (held.expiresAt > Date.now()) {
+    return null;
+  }
+  return await kvsStore.setEntityIf(LOCK_ENTITY, name, lock, 'owner', held.owner, { ttl: ttlMs }) ? owner : null;
+}
+
+/**
+ * Release a lock taken with acquireLock; does nothing when it has passed to another owner.
+ */
+export async function releaseLock(name, owner) {
+  return await kvsStore.deleteEntityIf(LOCK_ENTITY, name, 'owner', owner);
+}
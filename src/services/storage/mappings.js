@@ -31,98 +31,229 @@ export async function getOrganizationsWithTokens() {
   return orgsWithTokens;
 }
 
+// Issue mappings are rows of the issue-mapping custom entity (see app.storage.entities in manifest.yml),
+// keyed by {orgId|legacy}:{localKey} and indexed by org + local key, org + remote key, and local key.
+// Installs that have not run migrateMappingStorage still have the older key-value layout, which is
+// read as a fallback until the migration finishes.
+export const MAPPING_ENTITY = 'issue-mapping';
+const MAPPING_MIGRATED_KEY = 'mappingStorageMigrated';
+const MAPPING_MIGRATION_STATE_KEY = 'mappingStorageMigration';
+
+let migratedCache = {
+  value: null,
+  timestamp: 0
+};
+const MIGRATED_CACHE_TTL = 60000;
+
+function mappingScope(orgId) {
+  return orgId || 'legacy';
+}
+
+function mappingEntityKey(localKey, orgId) {
+  return `${mappingScope(orgId)}:${localKey}`;
+}
+
+function legacyLocalToRemoteKey(localKey, orgId) {
+  return orgId ? `${orgId}:local-to-remote:${localKey}` : `local-to-remote:${localKey}`;
+}
+
+function legacyRemoteToLocalKey(remoteKey, orgId) {
+  return orgId ? `${orgId}:remote-to-local:${remoteKey}` : `remote-to-local:${remoteKey}`;
+}
+
+function legacyMetaKey(localKey, orgId) {
+  return orgId ? `mapping-meta:${orgId}:${localKey}` : `mapping-meta:legacy:${localKey}`;
+}
+
+async function isMappingStorageMigrated() {
+  const now = Date.now();
+  if (migratedCache.value !== null && (now - migratedCache.timestamp < MIGRATED_CACHE_TTL)) {
+    return migratedCache.value;
+  }
+  const migrated = Boolean(await kvsStore.get(MAPPING_MIGRATED_KEY));
+  migratedCache = { value: migrated, timestamp: now };
+  return migrated;
+}
+
+async function findMappingsByRemoteKey(remoteKey, orgId, limit = 1) {
+  const { results } = await kvsStore.queryEntityIndex(MAPPING_ENTITY, 'by-org-remote', {
+    partition: [mappingScope(orgId)],
+    where: kvsStore.WhereConditions.equalTo(remoteKey),
+    limit
+  });
+  return results.map(r => r.value);
+}
+
+// Drop the key-value copies of a mapping once it lives in the entity
+async function removeLegacyMapping(localKey, remoteKey, orgId) {
+  const keysToDelete = [];
+  if (localKey) {
+    const legacyRemoteKey = await kvsStore.get(legacyLocalToRemoteKey(localKey, orgId));
+    keysToDelete.push(legacyLocalToRemoteKey(localKey, orgId), legacyMetaKey(localKey, orgId));
+    if (legacyRemoteKey && legacyRemoteKey !== remoteKey) {
+      keysToDelete.push(legacyRemoteToLocalKey(legacyRemoteKey, orgId));
+    }
+  }
+  if (remoteKey) {
+    keysToDelete.push(legacyRemoteToLocalKey(remoteKey, orgId));
+  }
+  await Promise.all(keysToDelete.map(key => kvsStore.del(key)));
+}
+
 // Multi-org support: namespace mappings by orgId
 export async function getRemoteKey(localKey, orgId = null) {
-  const key = orgId ? `${orgId}:local-to-remote:${localKey}` : `local-to-remote:${localKey}`;
-  return await kvsStore.get(key);
+  const mapping = await kvsStore.getEntity(MAPPING_ENTITY, mappingEntityKey(localKey, orgId));
+  if (mapping) {
+    return mapping.remoteKey;
+  }
+  if (await isMappingStorageMigrated()) {
+    return null;
+  }
+  return await kvsStore.get(legacyLocalToRemoteKey(localKey, orgId));
 }
 
 export async function getLocalKey(remoteKey, orgId = null) {
-  const key = orgId ? `${orgId}:remote-to-local:${remoteKey}` : `remote-to-local:${remoteKey}`;
-  return await kvsStore.get(key);
+  const [mapping] = await findMappingsByRemoteKey(remoteKey, orgId);
+  if (mapping) {
+    return mapping.localKey;
+  }
+  if (await isMappingStorageMigrated()) {
+    return null;
+  }
+  return await kvsStore.get(legacyRemoteToLocalKey(remoteKey, orgId));
 }
 
 /**
- * Store a mapping between local and remote issue keys
- * Uses kvs.query() for retrieval instead of maintaining a separate index array
+ * Store a mapping between local and remote issue keys.
+ * A remote key maps to one local issue, so rows that pointed other local issues at it are removed.
  */
 export async function storeMapping(localKey, remoteKey, orgId = null) {
-  const localToRemoteKey = orgId ? `${orgId}:local-to-remote:${localKey}` : `local-to-remote:${localKey}`;
-  const remoteToLocalKey = orgId ? `${orgId}:remote-to-local:${remoteKey}` : `remote-to-local:${remoteKey}`;
-  
-  // Use transaction for atomic write (both mappings succeed or fail together)
+  const entityKey = mappingEntityKey(localKey, orgId);
+  const [existing, sameRemote] = await Promise.all([
+    kvsStore.getEntity(MAPPING_ENTITY, entityKey),
+    findMappingsByRemoteKey(remoteKey, orgId, 10)
+  ]);
+  const now = new Date().toISOString();
+  const mapping = {
+    orgId: mappingScope(orgId),
+    localKey,
+    remoteKey,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  };
+  const staleKeys = sameRemote
+    .filter(row => row.localKey !== localKey)
+    .map(row => mappingEntityKey(row.localKey, orgId));
+
+  // Use transaction for atomic write (new row and stale rows change together)
   try {
-    await kvsStore.transaction()
-      .set(localToRemoteKey, remoteKey)
-      .set(remoteToLocalKey, localKey)
-      .execute();
+    const tx = kvsStore.transaction().set(entityKey, mapping, { entityName: MAPPING_ENTITY });
+    for (const staleKey of staleKeys) {
+      tx.delete(staleKey, { entityName: MAPPING_ENTITY });
+    }
+    await tx.execute();
   } catch (error) {
     // Fallback to individual writes if transaction fails
     console.warn('Transaction failed, falling back to individual writes:', error.message);
-    await kvsStore.set(localToRemoteKey, remoteKey);
-    await kvsStore.set(remoteToLocalKey, localKey);
+    await kvsStore.setEntity(MAPPING_ENTITY, entityKey, mapping);
+    await Promise.all(staleKeys.map(key => kvsStore.deleteEntity(MAPPING_ENTITY, key)));
+  }
+
+  if (!await isMappingStorageMigrated()) {
+    await removeLegacyMapping(localKey, remoteKey, orgId);
   }
-  
-  // Store mapping metadata for queryability (replaces mappings-index array)
-  // Key pattern: mapping-meta:{orgId}:{localKey} 
-  const metaKey = orgId ? `mapping-meta:${orgId}:${localKey}` : `mapping-meta:legacy:${localKey}`;
-  await kvsStore.set(metaKey, { 
-    localKey, 
-    remoteKey, 
-    createdAt: new Date().toISOString() 
-  });
 }
 
 export async function removeMapping(localKey, remoteKey, orgId = null) {
-  const keysToDelete = [];
-  
+  const entityKeys = new Set();
+
   if (localKey) {
-    const localKeyName = orgId ? `${orgId}:local-to-remote:${localKey}` : `local-to-remote:${localKey}`;
-    keysToDelete.push(localKeyName);
-    
-    // Remove mapping metadata
-    const metaKey = orgId ? `mapping-meta:${orgId}:${localKey}` : `mapping-meta:legacy:${localKey}`;
-    keysToDelete.push(metaKey);
+    entityKeys.add(mappingEntityKey(localKey, orgId));
   }
   if (remoteKey) {
-    const remoteKeyName = orgId ? `${orgId}:remote-to-local:${remoteKey}` : `remote-to-local:${remoteKey}`;
-    keysToDelete.push(remoteKeyName);
+    const rows = await findMappingsByRemoteKey(remoteKey, orgId, 10);
+    rows.forEach(row => entityKeys.add(mappingEntityKey(row.localKey, orgId)));
   }
-  
-  // Delete all keys (parallelize for efficiency)
-  await Promise.all(keysToDelete.map(key => kvsStore.del(key)));
+
+  // Delete all rows (parallelize for efficiency)
+  await Promise.all([...entityKeys].map(key => kvsStore.deleteEntity(MAPPING_ENTITY, key)));
+
+  if (!await isMappingStorageMigrated()) {
+    await removeLegacyMapping(localKey, remoteKey, orgId);
+  }
+}
+
+/**
+ * One page of an org's mappings, ordered by local key (or by remote key when filtering on it).
+ * Prefix filters match the start of the key, so a project key plus "-" lists one project.
+ *
+ * @returns {Promise<{mappings: Array<{localKey, remoteKey, createdAt}>, nextCursor: string|null}>}
+ */
+export async function listMappings(orgId = null, { cursor = null, limit = 50, localKeyPrefix = '', remoteKeyPrefix = '' } = {}) {
+  const byRemote = Boolean(remoteKeyPrefix) && !localKeyPrefix;
+  const prefix = byRemote ? remoteKeyPrefix : localKeyPrefix;
+  const { results, nextCursor } = await kvsStore.queryEntityIndex(
+    MAPPING_ENTITY,
+    byRemote ? 'by-org-remote' : 'by-org-local',
+    {
+      partition: [mappingScope(orgId)],
+      where: prefix ? kvsStore.WhereConditions.beginsWith(prefix) : undefined,
+      cursor,
+      limit
+    }
+  );
+
+  let mappings = results.map(r => r.value);
+  if (localKeyPrefix && remoteKeyPrefix) {
+    mappings = mappings.filter(m => m.remoteKey?.startsWith(remoteKeyPrefix));
+  }
+  return { mappings, nextCursor };
 }
 
 /**
- * Get all mappings for an org using kvs.query() instead of index array
- * This is more scalable and doesn't hit the 240 KiB value limit
+ * Get all mappings for an org by paging through the entity index
  */
 export async function getAllMappings(orgId = null) {
-  const prefix = orgId ? `mapping-meta:${orgId}:` : `mapping-meta:legacy:`;
-  const results = await kvsStore.queryByPrefix(prefix, 1000);
-  return results.map(r => r.value);
+  const mappings = [];
+  let cursor = null;
+
+  do {
+    const page = await listMappings(orgId, { cursor, limit: 100 });
+    mappings.push(...page.mappings);
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  if (!await isMappingStorageMigrated()) {
+    const known = new Set(mappings.map(m => m.localKey));
+    const prefix = orgId ? `mapping-meta:${orgId}:` : `mapping-meta:legacy:`;
+    const legacy = await kvsStore.queryByPrefix(prefix, 10000);
+    mappings.push(...legacy.map(r => r.value).filter(m => m?.localKey && !known.has(m.localKey)));
+  }
+
+  return mappings;
 }
 
 /**
- * Add a mapping to the metadata store (for bootstrapping existing mappings)
+ * Make sure a mapping found under the older layout also has an entity row (for listings and scans)
  */
 export async function addToMappingIndex(localKey, remoteKey, orgId = null) {
-  const metaKey = orgId ? `mapping-meta:${orgId}:${localKey}` : `mapping-meta:legacy:${localKey}`;
-  const existing = await kvsStore.get(metaKey);
+  const existing = await kvsStore.getEntity(MAPPING_ENTITY, mappingEntityKey(localKey, orgId));
   if (!existing) {
-    await kvsStore.set(metaKey, { 
-      localKey, 
-      remoteKey, 
-      createdAt: new Date().toISOString() 
-    });
+    await storeMapping(localKey, remoteKey, orgId);
     return true; // Added
   }
   return false; // Already existed
 }
 
+function buildAttachmentReverseKey(remoteAttachmentId, orgId) {
+  return orgId ? `${orgId}:attachment-remote-to-local:${remoteAttachmentId}` : `attachment-remote-to-local:${remoteAttachmentId}`;
+}
+
 export async function storeAttachmentMapping(localAttachmentId, remoteAttachmentId, orgId = null) {
   const key = orgId ? `${orgId}:attachment-mapping:${localAttachmentId}` : `attachment-mapping:${localAttachmentId}`;
   await kvsStore.set(key, remoteAttachmentId);
+  // Reverse index so remote attachment events can find the local attachment
+  await kvsStore.set(buildAttachmentReverseKey(remoteAttachmentId, orgId), String(localAttachmentId));
 }
 
 export async function getAttachmentMapping(localAttachmentId, orgId = null) {
@@ -130,9 +261,21 @@ export async function getAttachmentMapping(localAttachmentId, orgId = null) {
   return await kvsStore.get(key);
 }
 
+export async function getLocalAttachmentId(remoteAttachmentId, orgId = null) {
+  return await kvsStore.get(buildAttachmentReverseKey(remoteAttachmentId, orgId));
+}
+
 export async function removeAttachmentMapping(localAttachmentId, orgId = null) {
   const key = orgId ? `${orgId}:attachment-mapping:${localAttachmentId}` : `attachment-mapping:${localAttachmentId}`;
+  const remoteAttachmentId = await kvsStore.get(key);
   await kvsStore.del(key);
+  if (remoteAttachmentId && typeof remoteAttachmentId !== 'object') {
+    const reverseKey = buildAttachmentReverseKey(remoteAttachmentId, orgId);
+    // Only drop the reverse entry if it still points back at this attachment
+    if (await kvsStore.get(reverseKey) === String(localAttachmentId)) {
+      await kvsStore.del(reverseKey);
+    }
+  }
 }
 
 export async function storeLinkMapping(localLinkId, remoteLinkId, orgId = null) {
@@ -247,44 +390,147 @@ export async function removeCommentMapping(localCommentId, remoteCommentId, orgI
   }
 }
 
+function buildWorklogLocalKey(localWorklogId, orgId) {
+  return orgId ? `${orgId}:worklog-local-to-remote:${localWorklogId}` : `worklog-local-to-remote:${localWorklogId}`;
+}
+
+function buildWorklogRemoteKey(remoteWorklogId, orgId) {
+  return orgId ? `${orgId}:worklog-remote-to-local:${remoteWorklogId}` : `worklog-remote-to-local:${remoteWorklogId}`;
+}
+
+export async function storeWorklogMapping(localWorklogId, remoteWorklogId, orgId = null) {
+  if (!localWorklogId || !remoteWorklogId) {
+    throw new Error('Both localWorklogId and remoteWorklogId are required to store worklog mapping');
+  }
+
+  await Promise.all([
+    kvsStore.set(buildWorklogLocalKey(localWorklogId, orgId), String(remoteWorklogId)),
+    kvsStore.set(buildWorklogRemoteKey(remoteWorklogId, orgId), String(localWorklogId))
+  ]);
+}
+
+export async function getRemoteWorklogId(localWorklogId, orgId = null) {
+  if (!localWorklogId) {
+    return null;
+  }
+  return await kvsStore.get(buildWorklogLocalKey(localWorklogId, orgId));
+}
+
+export async function getLocalWorklogId(remoteWorklogId, orgId = null) {
+  if (!remoteWorklogId) {
+    return null;
+  }
+  return await kvsStore.get(buildWorklogRemoteKey(remoteWorklogId, orgId));
+}
+
+export async function removeWorklogMapping(localWorklogId, remoteWorklogId, orgId = null) {
+  const tasks = [];
+  if (localWorklogId) {
+    tasks.push(kvsStore.del(buildWorklogLocalKey(localWorklogId, orgId)));
+  }
+  if (remoteWorklogId) {
+    tasks.push(kvsStore.del(buildWorklogRemoteKey(remoteWorklogId, orgId)));
+  }
+
+  if (tasks.length > 0) {
+    await Promise.all(tasks);
+  }
+}
+
 // Get all remote keys for a local issue (across all orgs)
 export async function getAllRemoteKeys(localKey) {
   const orgs = await kvsStore.get('organizations') || [];
+  const { results } = await kvsStore.queryEntityIndex(MAPPING_ENTITY, 'by-local-key', { partition: [localKey] });
+  const byOrg = Object.fromEntries(results.map(r => [r.value.orgId, r.value.remoteKey]));
+  const migrated = await isMappingStorageMigrated();
   const remoteKeys = [];
-  
+
   for (const org of orgs) {
-    const remoteKey = await getRemoteKey(localKey, org.id);
+    const remoteKey = byOrg[org.id] || (!migrated ? await kvsStore.get(legacyLocalToRemoteKey(localKey, org.id)) : null);
     if (remoteKey) {
       remoteKeys.push({ orgId: org.id, orgName: org.name, remoteKey });
     }
   }
-  
+
   return remoteKeys;
 }
 
+async function migrateMappingRow(localKey, remoteKey, orgId) {
+  const entityKey = mappingEntityKey(localKey, orgId);
+  // A row written since the upgrade is newer than the key-value pair
+  if (!await kvsStore.getEntity(MAPPING_ENTITY, entityKey)) {
+    const meta = await kvsStore.get(legacyMetaKey(localKey, orgId));
+    const createdAt = meta?.createdAt || new Date().toISOString();
+    await kvsStore.setEntity(MAPPING_ENTITY, entityKey, {
+      orgId: mappingScope(orgId),
+      localKey,
+      remoteKey,
+      createdAt,
+      updatedAt: createdAt
+    });
+  }
+
+  const keysToDelete = [legacyLocalToRemoteKey(localKey, orgId), legacyMetaKey(localKey, orgId)];
+  if (await kvsStore.get(legacyRemoteToLocalKey(remoteKey, orgId)) === localKey) {
+    keysToDelete.push(legacyRemoteToLocalKey(remoteKey, orgId));
+  }
+  await Promise.all(keysToDelete.map(key => kvsStore.del(key)));
+}
+
 /**
- * Migration helper: migrate from old mappings-index array to new metadata keys
- * Run this once per org to migrate existing data
+ * Move key-value issue mappings (and the older mappings-index arrays) into the issue-mapping entity.
+ * Works through every org and the legacy namespace until timeBudgetMs is used, saving its place,
+ * so callers repeat it until done is true.
  */
-export async function migrateMappingsIndex(orgId = null) {
-  const indexKey = orgId ? `mappings-index:${orgId}` : 'mappings-index';
-  const oldIndex = await kvsStore.get(indexKey);
-  
-  if (!oldIndex || oldIndex.length === 0) {
-    return { migrated: 0, message: 'No legacy index found' };
-  }
-  
-  let migrated = 0;
-  for (const mapping of oldIndex) {
-    const metaKey = orgId ? `mapping-meta:${orgId}:${mapping.localKey}` : `mapping-meta:legacy:${mapping.localKey}`;
-    const existing = await kvsStore.get(metaKey);
-    if (!existing) {
-      await kvsStore.set(metaKey, mapping);
-      migrated++;
-    }
+export async function migrateMappingStorage({ timeBudgetMs = 20000 } = {}) {
+  const startedAt = Date.now();
+  const orgs = await kvsStore.get('organizations') || [];
+  const scopes = [...orgs.map(org => org.id), null];
+  const state = await kvsStore.get(MAPPING_MIGRATION_STATE_KEY) || { scopeIndex: 0, cursor: null, migrated: 0 };
+
+  while (state.scopeIndex < scopes.length) {
+    const orgId = scopes[state.scopeIndex];
+    const prefix = legacyLocalToRemoteKey('', orgId);
+
+    do {
+      if (Date.now() - startedAt > timeBudgetMs) {
+        await kvsStore.set(MAPPING_MIGRATION_STATE_KEY, state);
+        return { done: false, migrated: state.migrated };
+      }
+
+      const page = await kvsStore.queryPage(prefix, { cursor: state.cursor });
+      for (const { key, value } of page.results) {
+        if (typeof value !== 'string' || !value) continue;
+        await migrateMappingRow(key.slice(prefix.length), value, orgId);
+        state.migrated++;
+      }
+      state.cursor = page.nextCursor;
+    } while (state.cursor);
+
+    // The index arrays only repeated pairs that were stored as keys as well
+    await kvsStore.del(orgId ? `mappings-index:${orgId}` : 'mappings-index');
+    console.log(`Mapping storage migrated for ${orgId || 'legacy'} (${state.migrated} so far)`);
+    state.scopeIndex++;
+    state.cursor = null;
   }
-  
-  return { migrated, total: oldIndex.length, message: 'Migration complete' };
+
+  await kvsStore.set(MAPPING_MIGRATED_KEY, { migratedAt: new Date().toISOString(), migrated: state.migrated });
+  await kvsStore.del(MAPPING_MIGRATION_STATE_KEY);
+  migratedCache = { value: true, timestamp: Date.now() };
+  return { done: true, migrated: state.migrated };
+}
+
+export async function getMappingStorageStatus() {
+  const [migrated, state] = await Promise.all([
+    kvsStore.get(MAPPING_MIGRATED_KEY),
+    kvsStore.get(MAPPING_MIGRATION_STATE_KEY)
+  ]);
+  return {
+    migrated: Boolean(migrated),
+    migratedAt: migrated?.migratedAt || null,
+    inProgress: Boolean(state),
+    migratedSoFar: state?.migrated || migrated?.migrated || 0
+  };
 }
 
 export async function getLastSyncedLocalUpdated(localKey, orgId = null) {
@@ -296,3 +542,35 @@ export async function setLastSyncedLocalUpdated(localKey, updatedStr, orgId = nu
   const key = orgId ? `${orgId}:last-synced-updated:${localKey}` : `last-synced-updated:${localKey}`;
   await kvsStore.set(key, updatedStr);
 }
+
+// Remote `updated` time of the last remote state applied locally (the remote side of event sequencing)
+export async function getLastAppliedRemoteUpdated(localKey, orgId = null) {
+  const key = orgId ? `${orgId}:last-applied-remote:${localKey}` : `last-applied-remote:${localKey}`;
+  return await kvsStore.get(key);
+}
+
+export async function setLastAppliedRemoteUpdated(localKey, updatedStr, orgId = null) {
+  const key = orgId ? `${orgId}:last-applied-remote:${localKey}` : `last-applied-remote:${localKey}`;
+  await kvsStore.set(key, updatedStr);
+}
+
+// Per-field fingerprints of both sides as of the last successful sync (used for conflict detection)
+export async function getFieldSnapshot(localKey, orgId = null) {
+  const key = orgId ? `${orgId}:field-snapshot:${localKey}` : `field-snapshot:${localKey}`;
+  return await kvsStore.get(key);
+}
+
+export async function setFieldSnapshot(localKey, snapshot, orgId = null) {
+  const key = orgId ? `${orgId}:field-snapshot:${localKey}` : `field-snapshot:${localKey}`;
+  await kvsStore.set(key, snapshot);
+}
+
+// Drop per-issue sync bookkeeping for one org (used when a mapping is removed)
+export async function removeIssueSyncState(localKey, orgId = null) {
+  const prefix = orgId ? `${orgId}:` : '';
+  await Promise.all([
+    kvsStore.del(`${prefix}last-synced-updated:${localKey}`),
+    kvsStore.del(`${prefix}last-applied-remote:${localKey}`),
+    kvsStore.del(`${prefix}field-snapshot:${localKey}`)
+  ]);
+}
@@ -0,0 +1,228 @@
+import * as kvsStore from './kvs.js';
+import { sleep } from '../../utils/retry.js';
+import {
+  LOG_EMOJI,
+  HTTP_STATUS,
+  RATE_BUDGET_CAPACITY,
+  RATE_BUDGET_REFILL_PER_SECOND,
+  RATE_BUDGET_MIN_REFILL_PER_SECOND,
+  RATE_BUDGET_RECOVERY_STEP,
+  RATE_BUDGET_SYNC_INTERVAL_MS,
+  MAX_RATE_LIMIT_WAIT_MS
+} from '../../constants.js';
+
+// Token bucket per remote organization, stored at rateBudget:{orgId}. Every remote request takes
+// a token; the bucket refills at refillPerSecond, which halves on each 429 and creeps back up on
+// successful responses. Retry-After and X-RateLimit-Reset block the bucket until the remote is
+// ready again. Each invocation works on an in-memory copy and reconciles it with storage every
+// RATE_BUDGET_SYNC_INTERVAL_MS, keeping the most conservative view of both; the refill rate comes
+// from whichever copy changed it last, so a rate lowered elsewhere and a rate recovered here both hold.
+const budgets = new Map();
+
+export function getRateBudgetKey(orgId) {
+  return `rateBudget:${orgId || 'legacy'}`;
+}
+
+/**
+ * Raised when an organization's budget will not recover within the allowed wait.
+ * Callers stop their loop and keep a checkpoint to continue from resumeAt.
+ */
+export class RateBudgetExhaustedError extends Error {
+  constructor(orgId, resumeAt) {
+    super(`Remote rate budget for ${orgId || 'legacy'} is exhausted until ${new Date(resumeAt).toISOString()}`);
+    this.name = 'RateBudgetExhaustedError';
+    this.orgId = orgId;
+    this.resumeAt = resumeAt;
+    this.retryable = false;
+  }
+}
+
+function freshBudget(now) {
+  return {
+    tokens: RATE_BUDGET_CAPACITY,
+    refillPerSecond: RATE_BUDGET_REFILL_PER_SECOND,
+    refillChangedAt: 0,
+    blockedUntil: 0,
+    updatedAt: now,
+    remote: null,
+    lastRateLimitedAt: null
+  };
+}
+
+function refill(state, now) {
+  const elapsedSeconds = Math.max(now - state.updatedAt, 0) / 1000;
+  state.tokens = Math.min(RATE_BUDGET_CAPACITY, state.tokens + elapsedSeconds * state.refillPerSecond);
+  state.updatedAt = now;
+  return state;
+}
+
+function latestRate(local, stored) {
+  const localChangedAt = local.refillChangedAt || 0;
+  const storedChangedAt = stored.refillChangedAt || 0;
+  if (localChangedAt === storedChangedAt) {
+    return { refillPerSecond: Math.min(local.refillPerSecond, stored.refillPerSecond), refillChangedAt: localChangedAt };
+  }
+  const latest = localChangedAt > storedChangedAt ? local : stored;
+  return { refillPerSecond: latest.refillPerSecond, refillChangedAt: latest.refillChangedAt };
+}
+
+function mergeBudgets(local, stored, now) {
+  refill(stored, now);
+  const lastRateLimitedAt = [local.lastRateLimitedAt, stored.lastRateLimitedAt].filter(Boolean).sort().pop() || null;
+  return {
+    ...local,
+    tokens: Math.min(local.tokens, stored.tokens),
+    ...latestRate(local, stored),
+    blockedUntil: Math.max(local.blockedUntil || 0, stored.blockedUntil || 0),
+    remote: local.remote || stored.remote,
+    lastRateLimitedAt
+  };
+}
+
+async function loadBudget(orgId, now = Date.now()) {
+  const key = getRateBudgetKey(orgId);
+  const cached = budgets.get(key);
+  if (cached && now - cached.syncedAt < RATE_BUDGET_SYNC_INTERVAL_MS) {
+    return refill(cached.state, now);
+  }
+
+  const stored = await kvsStore.get(key);
+  let state;
+  if (cached) {
+    state = stored ? mergeBudgets(refill(cached.state, now), stored, now) : cached.state;
+    await kvsStore.set(key, state);
+  } else {
+    state = stored ? refill({ ...freshBudget(now), ...stored }, now) : freshBudget(now);
+  }
+  budgets.set(key, { state, syncedAt: now });
+  return state;
+}
+
+async function saveBudget(orgId, state) {
+  const key = getRateBudgetKey(orgId);
+  await kvsStore.set(key, state);
+  budgets.set(key, { state, syncedAt: Date.now() });
+}
+
+function waitFor(state, tokens, now) {
+  if (state.blockedUntil > now) {
+    return state.blockedUntil - now;
+  }
+  if (state.tokens >= tokens) {
+    return 0;
+  }
+  return Math.ceil(((tokens - state.tokens) / state.refillPerSecond) * 1000);
+}
+
+/**
+ * Takes one token for a request, sleeping until one is available. Throws
+ * RateBudgetExhaustedError instead of waiting longer than maxWaitMs.
+ */
+export async function acquireRateToken(orgId, { maxWaitMs = MAX_RATE_LIMIT_WAIT_MS } = {}) {
+  let state = await loadBudget(orgId);
+  let wait = waitFor(state, 1, Date.now());
+  if (wait > maxWaitMs) {
+    throw new RateBudgetExhaustedError(orgId, Date.now() + wait);
+  }
+  if (wait > 0) {
+    await sleep(wait);
+    state = await loadBudget(orgId);
+  }
+  state.tokens = Math.max(state.tokens - 1, 0);
+}
+
+/**
+ * Throttles a sync loop ahead of time: waits until the organization has budget for
+ * the given number of requests, or throws RateBudgetExhaustedError when that is
+ * further away than maxWaitMs.
+ */
+export async function waitForRateBudget(orgId, { tokens = 1, maxWaitMs = MAX_RATE_LIMIT_WAIT_MS } = {}) {
+  const state = await loadBudget(orgId);
+  const wait = waitFor(state, Math.min(tokens, RATE_BUDGET_CAPACITY), Date.now());
+  if (wait > maxWaitMs) {
+    throw new RateBudgetExhaustedError(orgId, Date.now() + wait);
+  }
+  if (wait > 0) {
+    console.log(`${LOG_EMOJI.INFO} Throttling ${orgId || 'legacy'} for ${wait}ms to stay within its remote rate budget`);
+    await sleep(wait);
+  }
+}
+
+function readRemoteLimits(response, now) {
+  const header = (name) => response?.headers?.get?.(name);
+  const limit = header('X-RateLimit-Limit');
+  const remaining = header('X-RateLimit-Remaining');
+  const reset = header('X-RateLimit-Reset');
+  if (limit == null && remaining == null && reset == null) {
+    return null;
+  }
+  const resetAt = reset ? Date.parse(reset) : NaN;
+  return {
+    limit: limit != null ? Number(limit) : null,
+    remaining: remaining != null ? Number(remaining) : null,
+    resetAt: Number.isNaN(resetAt) ? null : resetAt,
+    nearLimit: header('X-RateLimit-NearLimit') === 'true',
+    seenAt: now
+  };
+}
+
+/**
+ * Feeds a remote response back into the organization's budget: 429s block the
+ * bucket for retryAfterMs and halve the refill rate, X-RateLimit-* headers cap the
+ * available tokens, and healthy responses slowly restore the refill rate.
+ */
+export async function recordRateLimitResponse(orgId, response, retryAfterMs = null) {
+  const now = Date.now();
+  const state = await loadBudget(orgId, now);
+  const remote = readRemoteLimits(response, now);
+  if (remote) {
+    state.remote = remote;
+    if (Number.isFinite(remote.remaining)) {
+      state.tokens = Math.min(state.tokens, remote.remaining);
+    }
+    if (remote.remaining === 0 && remote.resetAt > now) {
+      state.blockedUntil = Math.max(state.blockedUntil, remote.resetAt);
+    }
+  }
+
+  if (response?.status === HTTP_STATUS.TOO_MANY_REQUESTS) {
+    state.tokens = 0;
+    state.refillPerSecond = Math.max(state.refillPerSecond / 2, RATE_BUDGET_MIN_REFILL_PER_SECOND);
+    state.refillChangedAt = now;
+    state.blockedUntil = Math.max(state.blockedUntil, now + (retryAfterMs || 0));
+    state.lastRateLimitedAt = new Date(now).toISOString();
+    console.warn(`${LOG_EMOJI.WARNING} Remote rate limit for ${orgId || 'legacy'}: refill lowered to ${state.refillPerSecond}/s, blocked for ${retryAfterMs || 0}ms`);
+    await saveBudget(orgId, state);
+    return;
+  }
+
+  if (remote?.nearLimit) {
+    state.refillPerSecond = Math.max(state.refillPerSecond * 0.75, RATE_BUDGET_MIN_REFILL_PER_SECOND);
+    state.refillChangedAt = now;
+  } else if (response?.ok && state.refillPerSecond < RATE_BUDGET_REFILL_PER_SECOND) {
+    state.refillPerSecond = Math.min(state.refillPerSecond + RATE_BUDGET_RECOVERY_STEP, RATE_BUDGET_REFILL_PER_SECOND);
+    state.refillChangedAt = now;
+  }
+}
+
+/**
+ * Remaining budget per organization for the API usage dashboard.
+ */
+export async function getRateBudgets(orgIds) {
+  const now = Date.now();
+  const result = {};
+  for (const orgId of orgIds) {
+    const stored = await kvsStore.get(getRateBudgetKey(orgId));
+    const state = refill({ ...freshBudget(now), ...(stored || {}) }, now);
+    result[orgId] = {
+      tokens: Math.floor(state.tokens),
+      capacity: RATE_BUDGET_CAPACITY,
+      refillPerSecond: Math.round(state.refillPerSecond * 100) / 100,
+      blockedUntil: state.blockedUntil > now ? new Date(state.blockedUntil).toISOString() : null,
+      remoteLimit: state.remote?.limit ?? null,
+      remoteRemaining: state.remote?.remaining ?? null,
+      lastRateLimitedAt: state.lastRateLimitedAt
+    };
+  }
+  return result;
+}
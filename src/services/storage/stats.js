@@ -94,12 +94,15 @@ export async function trackApiCall(endpoint, success, isRateLimited = false, org
 function categorizeEndpoint(endpoint) {
   if (!endpoint) return 'other';
   if (endpoint.includes('/issue/') && endpoint.includes('/comment')) return 'comments';
-  if (endpoint.includes('/issue/') && endpoint.includes('/attachments')) return 'attachments';
+  if (endpoint.includes('/issue/') && endpoint.includes('/worklog')) return 'worklogs';
+  if (endpoint.includes('/attachment')) return 'attachments';
   if (endpoint.includes('/issueLink')) return 'links';
-  if (endpoint.includes('/issue/')) return 'issues';
+  if (endpoint.includes('/issue/') && endpoint.includes('/transitions')) return 'transitions';
+  if (endpoint.includes('/issue/') || /\/issue$/.test(endpoint)) return 'issues';
   if (endpoint.includes('/search')) return 'search';
+  if (endpoint.includes('/agile/')) return 'sprints';
   if (endpoint.includes('/project')) return 'projects';
-  if (endpoint.includes('/user')) return 'users';
+  if (endpoint.includes('/user') || endpoint.includes('/myself')) return 'users';
   if (endpoint.includes('/field')) return 'fields';
   if (endpoint.includes('/status')) return 'statuses';
   return 'other';
@@ -197,8 +200,11 @@ export async function trackWebhookSync(type, success, error = null, orgId = null
       issuesCreated: 0,
       issuesUpdated: 0,
       commentsSynced: 0,
+      attachmentsDeleted: 0,
+      worklogsSynced: 0,
       issuesSkipped: 0,
       loopsPrevented: 0,
+      duplicatesSuppressed: 0,
       errors: [],
       lastSync: null,
       byOrg: {} // Track stats per org
@@ -209,6 +215,8 @@ export async function trackWebhookSync(type, success, error = null, orgId = null
 
     // Check if this is a loop prevention skip (not a real error)
     const isLoopPrevention = type === 'skip' && error === 'Already syncing';
+    // Retried or replayed webhook deliveries that were acknowledged without processing
+    const isDuplicate = type === 'duplicate';
 
     // Track per-org stats if orgId provided
     if (orgId) {
@@ -218,8 +226,11 @@ export async function trackWebhookSync(type, success, error = null, orgId = null
           issuesCreated: 0,
           issuesUpdated: 0,
           commentsSynced: 0,
+          attachmentsDeleted: 0,
+          worklogsSynced: 0,
           issuesSkipped: 0,
           loopsPrevented: 0,
+          duplicatesSuppressed: 0,
           lastSync: null
         };
       }
@@ -230,8 +241,12 @@ export async function trackWebhookSync(type, success, error = null, orgId = null
         if (type === 'create') stats.byOrg[orgId].issuesCreated++;
         else if (type === 'update') stats.byOrg[orgId].issuesUpdated++;
         else if (type === 'comment') stats.byOrg[orgId].commentsSynced++;
+        else if (type === 'attachment-delete') stats.byOrg[orgId].attachmentsDeleted = (stats.byOrg[orgId].attachmentsDeleted || 0) + 1;
+        else if (type === 'worklog') stats.byOrg[orgId].worklogsSynced = (stats.byOrg[orgId].worklogsSynced || 0) + 1;
       } else if (isLoopPrevention) {
         stats.byOrg[orgId].loopsPrevented = (stats.byOrg[orgId].loopsPrevented || 0) + 1;
+      } else if (isDuplicate) {
+        stats.byOrg[orgId].duplicatesSuppressed = (stats.byOrg[orgId].duplicatesSuppressed || 0) + 1;
       } else {
         stats.byOrg[orgId].issuesSkipped++;
       }
@@ -242,10 +257,14 @@ export async function trackWebhookSync(type, success, error = null, orgId = null
       if (type === 'create') stats.issuesCreated++;
       else if (type === 'update') stats.issuesUpdated++;
       else if (type === 'comment') stats.commentsSynced++;
+      else if (type === 'attachment-delete') stats.attachmentsDeleted = (stats.attachmentsDeleted || 0) + 1;
+      else if (type === 'worklog') stats.worklogsSynced = (stats.worklogsSynced || 0) + 1;
     } else if (isLoopPrevention) {
       // Loop prevention is a feature, not an error - track separately
       stats.loopsPrevented = (stats.loopsPrevented || 0) + 1;
       // Don't add to error list
+    } else if (isDuplicate) {
+      stats.duplicatesSuppressed = (stats.duplicatesSuppressed || 0) + 1;
     } else {
       stats.issuesSkipped++;
       if (error) {
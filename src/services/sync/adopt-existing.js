@@ -0,0 +1,122 @@
+import * as kvsStore from '../storage/kvs.js';
+import { getRemoteKey, getLocalKey, storeMapping } from '../storage/mappings.js';
+import { extractTextFromADF, readCrossReferenceFromADF } from '../../utils/adf.js';
+import { LOG_EMOJI } from '../../constants.js';
+import { RemoteJiraClient } from '../jira/remote-client.js';
+
+// How a local issue is matched to an issue that already exists on the remote site:
+// summary - identical summary
+// customField - a remote custom field holds the local issue key
+// crossReference - the remote description starts with the line prependCrossReferenceToADF writes
+export const ADOPT_MATCH_RULES = ['summary', 'customField', 'crossReference'];
+
+const MAX_CANDIDATES = 20;
+
+export function getAdoptPreviewKey(orgId) {
+  return `adoptPreview:${orgId || 'legacy'}`;
+}
+
+// Characters with a meaning in JQL text search; matches are compared exactly afterwards
+function toSearchText(value) {
+  return value.replace(/[+\-&|!(){}[\]^~*?:\\/"]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function fieldText(value) {
+  if (value && typeof value === 'object') {
+    return value.type === 'doc' ? extractTextFromADF(value, false) : (value.value || '');
+  }
+  return value == null ? '' : String(value);
+}
+
+function buildCandidateQuery(localIssue, remoteProjectKey, rule, matchFieldId) {
+  const project = `project = "${remoteProjectKey}"`;
+
+  if (rule === 'summary') {
+    const text = toSearchText(localIssue.fields?.summary || '').substring(0, 100);
+    return text ? { jql: `${project} AND summary ~ "${text}"`, fields: ['summary'] } : null;
+  }
+  if (rule === 'customField') {
+    const fieldNumber = matchFieldId?.match(/^customfield_(\d+)$/)?.[1];
+    if (!fieldNumber) {
+      throw new Error('A custom field ID (customfield_NNNNN) is required for the custom field rule');
+    }
+    return { jql: `${project} AND cf[${fieldNumber}] ~ "\\"${localIssue.key}\\""`, fields: ['summary', matchFieldId] };
+  }
+  if (rule === 'crossReference') {
+    return { jql: `${project} AND description ~ "\\"${localIssue.key}\\""`, fields: ['summary', 'description'] };
+  }
+  throw new Error(`Unknown match rule: ${rule}`);
+}
+
+function isExactMatch(localIssue, remoteIssue, rule, matchFieldId) {
+  if (rule === 'summary') {
+    return (remoteIssue.fields?.summary || '').trim() === (localIssue.fields?.summary || '').trim();
+  }
+  if (rule === 'customField') {
+    return fieldText(remoteIssue.fields?.[matchFieldId]).trim() === localIssue.key;
+  }
+  const reference = readCrossReferenceFromADF(remoteIssue.fields?.description);
+  return Boolean(reference) && (reference.localKey === localIssue.key || reference.remoteKey === localIssue.key);
+}
+
+/**
+ * Remote issues that match a local issue under the rule.
+ * localIssue needs key and fields.summary.
+ */
+export async function findAdoptionCandidates(localIssue, org, remoteProjectKey, rule, matchFieldId = null) {
+  const query = buildCandidateQuery(localIssue, remoteProjectKey, rule, matchFieldId);
+  if (!query) {
+    return [];
+  }
+
+  const response = await new RemoteJiraClient(org).request('/rest/api/3/search/jql', {
+    operation: `Find existing remote issue for ${localIssue.key}`,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ jql: query.jql, fields: query.fields, maxResults: MAX_CANDIDATES })
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Remote search failed: ${response.status} - ${errorText}`);
+  }
+
+  const data = await response.json();
+  return (data.issues || [])
+    .filter(remoteIssue => isExactMatch(localIssue, remoteIssue, rule, matchFieldId))
+    .map(remoteIssue => ({ key: remoteIssue.key, summary: remoteIssue.fields?.summary || '' }));
+}
+
+/**
+ * Store the pairings proposed by the last adopt-existing dry run.
+ * Pairs whose local or remote issue has been mapped since the preview are skipped.
+ */
+export async function commitAdoptPreview(orgId) {
+  const storageOrgId = orgId === 'legacy' ? null : orgId;
+  const previewKey = getAdoptPreviewKey(storageOrgId);
+  const preview = await kvsStore.get(previewKey);
+  if (!preview?.pairs?.length) {
+    throw new Error('No pairing preview to commit. Run a preview first.');
+  }
+
+  let linked = 0;
+  const skipped = [];
+  for (const pair of preview.pairs) {
+    const [mappedRemote, mappedLocal] = await Promise.all([
+      getRemoteKey(pair.localKey, storageOrgId),
+      getLocalKey(pair.remoteKey, storageOrgId)
+    ]);
+    if (mappedRemote || mappedLocal) {
+      skipped.push({ ...pair, reason: mappedRemote ? `already mapped to ${mappedRemote}` : `remote already mapped to ${mappedLocal}` });
+      continue;
+    }
+    await storeMapping(pair.localKey, pair.remoteKey, storageOrgId);
+    linked++;
+  }
+
+  await kvsStore.del(previewKey);
+  console.log(`${LOG_EMOJI.SUCCESS} Adopted ${linked} existing remote issue(s) for ${orgId}, skipped ${skipped.length}`);
+  return { linked, skipped };
+}
@@ -1,7 +1,7 @@
 import { LOG_EMOJI, MAX_ATTACHMENT_SIZE, MAX_ATTACHMENT_SIZE_MB } from '../../constants.js';
 import { getAttachmentMapping, storeAttachmentMapping, removeAttachmentMapping } from '../storage/mappings.js';
 import { downloadAttachment } from '../jira/local-client.js';
-import { uploadAttachment, getRemoteIssueAttachments } from '../jira/remote-client.js';
+import { uploadAttachment, getRemoteIssueAttachments, deleteAttachment } from '../jira/remote-client.js';
 import * as kvsStore from '../storage/kvs.js';
 
 // Lock timeout for attachment sync (30 seconds)
@@ -68,6 +68,18 @@ async function releaseAttachmentLock(attachmentId, orgId) {
   await kvsStore.del(lockKey);
 }
 
+// localId -> remoteId for attachments synced earlier, without calling the remote site
+export async function getStoredAttachmentMapping(issue, orgId = null) {
+  const attachmentMapping = {};
+  for (const attachment of issue.fields.attachment || []) {
+    const remoteId = normalizeAttachmentMappingValue(await getAttachmentMapping(attachment.id, orgId));
+    if (remoteId) {
+      attachmentMapping[attachment.id] = remoteId;
+    }
+  }
+  return attachmentMapping;
+}
+
 export async function syncAttachments(localIssueKey, remoteIssueKey, issue, config, syncResult = null, orgId = null, forceCheck = false) {
   const attachmentMapping = {}; // localId -> remoteId
 
@@ -211,3 +223,45 @@ export async function syncAttachments(localIssueKey, remoteIssueKey, issue, conf
 
   return attachmentMapping;
 }
+
+/**
+ * Propagate local attachment deletions (from the issue changelog) to the remote issue
+ */
+export async function syncAttachmentDeletions(localIssueKey, changelogItems, config, syncResult = null, orgId = null) {
+  const result = { deleted: 0, skipped: 0, failed: 0 };
+
+  const deletedItems = (changelogItems || []).filter(item =>
+    (item?.fieldId === 'attachment' || item?.field?.toLowerCase?.() === 'attachment') && item.from && !item.to
+  );
+
+  for (const item of deletedItems) {
+    const localAttachmentId = String(item.from);
+    const filename = item.fromString || localAttachmentId;
+
+    try {
+      const remoteAttachmentId = normalizeAttachmentMappingValue(await getAttachmentMapping(localAttachmentId, orgId));
+      if (!remoteAttachmentId) {
+        console.log(`${LOG_EMOJI.SKIP} Deleted attachment ${filename} on ${localIssueKey} was never synced`);
+        result.skipped++;
+        continue;
+      }
+
+      console.log(`${LOG_EMOJI.ATTACHMENT} Deleting remote attachment ${remoteAttachmentId} (local ${filename} removed from ${localIssueKey})`);
+      const deleted = await deleteAttachment(remoteAttachmentId, config);
+      if (deleted) {
+        await removeAttachmentMapping(localAttachmentId, orgId);
+        console.log(`${LOG_EMOJI.SUCCESS} Deleted remote attachment ${remoteAttachmentId}`);
+        result.deleted++;
+      } else {
+        if (syncResult) syncResult.addAttachmentFailure(filename, 'remote delete failed');
+        result.failed++;
+      }
+    } catch (error) {
+      console.error(`${LOG_EMOJI.ERROR} Error deleting remote attachment for ${filename}:`, error);
+      if (syncResult) syncResult.addAttachmentFailure(filename, error.message);
+      result.failed++;
+    }
+  }
+
+  return result;
+}
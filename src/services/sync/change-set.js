@@ -0,0 +1,119 @@
+import api, { route } from '@forge/api';
+import { getLastSyncedLocalUpdated } from '../storage/mappings.js';
+import { LOG_EMOJI } from '../../constants.js';
+
+// Changelog field names and IDs that differ from the issue field they touch
+const CHANGELOG_FIELD_ALIASES = {
+  Attachment: 'attachment',
+  Link: 'issuelinks',
+  IssueParentAssociation: 'parent',
+  Parent: 'parent',
+  'Parent Link': 'parent',
+  'Epic Link': 'parent',
+  Component: 'components',
+  'Fix Version': 'fixVersions',
+  Version: 'versions',
+  timeoriginalestimate: 'timetracking',
+  timeestimate: 'timetracking',
+  resolution: 'status'
+};
+
+// Update payload keys and the change they depend on; custom fields are resolved by the caller
+const PAYLOAD_CHANGE_KEYS = ['summary', 'description', 'issuetype', 'priority', 'labels', 'duedate', 'assignee', 'components', 'fixVersions', 'versions', 'timetracking', 'parent'];
+
+const MAX_CHANGELOG_PAGES = 10;
+
+/**
+ * Set of changed issue fields for a list of changelog items.
+ * Both the field ID and the aliased field name are added, so a lookup by either finds it.
+ */
+export function buildChangeSet(items = []) {
+  const changes = new Set();
+  for (const item of items) {
+    for (const name of [item.fieldId, item.field]) {
+      if (!name) continue;
+      changes.add(CHANGELOG_FIELD_ALIASES[name] || name);
+    }
+  }
+  return changes;
+}
+
+/**
+ * Remove payload fields whose source did not change. Keys the change set cannot speak
+ * for (no standard or mapped local field) are kept. Returns the removed keys.
+ */
+export function pruneUnchangedFields(fields, changes, localFieldIdFor = () => undefined) {
+  const removed = [];
+  if (!changes) {
+    return removed;
+  }
+
+  for (const key of Object.keys(fields)) {
+    const changeKey = PAYLOAD_CHANGE_KEYS.includes(key) ? key : localFieldIdFor(key);
+    if (changeKey && !changes.has(changeKey)) {
+      delete fields[key];
+      removed.push(key);
+    }
+  }
+  return removed;
+}
+
+async function fetchChangelogSince(issueKey, since) {
+  const sinceTime = Date.parse(since);
+  if (!sinceTime) {
+    return null;
+  }
+
+  const items = [];
+  let startAt = 0;
+  for (let page = 0; page < MAX_CHANGELOG_PAGES; page++) {
+    const response = await api.asApp().requestJira(
+      route`/rest/api/3/issue/${issueKey}/changelog?startAt=${startAt}&maxResults=100`
+    );
+    if (!response.ok) {
+      console.error(`${LOG_EMOJI.WARNING} Could not read changelog for ${issueKey}: ${response.status}`);
+      return null;
+    }
+
+    const data = await response.json();
+    const histories = data.values || [];
+    for (const history of histories) {
+      // Entries written by the app are echoes of earlier syncs
+      if (Date.parse(history.created) > sinceTime && history.author?.accountType !== 'app') {
+        items.push(...(history.items || []));
+      }
+    }
+
+    startAt += histories.length;
+    if (data.isLast !== false || histories.length === 0) {
+      return items;
+    }
+  }
+
+  console.log(`${LOG_EMOJI.WARNING} Changelog for ${issueKey} is longer than ${MAX_CHANGELOG_PAGES} pages, sending a full update`);
+  return null;
+}
+
+/**
+ * Work out which fields changed since the issue was last synced to this organization.
+ * Uses the changelog carried by the event, or reads the issue changelog after the last
+ * synced timestamp. Returns null when that cannot be determined, meaning a full update.
+ */
+export async function resolveChangeSet(issueKey, changelogItems, orgId = null) {
+  if (changelogItems?.length) {
+    return buildChangeSet(changelogItems);
+  }
+
+  const since = await getLastSyncedLocalUpdated(issueKey, orgId);
+  if (!since) {
+    return null;
+  }
+
+  try {
+    const items = await fetchChangelogSince(issueKey, since);
+    return items ? buildChangeSet(items) : null;
+  } catch (error) {
+    console.error(`${LOG_EMOJI.ERROR} Error reading changelog for ${issueKey}:`, error);
+    return null;
+  }
+}
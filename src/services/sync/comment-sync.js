@@ -1,14 +1,14 @@
-import api, { route, fetch } from '@forge/api';
+import api, { route } from '@forge/api';
 import * as kvsStore from '../storage/kvs.js';
 import { LOG_EMOJI } from '../../constants.js';
-import { retryWithBackoff } from '../../utils/retry.js';
 import { extractTextFromADF, buildSyncedCommentADF, stripSyncPrefix, sanitizeCommentText } from '../../utils/adf.js';
-import { getRemoteKey, getLocalKey, getOrganizationsWithTokens, getRemoteCommentId, storeCommentMapping } from '../storage/mappings.js';
+import { getRemoteKey, getLocalKey, getOrganizationsWithTokens, getRemoteCommentId, storeCommentMapping, removeCommentMapping } from '../storage/mappings.js';
 import { getFullIssue, getFullComment, getOrgName } from '../jira/local-client.js';
 import { trackWebhookSync } from '../storage/stats.js';
 import { isProjectAllowedToSync } from '../../utils/validation.js';
 import { SyncResult } from './sync-result.js';
 import { isSyncing } from '../storage/flags.js';
+import { RemoteJiraClient } from '../jira/remote-client.js';
 // Threading helpers were removed because Jira flattens replies; we now embed context inline.
 
 /**
@@ -16,7 +16,6 @@ import { isSyncing } from '../storage/flags.js';
  * Used during scheduled sync to catch missed comment webhooks
  */
 export async function syncAllComments(localKey, remoteKey, issue, org, syncResult = null, orgId = null) {
-  const auth = Buffer.from(`${org.remoteEmail}:${org.remoteApiToken}`).toString('base64');
   const orgName = await getOrgName();
   
   // Get all comments from local issue
@@ -43,12 +42,11 @@ export async function syncAllComments(localKey, remoteKey, issue, org, syncResul
     console.log(`${LOG_EMOJI.COMMENT} Found ${localComments.length} comments on ${localKey}`);
     
     // Get existing comments on remote issue
-    const remoteCommentsResponse = await fetch(
-      `${org.remoteUrl}/rest/api/3/issue/${remoteKey}/comment?maxResults=100`,
+    const remoteCommentsResponse = await new RemoteJiraClient(org).request(
+      `/rest/api/3/issue/${remoteKey}/comment?maxResults=100`,
       {
         method: 'GET',
         headers: {
-          'Authorization': `Basic ${auth}`,
           'Content-Type': 'application/json'
         }
       }
@@ -135,19 +133,17 @@ export async function syncAllComments(localKey, remoteKey, issue, org, syncResul
       
       // Sync the comment
       try {
-        const response = await retryWithBackoff(async () => {
-          return await fetch(
-            `${org.remoteUrl}/rest/api/3/issue/${remoteKey}/comment?notifyUsers=false`,
-            {
-              method: 'POST',
-              headers: {
-                'Authorization': `Basic ${auth}`,
-                'Content-Type': 'application/json'
-              },
-              body: JSON.stringify({ body: commentBody })
-            }
-          );
-        }, `Sync comment to ${remoteKey}`);
+        const response = await new RemoteJiraClient(org).request(
+          `/rest/api/3/issue/${remoteKey}/comment?notifyUsers=false`,
+          {
+            operation: `Sync comment to ${remoteKey}`,
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ body: commentBody })
+          }
+        );
         
         if (response.ok) {
           const remoteComment = await parseJsonSafely(response);
@@ -181,9 +177,10 @@ export async function syncAllComments(localKey, remoteKey, issue, org, syncResul
   }
 }
 
-export async function syncComment(event) {
+export async function syncComment(event, options = {}) {
   const issueKey = event.issue.key;
   const commentId = event.comment?.id;
+  const failures = [];
 
   if (await isSyncing(issueKey)) {
     console.log(`⏭️ Skipping comment sync for ${issueKey} - issue is currently syncing`);
@@ -191,22 +188,10 @@ export async function syncComment(event) {
       reason: 'loop-prevention',
       commentId
     });
-    return;
+    return { failures };
   }
 
-  // Get all organizations with their API tokens from secure storage
-  let organizations = await getOrganizationsWithTokens();
-  
-  // Legacy support: check for old single-org config
-  const legacyConfig = await kvsStore.get('syncConfig');
-  if (legacyConfig && legacyConfig.remoteUrl && organizations.length === 0) {
-    console.log('⚠️ Using legacy single-org config for comment sync');
-    organizations.push({
-      id: 'legacy',
-      name: 'Legacy Organization',
-      ...legacyConfig
-    });
-  }
+  const organizations = await getCommentSyncOrganizations(options.orgIds);
 
   if (organizations.length === 0) {
     console.log('Comment sync skipped: no organizations configured');
@@ -214,7 +199,7 @@ export async function syncComment(event) {
       reason: 'No target organizations configured in settings',
       commentId
     });
-    return;
+    return { failures };
   }
 
   // Get issue to check project
@@ -225,7 +210,7 @@ export async function syncComment(event) {
       reason: 'Failed to retrieve issue from Jira API',
       commentId
     });
-    return;
+    return { failures };
   }
 
   const projectKey = issue.fields.project.key;
@@ -237,7 +222,7 @@ export async function syncComment(event) {
       commentId,
       projectKey
     });
-    return;
+    return { failures };
   }
 
   if (fullComment.author?.accountType === 'app') {
@@ -248,7 +233,7 @@ export async function syncComment(event) {
       projectKey,
       author: fullComment.author?.displayName || 'SyncApp'
     });
-    return;
+    return { failures };
   }
 
   const orgName = await getOrgName();
@@ -302,24 +287,21 @@ export async function syncComment(event) {
       continue;
     }
 
-    const auth = Buffer.from(`${org.remoteEmail}:${org.remoteApiToken}`).toString('base64');
     const syncResult = new SyncResult('comment');
     try {
       console.log(`${LOG_EMOJI.COMMENT} Syncing comment to ${org.name}: ${issueKey} → ${remoteKey} (from ${orgName} - ${userName})`);
 
-      const response = await retryWithBackoff(async () => {
-        return await fetch(
-          `${org.remoteUrl}/rest/api/3/issue/${remoteKey}/comment?notifyUsers=false`,
-          {
-            method: 'POST',
-            headers: {
-              'Authorization': `Basic ${auth}`,
-              'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ body: commentBody })
-          }
-        );
-      }, `Sync comment to ${remoteKey}`);
+      const response = await new RemoteJiraClient(org).request(
+        `/rest/api/3/issue/${remoteKey}/comment?notifyUsers=false`,
+        {
+          operation: `Sync comment to ${remoteKey}`,
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ body: commentBody })
+        }
+      );
 
       if (response.ok) {
         const remoteComment = await parseJsonSafely(response);
@@ -344,6 +326,7 @@ export async function syncComment(event) {
         console.error(`${LOG_EMOJI.ERROR} Comment sync failed for ${org.name}: ${errorText}`);
         syncResult.details.comments.failed++;
         syncResult.addError(`Comment sync failed: ${errorText}`);
+        failures.push({ orgId: org.id, error: `HTTP ${response.status}: ${errorText}` });
         await trackWebhookSync('comment', false, errorText, org.id, issueKey, {
           remoteKey,
           projectKey,
@@ -357,6 +340,7 @@ export async function syncComment(event) {
       console.error(`${LOG_EMOJI.ERROR} Error syncing comment to ${org.name}:`, error);
       syncResult.details.comments.failed++;
       syncResult.addError(`Error syncing comment: ${error.message}`);
+      failures.push({ orgId: org.id, error: error.message });
       await trackWebhookSync('comment', false, error.message, org.id, issueKey, {
         remoteKey,
         projectKey,
@@ -372,6 +356,226 @@ export async function syncComment(event) {
   }
 
   console.log(`\n✅ Completed comment sync for ${issueKey} across ${organizations.length} organization(s)`);
+  return { failures };
+}
+
+export async function syncCommentUpdate(event, options = {}) {
+  const issueKey = event.issue?.key;
+  const commentId = event.comment?.id;
+  const failures = [];
+
+  if (!issueKey || !commentId) {
+    console.log(`${LOG_EMOJI.WARNING} Comment update event missing issue or comment id`);
+    return { failures };
+  }
+
+  if (await isSyncing(issueKey)) {
+    console.log(`⏭️ Skipping comment update for ${issueKey} - issue is currently syncing`);
+    return { failures };
+  }
+
+  const fullComment = await getFullComment(issueKey, commentId);
+  if (!fullComment) {
+    console.log(`${LOG_EMOJI.WARNING} Could not fetch updated comment ${commentId} on ${issueKey}`);
+    return { failures };
+  }
+
+  // Edits made by the app are mirrored edits coming from the remote side
+  if (fullComment.updateAuthor?.accountType === 'app' || fullComment.author?.accountType === 'app') {
+    console.log(`${LOG_EMOJI.INFO} Skipping app-authored comment edit ${commentId} on ${issueKey}`);
+    return { failures };
+  }
+
+  const organizations = await getCommentSyncOrganizations(options.orgIds);
+  const orgName = await getOrgName();
+  const userName = fullComment.author?.displayName || fullComment.author?.emailAddress || 'Unknown User';
+
+  let commentText = '';
+  if (fullComment.body && typeof fullComment.body === 'object') {
+    commentText = extractTextFromADF(fullComment.body);
+  } else {
+    commentText = fullComment.body || '';
+  }
+  commentText = sanitizeCommentText(stripSyncPrefix(commentText)) || '';
+
+  const parentContext = await resolveLocalParentDetails(fullComment, issueKey, null, event.comment);
+  const commentBody = buildSyncedCommentADF({
+    orgName,
+    userName,
+    parentAuthor: parentContext?.parentAuthor || null,
+    parentSnippet: parentContext?.parentSnippet || null,
+    responseText: commentText
+  });
+
+  for (const org of organizations) {
+    const orgId = org.id === 'legacy' ? null : org.id;
+    const remoteCommentId = await getRemoteCommentId(commentId, orgId);
+    if (!remoteCommentId) {
+      continue;
+    }
+
+    if (!(await isCommentSyncEnabled(org))) {
+      console.log(`⏭️ Comment update skipped for ${org.name}: disabled in sync options`);
+      continue;
+    }
+
+    const remoteKey = await getRemoteKey(issueKey, orgId);
+    if (!remoteKey) {
+      continue;
+    }
+
+    try {
+      const response = await new RemoteJiraClient(org).request(
+        `/rest/api/3/issue/${remoteKey}/comment/${remoteCommentId}?notifyUsers=false`,
+        {
+          operation: `Update comment ${remoteCommentId} on ${remoteKey}`,
+          method: 'PUT',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ body: commentBody })
+        }
+      );
+
+      if (response.ok) {
+        console.log(`${LOG_EMOJI.SUCCESS} Comment edit synced to ${org.name} (${remoteKey}, comment ${remoteCommentId})`);
+        await trackWebhookSync('comment', true, null, org.id, issueKey, {
+          action: 'update',
+          remoteKey,
+          commentId,
+          remoteCommentId
+        });
+      } else {
+        const errorText = await response.text();
+        console.error(`${LOG_EMOJI.ERROR} Comment edit sync failed for ${org.name}: ${errorText}`);
+        failures.push({ orgId: org.id, error: `HTTP ${response.status}: ${errorText}` });
+        await trackWebhookSync('comment', false, errorText, org.id, issueKey, {
+          action: 'update',
+          remoteKey,
+          commentId,
+          remoteCommentId,
+          httpStatus: response.status
+        });
+      }
+    } catch (error) {
+      console.error(`${LOG_EMOJI.ERROR} Error syncing comment edit to ${org.name}:`, error);
+      failures.push({ orgId: org.id, error: error.message });
+      await trackWebhookSync('comment', false, error.message, org.id, issueKey, {
+        action: 'update',
+        remoteKey,
+        commentId,
+        remoteCommentId
+      });
+    }
+  }
+  return { failures };
+}
+
+export async function syncCommentDeletion(event, options = {}) {
+  const issueKey = event.issue?.key;
+  const commentId = event.comment?.id;
+  const failures = [];
+
+  if (!issueKey || !commentId) {
+    console.log(`${LOG_EMOJI.WARNING} Comment delete event missing issue or comment id`);
+    return { failures };
+  }
+
+  if (await isSyncing(issueKey)) {
+    console.log(`⏭️ Skipping comment deletion for ${issueKey} - issue is currently syncing`);
+    return { failures };
+  }
+
+  const organizations = await getCommentSyncOrganizations(options.orgIds);
+
+  for (const org of organizations) {
+    const orgId = org.id === 'legacy' ? null : org.id;
+    const remoteCommentId = await getRemoteCommentId(commentId, orgId);
+    if (!remoteCommentId) {
+      continue;
+    }
+
+    if (!(await isCommentSyncEnabled(org))) {
+      console.log(`⏭️ Comment deletion skipped for ${org.name}: disabled in sync options`);
+      continue;
+    }
+
+    const remoteKey = await getRemoteKey(issueKey, orgId);
+    if (!remoteKey) {
+      continue;
+    }
+
+    try {
+      const response = await new RemoteJiraClient(org).request(
+        `/rest/api/3/issue/${remoteKey}/comment/${remoteCommentId}`,
+        {
+          operation: `Delete comment ${remoteCommentId} on ${remoteKey}`,
+          method: 'DELETE',
+          headers: {
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      if (response.ok || response.status === 204 || response.status === 404) {
+        // The mapping stays until the remote comment is gone, so a failed delete can be retried.
+        // A remote comment_deleted webhook that still finds it gets a 404 locally, which is ignored.
+        await removeCommentMapping(commentId, remoteCommentId, orgId);
+        console.log(`${LOG_EMOJI.SUCCESS} Comment deletion synced to ${org.name} (${remoteKey}, comment ${remoteCommentId})`);
+        await trackWebhookSync('comment', true, null, org.id, issueKey, {
+          action: 'delete',
+          remoteKey,
+          commentId,
+          remoteCommentId
+        });
+      } else {
+        const errorText = await response.text();
+        console.error(`${LOG_EMOJI.ERROR} Comment deletion failed for ${org.name}: ${errorText}`);
+        failures.push({ orgId: org.id, error: `HTTP ${response.status}: ${errorText}` });
+        await trackWebhookSync('comment', false, errorText, org.id, issueKey, {
+          action: 'delete',
+          remoteKey,
+          commentId,
+          remoteCommentId,
+          httpStatus: response.status
+        });
+      }
+    } catch (error) {
+      console.error(`${LOG_EMOJI.ERROR} Error deleting comment on ${org.name}:`, error);
+      failures.push({ orgId: org.id, error: error.message });
+      await trackWebhookSync('comment', false, error.message, org.id, issueKey, {
+        action: 'delete',
+        remoteKey,
+        commentId,
+        remoteCommentId
+      });
+    }
+  }
+  return { failures };
+}
+
+async function getCommentSyncOrganizations(orgIds = null) {
+  // Get all organizations with their API tokens from secure storage
+  const organizations = await getOrganizationsWithTokens();
+
+  // Legacy support: check for old single-org config
+  const legacyConfig = await kvsStore.get('syncConfig');
+  if (legacyConfig && legacyConfig.remoteUrl && organizations.length === 0) {
+    console.log('⚠️ Using legacy single-org config for comment sync');
+    organizations.push({
+      id: 'legacy',
+      name: 'Legacy Organization',
+      ...legacyConfig
+    });
+  }
+
+  return orgIds ? organizations.filter(org => orgIds.includes(org.id)) : organizations;
+}
+
+async function isCommentSyncEnabled(org) {
+  const syncOptionsKey = org.id === 'legacy' ? 'syncOptions' : `syncOptions:${org.id}`;
+  const syncOptions = await kvsStore.get(syncOptionsKey) || { syncComments: true };
+  return syncOptions.syncComments !== false;
 }
 
 async function resolveLocalParentDetails(primaryComment, issueKey, commentLookup = null, fallbackComment = null) {
@@ -0,0 +1,180 @@
+import crypto from 'crypto';
+import * as kvsStore from '../storage/kvs.js';
+import { LOG_EMOJI } from '../../constants.js';
+import { extractTextFromADF } from '../../utils/adf.js';
+import { getFieldSnapshot, setFieldSnapshot } from '../storage/mappings.js';
+
+export const CONFLICT_POLICIES = ['local', 'remote', 'newest', 'manual'];
+export const DEFAULT_CONFLICT_POLICY = 'newest';
+
+// Fields whose values look the same on both sites, so their fingerprints can be compared directly
+const CONFLICT_FIELDS = ['summary', 'description', 'priority', 'labels', 'duedate', 'components', 'fixVersions', 'versions'];
+const MAX_CONFLICT_LIST = 200;
+const DISPLAY_VALUE_LENGTH = 200;
+
+export const CONFLICT_CHECK_FIELDS = [...CONFLICT_FIELDS, 'updated'];
+
+function normalizeFieldValue(field, value) {
+  if (value === undefined || value === null || value === '') {
+    return '';
+  }
+  if (field === 'description') {
+    return typeof value === 'object' ? extractTextFromADF(value) : String(value).trim();
+  }
+  if (Array.isArray(value)) {
+    return value
+      .map(item => (typeof item === 'object' && item !== null ? item.name || item.value || item.id : item))
+      .map(String)
+      .sort()
+      .join('\n');
+  }
+  if (typeof value === 'object') {
+    return String(value.name || value.value || value.id || JSON.stringify(value));
+  }
+  return String(value).trim();
+}
+
+function fingerprint(text) {
+  return crypto.createHash('sha1').update(text).digest('hex').substring(0, 16);
+}
+
+export function fingerprintFields(fields = {}) {
+  const result = {};
+  for (const field of CONFLICT_FIELDS) {
+    result[field] = fingerprint(normalizeFieldValue(field, fields[field]));
+  }
+  return result;
+}
+
+function displayValue(field, value) {
+  const text = normalizeFieldValue(field, value).replace(/\n/g, ', ');
+  return text.length > DISPLAY_VALUE_LENGTH ? `${text.substring(0, DISPLAY_VALUE_LENGTH - 3)}...` : text;
+}
+
+function buildConflictKey(orgId, localKey) {
+  return `conflict:${orgId || 'legacy'}:${localKey}`;
+}
+
+export function normalizeConflictPolicy(policy) {
+  return CONFLICT_POLICIES.includes(policy) ? policy : DEFAULT_CONFLICT_POLICY;
+}
+
+/**
+ * Work out which fields must not be written in this direction because the other side
+ * changed them too since the last sync.
+ *
+ * direction: 'outbound' (local -> remote) or 'inbound' (remote -> local)
+ * override: 'local' | 'remote' forces a winner (used when an admin resolves a queued conflict)
+ */
+export async function checkFieldConflicts({ direction, localKey, remoteKey, orgId, localFields, remoteFields, policy, override = null }) {
+  const snapshot = await getFieldSnapshot(localKey, orgId);
+  const result = { blockedFields: [], conflicts: [] };
+
+  // No baseline yet (first sync since this was introduced), nothing to compare against
+  if (!snapshot?.local || !snapshot?.remote || !localFields || !remoteFields) {
+    return result;
+  }
+
+  const localPrints = fingerprintFields(localFields);
+  const remotePrints = fingerprintFields(remoteFields);
+  const writer = direction === 'outbound' ? 'local' : 'remote';
+  const effectivePolicy = override || normalizeConflictPolicy(policy);
+
+  for (const field of CONFLICT_FIELDS) {
+    const localChanged = snapshot.local[field] !== undefined && localPrints[field] !== snapshot.local[field];
+    const remoteChanged = snapshot.remote[field] !== undefined && remotePrints[field] !== snapshot.remote[field];
+    if (!localChanged || !remoteChanged || localPrints[field] === remotePrints[field]) {
+      continue;
+    }
+
+    let winner = null;
+    if (effectivePolicy === 'local' || effectivePolicy === 'remote') {
+      winner = effectivePolicy;
+    } else if (effectivePolicy === 'newest') {
+      const localUpdated = Date.parse(localFields.updated || '') || 0;
+      const remoteUpdated = Date.parse(remoteFields.updated || '') || 0;
+      winner = localUpdated >= remoteUpdated ? 'local' : 'remote';
+    }
+
+    result.conflicts.push({
+      field,
+      winner,
+      local: displayValue(field, localFields[field]),
+      remote: displayValue(field, remoteFields[field])
+    });
+
+    if (winner !== writer) {
+      result.blockedFields.push(field);
+    }
+  }
+
+  if (result.conflicts.length > 0) {
+    console.log(`${LOG_EMOJI.WARNING} Field conflict on ${localKey} ⇄ ${remoteKey} (${effectivePolicy}): ${result.conflicts.map(c => `${c.field} → ${c.winner || 'held'}`).join(', ')}`);
+
+    if (effectivePolicy === 'manual') {
+      await queueConflict(orgId, localKey, remoteKey, direction, result.conflicts);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Remember what both sides look like right after a successful write, so the next sync
+ * can tell which side changed a field since then. Held fields keep their previous
+ * baseline so the conflict is detected again until one side's value is written over.
+ */
+export async function recordFieldSnapshot(localKey, orgId, localFields, remoteFields, heldFields = []) {
+  try {
+    const local = fingerprintFields(localFields || {});
+    const remote = fingerprintFields(remoteFields || {});
+
+    if (heldFields.length > 0) {
+      const previous = await getFieldSnapshot(localKey, orgId);
+      for (const field of heldFields) {
+        if (previous?.local?.[field] !== undefined) local[field] = previous.local[field];
+        if (previous?.remote?.[field] !== undefined) remote[field] = previous.remote[field];
+      }
+    }
+
+    await setFieldSnapshot(localKey, { local, remote, syncedAt: new Date().toISOString() }, orgId);
+  } catch (error) {
+    console.error(`${LOG_EMOJI.ERROR} Error recording field snapshot for ${localKey}:`, error);
+  }
+}
+
+async function queueConflict(orgId, localKey, remoteKey, direction, conflicts) {
+  const key = buildConflictKey(orgId, localKey);
+  const existing = await kvsStore.get(key);
+  const fields = { ...(existing?.fields || {}) };
+  for (const conflict of conflicts) {
+    fields[conflict.field] = { local: conflict.local, remote: conflict.remote };
+  }
+
+  await kvsStore.set(key, {
+    orgId: orgId || 'legacy',
+    localKey,
+    remoteKey,
+    direction,
+    fields,
+    firstDetectedAt: existing?.firstDetectedAt || new Date().toISOString(),
+    detectedAt: new Date().toISOString()
+  });
+  console.log(`${LOG_EMOJI.INFO} Queued conflict on ${localKey} for manual review`);
+}
+
+export async function listConflicts(orgId = null) {
+  const entries = await kvsStore.queryByPrefix(`conflict:${orgId || 'legacy'}:`, MAX_CONFLICT_LIST);
+  return entries
+    .map(entry => entry.value)
+    .filter(Boolean)
+    .sort((a, b) => (b.detectedAt || '').localeCompare(a.detectedAt || ''));
+}
+
+export async function getConflict(orgId, localKey) {
+  return await kvsStore.get(buildConflictKey(orgId, localKey));
+}
+
+export async function clearConflict(orgId, localKey) {
+  await kvsStore.del(buildConflictKey(orgId, localKey));
+}
@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import * as kvsStore from '../storage/kvs.js';
+import { getLastSyncedLocalUpdated, getLastAppliedRemoteUpdated, setLastAppliedRemoteUpdated } from '../storage/mappings.js';
+import { LOG_EMOJI, PARKED_EVENT_TTL_MS, MAX_PARKED_EVENTS } from '../../constants.js';
+
+const PURGE_PAGE_LIMIT = 20; // Pages of 100 keys per prefix checked by one purge
+
+// Per-issue ordering for both sync directions.
+// - Each mapping remembers the `updated` time of the last state applied from each side: the local
+//   side in last-synced-updated:{localKey}, the remote side in last-applied-remote:{localKey}. Syncs
+//   apply the issue as fetched, so an event from at or before that time carries nothing new and is dropped.
+// - An event that needs a mapping which does not exist yet is parked at
+//   parkedEvent:{orgId}:{prerequisite}:{eventTime}:{id} and handed back to the inbound queue once
+//   the mapping is stored.
+//   Prerequisites are 'issue:{remoteKey}' (the local copy of a remote issue) and
+//   'attachment:{remoteAttachmentId}' (the remote issue an attachment belongs to). Events for a remote
+//   issue are only parked while awaitingMapping:{orgId}:{remoteKey} says its create was received;
+//   issues that existed before the sync are never created, so their events are ignored as before.
+//   Events and markers whose prerequisite never arrives are removed by purgeExpiredParkedEvents after
+//   the hourly scheduled sync.
+
+function storagePrefix(orgId) {
+  return orgId || 'legacy';
+}
+
+function parkedPrefix(orgId, prerequisite) {
+  return `parkedEvent:${storagePrefix(orgId)}:${prerequisite}:`;
+}
+
+function awaitingKey(orgId, remoteKey) {
+  return `awaitingMapping:${storagePrefix(orgId)}:${remoteKey}`;
+}
+
+/**
+ * Milliseconds since the epoch for a webhook timestamp or a Jira date string, or null.
+ */
+export function getEventTimestamp(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const timestamp = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(timestamp) && timestamp > 0 ? timestamp : null;
+}
+
+// When a local issue event happened: the issue's updated time when the event carries it, else now
+export function getSourceTimestamp(event) {
+  return getEventTimestamp(event?.sourceTimestamp) || getEventTimestamp(event?.issue?.fields?.updated) || Date.now();
+}
+
+/**
+ * Whether state at least as new as the event has already been applied for this side
+ * ('local' for outbound syncs, 'remote' for incoming ones). Events without a timestamp are never stale.
+ */
+export async function isStaleEvent(localKey, side, timestamp, orgId = null) {
+  const eventTime = getEventTimestamp(timestamp);
+  if (!eventTime) {
+    return false;
+  }
+  const applied = getEventTimestamp(side === 'local'
+    ? await getLastSyncedLocalUpdated(localKey, orgId)
+    : await getLastAppliedRemoteUpdated(localKey, orgId));
+  return applied !== null && eventTime <= applied;
+}
+
+/**
+ * Records the remote `updated` time of a remote state applied locally. Never moves backwards.
+ */
+export async function recordAppliedRemoteUpdate(localKey, remoteUpdated, orgId = null) {
+  const updatedTime = getEventTimestamp(remoteUpdated);
+  if (!updatedTime) {
+    return;
+  }
+  const applied = getEventTimestamp(await getLastAppliedRemoteUpdated(localKey, orgId));
+  if (applied === null || updatedTime > applied) {
+    await setLastAppliedRemoteUpdated(localKey, remoteUpdated, orgId);
+  }
+}
+
+// Marks a remote issue whose create was received but is not mapped yet, so its other events are parked
+export async function expectMapping(orgId, remoteKey) {
+  await kvsStore.set(awaitingKey(orgId, remoteKey), { since: new Date().toISOString() }, { ttl: PARKED_EVENT_TTL_MS });
+}
+
+export async function isAwaitingMapping(orgId, remoteKey) {
+  const marker = await kvsStore.get(awaitingKey(orgId, remoteKey));
+  return Boolean(marker && marker.expiresAt > Date.now());
+}
+
+/**
+ * Keeps an event until its prerequisite exists. Returns false when too many events are
+ * already waiting for the same prerequisite.
+ */
+export async function parkEvent(orgId, prerequisite, payload) {
+  const prefix = parkedPrefix(orgId, prerequisite);
+  const waiting = await kvsStore.queryByPrefix(prefix, MAX_PARKED_EVENTS);
+  if (waiting.length >= MAX_PARKED_EVENTS) {
+    console.warn(`${LOG_EMOJI.WARNING} ${MAX_PARKED_EVENTS} events already wait for ${prerequisite}; not parking ${payload?.webhookEvent}`);
+    return false;
+  }
+
+  const eventTime = getEventTimestamp(payload?.timestamp) || Date.now();
+  await kvsStore.set(`${prefix}${String(eventTime).padStart(13, '0')}:${crypto.randomUUID()}`, payload, { ttl: PARKED_EVENT_TTL_MS });
+  console.log(`${LOG_EMOJI.INFO} Parked ${payload?.webhookEvent} until ${prerequisite} is available`);
+  return true;
+}
+
+/**
+ * Passes the events parked for a prerequisite to `release`, oldest first, and deletes each one
+ * only after `release` returned. When it throws, that event and the ones after it stay parked.
+ * Expired ones are dropped. Once all are released an issue is no longer awaited.
+ * @returns {Promise<number>} number of events released
+ */
+export async function releaseParkedEvents(orgId, prerequisite, release) {
+  const parked = await kvsStore.queryByPrefix(parkedPrefix(orgId, prerequisite), MAX_PARKED_EVENTS);
+  const now = Date.now();
+  let released = 0;
+
+  for (const { key, value } of parked.sort((a, b) => a.key.localeCompare(b.key))) {
+    if (value?.expiresAt > now) {
+      await release(value.value);
+      released++;
+    }
+    await kvsStore.del(key);
+  }
+  if (prerequisite.startsWith('issue:')) {
+    await kvsStore.del(awaitingKey(orgId, prerequisite.slice('issue:'.length)));
+  }
+  return released;
+}
+
+/**
+ * Deletes parked events and awaiting-mapping markers whose TTL has passed.
+ * @returns {Promise<number>} number of keys removed
+ */
+export async function purgeExpiredParkedEvents() {
+  const now = Date.now();
+  let removed = 0;
+
+  for (const prefix of ['parkedEvent:', 'awaitingMapping:']) {
+    let cursor = null;
+    for (let page = 0; page < PURGE_PAGE_LIMIT; page++) {
+      const { results, nextCursor } = await kvsStore.queryPage(prefix, { cursor });
+      for (const { key, value } of results) {
+        if (!(value?.expiresAt > now)) {
+          await kvsStore.del(key);
+          removed++;
+        }
+      }
+      if (!nextCursor) {
+        break;
+      }
+      cursor = nextCursor;
+    }
+  }
+
+  if (removed > 0) {
+    console.log(`${LOG_EMOJI.INFO} Removed ${removed} expired parked event(s)`);
+  }
+  return removed;
+}
@@ -0,0 +1,57 @@
+import * as kvsStore from '../storage/kvs.js';
+import { LOG_EMOJI } from '../../constants.js';
+
+// push: local → remote only, pull: remote → local only, both: follow the org's sync direction, never: not synced
+export const FIELD_DIRECTIONS = ['both', 'push', 'pull', 'never'];
+
+// Standard fields covered by the matrix. Custom fields are keyed by their remote field ID.
+export const DIRECTION_FIELDS = ['summary', 'description', 'priority', 'labels', 'duedate', 'assignee', 'components', 'versions', 'status'];
+
+// Payload keys that share one matrix entry
+const PAYLOAD_FIELD_ALIASES = {
+  fixVersions: 'versions',
+  versions: 'versions'
+};
+
+export function getFieldDirectionsKey(orgId) {
+  return orgId ? `fieldDirections:${orgId}` : 'fieldDirections';
+}
+
+export async function getFieldDirections(orgId) {
+  return await kvsStore.get(getFieldDirectionsKey(orgId)) || {};
+}
+
+/**
+ * direction: 'push' (local → remote) or 'pull' (remote → local)
+ */
+export function allowsDirection(directions, fieldKey, direction) {
+  const setting = directions?.[fieldKey] || 'both';
+  if (setting === 'never') return false;
+  if (setting === 'both') return true;
+  return setting === direction;
+}
+
+/**
+ * Remove fields the matrix does not allow in this direction from an update payload.
+ * remoteFieldIdFor maps a custom field payload key to the remote field ID the matrix is keyed by.
+ * Returns the removed payload keys.
+ */
+export function filterFieldsByDirection(fields, directions, direction, remoteFieldIdFor = (key) => key) {
+  const removed = [];
+  if (!directions || Object.keys(directions).length === 0) {
+    return removed;
+  }
+
+  for (const key of Object.keys(fields)) {
+    const matrixKey = PAYLOAD_FIELD_ALIASES[key] || (DIRECTION_FIELDS.includes(key) ? key : remoteFieldIdFor(key));
+    if (matrixKey && !allowsDirection(directions, matrixKey, direction)) {
+      delete fields[key];
+      removed.push(key);
+    }
+  }
+
+  if (removed.length > 0) {
+    console.log(`${LOG_EMOJI.INFO} Field direction settings skip ${direction}: ${removed.join(', ')}`);
+  }
+  return removed;
+}
@@ -0,0 +1,180 @@
+import crypto from 'crypto';
+import { Queue } from '@forge/events';
+import * as kvsStore from '../storage/kvs.js';
+import { processIncomingWebhook } from './incoming-sync.js';
+import { getRetryDelaySeconds } from './outbound-queue.js';
+import { trackWebhookSync } from '../storage/stats.js';
+import { acquireLock, releaseLock } from '../storage/locks.js';
+import { expectMapping } from './event-sequencing.js';
+import {
+  LOG_EMOJI,
+  INBOUND_MAX_ATTEMPTS,
+  INBOUND_LOCK_TTL_MS,
+  INBOUND_BUSY_DELAY_SECONDS,
+  INBOUND_DRAIN_BUDGET_MS
+} from '../../constants.js';
+
+// Remote webhook deliveries are stored per remote issue at
+// inboundItem:{orgId}:{issueRef}:{eventTime}:{receivedAt}:{uuid}, so listing the prefix returns them
+// in the order they happened. The queue only carries {orgId, issueRef}; whichever consumer holds
+// inboundLock:{orgId}:{issueRef} works through that issue's events one at a time, which keeps
+// created-before-updated even when Forge delivers queue events in parallel. The lock is a
+// sync-lock entity row (see storage/locks.js), taken and released with conditional writes.
+export const INBOUND_QUEUE_KEY = 'inbound-sync-queue';
+
+const DRAIN_PAGE_SIZE = 20;
+
+// The remote issue an event belongs to; events without one share a single sequence
+export function getRemoteIssueRef(payload) {
+  const ref = payload?.issue?.id
+    || payload?.worklog?.issueId
+    || payload?.issueLink?.sourceIssueId
+    || payload?.attachment?.issueId;
+  return ref ? String(ref) : 'none';
+}
+
+function itemPrefix(orgId, issueRef) {
+  return `inboundItem:${orgId}:${issueRef}:`;
+}
+
+function lockKey(orgId, issueRef) {
+  return `inboundLock:${orgId}:${issueRef}`;
+}
+
+async function pushDrain(orgId, issueRef, delayInSeconds = 0) {
+  const pushEvent = { body: { orgId, issueRef } };
+  if (delayInSeconds > 0) {
+    pushEvent.delayInSeconds = delayInSeconds;
+  }
+  const queue = new Queue({ key: INBOUND_QUEUE_KEY });
+  await queue.push(pushEvent);
+}
+
+/**
+ * Stores a validated remote delivery and asks the inbound consumer to process it.
+ * Throws when the delivery could not be queued, so the webtrigger can answer with an error
+ * and the remote retries it.
+ */
+export async function enqueueInbound(org, payload) {
+  const issueRef = getRemoteIssueRef(payload);
+  const receivedAt = Date.now();
+  const eventTime = Number(payload?.timestamp) || receivedAt;
+  const key = `${itemPrefix(org.id, issueRef)}${String(eventTime).padStart(13, '0')}:${String(receivedAt).padStart(13, '0')}:${crypto.randomUUID()}`;
+
+  // Other events of a created issue may be processed before the create (attachments without an
+  // issue id share one sequence), so they are parked rather than ignored until it is mapped
+  if (payload?.webhookEvent === 'jira:issue_created' && payload.issue?.key) {
+    await expectMapping(org.id === 'legacy' ? null : org.id, payload.issue.key);
+  }
+
+  await kvsStore.set(key, {
+    payload,
+    receivedAt: new Date(receivedAt).toISOString(),
+    attempts: 0
+  });
+
+  try {
+    await pushDrain(org.id, issueRef);
+  } catch (error) {
+    await kvsStore.del(key);
+    throw error;
+  }
+
+  console.log(`${LOG_EMOJI.INFO} Queued incoming ${payload?.webhookEvent} for remote issue ${payload?.issue?.key || issueRef} (${org.id})`);
+  return key;
+}
+
+// Runs one stored event. Returns false when it has to be retried, which stops the drain
+async function processInboundItem(org, orgId, issueRef, key, item) {
+  const webhookEvent = item.payload?.webhookEvent;
+  if (!org) {
+    console.warn(`${LOG_EMOJI.WARNING} Dropping incoming ${webhookEvent} for ${orgId}: organization no longer exists`);
+    await kvsStore.del(key);
+    return true;
+  }
+
+  let result;
+  try {
+    result = await processIncomingWebhook(item.payload, org);
+  } catch (error) {
+    result = { status: 500, body: { error: error.message } };
+  }
+
+  // 4xx results are about the event itself and would fail the same way again
+  if (result.status < 500) {
+    if (result.status >= 400) {
+      console.warn(`${LOG_EMOJI.WARNING} Incoming ${webhookEvent} for ${orgId} not processed: ${result.body?.error}`);
+    }
+    await kvsStore.del(key);
+    return true;
+  }
+
+  const attempts = (item.attempts || 0) + 1;
+  const lastError = result.body?.error || `HTTP ${result.status}`;
+  if (attempts >= INBOUND_MAX_ATTEMPTS) {
+    console.error(`${LOG_EMOJI.STOP} Incoming ${webhookEvent} for ${orgId} failed ${attempts} times, dropping it`);
+    await kvsStore.del(key);
+    await trackWebhookSync('inbound', false, `Dropped ${webhookEvent} after ${attempts} attempts: ${lastError}`, orgId, item.payload?.issue?.key || null);
+    return true;
+  }
+
+  const delayInSeconds = getRetryDelaySeconds(attempts);
+  await kvsStore.set(key, {
+    ...item,
+    attempts,
+    lastError,
+    nextAttemptAt: Date.now() + delayInSeconds * 1000
+  });
+  await pushDrain(orgId, issueRef, delayInSeconds);
+  console.log(`${LOG_EMOJI.WARNING} Incoming ${webhookEvent} for ${orgId} failed (attempt ${attempts}/${INBOUND_MAX_ATTEMPTS}), retrying in ${delayInSeconds}s`);
+  return false;
+}
+
+/**
+ * Processes the stored events of one remote issue in order. Another consumer already
+ * working on the issue gets this delivery back after INBOUND_BUSY_DELAY_SECONDS; a failing
+ * event holds back the events after it until it succeeds or runs out of attempts.
+ */
+export async function processInboundDrain({ orgId, issueRef }) {
+  const lock = lockKey(orgId, issueRef);
+  const owner = await acquireLock(lock, INBOUND_LOCK_TTL_MS);
+  if (!owner) {
+    await pushDrain(orgId, issueRef, INBOUND_BUSY_DELAY_SECONDS);
+    return { status: 'busy', processed: 0 };
+  }
+
+  const startedAt = Date.now();
+  let processed = 0;
+  try {
+    const orgs = await kvsStore.get('organizations') || [];
+    const org = orgs.find(o => o.id === orgId) || null;
+
+    for (;;) {
+      const items = await kvsStore.queryByPrefix(itemPrefix(orgId, issueRef), DRAIN_PAGE_SIZE);
+      if (items.length === 0) {
+        return { status: 'drained', processed };
+      }
+
+      for (const { key, value } of items.sort((a, b) => a.key.localeCompare(b.key))) {
+        if (value.nextAttemptAt > Date.now()) {
+          // A delayed delivery for this retry is already queued
+          return { status: 'waiting', processed };
+        }
+        if (Date.now() - startedAt > INBOUND_DRAIN_BUDGET_MS) {
+          await pushDrain(orgId, issueRef);
+          return { status: 'handed-over', processed };
+        }
+        if (!await processInboundItem(org, orgId, issueRef, key, value)) {
+          return { status: 'retrying', processed };
+        }
+        processed++;
+      }
+    }
+  } catch (error) {
+    console.error(`${LOG_EMOJI.ERROR} Inbound drain for ${orgId}/${issueRef} stopped, re-queuing:`, error);
+    await pushDrain(orgId, issueRef, INBOUND_BUSY_DELAY_SECONDS);
+    return { status: 'error', processed };
+  } finally {
+    await releaseLock(lock, owner);
+  }
+}
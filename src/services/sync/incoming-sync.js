@@ -1,8 +1,3 @@
-const DEFAULT_USER_MAPPING_CONFIG = {
-  autoMapUsers: true,
-  fallbackUser: null
-};
-
 const BASE_REMOTE_FIELDS = [
   'summary',
   'description',
@@ -19,7 +14,8 @@ const BASE_REMOTE_FIELDS = [
   'status',
   'issuetype',
   'attachment',
-  'issuelinks'
+  'issuelinks',
+  'updated'
 ];
 
 const BLOCKED_FIELD_KEYS = new Set([
@@ -52,46 +48,39 @@ const BLOCKED_FIELD_KEYS = new Set([
 ]);
 import api, { route } from '@forge/api';
 import * as kvsStore from '../storage/kvs.js';
-import { getLocalKey, storeMapping, storeAttachmentMapping, getAttachmentMapping, storeLinkMapping, getLocalCommentId, storeCommentMapping } from '../storage/mappings.js';
-import { markSyncing, isSyncing, clearSyncFlag, enqueuePendingChildIssue, consumePendingChildIssues } from '../storage/flags.js';
+import { getLocalKey, storeMapping, storeAttachmentMapping, getLocalAttachmentId, removeAttachmentMapping, storeLinkMapping, removeLinkMapping, getLocalCommentId, storeCommentMapping, removeCommentMapping, getLocalWorklogId, storeWorklogMapping, removeWorklogMapping } from '../storage/mappings.js';
+import { markSyncing, isSyncing, clearSyncFlag, markLinkDeletedBySync, clearLinkDeletedBySync, enqueuePendingChildIssue, consumePendingChildIssues } from '../storage/flags.js';
 import { LOG_EMOJI, MAX_ATTACHMENT_SIZE } from '../../constants.js';
-import { textToADF, buildSyncedCommentADF, extractTextFromADF, stripSyncPrefix, sanitizeCommentText } from '../../utils/adf.js';
-import { getRemoteIssue, getRemoteComment } from '../jira/remote-client.js';
+import { textToADF, transformADF, buildSyncedCommentADF, extractTextFromADF, stripSyncPrefix, sanitizeCommentText } from '../../utils/adf.js';
+import { RemoteJiraClient, getRemoteIssue, getRemoteComment, getRemoteWorklog } from '../jira/remote-client.js';
 import { transitionLocalIssue } from './transition-sync.js';
 import { mapUserToLocal } from '../../utils/mapping.js';
-import { uploadAttachment, getFullIssue } from '../jira/local-client.js';
+import { uploadAttachment, deleteAttachment, getFullIssue, getEditMeta, getCreateMeta } from '../jira/local-client.js';
+import { trackWebhookSync } from '../storage/stats.js';
+import { checkFieldConflicts, recordFieldSnapshot } from './conflict-resolution.js';
+import { buildWorklogPayload, isMirroredWorklog } from './worklog-sync.js';
+import { isSprintFieldValue, translateSprintToLocal } from './sprint-sync.js';
+import { applyOptionValueMappings } from './option-mapping.js';
+import { resolveUserForField, getUserMappingConfig } from './user-resolution.js';
+import { getFieldDirections, filterFieldsByDirection, allowsDirection } from './field-directions.js';
+import { hasRemoteCredentials } from '../jira/remote-auth.js';
+import {
+  isStaleEvent,
+  recordAppliedRemoteUpdate,
+  expectMapping,
+  isAwaitingMapping,
+  parkEvent,
+  releaseParkedEvents
+} from './event-sequencing.js';
+import { enqueueInbound } from './inbound-queue.js';
 
 const ATTACHMENT_ISSUE_CACHE_TTL_MS = 2 * 60 * 1000; // 2 minutes
-const ATTACHMENT_ISSUE_CACHE_RETRY_ATTEMPTS = 6;
-const ATTACHMENT_ISSUE_CACHE_RETRY_DELAY_MS = 500; // 0.5s wait between cache polls
-const PARENT_MAPPING_RETRY_ATTEMPTS = 6;
 const PARENT_MAPPING_RETRY_DELAY_MS = 500;
 const PENDING_CHILD_MAX_ATTEMPTS = 3;
 
-export async function processIncomingWebhook(payload, secret) {
+export async function processIncomingWebhook(payload, org) {
   const { webhookEvent } = payload;
-  console.log(`📨 Received webhook event: ${webhookEvent}`);
-
-  // 1. Find Organization
-  const orgs = await kvsStore.get('organizations') || [];
-  console.log(`🔍 Checking ${orgs.length} organizations for secret match. Received secret length: ${secret?.length}`);
-  
-  // Find org by checking secrets (secrets are not stored in the main org object)
-  let org = null;
-  for (const o of orgs) {
-    const storedSecret = await kvsStore.getSecret(`secret:${o.id}:incomingSecret`);
-    // console.log(`Checking org ${o.id}, stored secret length: ${storedSecret?.length}`);
-    if (storedSecret === secret) {
-      org = o;
-      console.log(`✅ Match found for org: ${o.id}`);
-      break;
-    }
-  }
-
-  if (!org) {
-    console.warn(`${LOG_EMOJI.WARNING} Incoming webhook with invalid secret. Received: ${secret?.substring(0, 3)}...`);
-    return { status: 401, body: { error: 'Invalid secret' } };
-  }
+  console.log(`📨 Received webhook event: ${webhookEvent} for org ${org.id}`);
 
   if (org.syncDirection !== 'bidirectional') {
     console.warn(`${LOG_EMOJI.WARNING} Incoming webhook for non-bidirectional org: ${org.name}`);
@@ -99,71 +88,109 @@ export async function processIncomingWebhook(payload, secret) {
   }
 
   const remoteApiToken = await kvsStore.getSecret(`secret:${org.id}:token`);
-  if (!remoteApiToken) {
+  if (!hasRemoteCredentials({ ...org, remoteApiToken })) {
     console.error(`${LOG_EMOJI.ERROR} Incoming webhook missing remote API token for org ${org.name}`);
     return { status: 500, body: { error: 'Remote credentials not configured' } };
   }
 
+  const context = await buildIncomingContext(org, remoteApiToken);
+
+  const { issue } = payload;
+  
+  if (!issue) {
+      if (isAttachmentEvent(webhookEvent)) {
+        console.log(`${LOG_EMOJI.WARNING} Attachment webhook missing issue payload. Keys: ${Object.keys(payload).join(', ')}`);
+      } else if (!isIssueLinkEvent(webhookEvent) && !isWorklogEvent(webhookEvent)) {
+        return { status: 400, body: { error: 'No issue in payload' } };
+      }
+  }
+
+  try {
+    await routeIncomingEvent(payload, context);
+    return { status: 200, body: { message: 'Processed' } };
+  } catch (error) {
+    console.error(`${LOG_EMOJI.ERROR} Error processing incoming webhook:`, error);
+    return { status: 500, body: { error: error.message } };
+  }
+}
+
+// Also used to replay parked events, with the context of the event that made them ready
+async function routeIncomingEvent(payload, context) {
+  const { webhookEvent, issue } = payload;
+  if (webhookEvent === 'jira:issue_created') {
+    await handleRemoteIssueCreated(issue, context);
+  } else if (webhookEvent === 'jira:issue_updated') {
+    await handleRemoteIssueUpdated(issue, context, payload);
+  } else if (webhookEvent === 'jira:issue_deleted') {
+    await handleRemoteIssueDeleted(issue, context);
+  } else if (webhookEvent === 'comment_created') {
+    await handleRemoteCommentCreated(payload, context);
+  } else if (webhookEvent === 'comment_updated') {
+    await handleRemoteCommentUpdated(payload, context);
+  } else if (webhookEvent === 'comment_deleted') {
+    await handleRemoteCommentDeleted(payload, context);
+  } else if (webhookEvent === 'worklog_created') {
+    await handleRemoteWorklogCreated(payload, context);
+  } else if (webhookEvent === 'worklog_updated') {
+    await handleRemoteWorklogUpdated(payload, context);
+  } else if (webhookEvent === 'worklog_deleted') {
+    await handleRemoteWorklogDeleted(payload, context);
+  } else if (webhookEvent === 'jira:issue_link_created') {
+    await handleRemoteIssueLinkCreated(payload, context);
+  } else if (webhookEvent === 'jira:issue_link_deleted') {
+    await handleRemoteIssueLinkDeleted(payload, context);
+  } else if (webhookEvent === 'attachment_created' || webhookEvent === 'jira:attachment_created') {
+    console.log(`${LOG_EMOJI.ATTACHMENT} Routing attachment event for ${payload.issue?.key || 'unknown issue'}`);
+    await handleRemoteAttachmentCreated(payload, context);
+  } else if (webhookEvent === 'attachment_deleted' || webhookEvent === 'jira:attachment_deleted') {
+    await handleRemoteAttachmentDeleted(payload, context);
+  } else {
+    console.log(`ℹ️ Ignoring event: ${webhookEvent}`);
+  }
+}
+
+async function buildIncomingContext(org, remoteApiToken) {
   const storageOrgId = org.id === 'legacy' ? null : org.id;
-  const [userMappings, fieldMappings, statusMappings, issueTypeMappings, syncOptions] = await Promise.all([
+  const [userMappings, fieldMappings, statusMappings, issueTypeMappings, sprintMappings, syncOptions, userMappingConfig, fieldDirections] = await Promise.all([
     kvsStore.get(storageOrgId ? `userMappings:${storageOrgId}` : 'userMappings'),
     kvsStore.get(storageOrgId ? `fieldMappings:${storageOrgId}` : 'fieldMappings'),
     kvsStore.get(storageOrgId ? `statusMappings:${storageOrgId}` : 'statusMappings'),
     kvsStore.get(storageOrgId ? `issueTypeMappings:${storageOrgId}` : 'issueTypeMappings'),
-    kvsStore.get(storageOrgId ? `syncOptions:${storageOrgId}` : 'syncOptions')
+    kvsStore.get(storageOrgId ? `sprintMappings:${storageOrgId}` : 'sprintMappings'),
+    kvsStore.get(storageOrgId ? `syncOptions:${storageOrgId}` : 'syncOptions'),
+    getUserMappingConfig(storageOrgId),
+    getFieldDirections(storageOrgId)
   ]);
 
-  const context = {
+  return {
     org: { ...org, remoteApiToken },
     orgId: storageOrgId,
     mappings: {
       userMappings: userMappings?.mappings || userMappings || {},
       fieldMappings: fieldMappings || {},
       statusMappings: statusMappings || {},
-      issueTypeMappings: issueTypeMappings || {}
+      issueTypeMappings: issueTypeMappings || {},
+      sprintMappings: sprintMappings || {}
     },
     syncOptions: syncOptions || {},
-    userMappingConfig: userMappings?.config || { autoMapUsers: true, fallbackUser: null }
+    userMappingConfig,
+    fieldDirections
   };
+}
 
-  const { issue } = payload;
-  
-  if (!issue) {
-      if (isAttachmentEvent(webhookEvent)) {
-        console.log(`${LOG_EMOJI.WARNING} Attachment webhook missing issue payload. Keys: ${Object.keys(payload).join(', ')}`);
-      } else {
-        return { status: 400, body: { error: 'No issue in payload' } };
-      }
-  }
+/**
+ * Re-apply the current remote state of an issue to its local counterpart.
+ * Used when an admin resolves a queued conflict in favour of the remote side.
+ * Returns false when nothing was applied (unmapped, already syncing or not readable).
+ */
+export async function applyRemoteIssueUpdate(remoteKey, org, options = {}) {
+  const context = await buildIncomingContext(org, org.remoteApiToken);
+  return await handleRemoteIssueUpdated({ key: remoteKey }, context, null, options);
+}
 
-  // 2. Route Event
-  try {
-    if (webhookEvent === 'jira:issue_created') {
-      await handleRemoteIssueCreated(issue, context);
-    } else if (webhookEvent === 'jira:issue_updated') {
-      await handleRemoteIssueUpdated(issue, context, payload);
-    } else if (webhookEvent === 'jira:issue_deleted') {
-      await handleRemoteIssueDeleted(issue, context);
-    } else if (webhookEvent === 'comment_created') {
-      await handleRemoteCommentCreated(payload, context);
-    } else if (webhookEvent === 'jira:issue_link_created') {
-      await handleRemoteIssueLinkCreated(payload, context);
-    } else if (webhookEvent === 'jira:issue_link_deleted') {
-      console.log(`ℹ️ Inbound link deletion coming soon`);
-    } else if (webhookEvent === 'attachment_created' || webhookEvent === 'jira:attachment_created') {
-        console.log(`${LOG_EMOJI.ATTACHMENT} Routing attachment event for ${payload.issue?.key || 'unknown issue'}`);
-      await handleRemoteAttachmentCreated(payload, context);
-    } else if (webhookEvent === 'attachment_deleted' || webhookEvent === 'jira:attachment_deleted') {
-      console.log(`ℹ️ Inbound attachment deletion coming soon`);
-    } else {
-      console.log(`ℹ️ Ignoring event: ${webhookEvent}`);
-    }
-    
-    return { status: 200, body: { message: 'Processed' } };
-  } catch (error) {
-    console.error(`${LOG_EMOJI.ERROR} Error processing incoming webhook:`, error);
-    return { status: 500, body: { error: error.message } };
-  }
+export async function applyRemoteIssueCreate(remoteKey, org) {
+  const context = await buildIncomingContext(org, org.remoteApiToken);
+  await handleRemoteIssueCreated({ key: remoteKey }, context);
 }
 
 async function handleRemoteIssueCreated(remoteIssue, context, options = {}) {
@@ -173,17 +200,21 @@ async function handleRemoteIssueCreated(remoteIssue, context, options = {}) {
   const existingLocalKey = await getLocalKey(remoteIssue.key, orgId);
   if (existingLocalKey) {
     console.log(`ℹ️ Issue ${remoteIssue.key} already mapped to ${existingLocalKey}. Treating as update.`);
-    return handleRemoteIssueUpdated(remoteIssue, context);
+    const result = await handleRemoteIssueUpdated(remoteIssue, context);
+    // A retried create may have failed while handing its parked events back
+    await replayParkedEvents(`issue:${remoteIssue.key}`, context);
+    return result;
   }
 
-  const targetProject = Array.isArray(org.allowedProjects) && org.allowedProjects.length > 0
-    ? org.allowedProjects[0]
-    : null;
+  const targetProject = getIncomingTargetProject(org);
 
   if (!targetProject) {
     throw new Error(`No allowed local project configured for org ${org.name}`);
   }
 
+  // Events for the issue that arrive before the mapping is stored wait for it
+  await expectMapping(orgId, remoteIssue.key);
+
   const resolvedRemoteIssue = await loadRemoteIssue(remoteIssue, context);
   if (!resolvedRemoteIssue) {
     throw new Error(`Unable to load remote issue ${remoteIssue.key} for creation`);
@@ -214,6 +245,7 @@ async function handleRemoteIssueCreated(remoteIssue, context, options = {}) {
   console.log(`${LOG_EMOJI.SUCCESS} Created local issue ${localKey} from remote ${remoteIssue.key}`);
 
   await storeMapping(localKey, remoteIssue.key, orgId);
+  await recordAppliedRemoteUpdate(localKey, resolvedRemoteIssue.fields.updated, orgId);
   await processPendingChildIssues(remoteIssue.key, context);
 
   // Sync attachments if present
@@ -227,10 +259,9 @@ async function handleRemoteIssueCreated(remoteIssue, context, options = {}) {
           continue;
         }
 
-        const auth = Buffer.from(`${context.org.remoteEmail}:${context.org.remoteApiToken}`).toString('base64');
-        const downloadResponse = await fetch(attachment.content, {
+        const downloadResponse = await new RemoteJiraClient(context.org).get(attachment.content, {
+          operation: `Download remote attachment ${attachment.filename}`,
           headers: {
-            'Authorization': `Basic ${auth}`,
             'Accept': '*/*'
           }
         });
@@ -252,23 +283,37 @@ async function handleRemoteIssueCreated(remoteIssue, context, options = {}) {
       }
     }
   }
+
+  await replayParkedEvents(`issue:${remoteIssue.key}`, context);
 }
 
-async function handleRemoteIssueUpdated(remoteIssue, context, payload = null) {
+async function handleRemoteIssueUpdated(remoteIssue, context, payload = null, options = {}) {
   const { org, orgId, mappings } = context;
   const localKey = await getLocalKey(remoteIssue.key, orgId);
   if (!localKey) {
+    if (payload && await parkUntilMapped(remoteIssue.key, payload, context)) {
+      return false;
+    }
     console.log(`⚠️ Remote issue ${remoteIssue.key} not mapped. Ignoring update.`);
-    return;
+    return false;
   }
 
   if (payload && shouldSkipUpdateForAttachmentOnly(payload)) {
     console.log(`${LOG_EMOJI.INFO} Skipping field update for ${localKey}; changelog contains attachment changes only.`);
     if (payload?.changelog?.items) {
-      await recordAttachmentIssueMappingFromChangelog(payload.changelog.items, remoteIssue.key, context.orgId);
+      const attachmentIds = await recordAttachmentIssueMappingFromChangelog(payload.changelog.items, remoteIssue.key, context.orgId);
       console.log(`${LOG_EMOJI.INFO} Attachment changelog items: ${JSON.stringify(payload.changelog.items)}`);
+      for (const attachmentId of attachmentIds) {
+        await replayParkedEvents(`attachment:${attachmentId}`, context);
+      }
     }
-    return;
+    return false;
+  }
+
+  // The update fetches the current remote issue, so an event older than the last applied state adds nothing
+  if (payload && await isStaleEvent(localKey, 'remote', payload.timestamp, orgId)) {
+    console.log(`${LOG_EMOJI.SKIP} Dropping stale update for ${localKey}: a newer state of ${remoteIssue.key} was already applied`);
+    return false;
   }
 
   console.log(`${LOG_EMOJI.SYNC} Processing update for ${localKey} (from ${remoteIssue.key})`);
@@ -276,7 +321,7 @@ async function handleRemoteIssueUpdated(remoteIssue, context, payload = null) {
   // Prevent Loop
   if (await isSyncing(localKey)) {
     console.log(`🔄 Loop detected: ${localKey} is already syncing. Skipping.`);
-    return;
+    return false;
   }
 
   await markSyncing(localKey);
@@ -284,31 +329,52 @@ async function handleRemoteIssueUpdated(remoteIssue, context, payload = null) {
     const resolvedRemoteIssue = await loadRemoteIssue(remoteIssue, context);
     if (!resolvedRemoteIssue) {
       console.log(`${LOG_EMOJI.WARNING} Could not fetch remote issue ${remoteIssue.key}. Skipping update.`);
-      return;
+      return false;
     }
 
     await syncIncomingLinksForIssue(resolvedRemoteIssue, localKey, context);
 
-    const payload = await buildUpdatePayload(resolvedRemoteIssue, context);
-    if (Object.keys(payload.fields).length === 0) {
-       console.log(`ℹ️ No fields to update for ${localKey}`);
-       return;
+    const payload = await buildUpdatePayload(resolvedRemoteIssue, context, localKey);
+
+    // Keep local edits that happened since the last sync when the policy says they win
+    const localIssue = await getFullIssue(localKey);
+    const conflictCheck = await checkFieldConflicts({
+      direction: 'inbound',
+      localKey,
+      remoteKey: remoteIssue.key,
+      orgId,
+      localFields: localIssue?.fields,
+      remoteFields: resolvedRemoteIssue.fields,
+      policy: context.syncOptions?.conflictPolicy,
+      override: options.conflictOverride
+    });
+    for (const field of conflictCheck.blockedFields) {
+      delete payload.fields[field];
     }
 
-    const response = await api.asApp().requestJira(route`/rest/api/3/issue/${localKey}`, {
-      method: 'PUT',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
+    if (Object.keys(payload.fields).length === 0) {
+       console.log(`ℹ️ No fields to update for ${localKey}`);
+    } else {
+      const response = await api.asApp().requestJira(route`/rest/api/3/issue/${localKey}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
 
-    if (!response.ok) {
-       throw new Error(`Failed to update local issue: ${await response.text()}`);
+      if (!response.ok) {
+         throw new Error(`Failed to update local issue: ${await response.text()}`);
+      }
+      console.log(`${LOG_EMOJI.SUCCESS} Updated local issue ${localKey}`);
+      if (localIssue?.fields) {
+        await recordFieldSnapshot(localKey, orgId, { ...localIssue.fields, ...payload.fields }, resolvedRemoteIssue.fields, conflictCheck.blockedFields);
+      }
     }
-    console.log(`${LOG_EMOJI.SUCCESS} Updated local issue ${localKey}`);
 
-    if (resolvedRemoteIssue.fields?.status) {
+    if (resolvedRemoteIssue.fields?.status && allowsDirection(context.fieldDirections, 'status', 'pull')) {
       await transitionLocalIssue(localKey, resolvedRemoteIssue.fields.status, mappings.statusMappings);
     }
+    await recordAppliedRemoteUpdate(localKey, resolvedRemoteIssue.fields?.updated, orgId);
+    return true;
   } finally {
     await clearSyncFlag(localKey);
   }
@@ -363,6 +429,9 @@ async function handleRemoteCommentCreated(payload, context) {
 
   const localKey = await getLocalKey(remoteIssueKey, context.orgId);
   if (!localKey) {
+    if (await parkUntilMapped(remoteIssueKey, payload, context)) {
+      return;
+    }
     console.log(`${LOG_EMOJI.WARNING} No local mapping for remote comment on ${remoteIssueKey}`);
     return;
   }
@@ -434,6 +503,126 @@ async function handleRemoteCommentCreated(payload, context) {
   }
 }
 
+async function handleRemoteCommentUpdated(payload, context) {
+  if (!shouldSyncIncomingComments(context.syncOptions)) {
+    console.log(`⏭️ Incoming comments disabled for ${context.org.name}`);
+    return;
+  }
+
+  const remoteIssueKey = payload.issue?.key;
+  const comment = payload.comment;
+
+  if (!remoteIssueKey || !comment) {
+    console.log(`${LOG_EMOJI.WARNING} Comment update event missing issue or comment data`);
+    return;
+  }
+
+  if (comment.updateAuthor?.accountType === 'app' || comment.author?.accountType === 'app') {
+    console.log(`${LOG_EMOJI.INFO} Skipping SyncApp-authored comment edit ${comment.id} on ${remoteIssueKey}`);
+    return;
+  }
+
+  if (isSyncAppComment(comment.body)) {
+    console.log(`${LOG_EMOJI.INFO} Skipping edit of SyncApp comment to avoid loops`);
+    return;
+  }
+
+  const localCommentId = await getLocalCommentId(comment.id, context.orgId);
+  if (!localCommentId) {
+    console.log(`${LOG_EMOJI.SKIP} Remote comment ${comment.id} has no local copy, ignoring edit`);
+    return;
+  }
+
+  const localKey = await getLocalKey(remoteIssueKey, context.orgId);
+  if (!localKey) {
+    if (await parkUntilMapped(remoteIssueKey, payload, context)) {
+      return;
+    }
+    console.log(`${LOG_EMOJI.WARNING} No local mapping for remote comment on ${remoteIssueKey}`);
+    return;
+  }
+
+  const authorName = comment.author?.displayName || comment.author?.emailAddress || 'Unknown User';
+  let commentText = '';
+  if (comment.body && typeof comment.body === 'object') {
+    commentText = extractTextFromADF(comment.body);
+  } else {
+    commentText = comment.body || '';
+  }
+  commentText = sanitizeCommentText(stripSyncPrefix(commentText));
+
+  const parentContext = await resolveLocalParentForIncomingComment(comment, remoteIssueKey, context);
+  const body = buildSyncedCommentADF({
+    orgName: context.org.name,
+    userName: authorName,
+    parentAuthor: parentContext?.parentAuthor || null,
+    parentSnippet: parentContext?.parentSnippet || null,
+    responseText: commentText
+  });
+
+  await markSyncing(localKey);
+  try {
+    const response = await api.asApp().requestJira(route`/rest/api/3/issue/${localKey}/comment/${localCommentId}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ body })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to sync incoming comment edit: ${await response.text()}`);
+    }
+    console.log(`${LOG_EMOJI.COMMENT} Synced edit of comment ${comment.id} from ${remoteIssueKey} to ${localKey} (local comment ${localCommentId})`);
+  } finally {
+    await clearSyncFlag(localKey);
+  }
+}
+
+async function handleRemoteCommentDeleted(payload, context) {
+  if (!shouldSyncIncomingComments(context.syncOptions)) {
+    console.log(`⏭️ Incoming comments disabled for ${context.org.name}`);
+    return;
+  }
+
+  const remoteIssueKey = payload.issue?.key;
+  const comment = payload.comment;
+
+  if (!remoteIssueKey || !comment?.id) {
+    console.log(`${LOG_EMOJI.WARNING} Comment delete event missing issue or comment data`);
+    return;
+  }
+
+  const localCommentId = await getLocalCommentId(comment.id, context.orgId);
+  if (!localCommentId) {
+    console.log(`${LOG_EMOJI.SKIP} Remote comment ${comment.id} has no local copy, nothing to delete`);
+    return;
+  }
+
+  const localKey = await getLocalKey(remoteIssueKey, context.orgId);
+  if (!localKey) {
+    if (await parkUntilMapped(remoteIssueKey, payload, context)) {
+      return;
+    }
+    console.log(`${LOG_EMOJI.WARNING} No local mapping for remote comment on ${remoteIssueKey}`);
+    return;
+  }
+
+  await markSyncing(localKey);
+  try {
+    const response = await api.asApp().requestJira(route`/rest/api/3/issue/${localKey}/comment/${localCommentId}`, {
+      method: 'DELETE'
+    });
+
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`Failed to delete local comment: ${await response.text()}`);
+    }
+    // Removed only once the local comment is gone, so a retry of this event can still find it
+    await removeCommentMapping(localCommentId, comment.id, context.orgId);
+    console.log(`${LOG_EMOJI.COMMENT} Deleted local comment ${localCommentId} on ${localKey} (remote comment ${comment.id} removed)`);
+  } finally {
+    await clearSyncFlag(localKey);
+  }
+}
+
 async function createLocalComment(localIssueKey, body, parentLocalId = null) {
   if (!parentLocalId) {
     return await postLocalComment(localIssueKey, { body });
@@ -659,22 +848,28 @@ async function buildCreatePayload(remoteIssue, targetProjectKey, context) {
   const fields = {
     project: { key: targetProjectKey },
     summary: remoteFields.summary,
-    description: normalizeDescription(remoteFields.description),
+    description: await normalizeDescription(remoteFields.description, context),
     issuetype: determineLocalIssueType(remoteFields.issuetype, context.mappings.issueTypeMappings)
   };
 
-  applyCommonFieldMirroring(fields, remoteFields, context);
-  applyCustomFieldMappings(fields, remoteFields, context.mappings.fieldMappings);
+  await applyCommonFieldMirroring(fields, remoteFields, context);
+  applyCustomFieldMappings(fields, remoteFields, context.mappings.fieldMappings, context.mappings.sprintMappings);
+  await applyOptionValueMappings(fields, customFieldPairs(context.mappings.fieldMappings), {
+    direction: 'inbound',
+    org: context.org,
+    orgId: context.orgId,
+    loadTargetMeta: () => getCreateMeta(targetProjectKey, fields.issuetype)
+  });
   await applyParentMapping(fields, remoteFields, context);
 
   return { fields };
 }
 
-async function buildUpdatePayload(remoteIssue, context) {
+async function buildUpdatePayload(remoteIssue, context, localKey) {
   const remoteFields = remoteIssue.fields || {};
   const fields = {
     summary: remoteFields.summary,
-    description: normalizeDescription(remoteFields.description)
+    description: await normalizeDescription(remoteFields.description, context)
   };
 
   const issueType = determineLocalIssueType(remoteFields.issuetype, context.mappings.issueTypeMappings);
@@ -682,8 +877,14 @@ async function buildUpdatePayload(remoteIssue, context) {
     fields.issuetype = issueType;
   }
 
-  applyCommonFieldMirroring(fields, remoteFields, context);
-  applyCustomFieldMappings(fields, remoteFields, context.mappings.fieldMappings);
+  await applyCommonFieldMirroring(fields, remoteFields, context);
+  applyCustomFieldMappings(fields, remoteFields, context.mappings.fieldMappings, context.mappings.sprintMappings);
+  await applyOptionValueMappings(fields, customFieldPairs(context.mappings.fieldMappings), {
+    direction: 'inbound',
+    org: context.org,
+    orgId: context.orgId,
+    loadTargetMeta: () => getEditMeta(localKey)
+  });
   await applyParentMapping(fields, remoteFields, context);
 
   // Ensure attachment field is never sent in update payload
@@ -691,6 +892,10 @@ async function buildUpdatePayload(remoteIssue, context) {
     delete fields.attachment;
   }
 
+  // Fields owned by the local side (push-only or never) are not pulled
+  const localToRemoteField = Object.fromEntries(customFieldPairs(context.mappings.fieldMappings).map(([remoteId, localId]) => [localId, remoteId]));
+  filterFieldsByDirection(fields, context.fieldDirections, 'pull', (key) => localToRemoteField[key]);
+
   console.log(`📦 Update payload fields: ${Object.keys(fields).join(', ')}`);
 
   return { fields };
@@ -737,17 +942,21 @@ function determineLocalIssueType(remoteIssueType, issueTypeMappings) {
   return { name: remoteIssueType.name || 'Task' };
 }
 
-function normalizeDescription(value) {
+async function normalizeDescription(value, context) {
   if (!value) {
     return textToADF('');
   }
   if (typeof value === 'object') {
-    const cloned = JSON.parse(JSON.stringify(value));
-    const sanitized = stripMediaNodes(cloned);
-    if (!sanitized || !Array.isArray(sanitized.content) || sanitized.content.length === 0) {
+    // Remote media IDs can't be resolved locally; attachments are mirrored separately
+    const transformed = await transformADF(value, {
+      dropUnmappedMedia: true,
+      mapUser: (accountId) => mapUserToLocal(accountId, context.mappings.userMappings),
+      resolveIssueKey: (key) => getLocalKey(key, context.orgId)
+    });
+    if (!transformed || !Array.isArray(transformed.content) || transformed.content.length === 0) {
       return textToADF('');
     }
-    return sanitized;
+    return transformed;
   }
   if (typeof value === 'string') {
     return textToADF(value);
@@ -755,28 +964,7 @@ function normalizeDescription(value) {
   return textToADF('');
 }
 
-function stripMediaNodes(adfNode) {
-  if (!adfNode || typeof adfNode !== 'object') {
-    return adfNode;
-  }
-
-  // Remove media-related nodes entirely
-  const mediaTypes = new Set(['media', 'mediaSingle', 'mediaGroup']);
-  if (mediaTypes.has(adfNode.type)) {
-    return null;
-  }
-
-  if (Array.isArray(adfNode.content)) {
-    const cleaned = adfNode.content
-      .map(child => stripMediaNodes(child))
-      .filter(child => child !== null);
-    adfNode.content = cleaned;
-  }
-
-  return adfNode;
-}
-
-function applyCommonFieldMirroring(targetFields, remoteFields, context) {
+async function applyCommonFieldMirroring(targetFields, remoteFields, context) {
   if (remoteFields.priority) {
     targetFields.priority = { name: remoteFields.priority.name };
   }
@@ -808,13 +996,21 @@ function applyCommonFieldMirroring(targetFields, remoteFields, context) {
     targetFields.timetracking = deepClone(remoteFields.timetracking);
   }
 
+  const userResolution = {
+    direction: 'inbound',
+    org: context.org,
+    orgId: context.orgId,
+    userMappings: context.mappings.userMappings,
+    config: context.userMappingConfig
+  };
+
   if ('assignee' in remoteFields) {
     if (remoteFields.assignee === null) {
       targetFields.assignee = null;
     } else if (remoteFields.assignee?.accountId) {
-      const mapped = mapUserToLocal(remoteFields.assignee.accountId, context.mappings.userMappings);
-      if (mapped) {
-        targetFields.assignee = { accountId: mapped };
+      const mapped = await resolveUserForField(remoteFields.assignee, userResolution);
+      if (mapped !== undefined) {
+        targetFields.assignee = mapped;
       }
       else {
         console.log(`${LOG_EMOJI.WARNING} No local mapping for remote assignee ${remoteFields.assignee.accountId}`);
@@ -826,9 +1022,9 @@ function applyCommonFieldMirroring(targetFields, remoteFields, context) {
     if (remoteFields.reporter === null) {
       targetFields.reporter = null;
     } else if (remoteFields.reporter?.accountId) {
-      const mapped = mapUserToLocal(remoteFields.reporter.accountId, context.mappings.userMappings);
+      const mapped = await resolveUserForField(remoteFields.reporter, userResolution);
       if (mapped) {
-        targetFields.reporter = { accountId: mapped };
+        targetFields.reporter = mapped;
       }
       else {
         console.log(`${LOG_EMOJI.WARNING} No local mapping for remote reporter ${remoteFields.reporter.accountId}`);
@@ -837,7 +1033,14 @@ function applyCommonFieldMirroring(targetFields, remoteFields, context) {
   }
 }
 
-function applyCustomFieldMappings(targetFields, remoteFields, fieldMappings) {
+// [remoteFieldId, localFieldId] pairs from the field mappings
+function customFieldPairs(fieldMappings) {
+  return Object.entries(fieldMappings || {})
+    .map(([remoteFieldId, mapping]) => [remoteFieldId, typeof mapping === 'string' ? mapping : mapping?.localId])
+    .filter(([, localFieldId]) => Boolean(localFieldId));
+}
+
+function applyCustomFieldMappings(targetFields, remoteFields, fieldMappings, sprintMappings = {}) {
   if (!fieldMappings) {
     return;
   }
@@ -867,6 +1070,15 @@ function applyCustomFieldMappings(targetFields, remoteFields, fieldMappings) {
       continue;
     }
 
+    // Sprint IDs differ between sites - write the mapped local sprint ID instead
+    if (isSprintFieldValue(value)) {
+      const localSprintId = translateSprintToLocal(value, sprintMappings);
+      if (localSprintId !== undefined) {
+        targetFields[localFieldId] = localSprintId;
+      }
+      continue;
+    }
+
     targetFields[localFieldId] = deepClone(value);
   }
 }
@@ -961,12 +1173,14 @@ async function handleRemoteAttachmentCreated(payload, context) {
     return;
   }
 
-  if (!remoteIssueKey && payload?.changelog?.items) {
-    await recordAttachmentIssueMappingFromChangelog(payload.changelog.items, remoteIssue?.key || null, context.orgId);
+  if (!remoteIssueKey) {
+    remoteIssueKey = await getCachedAttachmentIssueKey(attachment.id, context.orgId);
   }
 
-  if (!remoteIssueKey) {
-    remoteIssueKey = await waitForAttachmentIssueKey(attachment.id, context.orgId);
+  // The issue's changelog event names the attachment's issue; wait for it instead of polling
+  if (!remoteIssueKey && await parkUntil(`attachment:${attachment.id}`, payload, context,
+    () => getCachedAttachmentIssueKey(attachment.id, context.orgId))) {
+    return;
   }
 
   if (!remoteIssueKey) {
@@ -977,6 +1191,9 @@ async function handleRemoteAttachmentCreated(payload, context) {
 
   const localKey = await getLocalKey(remoteIssueKey, context.orgId);
   if (!localKey) {
+    if (await parkUntilMapped(remoteIssueKey, payload, context)) {
+      return;
+    }
     console.log(`${LOG_EMOJI.WARNING} No local mapping for remote attachment on ${remoteIssueKey}`);
     return;
   }
@@ -984,7 +1201,7 @@ async function handleRemoteAttachmentCreated(payload, context) {
   console.log(`${LOG_EMOJI.INFO} Local issue for ${remoteIssueKey} resolved to ${localKey}`);
 
   // Check if already synced
-  const existingMapping = await getAttachmentMapping(attachment.id, context.orgId);
+  const existingMapping = await getLocalAttachmentId(attachment.id, context.orgId);
   if (existingMapping) {
     console.log(`${LOG_EMOJI.SKIP} Attachment ${attachment.filename} already synced (mapping exists)`);
     return;
@@ -1004,10 +1221,9 @@ async function handleRemoteAttachmentCreated(payload, context) {
   try {
     // 1. Download from Remote
     console.log(`⬇️ Downloading from: ${attachment.content}`);
-    const auth = Buffer.from(`${context.org.remoteEmail}:${context.org.remoteApiToken}`).toString('base64');
-    const downloadResponse = await fetch(attachment.content, {
+    const downloadResponse = await new RemoteJiraClient(context.org).get(attachment.content, {
+      operation: `Download remote attachment ${attachment.filename}`,
       headers: {
-        'Authorization': `Basic ${auth}`,
         'Accept': '*/*'
       }
     });
@@ -1029,10 +1245,7 @@ async function handleRemoteAttachmentCreated(payload, context) {
 
     if (uploadedAttachment) {
       console.log(`${LOG_EMOJI.SUCCESS} Synced attachment ${attachment.filename} to ${localKey}`);
-      // Store mapping: Remote ID -> Local ID (Note: getAttachmentMapping usually expects Local ID -> Remote ID, 
-      // but for inbound we might need to store it differently or just rely on the fact that we check by Remote ID here?
-      // Actually, storeAttachmentMapping stores localAttachmentId -> remoteAttachmentId.
-      // So we should store uploadedAttachment.id -> attachment.id
+      // storeAttachmentMapping is keyed local -> remote and also writes the remote -> local index
       await storeAttachmentMapping(uploadedAttachment.id, attachment.id, context.orgId);
     } else {
       console.error(`${LOG_EMOJI.ERROR} Failed to upload attachment to local issue`);
@@ -1046,6 +1259,57 @@ async function handleRemoteAttachmentCreated(payload, context) {
   }
 }
 
+async function handleRemoteAttachmentDeleted(payload, context) {
+  const attachment = payload.attachment;
+  console.log(`${LOG_EMOJI.ATTACHMENT} Handling attachment_deleted event (attachment ${attachment?.id || 'unknown'})`);
+
+  if (!shouldSyncIncomingAttachments(context.syncOptions)) {
+    console.log(`⏭️ Incoming attachments disabled for ${context.org.name}`);
+    return;
+  }
+
+  if (!attachment?.id) {
+    console.log(`${LOG_EMOJI.WARNING} Attachment delete event missing attachment data. Keys: ${Object.keys(payload).join(', ')}`);
+    return;
+  }
+
+  const localAttachmentId = await getLocalAttachmentId(attachment.id, context.orgId);
+  if (!localAttachmentId) {
+    console.log(`${LOG_EMOJI.SKIP} Remote attachment ${attachment.id} has no local copy, nothing to delete`);
+    return;
+  }
+
+  const remoteIssueKey = payload.issue?.key || await getCachedAttachmentIssueKey(attachment.id, context.orgId);
+  const localKey = remoteIssueKey ? await getLocalKey(remoteIssueKey, context.orgId) : null;
+
+  if (localKey) {
+    await markSyncing(localKey);
+  }
+  try {
+    const deleted = await deleteAttachment(localAttachmentId);
+    if (!deleted) {
+      await trackWebhookSync('attachment-delete', false, `Failed to delete local attachment ${localAttachmentId}`, context.orgId, localKey, {
+        remoteAttachmentId: attachment.id,
+        filename: attachment.filename
+      });
+      return;
+    }
+
+    // Without a mapping the outbound deletion sync has nothing to echo back to the remote
+    await removeAttachmentMapping(localAttachmentId, context.orgId);
+    console.log(`${LOG_EMOJI.SUCCESS} Deleted local attachment ${localAttachmentId} (${attachment.filename || 'unknown file'})${localKey ? ` from ${localKey}` : ''}`);
+    await trackWebhookSync('attachment-delete', true, null, context.orgId, localKey, {
+      remoteAttachmentId: attachment.id,
+      localAttachmentId
+    });
+  } finally {
+    if (localKey) {
+      await clearSyncFlag(localKey);
+    }
+    await deleteAttachmentIssueMapping(attachment.id, context.orgId);
+  }
+}
+
 async function handleRemoteIssueLinkCreated(payload, context) {
   if (!shouldSyncIncomingLinks(context.syncOptions)) {
     console.log(`⏭️ Incoming links disabled for ${context.org.name}`);
@@ -1097,6 +1361,239 @@ async function handleRemoteIssueLinkCreated(payload, context) {
   await recordInboundLinkMapping(localOutwardKey, localInwardKey, linkTypeName, context.orgId);
 }
 
+async function handleRemoteIssueLinkDeleted(payload, context) {
+  if (!shouldSyncIncomingLinks(context.syncOptions)) {
+    console.log(`⏭️ Incoming links disabled for ${context.org.name}`);
+    return;
+  }
+
+  const link = payload.issueLink;
+  if (!link) {
+    console.log(`${LOG_EMOJI.WARNING} Link delete event missing issueLink payload`);
+    return;
+  }
+
+  const linkTypeName = link.type?.name || link.issueLinkType?.name || null;
+  const remoteOutwardKey = link.outwardIssue?.key || await resolveRemoteIssueKey(link.sourceIssueId, context.org);
+  const remoteInwardKey = link.inwardIssue?.key || await resolveRemoteIssueKey(link.destinationIssueId, context.org);
+
+  if (!remoteOutwardKey || !remoteInwardKey) {
+    console.log(`${LOG_EMOJI.WARNING} Link delete event missing outward/inward issue keys`);
+    return;
+  }
+
+  const localOutwardKey = await getLocalKey(remoteOutwardKey, context.orgId);
+  const localInwardKey = await getLocalKey(remoteInwardKey, context.orgId);
+
+  if (!localOutwardKey || !localInwardKey) {
+    console.log(`${LOG_EMOJI.SKIP} Link ${remoteOutwardKey} ⇄ ${remoteInwardKey} not synced locally, nothing to delete`);
+    return;
+  }
+
+  const existingLinks = await fetchLocalIssueLinks(localOutwardKey);
+  if (!existingLinks) {
+    console.log(`${LOG_EMOJI.WARNING} Could not load local issue ${localOutwardKey} links`);
+    return;
+  }
+
+  const localLink = findMatchingLink(existingLinks, localInwardKey, linkTypeName);
+  if (!localLink) {
+    console.log(`${LOG_EMOJI.SKIP} Link ${localOutwardKey} ⇄ ${localInwardKey} (${linkTypeName || 'any type'}) not found locally, may have been already deleted`);
+    return;
+  }
+
+  // The link-deleted trigger fires after this request returns; the marker tells it this one
+  // link came from the remote, without holding back other link deletions on these issues
+  await markLinkDeletedBySync(localLink.id);
+  await markSyncing(localOutwardKey);
+  await markSyncing(localInwardKey);
+  try {
+    const response = await api.asApp().requestJira(route`/rest/api/3/issueLink/${localLink.id}`, {
+      method: 'DELETE'
+    });
+
+    if (!response.ok && response.status !== 204) {
+      await clearLinkDeletedBySync(localLink.id);
+      throw new Error(`Failed to delete local issue link: ${await response.text()}`);
+    }
+  } finally {
+    await clearSyncFlag(localOutwardKey);
+    await clearSyncFlag(localInwardKey);
+  }
+
+  await removeLinkMapping(localLink.id, context.orgId);
+  console.log(`${LOG_EMOJI.SUCCESS} Deleted local issue link ${localOutwardKey} ⇄ ${localInwardKey} (${localLink.type?.name})`);
+}
+
+async function handleRemoteWorklogCreated(payload, context) {
+  const target = await resolveIncomingWorklog(payload, context, 'create');
+  if (!target) {
+    return;
+  }
+
+  const { worklog, remoteIssueKey, localKey } = target;
+  if (await getLocalWorklogId(worklog.id, context.orgId)) {
+    console.log(`${LOG_EMOJI.SKIP} Remote worklog ${worklog.id} already synced locally`);
+    return;
+  }
+
+  const body = buildWorklogPayload(worklog, context.org.name, (accountId) => mapUserToLocal(accountId, context.mappings.userMappings));
+
+  await markSyncing(localKey);
+  try {
+    const response = await api.asApp().requestJira(route`/rest/api/3/issue/${localKey}/worklog?notifyUsers=false&adjustEstimate=leave`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to sync incoming worklog: ${await response.text()}`);
+    }
+
+    const created = await response.json();
+    if (created?.id) {
+      await storeWorklogMapping(created.id, worklog.id, context.orgId);
+    }
+    console.log(`${LOG_EMOJI.WORKLOG} Synced worklog ${worklog.id} from ${remoteIssueKey} to ${localKey}`);
+    await trackWebhookSync('worklog', true, null, context.org.id, localKey, {
+      action: 'create',
+      direction: 'incoming',
+      remoteKey: remoteIssueKey,
+      remoteWorklogId: worklog.id,
+      worklogId: created?.id || null
+    });
+  } finally {
+    await clearSyncFlag(localKey);
+  }
+}
+
+async function handleRemoteWorklogUpdated(payload, context) {
+  const target = await resolveIncomingWorklog(payload, context, 'update');
+  if (!target) {
+    return;
+  }
+
+  const { worklog, remoteIssueKey, localKey } = target;
+  const localWorklogId = await getLocalWorklogId(worklog.id, context.orgId);
+  if (!localWorklogId) {
+    console.log(`${LOG_EMOJI.SKIP} Remote worklog ${worklog.id} has no local copy, ignoring edit`);
+    return;
+  }
+
+  const body = buildWorklogPayload(worklog, context.org.name, (accountId) => mapUserToLocal(accountId, context.mappings.userMappings));
+
+  await markSyncing(localKey);
+  try {
+    const response = await api.asApp().requestJira(route`/rest/api/3/issue/${localKey}/worklog/${localWorklogId}?notifyUsers=false&adjustEstimate=leave`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to sync incoming worklog edit: ${await response.text()}`);
+    }
+
+    console.log(`${LOG_EMOJI.WORKLOG} Synced worklog edit ${worklog.id} from ${remoteIssueKey} to ${localKey} (worklog ${localWorklogId})`);
+    await trackWebhookSync('worklog', true, null, context.org.id, localKey, {
+      action: 'update',
+      direction: 'incoming',
+      remoteKey: remoteIssueKey,
+      remoteWorklogId: worklog.id,
+      worklogId: localWorklogId
+    });
+  } finally {
+    await clearSyncFlag(localKey);
+  }
+}
+
+async function handleRemoteWorklogDeleted(payload, context) {
+  const target = await resolveIncomingWorklog(payload, context, 'delete');
+  if (!target) {
+    return;
+  }
+
+  const { worklog, remoteIssueKey, localKey } = target;
+  const localWorklogId = await getLocalWorklogId(worklog.id, context.orgId);
+  if (!localWorklogId) {
+    console.log(`${LOG_EMOJI.SKIP} Remote worklog ${worklog.id} has no local copy, nothing to delete`);
+    return;
+  }
+
+  await markSyncing(localKey);
+  try {
+    const response = await api.asApp().requestJira(route`/rest/api/3/issue/${localKey}/worklog/${localWorklogId}?notifyUsers=false&adjustEstimate=leave`, {
+      method: 'DELETE'
+    });
+
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`Failed to delete local worklog: ${await response.text()}`);
+    }
+    // Removed only once the local worklog is gone, so a retry of this event can still find it
+    await removeWorklogMapping(localWorklogId, worklog.id, context.orgId);
+
+    console.log(`${LOG_EMOJI.SUCCESS} Deleted local worklog ${localWorklogId} on ${localKey} (remote ${remoteIssueKey} worklog ${worklog.id})`);
+    await trackWebhookSync('worklog', true, null, context.org.id, localKey, {
+      action: 'delete',
+      direction: 'incoming',
+      remoteKey: remoteIssueKey,
+      remoteWorklogId: worklog.id,
+      worklogId: localWorklogId
+    });
+  } finally {
+    await clearSyncFlag(localKey);
+  }
+}
+
+async function resolveIncomingWorklog(payload, context, action) {
+  if (context.syncOptions?.syncWorklogs !== true) {
+    console.log(`⏭️ Incoming worklogs disabled for ${context.org.name}`);
+    return null;
+  }
+
+  const eventWorklog = payload.worklog;
+  if (!eventWorklog?.id) {
+    console.log(`${LOG_EMOJI.WARNING} Worklog ${action} event missing worklog data`);
+    return null;
+  }
+
+  const remoteIssueKey = payload.issue?.key || await resolveRemoteIssueKey(eventWorklog.issueId, context.org);
+  if (!remoteIssueKey) {
+    console.log(`${LOG_EMOJI.WARNING} Could not resolve remote issue for worklog ${eventWorklog.id}`);
+    return null;
+  }
+
+  const localKey = await getLocalKey(remoteIssueKey, context.orgId);
+  if (!localKey) {
+    if (await parkUntilMapped(remoteIssueKey, payload, context)) {
+      return null;
+    }
+    console.log(`${LOG_EMOJI.WARNING} No local mapping for remote worklog on ${remoteIssueKey}`);
+    return null;
+  }
+
+  // Webhook bodies carry the comment as plain text; fetch the full worklog when it still exists
+  const worklog = action === 'delete'
+    ? eventWorklog
+    : (await getRemoteWorklog(remoteIssueKey, eventWorklog.id, context.org)) || eventWorklog;
+
+  if (action !== 'delete' && isMirroredWorklog(worklog)) {
+    console.log(`${LOG_EMOJI.INFO} Skipping worklog ${worklog.id} written by SyncApp to avoid loops`);
+    return null;
+  }
+
+  return { worklog, remoteIssueKey, localKey };
+}
+
+async function resolveRemoteIssueKey(issueId, org) {
+  if (!issueId) {
+    return null;
+  }
+  const remoteIssue = await getRemoteIssue(issueId, org, ['summary']);
+  return remoteIssue?.key || null;
+}
+
 async function syncIncomingLinksForIssue(remoteIssue, localIssueKey, context) {
   if (!shouldSyncIncomingLinks(context.syncOptions)) {
     return;
@@ -1199,12 +1696,14 @@ function buildAttachmentIssueCacheKey(attachmentId, orgId) {
   return `${prefix}:incoming-attachment:${attachmentId}`;
 }
 
+// Returns the IDs of the attachments it cached
 async function recordAttachmentIssueMappingFromChangelog(items, remoteIssueKey, orgId) {
   if (!Array.isArray(items) || !remoteIssueKey) {
-    return;
+    return [];
   }
 
   const operations = [];
+  const attachmentIds = [];
   for (const item of items) {
     if ((item.field || '').toLowerCase() !== 'attachment') {
       continue;
@@ -1215,12 +1714,14 @@ async function recordAttachmentIssueMappingFromChangelog(items, remoteIssueKey,
     }
     const key = buildAttachmentIssueCacheKey(attachmentId, orgId);
     operations.push(kvsStore.set(key, { issueKey: remoteIssueKey, expiresAt: Date.now() + ATTACHMENT_ISSUE_CACHE_TTL_MS }));
+    attachmentIds.push(attachmentId);
     console.log(`${LOG_EMOJI.INFO} Cached attachment ${attachmentId} → ${remoteIssueKey}`);
   }
 
   if (operations.length > 0) {
     await Promise.all(operations);
   }
+  return attachmentIds;
 }
 
 async function getCachedAttachmentIssueKey(attachmentId, orgId) {
@@ -1239,28 +1740,6 @@ async function getCachedAttachmentIssueKey(attachmentId, orgId) {
   return record.issueKey || null;
 }
 
-async function waitForAttachmentIssueKey(attachmentId, orgId) {
-  for (let attempt = 1; attempt <= ATTACHMENT_ISSUE_CACHE_RETRY_ATTEMPTS; attempt++) {
-    const cachedKey = await getCachedAttachmentIssueKey(attachmentId, orgId);
-    if (cachedKey) {
-      if (attempt === 1) {
-        console.log(`${LOG_EMOJI.INFO} Resolved ${attachmentId} → ${cachedKey} from changelog cache`);
-      } else {
-        const waitedMs = (attempt - 1) * ATTACHMENT_ISSUE_CACHE_RETRY_DELAY_MS;
-        console.log(`${LOG_EMOJI.INFO} Resolved ${attachmentId} → ${cachedKey} from changelog cache after waiting ${waitedMs}ms`);
-      }
-      return cachedKey;
-    }
-
-    if (attempt < ATTACHMENT_ISSUE_CACHE_RETRY_ATTEMPTS) {
-      console.log(`${LOG_EMOJI.INFO} Waiting for attachment ${attachmentId} cache entry (attempt ${attempt}/${ATTACHMENT_ISSUE_CACHE_RETRY_ATTEMPTS})`);
-      await sleep(ATTACHMENT_ISSUE_CACHE_RETRY_DELAY_MS);
-    }
-  }
-
-  return null;
-}
-
 async function deleteAttachmentIssueMapping(attachmentId, orgId) {
   if (!attachmentId) {
     return;
@@ -1281,7 +1760,7 @@ async function ensureParentReadyForCreate(remoteIssue, context, options = {}) {
     return true;
   }
 
-  const localParentKey = await waitForLocalParentKey(parentKey, context.orgId);
+  const localParentKey = await getLocalKey(parentKey, context.orgId);
   if (localParentKey) {
     remoteIssue.localParentKey = localParentKey;
     return true;
@@ -1294,29 +1773,47 @@ async function ensureParentReadyForCreate(remoteIssue, context, options = {}) {
 
   await enqueuePendingChildIssue(parentKey, remoteIssue.key, context.orgId);
   console.log(`${LOG_EMOJI.INFO} Queued subtask ${remoteIssue.key} until parent ${parentKey} syncs locally`);
+
+  // The parent may have been created while this was queued, after it looked for pending children
+  if (await getLocalKey(parentKey, context.orgId)) {
+    await processPendingChildIssues(parentKey, context);
+  }
   return false;
 }
 
-async function waitForLocalParentKey(remoteParentKey, orgId) {
-  for (let attempt = 1; attempt <= PARENT_MAPPING_RETRY_ATTEMPTS; attempt++) {
-    const localKey = await getLocalKey(remoteParentKey, orgId);
-    if (localKey) {
-      if (attempt === 1) {
-        console.log(`${LOG_EMOJI.INFO} Parent ${remoteParentKey} already mapped to ${localKey}`);
-      } else {
-        const waited = (attempt - 1) * PARENT_MAPPING_RETRY_DELAY_MS;
-        console.log(`${LOG_EMOJI.INFO} Parent ${remoteParentKey} mapped to ${localKey} after waiting ${waited}ms`);
-      }
-      return localKey;
-    }
+// Events for a remote issue whose create was received wait for its mapping instead of being ignored.
+// Issues that were never created through the sync are not awaited, so their events are still ignored.
+async function parkUntilMapped(remoteIssueKey, payload, context) {
+  if (!remoteIssueKey || !getIncomingTargetProject(context.org) || !await isAwaitingMapping(context.orgId, remoteIssueKey)) {
+    return false;
+  }
+  return await parkUntil(`issue:${remoteIssueKey}`, payload, context, () => getLocalKey(remoteIssueKey, context.orgId));
+}
 
-    if (attempt < PARENT_MAPPING_RETRY_ATTEMPTS) {
-      console.log(`${LOG_EMOJI.INFO} Waiting for parent ${remoteParentKey} mapping (attempt ${attempt}/${PARENT_MAPPING_RETRY_ATTEMPTS})`);
-      await sleep(PARENT_MAPPING_RETRY_DELAY_MS);
-    }
+async function parkUntil(prerequisite, payload, context, isReady) {
+  if (!await parkEvent(context.orgId, prerequisite, payload)) {
+    return false;
+  }
+  // The prerequisite may have arrived after its replay had already run
+  if (await isReady()) {
+    await replayParkedEvents(prerequisite, context);
   }
+  return true;
+}
 
-  return null;
+// Parked events go back through the inbound queue, so a replay that fails is retried like any delivery
+async function replayParkedEvents(prerequisite, context) {
+  await releaseParkedEvents(context.orgId, prerequisite, async (payload) => {
+    await enqueueInbound(context.org, payload);
+    console.log(`${LOG_EMOJI.SYNC} Re-queued parked ${payload.webhookEvent} now that ${prerequisite} is available`);
+  });
+}
+
+// The local project remote issues are created in; without one, remote issues are out of sync scope
+function getIncomingTargetProject(org) {
+  return Array.isArray(org.allowedProjects) && org.allowedProjects.length > 0
+    ? org.allowedProjects[0]
+    : null;
 }
 
 function isSubtaskIssue(remoteIssue) {
@@ -1375,6 +1872,14 @@ function shouldSkipUpdateForAttachmentOnly(payload) {
   });
 }
 
+function isIssueLinkEvent(webhookEvent) {
+  return webhookEvent === 'jira:issue_link_created' || webhookEvent === 'jira:issue_link_deleted';
+}
+
+function isWorklogEvent(webhookEvent) {
+  return webhookEvent === 'worklog_created' || webhookEvent === 'worklog_updated' || webhookEvent === 'worklog_deleted';
+}
+
 function isAttachmentEvent(webhookEvent) {
   return webhookEvent === 'attachment_created' || webhookEvent === 'jira:attachment_created' ||
          webhookEvent === 'attachment_deleted' || webhookEvent === 'jira:attachment_deleted';
@@ -1,19 +1,27 @@
-import api, { route, fetch } from '@forge/api';
+import api, { route } from '@forge/api';
 import * as kvsStore from '../storage/kvs.js';
 import { LOG_EMOJI, HTTP_STATUS, MAX_PARENT_SYNC_DEPTH } from '../../constants.js';
-import { retryWithBackoff } from '../../utils/retry.js';
-import { extractTextFromADF, textToADF, replaceMediaIdsInADF, prependCrossReferenceToADF } from '../../utils/adf.js';
+import { textToADF, transformADF, prependCrossReferenceToADF } from '../../utils/adf.js';
 import { mapUserToRemote, reverseMapping } from '../../utils/mapping.js';
 import { getRemoteKey, getLocalKey, storeMapping, getOrganizationsWithTokens, setLastSyncedLocalUpdated } from '../storage/mappings.js';
 import { markSyncing, clearSyncFlag, isSyncing, findPendingLinksToIssue, removePendingLink } from '../storage/flags.js';
 import { trackWebhookSync, logAuditEntry } from '../storage/stats.js';
 import { getFullIssue, getOrgName, updateLocalIssueDescription } from '../jira/local-client.js';
-import { syncAttachments } from './attachment-sync.js';
+import { syncAttachments, syncAttachmentDeletions, getStoredAttachmentMapping } from './attachment-sync.js';
 import { syncIssueLinks, createLinkOnRemote } from './link-sync.js';
 import { syncAllComments } from './comment-sync.js';
+import { syncAllWorklogs } from './worklog-sync.js';
 import { transitionRemoteIssue } from './transition-sync.js';
 import { SyncResult } from './sync-result.js';
 import { isProjectAllowedToSync } from '../../utils/validation.js';
+import { RemoteJiraClient, getRemoteIssue, getRemoteEditMeta, getRemoteCreateMeta } from '../jira/remote-client.js';
+import { checkFieldConflicts, recordFieldSnapshot, CONFLICT_CHECK_FIELDS } from './conflict-resolution.js';
+import { isSprintFieldValue, translateSprintToRemote } from './sprint-sync.js';
+import { applyOptionValueMappings } from './option-mapping.js';
+import { resolveUserForField } from './user-resolution.js';
+import { getFieldDirections, filterFieldsByDirection, allowsDirection } from './field-directions.js';
+import { resolveChangeSet, pruneUnchangedFields } from './change-set.js';
+import { isStaleEvent } from './event-sequencing.js';
 
 // Cache for Epic Link field IDs
 let epicLinkFieldCache = {
@@ -65,14 +73,11 @@ async function getRemoteEpicLinkFieldId(org) {
   if (epicLinkFieldCache.remote[org.id] && epicLinkFieldCache.remote[org.id].expiresAt > now) {
     return epicLinkFieldCache.remote[org.id].id;
   }
-  
-  const auth = Buffer.from(`${org.remoteEmail}:${org.remoteApiToken}`).toString('base64');
-  
+
   try {
-    const response = await fetch(`${org.remoteUrl}/rest/api/3/field`, {
+    const response = await new RemoteJiraClient(org).request('/rest/api/3/field', {
       method: 'GET',
       headers: {
-        'Authorization': `Basic ${auth}`,
         'Content-Type': 'application/json'
       }
     });
@@ -254,8 +259,15 @@ async function processPendingLinksForNewlySyncedIssue(localIssueKey, remoteIssue
   }
 }
 
-export async function syncIssue(event) {
+/**
+ * Sync a local issue to every configured organization.
+ * options.orgIds limits the run to those organizations (used when the outbound queue retries).
+ * options.fullUpdate sends every mapped field instead of only the changelog entries.
+ * Returns { failures: [{ orgId, error }] } for organizations the change did not reach.
+ */
+export async function syncIssue(event, options = {}) {
   const issueKey = event.issue.key;
+  const failures = [];
 
   // Check if LOCAL issue is syncing
   if (await isSyncing(issueKey)) {
@@ -264,7 +276,7 @@ export async function syncIssue(event) {
       reason: 'Issue is currently being synced by another process',
       eventType: event.eventType
     });
-    return;
+    return { failures };
   }
 
   // Get all organizations with their API tokens from secure storage
@@ -281,12 +293,16 @@ export async function syncIssue(event) {
     });
   }
 
+  if (options.orgIds) {
+    organizations = organizations.filter(org => options.orgIds.includes(org.id));
+  }
+
   if (organizations.length === 0) {
     console.log('Sync skipped: no organizations configured');
     await trackWebhookSync('skip', false, 'No organizations configured', null, issueKey, {
       reason: 'No target organizations configured in settings'
     });
-    return;
+    return { failures };
   }
 
   const issue = await getFullIssue(issueKey);
@@ -296,7 +312,7 @@ export async function syncIssue(event) {
       reason: 'Failed to retrieve issue from Jira API',
       eventType: event.eventType
     });
-    return;
+    return { failures };
   }
 
   const projectKey = issue.fields.project.key;
@@ -324,12 +340,13 @@ export async function syncIssue(event) {
     }
 
     // Fetch org-specific mappings
-    const [userMappings, fieldMappings, statusMappings, issueTypeMappings, projectMappings, syncOptions] = await Promise.all([
+    const [userMappings, fieldMappings, statusMappings, issueTypeMappings, projectMappings, sprintMappings, syncOptions] = await Promise.all([
       kvsStore.get(org.id === 'legacy' ? 'userMappings' : `userMappings:${org.id}`),
       kvsStore.get(org.id === 'legacy' ? 'fieldMappings' : `fieldMappings:${org.id}`),
       kvsStore.get(org.id === 'legacy' ? 'statusMappings' : `statusMappings:${org.id}`),
       kvsStore.get(org.id === 'legacy' ? 'issueTypeMappings' : `issueTypeMappings:${org.id}`),
       kvsStore.get(org.id === 'legacy' ? 'projectMappings' : `projectMappings:${org.id}`),
+      kvsStore.get(org.id === 'legacy' ? 'sprintMappings' : `sprintMappings:${org.id}`),
       kvsStore.get(org.id === 'legacy' ? 'syncOptions' : `syncOptions:${org.id}`)
     ]);
 
@@ -338,11 +355,19 @@ export async function syncIssue(event) {
       fieldMappings: fieldMappings || {},
       statusMappings: statusMappings || {},
       issueTypeMappings: issueTypeMappings || {},
-      projectMappings: projectMappings || {}
+      projectMappings: projectMappings || {},
+      sprintMappings: sprintMappings || {}
     };
 
     const existingRemoteKey = await getRemoteKey(issueKey, org.id === 'legacy' ? null : org.id);
 
+    // Without a changelog the change set is read from the changelog after the last sync, so an
+    // event from before that sync has nothing left to send. Events with their own items still run.
+    if (existingRemoteKey && !options.fullUpdate && !event.changelog?.items?.length && await isStaleEvent(issueKey, 'local', event.sourceTimestamp, org.id === 'legacy' ? null : org.id)) {
+      console.log(`${LOG_EMOJI.SKIP} Skipping ${issueKey} for ${org.name} - a newer state was already synced`);
+      continue;
+    }
+
     // Create sync result tracker
     const syncResult = new SyncResult(existingRemoteKey ? 'update' : 'create');
     let remoteKey = existingRemoteKey;
@@ -350,7 +375,12 @@ export async function syncIssue(event) {
     try {
       if (existingRemoteKey) {
         console.log(`${LOG_EMOJI.UPDATE} UPDATE for ${org.name}: ${issueKey} → ${existingRemoteKey}`);
-        await updateRemoteIssueForOrg(issueKey, existingRemoteKey, issue, org, mappings, syncOptions, syncResult);
+        if (syncOptions?.syncAttachments !== false && event.changelog?.items) {
+          await syncAttachmentDeletions(issueKey, event.changelog.items, org, syncResult, org.id === 'legacy' ? null : org.id);
+        }
+        // Only push what changed since the last sync to this org
+        const changes = options.fullUpdate ? null : await resolveChangeSet(issueKey, event.changelog?.items, org.id === 'legacy' ? null : org.id);
+        await updateRemoteIssueForOrg(issueKey, existingRemoteKey, issue, org, mappings, { ...(syncOptions || {}), changes }, syncResult);
         await trackWebhookSync('update', syncResult.success, syncResult.errors.join('; '), org.id, issueKey, {
           remoteKey: existingRemoteKey,
           projectKey,
@@ -388,6 +418,10 @@ export async function syncIssue(event) {
         });
       }
 
+      if (!syncResult.success || !remoteKey) {
+        failures.push({ orgId: org.id, error: syncResult.errors.join('; ') || 'Remote issue was not created' });
+      }
+
       // Log comprehensive summary for this org
       syncResult.logSummary(issueKey, remoteKey, org.name);
     } catch (error) {
@@ -408,10 +442,12 @@ export async function syncIssue(event) {
         success: false,
         errors: [error.message]
       });
+      failures.push({ orgId: org.id, error: error.message });
     }
   }
 
   console.log(`\n✅ Completed sync for ${issueKey} across ${organizations.length} organization(s)`);
+  return { failures };
 }
 
 // Legacy exports for backward compatibility with scheduled sync and manual sync
@@ -428,30 +464,41 @@ export async function updateRemoteIssue(localKey, remoteKey, issue, config, mapp
   return await updateRemoteIssueForOrg(localKey, remoteKey, issue, config, mappings, syncOptions, syncResult, orgId);
 }
 
+/**
+ * Build the remote description from the local one, keeping the full ADF structure.
+ * Media without a synced attachment is dropped since its ID means nothing on the remote.
+ */
+async function buildRemoteDescription(description, org, mappings, orgId, attachmentMapping = {}) {
+  if (!description) {
+    return textToADF('');
+  }
+  if (typeof description === 'string') {
+    return textToADF(description);
+  }
+  if (typeof description !== 'object') {
+    return textToADF('');
+  }
+
+  return await transformADF(description, {
+    attachmentMapping,
+    dropUnmappedMedia: true,
+    mapUser: (accountId) => mapUserToRemote(accountId, mappings.userMappings || {}),
+    resolveIssueKey: (key) => getRemoteKey(key, orgId),
+    targetBaseUrl: org.remoteUrl
+  });
+}
+
 // Internal multi-org functions
 async function createRemoteIssueForOrg(issue, org, mappings, syncOptions, syncResult = null, orgIdOverride = null, depth = 0) {
   const orgId = orgIdOverride !== null ? orgIdOverride : (org.id === 'legacy' ? null : org.id);
-  const auth = Buffer.from(`${org.remoteEmail}:${org.remoteApiToken}`).toString('base64');
   
   // Check depth limit for recursive parent/epic sync
   if (depth > MAX_PARENT_SYNC_DEPTH) {
     console.log(`${LOG_EMOJI.WARNING} Max sync depth (${MAX_PARENT_SYNC_DEPTH}) reached for ${issue.key}, skipping parent/epic sync`);
   }
   
-  // For initial creation, use text-only description
-  let initialDescription;
-  if (issue.fields.description) {
-    if (typeof issue.fields.description === 'object') {
-      const extractedText = extractTextFromADF(issue.fields.description);
-      initialDescription = extractedText ? textToADF(extractedText) : textToADF('');
-    } else if (typeof issue.fields.description === 'string') {
-      initialDescription = textToADF(issue.fields.description);
-    } else {
-      initialDescription = textToADF('');
-    }
-  } else {
-    initialDescription = textToADF('');
-  }
+  // For initial creation, keep the full description but drop media (attachments aren't uploaded yet)
+  const initialDescription = await buildRemoteDescription(issue.fields.description, org, mappings, orgId);
 
   // Map issue type if mapping exists
   const localIssueTypeName = issue.fields.issuetype.name;
@@ -561,19 +608,21 @@ async function createRemoteIssueForOrg(issue, org, mappings, syncOptions, syncRe
     console.log(`🎯 Mapped Epic Link: → ${epicLinkResult.epicKey}`);
   }
 
+  const userResolution = { direction: 'outbound', org, orgId, userMappings: mappings.userMappings };
+
   if (issue.fields.assignee && issue.fields.assignee.accountId) {
-    const mappedAssignee = mapUserToRemote(issue.fields.assignee.accountId, mappings.userMappings);
-    if (mappedAssignee) {
-      remoteIssue.fields.assignee = { accountId: mappedAssignee };
-      console.log(`👤 Mapped assignee: ${issue.fields.assignee.accountId} → ${mappedAssignee}`);
+    const mappedAssignee = await resolveUserForField(issue.fields.assignee, userResolution);
+    if (mappedAssignee !== undefined) {
+      remoteIssue.fields.assignee = mappedAssignee;
+      console.log(`👤 Mapped assignee: ${issue.fields.assignee.accountId} → ${mappedAssignee?.accountId || 'unassigned'}`);
     }
   }
   
   if (issue.fields.reporter && issue.fields.reporter.accountId) {
-    const mappedReporter = mapUserToRemote(issue.fields.reporter.accountId, mappings.userMappings);
+    const mappedReporter = await resolveUserForField(issue.fields.reporter, userResolution);
     if (mappedReporter) {
-      remoteIssue.fields.reporter = { accountId: mappedReporter };
-      console.log(`👤 Mapped reporter: ${issue.fields.reporter.accountId} → ${mappedReporter}`);
+      remoteIssue.fields.reporter = mappedReporter;
+      console.log(`👤 Mapped reporter: ${issue.fields.reporter.accountId} → ${mappedReporter.accountId}`);
     }
   }
 
@@ -626,10 +675,27 @@ async function createRemoteIssueForOrg(issue, org, mappings, syncOptions, syncRe
         continue;
       }
 
+      // Sprint IDs differ between sites - write the mapped remote sprint ID instead
+      if (isSprintFieldValue(fieldValue)) {
+        const remoteSprintId = await translateSprintToRemote(fieldValue, org, mappings, syncOptions, orgId, targetProjectKey);
+        if (remoteSprintId !== undefined) {
+          remoteIssue.fields[remoteFieldId] = remoteSprintId;
+        }
+        continue;
+      }
+
       remoteIssue.fields[remoteFieldId] = fieldValue;
     }
   }
 
+  // Option IDs differ between sites - translate select/multi-select/cascading values by option name
+  await applyOptionValueMappings(remoteIssue.fields, Object.entries(reversedFieldMap), {
+    direction: 'outbound',
+    org,
+    orgId,
+    loadTargetMeta: () => getRemoteCreateMeta(targetProjectKey, remoteIssue.fields.issuetype, org)
+  });
+
   try {
       console.log('Creating remote issue for:', issue.key);
       console.log('📦 Payload fields:', JSON.stringify(Object.keys(remoteIssue.fields)));
@@ -648,16 +714,14 @@ async function createRemoteIssueForOrg(issue, org, mappings, syncOptions, syncRe
 
       await markSyncing(issue.key);
 
-      const response = await retryWithBackoff(async () => {
-      return await fetch(`${org.remoteUrl}/rest/api/3/issue?notifyUsers=false`, {
+      const response = await new RemoteJiraClient(org).request('/rest/api/3/issue?notifyUsers=false', {
+        operation: `Create issue ${issue.key}`,
         method: 'POST',
         headers: {
-          'Authorization': `Basic ${auth}`,
           'Content-Type': 'application/json'
         },
         body: JSON.stringify(remoteIssue)
       });
-    }, `Create issue ${issue.key}`);
 
     if (response.ok) {
       const result = await response.json();
@@ -726,6 +790,11 @@ async function createRemoteIssueForOrg(issue, org, mappings, syncOptions, syncRe
         console.log(`⏭️ Skipping comments sync (disabled in sync options)`);
       }
 
+      if (syncOptions?.syncWorklogs === true) {
+        const worklogResult = await syncAllWorklogs(issue.key, result.key, org, mappings.userMappings, syncResult, orgId);
+        syncDetails.worklogs = worklogResult?.synced || 0;
+      }
+
       // Check if cross-reference is enabled (default true for backward compatibility)
       const crossReferenceEnabled = syncOptions?.syncCrossReference !== false;
 
@@ -736,16 +805,7 @@ async function createRemoteIssueForOrg(issue, org, mappings, syncOptions, syncRe
 
         // Update REMOTE issue description with cross-reference
         // Use the original ADF structure, replacing media IDs if needed
-        let remoteDescription;
-        if (issue.fields.description && typeof issue.fields.description === 'object') {
-          remoteDescription = Object.keys(attachmentMapping).length > 0
-            ? await replaceMediaIdsInADF(issue.fields.description, attachmentMapping)
-            : JSON.parse(JSON.stringify(issue.fields.description)); // Deep clone
-        } else if (issue.fields.description && typeof issue.fields.description === 'string') {
-          remoteDescription = textToADF(issue.fields.description);
-        } else {
-          remoteDescription = { type: 'doc', version: 1, content: [] };
-        }
+        const remoteDescription = await buildRemoteDescription(issue.fields.description, org, mappings, orgId, attachmentMapping);
 
         // Prepend cross-reference to remote description
         const remoteDescriptionWithRef = prependCrossReferenceToADF(
@@ -757,20 +817,18 @@ async function createRemoteIssueForOrg(issue, org, mappings, syncOptions, syncRe
         );
 
         console.log(`🔗 Updating remote issue ${result.key} with cross-reference...`);
-        const updateResponse = await retryWithBackoff(async () => {
-          return await fetch(`${org.remoteUrl}/rest/api/3/issue/${result.key}?notifyUsers=false`, {
-            method: 'PUT',
-            headers: {
-              'Authorization': `Basic ${auth}`,
-              'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-              fields: {
-                description: remoteDescriptionWithRef
-              }
-            })
-          });
-        }, `Update description for ${result.key}`);
+        const updateResponse = await new RemoteJiraClient(org).request(`/rest/api/3/issue/${result.key}?notifyUsers=false`, {
+          operation: `Update description for ${result.key}`,
+          method: 'PUT',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            fields: {
+              description: remoteDescriptionWithRef
+            }
+          })
+        });
 
         if (updateResponse.ok || updateResponse.status === HTTP_STATUS.NO_CONTENT) {
           console.log(`${LOG_EMOJI.SUCCESS} Updated remote issue with cross-reference`);
@@ -806,20 +864,18 @@ async function createRemoteIssueForOrg(issue, org, mappings, syncOptions, syncRe
         if (issue.fields.description &&
             typeof issue.fields.description === 'object' &&
             Object.keys(attachmentMapping).length > 0) {
-          const correctedDescription = await replaceMediaIdsInADF(issue.fields.description, attachmentMapping);
+          const correctedDescription = await buildRemoteDescription(issue.fields.description, org, mappings, orgId, attachmentMapping);
           console.log(`🖼️ Updating description with corrected media references...`);
-          await retryWithBackoff(async () => {
-            return await fetch(`${org.remoteUrl}/rest/api/3/issue/${result.key}?notifyUsers=false`, {
-              method: 'PUT',
-              headers: {
-                'Authorization': `Basic ${auth}`,
-                'Content-Type': 'application/json'
-              },
-              body: JSON.stringify({
-                fields: { description: correctedDescription }
-              })
-            });
-          }, `Update description for ${result.key}`);
+          await new RemoteJiraClient(org).request(`/rest/api/3/issue/${result.key}?notifyUsers=false`, {
+            operation: `Update description for ${result.key}`,
+            method: 'PUT',
+            headers: {
+              'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+              fields: { description: correctedDescription }
+            })
+          });
         }
         console.log(`⏭️ Skipping cross-reference sync (disabled in sync options)`);
       }
@@ -843,7 +899,6 @@ async function createRemoteIssueForOrg(issue, org, mappings, syncOptions, syncRe
 
 export async function updateRemoteIssueForOrg(localKey, remoteKey, issue, org, mappings, syncOptions, syncResult = null, orgIdOverride = null) {
   const orgId = orgIdOverride !== null ? orgIdOverride : (org.id === 'legacy' ? null : org.id);
-  const auth = Buffer.from(`${org.remoteEmail}:${org.remoteApiToken}`).toString('base64');
 
   await markSyncing(localKey);
 
@@ -864,12 +919,26 @@ export async function updateRemoteIssueForOrg(localKey, remoteKey, issue, org, m
     syncDetails.attachmentsTotal = issue.fields.attachment?.length || 0;
     syncDetails.linksTotal = issue.fields.issuelinks?.length || 0;
 
+    // Set of changed fields from the changelog; null means unknown, so everything is pushed
+    const changes = syncOptions?.changes || null;
+    const changed = (...keys) => !changes || keys.some(key => changes.has(key));
+    if (changes) {
+      console.log(`${LOG_EMOJI.INFO} Incremental update for ${localKey}: ${[...changes].join(', ') || 'no field changes'}`);
+    }
+
     const attachmentEnabled = syncOptions?.syncAttachments !== false && !syncOptions?.dryRun;
     const linksEnabled = syncOptions?.syncLinks !== false && !syncOptions?.dryRun;
-    const commentsEnabled = syncOptions?.syncComments !== false && !syncOptions?.dryRun;
+    // Comments and worklogs have their own triggers; the full pass here is a catch-up for missed events
+    const commentsEnabled = syncOptions?.syncComments !== false && !syncOptions?.dryRun && !changes;
 
     let attachmentMapping = {};
-    if (attachmentEnabled) {
+    if (attachmentEnabled && !changed('attachment')) {
+      // Description media still needs the remote IDs of attachments synced earlier
+      if (changed('description')) {
+        attachmentMapping = await getStoredAttachmentMapping(issue, orgId);
+      }
+      console.log(`⏭️ Skipping attachments sync (no attachment changes)`);
+    } else if (attachmentEnabled) {
       const forceCheckAttachments = syncOptions?.forceCheckAttachments || false;
       attachmentMapping = await syncAttachments(localKey, remoteKey, issue, org, syncResult, orgId, forceCheckAttachments);
       // Count newly synced attachments (those in the mapping)
@@ -880,12 +949,14 @@ export async function updateRemoteIssueForOrg(localKey, remoteKey, issue, org, m
       console.log(`⏭️ Skipping attachments sync (disabled in sync options)`);
     }
 
-    if (linksEnabled) {
+    if (linksEnabled && changed('issuelinks')) {
       const forceCheckLinks = syncOptions?.forceCheckLinks || false;
       const linkResult = await syncIssueLinks(localKey, remoteKey, issue, org, syncResult, orgId, forceCheckLinks);
       syncDetails.links = linkResult?.synced || 0;
     } else if (syncOptions?.dryRun) {
       console.log(`[DRY RUN] Skipping links sync`);
+    } else if (linksEnabled) {
+      console.log(`⏭️ Skipping links sync (no link changes)`);
     } else {
       console.log(`⏭️ Skipping links sync (disabled in sync options)`);
     }
@@ -896,31 +967,27 @@ export async function updateRemoteIssueForOrg(localKey, remoteKey, issue, org, m
       syncDetails.commentsTotal = commentResult?.synced + commentResult?.skipped || 0;
     } else if (syncOptions?.dryRun) {
       console.log(`[DRY RUN] Skipping comments sync`);
-    } else {
+    } else if (!changes) {
       console.log(`⏭️ Skipping comments sync (disabled in sync options)`);
     }
 
+    if (syncOptions?.syncWorklogs === true && !syncOptions?.dryRun && !changes) {
+      const worklogResult = await syncAllWorklogs(localKey, remoteKey, org, mappings.userMappings, syncResult, orgId);
+      syncDetails.worklogs = worklogResult?.synced || 0;
+    }
+
     // Check if cross-reference is enabled (default true for backward compatibility)
     const crossReferenceEnabled = syncOptions?.syncCrossReference !== false;
 
-    let description;
-    if (issue.fields.description) {
-      if (typeof issue.fields.description === 'object') {
-        const extractedText = extractTextFromADF(issue.fields.description);
-        description = extractedText ? textToADF(extractedText) : textToADF('');
-      } else if (typeof issue.fields.description === 'string') {
-        description = textToADF(issue.fields.description);
-      } else {
-        description = textToADF('');
-      }
-    } else {
-      description = textToADF('');
-    }
+    const descriptionChanged = changed('description');
+    const description = descriptionChanged
+      ? await buildRemoteDescription(issue.fields.description, org, mappings, orgId, attachmentMapping)
+      : null;
 
     // Add cross-reference to description if enabled
     let finalDescription = description;
     let localOrgName, remoteOrgName;
-    if (crossReferenceEnabled) {
+    if (crossReferenceEnabled && descriptionChanged) {
       localOrgName = await getOrgName();
       remoteOrgName = org.name;
       finalDescription = prependCrossReferenceToADF(
@@ -930,7 +997,7 @@ export async function updateRemoteIssueForOrg(localKey, remoteKey, issue, org, m
         localOrgName,
         remoteOrgName
       );
-    } else {
+    } else if (!crossReferenceEnabled) {
       console.log(`⏭️ Skipping cross-reference sync (disabled in sync options)`);
     }
     
@@ -951,10 +1018,12 @@ export async function updateRemoteIssueForOrg(localKey, remoteKey, issue, org, m
     const updateData = {
       fields: {
         summary: issue.fields.summary,
-        description: finalDescription,
         issuetype: { name: remoteIssueTypeName }
       }
     };
+    if (descriptionChanged) {
+      updateData.fields.description = finalDescription;
+    }
     
     // ...existing update field mapping code...
     if (issue.fields.priority) {
@@ -1017,11 +1086,11 @@ export async function updateRemoteIssueForOrg(localKey, remoteKey, issue, org, m
 
     // Sync Epic Link for classic projects (next-gen uses parent field above)
     // Note: During update, we don't recursively sync missing epics (depth 0 with check)
-    const epicLinkResult = await syncEpicLink(issue, org, mappings, syncResult, orgId, 0);
+    const epicLinkResult = changed('parent') ? await syncEpicLink(issue, org, mappings, syncResult, orgId, 0) : null;
     if (epicLinkResult) {
       updateData.fields[epicLinkResult.fieldId] = epicLinkResult.epicKey;
       console.log(`🎯 Updated Epic Link: → ${epicLinkResult.epicKey}`);
-    } else {
+    } else if (changed('parent')) {
       // Check if epic link was removed - need to clear it
       const localEpicFieldId = await getLocalEpicLinkFieldId();
       if (localEpicFieldId && issue.fields[localEpicFieldId] === null) {
@@ -1033,11 +1102,11 @@ export async function updateRemoteIssueForOrg(localKey, remoteKey, issue, org, m
       }
     }
 
-    if (issue.fields.assignee && issue.fields.assignee.accountId) {
-      const mappedAssignee = mapUserToRemote(issue.fields.assignee.accountId, mappings.userMappings);
-      if (mappedAssignee) {
-        updateData.fields.assignee = { accountId: mappedAssignee };
-        console.log(`👤 Mapped assignee: ${issue.fields.assignee.accountId} → ${mappedAssignee}`);
+    if (changed('assignee') && issue.fields.assignee && issue.fields.assignee.accountId) {
+      const mappedAssignee = await resolveUserForField(issue.fields.assignee, { direction: 'outbound', org, orgId, userMappings: mappings.userMappings });
+      if (mappedAssignee !== undefined) {
+        updateData.fields.assignee = mappedAssignee;
+        console.log(`👤 Mapped assignee: ${issue.fields.assignee.accountId} → ${mappedAssignee?.accountId || 'unassigned'}`);
       }
     } else if (issue.fields.assignee === null) {
       updateData.fields.assignee = null;
@@ -1045,6 +1114,7 @@ export async function updateRemoteIssueForOrg(localKey, remoteKey, issue, org, m
     }
 
     const reversedFieldMap = reverseMapping(mappings.fieldMappings);
+    const localFieldIdFor = (remoteFieldId) => Object.keys(reversedFieldMap).find(localId => reversedFieldMap[localId] === remoteFieldId);
     
     // Fields that should never be synced (Jira internal fields)
     const blockedFields = [
@@ -1063,6 +1133,10 @@ export async function updateRemoteIssueForOrg(localKey, remoteKey, issue, org, m
         console.log(`⏭️ Skipping blocked field: ${localFieldId} → ${remoteFieldId}`);
         continue;
       }
+
+      if (!changed(localFieldId)) {
+        continue;
+      }
       
       if (issue.fields[localFieldId] !== undefined && issue.fields[localFieldId] !== null) {
         let fieldValue = issue.fields[localFieldId];
@@ -1089,10 +1163,37 @@ export async function updateRemoteIssueForOrg(localKey, remoteKey, issue, org, m
           continue;
         }
 
+        // Sprint IDs differ between sites - write the mapped remote sprint ID instead
+        if (isSprintFieldValue(fieldValue)) {
+          const remoteSprintId = await translateSprintToRemote(fieldValue, org, mappings, syncOptions, orgId, remoteKey.split('-')[0]);
+          if (remoteSprintId !== undefined) {
+            updateData.fields[remoteFieldId] = remoteSprintId;
+          }
+          continue;
+        }
+
         updateData.fields[remoteFieldId] = fieldValue;
       }
     }
 
+    // Standard fields that did not change are not sent again
+    const unchangedFields = pruneUnchangedFields(updateData.fields, changes, localFieldIdFor);
+    if (unchangedFields.length > 0) {
+      console.log(`⏭️ Not resending unchanged fields: ${unchangedFields.join(', ')}`);
+    }
+
+    // Option IDs differ between sites - translate select/multi-select/cascading values by option name
+    await applyOptionValueMappings(updateData.fields, Object.entries(reversedFieldMap), {
+      direction: 'outbound',
+      org,
+      orgId,
+      loadTargetMeta: () => getRemoteEditMeta(remoteKey, org)
+    });
+
+    // Fields owned by the remote side (pull-only or never) are not pushed
+    const fieldDirections = await getFieldDirections(orgId);
+    filterFieldsByDirection(updateData.fields, fieldDirections, 'push');
+
     try {
       console.log(`Updating remote issue: ${localKey} → ${remoteKey}`);
 
@@ -1106,23 +1207,56 @@ export async function updateRemoteIssueForOrg(localKey, remoteKey, issue, org, m
         };
       }
 
-      const response = await retryWithBackoff(async () => {
-        return await fetch(`${org.remoteUrl}/rest/api/3/issue/${remoteKey}?notifyUsers=false`, {
-          method: 'PUT',
-          headers: {
-            'Authorization': `Basic ${auth}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(updateData)
-        });
-      }, `Update issue ${remoteKey}`);
+      const pushStatus = async () => {
+        if (issue.fields.status && changed('status') && allowsDirection(fieldDirections, 'status', 'push')) {
+          const transitioned = await transitionRemoteIssue(remoteKey, issue.fields.status.name, org, mappings.statusMappings, syncResult);
+          syncDetails.status = transitioned || false;
+        }
+      };
+
+      // Only links, attachments or status changed - no field update to send
+      if (Object.keys(updateData.fields).length === 0) {
+        console.log(`⏭️ No field changes to push for ${remoteKey}`);
+        await setLastSyncedLocalUpdated(localKey, issue.fields.updated, orgId);
+        await pushStatus();
+        return syncDetails;
+      }
+
+      // Hold back fields that were also edited on the remote since the last sync
+      const currentRemote = await getRemoteIssue(remoteKey, org, CONFLICT_CHECK_FIELDS);
+      const conflictCheck = await checkFieldConflicts({
+        direction: 'outbound',
+        localKey,
+        remoteKey,
+        orgId,
+        localFields: issue.fields,
+        remoteFields: currentRemote?.fields,
+        policy: syncOptions?.conflictPolicy,
+        override: syncOptions?.conflictOverride
+      });
+      for (const field of conflictCheck.blockedFields) {
+        delete updateData.fields[field];
+        if (syncResult) syncResult.addWarning(`Skipped ${field}: changed on both sides`);
+      }
+
+      const response = await new RemoteJiraClient(org).request(`/rest/api/3/issue/${remoteKey}?notifyUsers=false`, {
+        operation: `Update issue ${remoteKey}`,
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(updateData)
+      });
 
       if (response.ok || response.status === HTTP_STATUS.NO_CONTENT) {
         console.log(`${LOG_EMOJI.SUCCESS} Updated ${remoteKey} fields`);
         await setLastSyncedLocalUpdated(localKey, issue.fields.updated, orgId);
+        if (currentRemote?.fields) {
+          await recordFieldSnapshot(localKey, orgId, issue.fields, { ...currentRemote.fields, ...updateData.fields }, conflictCheck.blockedFields);
+        }
 
         // Also update local issue with cross-reference (if enabled)
-        if (crossReferenceEnabled) {
+        if (crossReferenceEnabled && descriptionChanged) {
           const localDescriptionWithRef = prependCrossReferenceToADF(
             issue.fields.description || { type: 'doc', version: 1, content: [] },
             localKey,
@@ -1133,10 +1267,7 @@ export async function updateRemoteIssueForOrg(localKey, remoteKey, issue, org, m
           await updateLocalIssueDescription(localKey, localDescriptionWithRef);
         }
 
-        if (issue.fields.status) {
-          const transitioned = await transitionRemoteIssue(remoteKey, issue.fields.status.name, org, mappings.statusMappings, syncResult);
-          syncDetails.status = transitioned || false;
-        }
+        await pushStatus();
         return syncDetails;
       } else {
         const errorText = await response.text();
@@ -1,15 +1,12 @@
-import { fetch } from '@forge/api';
 import { LOG_EMOJI } from '../../constants.js';
-import { retryWithBackoff } from '../../utils/retry.js';
 import { getLinkMapping, storeLinkMapping, getRemoteKey } from '../storage/mappings.js';
 import { storePendingLink, removePendingLink } from '../storage/flags.js';
+import { RemoteJiraClient } from '../jira/remote-client.js';
 
 /**
  * Create a link between two issues on the remote Jira instance
  */
 export async function createLinkOnRemote(config, sourceRemoteKey, targetRemoteKey, linkTypeName, direction) {
-  const auth = Buffer.from(`${config.remoteEmail}:${config.remoteApiToken}`).toString('base64');
-  
   const linkPayload = {
     type: { name: linkTypeName }
   };
@@ -25,19 +22,17 @@ export async function createLinkOnRemote(config, sourceRemoteKey, targetRemoteKe
   }
 
   try {
-    const response = await retryWithBackoff(async () => {
-      return await fetch(
-        `${config.remoteUrl}/rest/api/3/issueLink`,
-        {
-          method: 'POST',
-          headers: {
-            'Authorization': `Basic ${auth}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(linkPayload)
-        }
-      );
-    }, `Create link ${linkTypeName} between ${sourceRemoteKey} and ${targetRemoteKey}`);
+    const response = await new RemoteJiraClient(config).request(
+      '/rest/api/3/issueLink',
+      {
+        operation: `Create link ${linkTypeName} between ${sourceRemoteKey} and ${targetRemoteKey}`,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(linkPayload)
+      }
+    );
 
     if (response.ok || response.status === 201) {
       console.log(`${LOG_EMOJI.SUCCESS} Created issue link (${linkTypeName})`);
@@ -61,20 +56,17 @@ export async function syncIssueLinks(localIssueKey, remoteIssueKey, issue, confi
     return result;
   }
 
-  const auth = Buffer.from(`${config.remoteEmail}:${config.remoteApiToken}`).toString('base64');
-
   console.log(`${LOG_EMOJI.LINK} Found ${issue.fields.issuelinks.length} issue link(s) on ${localIssueKey}`);
 
   // If forceCheck, get existing links on remote to verify they actually exist
   let remoteLinks = [];
   if (forceCheck) {
     try {
-      const remoteIssueResponse = await fetch(
-        `${config.remoteUrl}/rest/api/3/issue/${remoteIssueKey}?fields=issuelinks`,
+      const remoteIssueResponse = await new RemoteJiraClient(config).request(
+        `/rest/api/3/issue/${remoteIssueKey}?fields=issuelinks`,
         {
           method: 'GET',
           headers: {
-            'Authorization': `Basic ${auth}`,
             'Content-Type': 'application/json'
           }
         }
@@ -169,12 +161,11 @@ export async function syncIssueLinks(localIssueKey, remoteIssueKey, issue, confi
         console.log(`${LOG_EMOJI.LINK} Creating link: ${remoteLinkedKey} ${link.type.outward} ${remoteIssueKey}`);
       }
 
-      const response = await fetch(
-        `${config.remoteUrl}/rest/api/3/issueLink`,
+      const response = await new RemoteJiraClient(config).request(
+        '/rest/api/3/issueLink',
         {
           method: 'POST',
           headers: {
-            'Authorization': `Basic ${auth}`,
             'Content-Type': 'application/json'
           },
           body: JSON.stringify(linkPayload)
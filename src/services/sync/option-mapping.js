@@ -0,0 +1,246 @@
+import * as kvsStore from '../storage/kvs.js';
+import { LOG_EMOJI } from '../../constants.js';
+import { getLocalFields } from '../jira/local-client.js';
+import { getRemoteFields } from '../jira/remote-client.js';
+
+const CUSTOM_TYPE_PREFIX = 'com.atlassian.jira.plugin.system.customfieldtypes:';
+const OPTION_FIELD_KINDS = {
+  select: 'single',
+  radiobuttons: 'single',
+  multiselect: 'multi',
+  multicheckboxes: 'multi',
+  cascadingselect: 'cascading'
+};
+
+const FIELD_KIND_TTL_MS = 1000 * 60 * 60; // 1 hour
+const MAX_UNMAPPED_OPTIONS = 200;
+
+// Option field kinds per site, keyed by field ID
+let fieldKindCache = {
+  local: { kinds: null, expiresAt: 0 },
+  remote: {} // keyed by org id: { kinds, expiresAt }
+};
+
+export function getOptionMappingsKey(orgId) {
+  return orgId ? `optionMappings:${orgId}` : 'optionMappings';
+}
+
+function getUnmappedOptionsKey(orgId) {
+  return `unmappedOptions:${orgId || 'legacy'}`;
+}
+
+export function getOptionFieldKind(schema) {
+  const custom = schema?.custom;
+  if (!custom || !custom.startsWith(CUSTOM_TYPE_PREFIX)) {
+    return null;
+  }
+  return OPTION_FIELD_KINDS[custom.substring(CUSTOM_TYPE_PREFIX.length)] || null;
+}
+
+function collectOptionFieldKinds(fields) {
+  const kinds = {};
+  for (const field of fields || []) {
+    const kind = getOptionFieldKind(field.schema);
+    if (kind) {
+      kinds[field.id] = kind;
+    }
+  }
+  return kinds;
+}
+
+async function getSourceFieldKinds(direction, org) {
+  const now = Date.now();
+
+  if (direction === 'outbound') {
+    if (fieldKindCache.local.kinds && fieldKindCache.local.expiresAt > now) {
+      return fieldKindCache.local.kinds;
+    }
+    const fields = await getLocalFields();
+    if (!fields) return {};
+    fieldKindCache.local = { kinds: collectOptionFieldKinds(fields), expiresAt: now + FIELD_KIND_TTL_MS };
+    return fieldKindCache.local.kinds;
+  }
+
+  const cached = fieldKindCache.remote[org.id];
+  if (cached && cached.expiresAt > now) {
+    return cached.kinds;
+  }
+  const fields = await getRemoteFields(org);
+  if (!fields) return {};
+  fieldKindCache.remote[org.id] = { kinds: collectOptionFieldKinds(fields), expiresAt: now + FIELD_KIND_TTL_MS };
+  return fieldKindCache.remote[org.id].kinds;
+}
+
+const normalizeName = (name) => String(name ?? '').toLowerCase().trim().replace(/\s+/g, ' ');
+
+function findOption(allowedValues, name) {
+  const wanted = normalizeName(name);
+  return allowedValues.find(option => normalizeName(option.value ?? option.name) === wanted) || null;
+}
+
+/**
+ * Translate one option field value into the target site's options.
+ *
+ * overrides: source option name → target option name for this field (anything else is matched by name)
+ * allowedValues: the target field's options from createmeta/editmeta; when missing the value is sent
+ * by name and Jira resolves it
+ *
+ * Returns { value, unmapped }. value is undefined when any option has no counterpart, so the field
+ * is left out rather than partially overwritten.
+ */
+export function translateOptionValue(value, kind, allowedValues, overrides = {}) {
+  const unmapped = [];
+
+  const resolve = (option, candidates) => {
+    const sourceName = option?.value ?? option?.name;
+    const targetName = overrides[sourceName] || sourceName;
+    if (!candidates) {
+      return { value: targetName };
+    }
+    const match = findOption(candidates, targetName);
+    if (!match) {
+      unmapped.push(sourceName);
+      return null;
+    }
+    return { id: match.id };
+  };
+
+  if (kind === 'multi') {
+    if (!Array.isArray(value)) {
+      return { value: undefined, unmapped };
+    }
+    const translated = value.map(option => resolve(option, allowedValues));
+    return { value: unmapped.length > 0 ? undefined : translated, unmapped };
+  }
+
+  if (kind === 'cascading') {
+    const parent = resolve(value, allowedValues);
+    if (!parent) {
+      return { value: undefined, unmapped };
+    }
+    if (value.child) {
+      const parentName = overrides[value.value] || value.value;
+      const childCandidates = allowedValues ? (findOption(allowedValues, parentName)?.children || []) : null;
+      const child = resolve(value.child, childCandidates);
+      if (!child) {
+        return { value: undefined, unmapped };
+      }
+      parent.child = child;
+    }
+    return { value: parent, unmapped };
+  }
+
+  const single = resolve(value, allowedValues);
+  return { value: single || undefined, unmapped };
+}
+
+function invertOverrides(overrides = {}) {
+  const inverted = {};
+  for (const [remoteName, localName] of Object.entries(overrides)) {
+    if (localName) inverted[localName] = remoteName;
+  }
+  return inverted;
+}
+
+/**
+ * Rewrite select, multi-select, radio, checkbox and cascading values already copied into a payload
+ * so they carry the target site's option IDs instead of the source site's.
+ *
+ * fieldPairs: [sourceFieldId, targetFieldId] entries from the field mappings
+ * loadTargetMeta: returns the target's createmeta/editmeta fields; only called when an option field is present
+ */
+export async function applyOptionValueMappings(targetFields, fieldPairs, { direction, org, orgId, loadTargetMeta }) {
+  try {
+    const sourceKinds = await getSourceFieldKinds(direction, org);
+    const optionPairs = fieldPairs.filter(([sourceId, targetId]) =>
+      sourceKinds[sourceId] && targetFields[targetId] !== undefined && targetFields[targetId] !== null
+    );
+    if (optionPairs.length === 0) {
+      return;
+    }
+
+    const [targetMeta, optionMappings] = await Promise.all([
+      loadTargetMeta(),
+      kvsStore.get(getOptionMappingsKey(orgId))
+    ]);
+    const unmappedEntries = [];
+
+    for (const [sourceId, targetId] of optionPairs) {
+      const remoteFieldId = direction === 'outbound' ? targetId : sourceId;
+      const localFieldId = direction === 'outbound' ? sourceId : targetId;
+      const fieldOverrides = optionMappings?.[remoteFieldId] || {};
+      const overrides = direction === 'outbound' ? invertOverrides(fieldOverrides) : fieldOverrides;
+
+      const meta = targetMeta?.[targetId];
+      const kind = getOptionFieldKind(meta?.schema) || sourceKinds[sourceId];
+      const { value, unmapped } = translateOptionValue(targetFields[targetId], kind, meta?.allowedValues || null, overrides);
+
+      if (value === undefined) {
+        delete targetFields[targetId];
+        console.log(`${LOG_EMOJI.WARNING} Skipping ${sourceId} → ${targetId}: no matching option for ${unmapped.join(', ') || 'value'}`);
+        for (const option of unmapped) {
+          unmappedEntries.push({ remoteFieldId, localFieldId, option, direction });
+        }
+        continue;
+      }
+
+      targetFields[targetId] = value;
+      console.log(`🔀 Translated options for ${sourceId} → ${targetId}`);
+    }
+
+    if (unmappedEntries.length > 0) {
+      await recordUnmappedOptions(orgId, unmappedEntries);
+    }
+  } catch (error) {
+    console.error(`${LOG_EMOJI.ERROR} Error translating option values:`, error);
+  }
+}
+
+async function recordUnmappedOptions(orgId, entries) {
+  const key = getUnmappedOptionsKey(orgId);
+  const existing = await kvsStore.get(key) || {};
+  const now = new Date().toISOString();
+
+  for (const entry of entries) {
+    const entryKey = `${entry.direction}|${entry.remoteFieldId}|${entry.option}`;
+    existing[entryKey] = {
+      ...entry,
+      count: (existing[entryKey]?.count || 0) + 1,
+      lastSeen: now
+    };
+  }
+
+  const trimmed = Object.entries(existing)
+    .sort(([, a], [, b]) => (b.lastSeen || '').localeCompare(a.lastSeen || ''))
+    .slice(0, MAX_UNMAPPED_OPTIONS);
+  await kvsStore.set(key, Object.fromEntries(trimmed));
+}
+
+export async function listUnmappedOptions(orgId) {
+  const stored = await kvsStore.get(getUnmappedOptionsKey(orgId)) || {};
+  return Object.entries(stored)
+    .map(([key, entry]) => ({ key, ...entry }))
+    .sort((a, b) => (b.lastSeen || '').localeCompare(a.lastSeen || ''));
+}
+
+/**
+ * Drop unmapped entries that the given overrides now cover, or the listed keys when provided
+ */
+export async function pruneUnmappedOptions(orgId, optionMappings = {}, keys = null) {
+  const key = getUnmappedOptionsKey(orgId);
+  const stored = await kvsStore.get(key);
+  if (!stored) return;
+
+  const remaining = {};
+  for (const [entryKey, entry] of Object.entries(stored)) {
+    const fieldOverrides = optionMappings[entry.remoteFieldId] || {};
+    const covered = entry.direction === 'outbound'
+      ? Object.values(fieldOverrides).includes(entry.option)
+      : Boolean(fieldOverrides[entry.option]);
+    const dismissed = Array.isArray(keys) && keys.includes(entryKey);
+    if (!covered && !dismissed) {
+      remaining[entryKey] = entry;
+    }
+  }
+  await kvsStore.set(key, remaining);
+}
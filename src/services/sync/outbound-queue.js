@@ -0,0 +1,276 @@
+import crypto from 'crypto';
+import { Queue } from '@forge/events';
+import * as kvsStore from '../storage/kvs.js';
+import { isSyncing } from '../storage/flags.js';
+import { syncIssue } from './issue-sync.js';
+import { syncComment, syncCommentUpdate, syncCommentDeletion } from './comment-sync.js';
+import { isEchoEvent, recordPendingUpdate, clearPendingUpdate, claimPendingUpdate } from './update-coalescing.js';
+import { getSourceTimestamp } from './event-sequencing.js';
+import { trackWebhookSync } from '../storage/stats.js';
+import {
+  LOG_EMOJI,
+  ISSUE_UPDATE_QUIET_WINDOW_SECONDS,
+  OUTBOUND_MAX_ATTEMPTS,
+  OUTBOUND_RETRY_BASE_DELAY_SECONDS,
+  OUTBOUND_RETRY_MAX_DELAY_SECONDS,
+  MAX_DEAD_LETTER_ENTRIES
+} from '../../constants.js';
+
+export const OUTBOUND_QUEUE_KEY = 'outbound-sync-queue';
+
+function itemStateKey(id) {
+  return `outboundItem:${id}`;
+}
+
+function deadLetterKey(id) {
+  return `deadLetter:${id}`;
+}
+
+// Handlers re-fetch the issue and comment, so only keep the parts of the trigger event they read
+export function compactEvent(type, event = {}) {
+  if (type === 'link') {
+    return {
+      sourceIssueKey: event.sourceIssueKey || null,
+      targetIssueKey: event.targetIssueKey || null
+    };
+  }
+
+  const compact = {
+    eventType: event.eventType,
+    issue: { id: event.issue?.id, key: event.issue?.key },
+    sourceTimestamp: getSourceTimestamp(event)
+  };
+  if (event.changelog?.items) {
+    compact.changelog = { items: event.changelog.items };
+  }
+  if (event.comment) {
+    compact.comment = event.comment;
+  }
+  return compact;
+}
+
+export function getRetryDelaySeconds(attempts) {
+  const delay = OUTBOUND_RETRY_BASE_DELAY_SECONDS * 2 ** Math.max(attempts - 1, 0);
+  return Math.min(delay, OUTBOUND_RETRY_MAX_DELAY_SECONDS);
+}
+
+function describeItem(item) {
+  if (item.type === 'link') {
+    return [item.event?.targetIssueKey, item.event?.sourceIssueKey].filter(Boolean).join(', ');
+  }
+  return item.event?.issue?.key || 'unknown issue';
+}
+
+/**
+ * Push a work item onto the outbound queue.
+ * type: 'issue' | 'comment' | 'comment-update' | 'comment-delete' | 'link'
+ * orgIds limits delivery to those organizations (null = all).
+ * coalesceToken marks a debounced issue update (see update-coalescing.js).
+ */
+export async function enqueueOutbound(type, event, { id = null, orgIds = null, delayInSeconds = 0, coalesceToken = null } = {}) {
+  const item = {
+    id: id || crypto.randomUUID(),
+    type,
+    event: compactEvent(type, event),
+    orgIds,
+    enqueuedAt: new Date().toISOString()
+  };
+  if (coalesceToken) {
+    item.coalesceToken = coalesceToken;
+  }
+
+  const pushEvent = { body: item };
+  if (delayInSeconds > 0) {
+    pushEvent.delayInSeconds = delayInSeconds;
+  }
+
+  const queue = new Queue({ key: OUTBOUND_QUEUE_KEY });
+  await queue.push(pushEvent);
+  return item.id;
+}
+
+/**
+ * Used by the triggers. Falls back to syncing inline when the queue itself is unavailable,
+ * so a change is never dropped because it could not be queued.
+ */
+export async function enqueueOrRun(type, event) {
+  // Changes written by an incoming sync must be recognised now, before the sync flag expires.
+  // The handler records the skip and returns without calling the remote site.
+  if (type !== 'link' && event.issue?.key && await isSyncing(event.issue.key)) {
+    await runOutboundItem({ type, event, orgIds: null });
+    return;
+  }
+
+  try {
+    const id = await enqueueOutbound(type, event);
+    console.log(`${LOG_EMOJI.INFO} Queued outbound ${type} sync for ${describeItem({ type, event })} (${id})`);
+  } catch (error) {
+    console.error(`${LOG_EMOJI.ERROR} Could not queue outbound ${type} sync, syncing inline:`, error);
+    await runOutboundItem({ type, event, orgIds: null });
+  }
+}
+
+/**
+ * Used by the issue trigger for updates. Echoes of the app's own writes are dropped; real edits
+ * are collected per issue and synced once after ISSUE_UPDATE_QUIET_WINDOW_SECONDS without edits.
+ */
+export async function enqueueCoalescedUpdate(event) {
+  const issueKey = event.issue.key;
+
+  if (await isEchoEvent(event)) {
+    console.log(`${LOG_EMOJI.SKIP} Skipping ${issueKey} - update was made by the sync itself`);
+    await trackWebhookSync('skip', false, 'Already syncing', null, issueKey, {
+      reason: 'Update made by SyncApp (loop prevention)',
+      eventType: event.eventType
+    });
+    return;
+  }
+
+  const coalesceToken = await recordPendingUpdate(event);
+  try {
+    await enqueueOutbound('issue', event, { coalesceToken, delayInSeconds: ISSUE_UPDATE_QUIET_WINDOW_SECONDS });
+    console.log(`${LOG_EMOJI.INFO} Queued ${issueKey} update, syncing after ${ISSUE_UPDATE_QUIET_WINDOW_SECONDS}s without further edits`);
+  } catch (error) {
+    console.error(`${LOG_EMOJI.ERROR} Could not queue update for ${issueKey}, syncing inline:`, error);
+    await clearPendingUpdate(issueKey);
+    await runOutboundItem({ type: 'issue', event, orgIds: null });
+  }
+}
+
+async function runOutboundItem(item) {
+  const options = { orgIds: item.orgIds || null };
+
+  switch (item.type) {
+    case 'issue':
+      return await syncIssue(item.event, options);
+    case 'comment':
+      return await syncComment(item.event, options);
+    case 'comment-update':
+      return await syncCommentUpdate(item.event, options);
+    case 'comment-delete':
+      return await syncCommentDeletion(item.event, options);
+    case 'link': {
+      // Target first (e.g. the Epic) so the source can pick up the link to it
+      const failures = [];
+      for (const issueKey of [item.event.targetIssueKey, item.event.sourceIssueKey]) {
+        if (!issueKey) continue;
+        const result = await syncIssue({ eventType: 'avi:jira:updated:issue', issue: { key: issueKey } }, options);
+        failures.push(...(result?.failures || []));
+      }
+      return { failures };
+    }
+    default:
+      throw new Error(`Unknown outbound item type: ${item.type}`);
+  }
+}
+
+/**
+ * Process one queued item. Attempt counts live in KVS so they survive across deliveries.
+ * Failed organizations are re-queued with exponential delay; after OUTBOUND_MAX_ATTEMPTS
+ * the item moves to the dead-letter store for an admin to retry or discard.
+ */
+export async function processOutboundItem(item) {
+  if (item.coalesceToken) {
+    const issueKey = item.event.issue.key;
+    const claim = await claimPendingUpdate(issueKey, item.coalesceToken);
+    if (claim.status === 'superseded') {
+      console.log(`${LOG_EMOJI.SKIP} ${issueKey} update superseded by a later edit`);
+      return { status: 'superseded' };
+    }
+    if (claim.status === 'deferred') {
+      // Another sync holds the issue; look again after the next quiet window instead of dropping the edit
+      await enqueueOutbound(item.type, item.event, {
+        id: item.id,
+        orgIds: item.orgIds,
+        coalesceToken: item.coalesceToken,
+        delayInSeconds: ISSUE_UPDATE_QUIET_WINDOW_SECONDS
+      });
+      console.log(`${LOG_EMOJI.INFO} ${issueKey} is syncing, deferring coalesced update`);
+      return { status: 'deferred' };
+    }
+    if (claim.events > 1) {
+      console.log(`${LOG_EMOJI.SYNC} Syncing ${issueKey} once for ${claim.events} coalesced updates`);
+    }
+    item = { ...item, event: claim.event, coalesceToken: null };
+  }
+
+  const stateKey = itemStateKey(item.id);
+  const state = await kvsStore.get(stateKey);
+  const attempts = (state?.attempts || 0) + 1;
+
+  let failures;
+  try {
+    const result = await runOutboundItem(item);
+    failures = result?.failures || [];
+  } catch (error) {
+    console.error(`${LOG_EMOJI.ERROR} Outbound ${item.type} sync for ${describeItem(item)} threw:`, error);
+    failures = [{ orgId: null, error: error.message }];
+  }
+
+  if (failures.length === 0) {
+    if (state) {
+      await kvsStore.del(stateKey);
+      console.log(`${LOG_EMOJI.SUCCESS} Outbound ${item.type} sync for ${describeItem(item)} succeeded on attempt ${attempts}`);
+    }
+    return { status: 'synced', attempts };
+  }
+
+  // Retry only the organizations that failed; an error outside any org retries the original set
+  const failedOrgIds = failures.some(failure => !failure.orgId)
+    ? item.orgIds || null
+    : [...new Set(failures.map(failure => failure.orgId))];
+  const lastError = failures
+    .map(failure => (failure.orgId ? `${failure.orgId}: ${failure.error}` : failure.error))
+    .join('; ');
+  const now = new Date().toISOString();
+
+  if (attempts >= OUTBOUND_MAX_ATTEMPTS) {
+    await kvsStore.set(deadLetterKey(item.id), {
+      ...item,
+      orgIds: failedOrgIds,
+      label: describeItem(item),
+      attempts,
+      lastError,
+      firstFailedAt: state?.firstFailedAt || now,
+      deadLetteredAt: now
+    });
+    await kvsStore.del(stateKey);
+    console.error(`${LOG_EMOJI.STOP} Outbound ${item.type} sync for ${describeItem(item)} failed ${attempts} times, moved to dead-letter store`);
+    return { status: 'dead-lettered', attempts };
+  }
+
+  const delayInSeconds = getRetryDelaySeconds(attempts);
+  await kvsStore.set(stateKey, {
+    attempts,
+    lastError,
+    firstFailedAt: state?.firstFailedAt || now,
+    nextAttemptAt: new Date(Date.now() + delayInSeconds * 1000).toISOString()
+  });
+  await enqueueOutbound(item.type, item.event, { id: item.id, orgIds: failedOrgIds, delayInSeconds });
+  console.log(`${LOG_EMOJI.WARNING} Outbound ${item.type} sync for ${describeItem(item)} failed (attempt ${attempts}/${OUTBOUND_MAX_ATTEMPTS}), retrying in ${delayInSeconds}s`);
+  return { status: 'retrying', attempts, delayInSeconds };
+}
+
+export async function listDeadLetters(orgId = null) {
+  const entries = await kvsStore.queryByPrefix('deadLetter:', MAX_DEAD_LETTER_ENTRIES);
+  return entries
+    .map(entry => entry.value)
+    .filter(entry => entry && (!orgId || !entry.orgIds || entry.orgIds.includes(orgId)))
+    .sort((a, b) => (b.deadLetteredAt || '').localeCompare(a.deadLetteredAt || ''));
+}
+
+// Re-queue a dead-lettered item with a fresh attempt count
+export async function retryDeadLetter(id) {
+  const entry = await kvsStore.get(deadLetterKey(id));
+  if (!entry) {
+    return null;
+  }
+  await enqueueOutbound(entry.type, entry.event, { id: entry.id, orgIds: entry.orgIds || null });
+  await kvsStore.del(deadLetterKey(id));
+  console.log(`${LOG_EMOJI.SYNC} Re-queued dead-lettered ${entry.type} sync for ${entry.label}`);
+  return entry;
+}
+
+export async function discardDeadLetter(id) {
+  await kvsStore.del(deadLetterKey(id));
+}
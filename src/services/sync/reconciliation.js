@@ -0,0 +1,361 @@
+import api, { route } from '@forge/api';
+import * as kvsStore from '../storage/kvs.js';
+import { getAllMappings, getOrganizationsWithTokens, getRemoteCommentId, removeMapping } from '../storage/mappings.js';
+import { reverseMapping } from '../../utils/mapping.js';
+import { fingerprintFields } from './conflict-resolution.js';
+import { getFieldDirections } from './field-directions.js';
+import { syncIssue } from './issue-sync.js';
+import { applyRemoteIssueCreate } from './incoming-sync.js';
+import {
+  LOG_EMOJI,
+  RECONCILIATION_BATCH_SIZE,
+  MAX_RECONCILIATION_ITEMS,
+  MAX_RECONCILIATION_REMOTE_SCAN
+} from '../../constants.js';
+import { RemoteJiraClient } from '../jira/remote-client.js';
+
+const COMPARED_FIELDS = ['summary', 'description', 'priority', 'labels', 'duedate', 'components', 'fixVersions', 'versions'];
+const FETCH_FIELDS = [...COMPARED_FIELDS, 'status', 'attachment', 'issuelinks', 'comment'];
+
+// What the one-click fix does for each kind of drift
+const FIX_FOR_TYPE = {
+  field: 'push',
+  status: 'push',
+  comments: 'push',
+  attachments: 'push',
+  links: 'push',
+  'remote-deleted': 'recreate-remote',
+  'local-deleted': 'drop-mapping',
+  unmapped: 'pull-remote'
+};
+
+export function getReconciliationReportKey(orgId) {
+  return `reconciliationReport:${orgId || 'legacy'}`;
+}
+
+export async function getReconciliationReport(orgId) {
+  return await kvsStore.get(getReconciliationReportKey(orgId));
+}
+
+const REMOTE_HEADERS = {
+    'Content-Type': 'application/json'
+  };
+
+function quoteKeys(keys) {
+  return keys.map(key => `"${key}"`).join(', ');
+}
+
+async function searchLocal(body) {
+  const response = await api.asApp().requestJira(route`/rest/api/3/search/jql`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return response.ok ? await response.json() : null;
+}
+
+async function searchRemote(org, body) {
+  const response = await new RemoteJiraClient(org).request('/rest/api/3/search/jql', {
+    operation: 'Reconciliation remote search',
+    method: 'POST',
+    headers: REMOTE_HEADERS,
+    body: JSON.stringify(body)
+  });
+  return response.ok ? await response.json() : null;
+}
+
+async function getLocalIssue(key) {
+  const response = await api.asApp().requestJira(route`/rest/api/3/issue/${key}?fields=${FETCH_FIELDS.join(',')}`);
+  return response.ok ? await response.json() : null;
+}
+
+async function getRemoteIssueForReconciliation(org, key) {
+  const response = await new RemoteJiraClient(org).request(`/rest/api/3/issue/${key}?fields=${FETCH_FIELDS.join(',')}`, {
+    operation: `Reconciliation get ${key}`,
+    headers: REMOTE_HEADERS
+  });
+  return response.ok ? await response.json() : null;
+}
+
+/**
+ * Fetch a batch of issues by key with one JQL search. JQL rejects the whole query when a key
+ * no longer exists, and returns moved issues under their new key, so keys the search did not
+ * return are looked up one at a time. Missing issues map to null.
+ */
+async function fetchBatch(keys, search, getOne) {
+  const byKey = {};
+  const result = await search({ jql: `key in (${quoteKeys(keys)})`, fields: FETCH_FIELDS, maxResults: keys.length });
+  for (const issue of result?.issues || []) {
+    byKey[issue.key] = issue;
+  }
+
+  for (const key of keys) {
+    if (!(key in byKey)) {
+      byKey[key] = await getOne(key);
+    }
+  }
+  return byKey;
+}
+
+function linkSignature(link, keyFor = (key) => key) {
+  const other = link.outwardIssue?.key || link.inwardIssue?.key;
+  const direction = link.outwardIssue ? 'outward' : 'inward';
+  const mappedOther = other ? keyFor(other) : null;
+  return mappedOther ? `${link.type?.name}|${direction}|${mappedOther}` : null;
+}
+
+async function compareIssues(localIssue, remoteIssue, context) {
+  const { orgId, statusMap, fieldDirections, remoteKeyByLocal } = context;
+  const drift = [];
+  const add = (type, details) => drift.push({ type, details });
+
+  // Fields
+  const localPrints = fingerprintFields(localIssue.fields);
+  const remotePrints = fingerprintFields(remoteIssue.fields);
+  const mismatched = COMPARED_FIELDS.filter(field => {
+    const directionKey = field === 'fixVersions' ? 'versions' : field;
+    return fieldDirections[directionKey] !== 'never' && localPrints[field] !== remotePrints[field];
+  });
+  if (mismatched.length > 0) {
+    add('field', `Different values: ${mismatched.join(', ')}`);
+  }
+
+  // Status, through the status mapping when there is one
+  const localStatus = localIssue.fields.status;
+  const remoteStatus = remoteIssue.fields.status;
+  if (localStatus && remoteStatus && fieldDirections.status !== 'never') {
+    const mappedRemoteId = statusMap[localStatus.id];
+    const matches = mappedRemoteId
+      ? String(mappedRemoteId) === String(remoteStatus.id)
+      : localStatus.name?.toLowerCase() === remoteStatus.name?.toLowerCase();
+    if (!matches) {
+      add('status', `Local "${localStatus.name}", remote "${remoteStatus.name}"`);
+    }
+  }
+
+  // Comments written by users here must have a synced copy on the remote
+  const remoteCommentIds = new Set((remoteIssue.fields.comment?.comments || []).map(c => String(c.id)));
+  let missingComments = 0;
+  for (const comment of localIssue.fields.comment?.comments || []) {
+    if (comment.author?.accountType === 'app') continue;
+    const remoteCommentId = await getRemoteCommentId(comment.id, orgId);
+    if (!remoteCommentId || !remoteCommentIds.has(String(remoteCommentId))) {
+      missingComments++;
+    }
+  }
+  if (missingComments > 0) {
+    add('comments', `${missingComments} comment(s) missing on remote`);
+  }
+
+  // Attachments, matched by filename and size like verifyIssueSync
+  const remoteAttachments = remoteIssue.fields.attachment || [];
+  const missingAttachments = (localIssue.fields.attachment || []).filter(local =>
+    !remoteAttachments.some(remote => remote.filename === local.filename && remote.size === local.size)
+  );
+  if (missingAttachments.length > 0) {
+    add('attachments', `Missing on remote: ${missingAttachments.map(a => a.filename).join(', ')}`);
+  }
+
+  // Links between issues that are both synced
+  const remoteLinks = new Set((remoteIssue.fields.issuelinks || []).map(link => linkSignature(link)).filter(Boolean));
+  const missingLinks = (localIssue.fields.issuelinks || [])
+    .map(link => linkSignature(link, key => remoteKeyByLocal[key]))
+    .filter(signature => signature && !remoteLinks.has(signature));
+  if (missingLinks.length > 0) {
+    add('links', `${missingLinks.length} link(s) missing on remote`);
+  }
+
+  return drift;
+}
+
+async function findUnmappedRemoteIssues(org, remoteProjects, mappedRemoteKeys) {
+  const unmapped = [];
+  let scanned = 0;
+  let nextPageToken;
+
+  do {
+    const body = {
+      jql: `project in (${quoteKeys(remoteProjects)}) ORDER BY key ASC`,
+      fields: ['summary'],
+      maxResults: 100
+    };
+    if (nextPageToken) body.nextPageToken = nextPageToken;
+
+    const result = await searchRemote(org, body);
+    if (!result) break;
+
+    for (const issue of result.issues || []) {
+      scanned++;
+      if (!mappedRemoteKeys.has(issue.key)) {
+        unmapped.push({ key: issue.key, summary: issue.fields?.summary || '' });
+      }
+    }
+    nextPageToken = result.nextPageToken;
+  } while (nextPageToken && scanned < MAX_RECONCILIATION_REMOTE_SCAN);
+
+  return { unmapped, scanned, complete: !nextPageToken };
+}
+
+/**
+ * Walk every issue mapping for the organization, compare both sides and store a drift report.
+ * Runs from the reconciliation queue consumer.
+ */
+export async function runReconciliation(orgId) {
+  const organizations = await getOrganizationsWithTokens();
+  const org = organizations.find(o => o.id === orgId);
+  const storageOrgId = orgId === 'legacy' ? null : orgId;
+  const reportKey = getReconciliationReportKey(storageOrgId);
+
+  if (!org) {
+    throw new Error('Organization not found');
+  }
+
+  const report = {
+    orgId,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    completedAt: null,
+    mappingsChecked: 0,
+    remoteScanned: 0,
+    remoteScanComplete: true,
+    counts: {},
+    items: [],
+    truncated: false
+  };
+  await kvsStore.set(reportKey, report);
+
+  const addItem = (item) => {
+    report.counts[item.type] = (report.counts[item.type] || 0) + 1;
+    if (report.items.length >= MAX_RECONCILIATION_ITEMS) {
+      report.truncated = true;
+      return;
+    }
+    report.items.push({ id: `${item.type}:${item.localKey || ''}:${item.remoteKey || ''}`, fix: FIX_FOR_TYPE[item.type], ...item });
+  };
+
+  try {
+    const [mappingEntries, statusMappings, projectMappings, fieldDirections] = await Promise.all([
+      getAllMappings(storageOrgId),
+      kvsStore.get(storageOrgId ? `statusMappings:${storageOrgId}` : 'statusMappings'),
+      kvsStore.get(storageOrgId ? `projectMappings:${storageOrgId}` : 'projectMappings'),
+      getFieldDirections(storageOrgId)
+    ]);
+    const mappings = mappingEntries.filter(m => m?.localKey && m?.remoteKey);
+    const remoteKeyByLocal = Object.fromEntries(mappings.map(m => [m.localKey, m.remoteKey]));
+    const context = {
+      orgId: storageOrgId,
+      statusMap: reverseMapping(statusMappings || {}),
+      fieldDirections,
+      remoteKeyByLocal
+    };
+
+    console.log(`${LOG_EMOJI.SYNC} Reconciling ${mappings.length} mapping(s) for ${org.name}`);
+
+    for (let i = 0; i < mappings.length; i += RECONCILIATION_BATCH_SIZE) {
+      const batch = mappings.slice(i, i + RECONCILIATION_BATCH_SIZE);
+      const [localIssues, remoteIssues] = await Promise.all([
+        fetchBatch(batch.map(m => m.localKey), searchLocal, getLocalIssue),
+        fetchBatch(batch.map(m => m.remoteKey), body => searchRemote(org, body), key => getRemoteIssueForReconciliation(org, key))
+      ]);
+
+      for (const { localKey, remoteKey } of batch) {
+        const localIssue = localIssues[localKey];
+        const remoteIssue = remoteIssues[remoteKey];
+        report.mappingsChecked++;
+
+        if (!localIssue) {
+          addItem({ type: 'local-deleted', localKey, remoteKey, details: 'Local issue no longer exists' });
+          continue;
+        }
+        if (!remoteIssue) {
+          addItem({ type: 'remote-deleted', localKey, remoteKey, details: 'Remote issue no longer exists' });
+          continue;
+        }
+
+        for (const drift of await compareIssues(localIssue, remoteIssue, context)) {
+          addItem({ ...drift, localKey, remoteKey });
+        }
+      }
+
+      await kvsStore.set(reportKey, report);
+    }
+
+    const remoteProjects = [...new Set([org.remoteProjectKey, ...Object.values(projectMappings || {})].filter(Boolean))];
+    if (remoteProjects.length > 0) {
+      const mappedRemoteKeys = new Set(mappings.map(m => m.remoteKey));
+      const scan = await findUnmappedRemoteIssues(org, remoteProjects, mappedRemoteKeys);
+      report.remoteScanned = scan.scanned;
+      report.remoteScanComplete = scan.complete;
+      for (const issue of scan.unmapped) {
+        addItem({ type: 'unmapped', localKey: null, remoteKey: issue.key, details: issue.summary });
+      }
+    }
+
+    report.status = 'complete';
+    console.log(`${LOG_EMOJI.SUCCESS} Reconciliation for ${org.name} found ${Object.values(report.counts).reduce((a, b) => a + b, 0)} drift item(s)`);
+  } catch (error) {
+    console.error(`${LOG_EMOJI.ERROR} Reconciliation for ${org.name} failed:`, error);
+    report.status = 'failed';
+    report.error = error.message;
+  }
+
+  report.completedAt = new Date().toISOString();
+  await kvsStore.set(reportKey, report);
+  return report;
+}
+
+/**
+ * Apply the one-click fix for a drift item and drop it from the stored report.
+ */
+export async function fixDriftItem(orgId, itemId) {
+  const storageOrgId = orgId === 'legacy' ? null : orgId;
+  const reportKey = getReconciliationReportKey(storageOrgId);
+  const report = await kvsStore.get(reportKey);
+  const item = report?.items?.find(entry => entry.id === itemId);
+  if (!item) {
+    throw new Error('Drift item not found in the current report');
+  }
+
+  const organizations = await getOrganizationsWithTokens();
+  const org = organizations.find(o => o.id === orgId);
+  if (!org) {
+    throw new Error('Organization not found');
+  }
+
+  const pushIssue = async () => {
+    const result = await syncIssue(
+      { eventType: 'avi:jira:updated:issue', issue: { key: item.localKey } },
+      { orgIds: [org.id], fullUpdate: true }
+    );
+    if (result?.failures?.length) {
+      throw new Error(result.failures.map(failure => failure.error).join('; '));
+    }
+  };
+
+  switch (item.fix) {
+    case 'push':
+      await pushIssue();
+      break;
+    case 'recreate-remote':
+      await removeMapping(item.localKey, item.remoteKey, storageOrgId);
+      await pushIssue();
+      break;
+    case 'drop-mapping':
+      await removeMapping(item.localKey, item.remoteKey, storageOrgId);
+      break;
+    case 'pull-remote':
+      await applyRemoteIssueCreate(item.remoteKey, org);
+      break;
+    default:
+      throw new Error(`No fix available for ${item.type}`);
+  }
+
+  // Re-read so a fix running next to another one does not restore its item
+  const latest = await kvsStore.get(reportKey);
+  if (latest?.items) {
+    latest.items = latest.items.filter(entry => entry.id !== itemId);
+    latest.counts[item.type] = Math.max((latest.counts[item.type] || 1) - 1, 0);
+    await kvsStore.set(reportKey, latest);
+  }
+  return item;
+}
@@ -0,0 +1,234 @@
+import api, { route } from '@forge/api';
+import * as kvsStore from '../storage/kvs.js';
+import { LOG_EMOJI } from '../../constants.js';
+import { reverseMapping } from '../../utils/mapping.js';
+import { RemoteJiraClient } from '../jira/remote-client.js';
+
+const MAX_BOARDS = 50;
+const OPEN_SPRINT_STATES = 'active,future';
+
+export function getSprintMappingsKey(orgId) {
+  return orgId ? `sprintMappings:${orgId}` : 'sprintMappings';
+}
+
+/**
+ * Sprint custom fields come back as an array of sprint objects ({ id, name, state, boardId, ... })
+ * but are written as a single sprint ID, and the IDs differ between sites.
+ */
+export function isSprintFieldValue(value) {
+  return Array.isArray(value) &&
+    value.length > 0 &&
+    value.every(item => item && typeof item === 'object' && item.id !== undefined && 'state' in item && 'boardId' in item);
+}
+
+// An issue can only be moved into an open sprint; closed ones are history
+export function pickOpenSprint(sprints) {
+  return sprints.find(s => s.state === 'active') || sprints.find(s => s.state === 'future') || null;
+}
+
+const normalizeName = (name) => name?.toLowerCase().trim().replace(/\s+/g, ' ') || '';
+
+const REMOTE_HEADERS = {
+    'Content-Type': 'application/json',
+    'Accept': 'application/json'
+  };
+
+function toSprintItems(sprints, board) {
+  return sprints.map(s => ({
+    id: String(s.id),
+    name: s.name,
+    state: s.state,
+    boardId: board.id,
+    boardName: board.name
+  }));
+}
+
+function dedupeSprints(items) {
+  const byId = new Map();
+  for (const item of items) {
+    if (!byId.has(item.id)) byId.set(item.id, item);
+  }
+  return Array.from(byId.values());
+}
+
+/**
+ * Open sprints on the local scrum boards of the given projects (all boards when no projects are given)
+ */
+export async function fetchLocalSprints(projectKeys = []) {
+  const boards = [];
+  const boardQueries = projectKeys.length > 0 ? projectKeys : [null];
+
+  for (const projectKey of boardQueries) {
+    const response = projectKey
+      ? await api.asApp().requestJira(route`/rest/agile/1.0/board?type=scrum&projectKeyOrId=${projectKey}&maxResults=${MAX_BOARDS}`)
+      : await api.asApp().requestJira(route`/rest/agile/1.0/board?type=scrum&maxResults=${MAX_BOARDS}`);
+    if (!response.ok) {
+      console.log(`${LOG_EMOJI.WARNING} Could not list local boards${projectKey ? ` for ${projectKey}` : ''}: ${response.status}`);
+      continue;
+    }
+    const data = await response.json();
+    boards.push(...(data.values || []));
+  }
+
+  const sprints = [];
+  for (const board of boards) {
+    const response = await api.asApp().requestJira(
+      route`/rest/agile/1.0/board/${board.id}/sprint?state=${OPEN_SPRINT_STATES}`
+    );
+    if (!response.ok) continue;
+    const data = await response.json();
+    sprints.push(...toSprintItems(data.values || [], board));
+  }
+
+  return dedupeSprints(sprints);
+}
+
+async function fetchRemoteBoards(org, projectKey) {
+  const response = await new RemoteJiraClient(org).request(
+    `/rest/agile/1.0/board?type=scrum&projectKeyOrId=${encodeURIComponent(projectKey)}&maxResults=${MAX_BOARDS}`,
+    { operation: `List remote boards for ${projectKey}`, method: 'GET', headers: REMOTE_HEADERS }
+  );
+
+  if (!response.ok) {
+    console.log(`${LOG_EMOJI.WARNING} Could not list remote boards for ${projectKey}: ${response.status}`);
+    return [];
+  }
+  const data = await response.json();
+  return data.values || [];
+}
+
+async function fetchRemoteBoardSprints(org, boardId) {
+  const response = await new RemoteJiraClient(org).request(
+    `/rest/agile/1.0/board/${boardId}/sprint?state=${OPEN_SPRINT_STATES}`,
+    { operation: `List remote sprints for board ${boardId}`, method: 'GET', headers: REMOTE_HEADERS }
+  );
+
+  if (!response.ok) return [];
+  const data = await response.json();
+  return data.values || [];
+}
+
+/**
+ * Open sprints on the remote scrum boards of the org's project
+ */
+export async function fetchRemoteSprints(org) {
+  const boards = await fetchRemoteBoards(org, org.remoteProjectKey);
+  const sprints = [];
+  for (const board of boards) {
+    const boardSprints = await fetchRemoteBoardSprints(org, board.id);
+    sprints.push(...toSprintItems(boardSprints, board));
+  }
+  return dedupeSprints(sprints);
+}
+
+async function storeSprintMapping(mappings, orgId, remoteSprint, localSprint) {
+  mappings.sprintMappings = {
+    ...(mappings.sprintMappings || {}),
+    [String(remoteSprint.id)]: {
+      localId: String(localSprint.id),
+      remoteName: remoteSprint.name,
+      localName: localSprint.name
+    }
+  };
+  await kvsStore.set(getSprintMappingsKey(orgId), mappings.sprintMappings);
+}
+
+/**
+ * Find a sprint with the same name on the remote project's scrum board, or create it there.
+ * The new mapping is saved so later syncs translate directly.
+ */
+async function ensureRemoteSprint(localSprint, org, mappings, orgId, remoteProjectKey) {
+  const boards = await fetchRemoteBoards(org, remoteProjectKey);
+  if (boards.length === 0) {
+    console.log(`${LOG_EMOJI.WARNING} No scrum board on remote project ${remoteProjectKey} to hold sprint "${localSprint.name}"`);
+    return null;
+  }
+
+  const wanted = normalizeName(localSprint.name);
+  for (const board of boards) {
+    const existing = (await fetchRemoteBoardSprints(org, board.id)).find(s => normalizeName(s.name) === wanted);
+    if (existing) {
+      console.log(`🏃 Matched sprint "${localSprint.name}" to remote sprint ${existing.id} on board ${board.name}`);
+      await storeSprintMapping(mappings, orgId, existing, localSprint);
+      return existing.id;
+    }
+  }
+
+  const board = boards[0];
+  const sprintData = {
+    name: localSprint.name,
+    originBoardId: board.id
+  };
+  if (localSprint.goal) sprintData.goal = localSprint.goal;
+  if (localSprint.startDate) sprintData.startDate = localSprint.startDate;
+  if (localSprint.endDate) sprintData.endDate = localSprint.endDate;
+
+  const response = await new RemoteJiraClient(org).request('/rest/agile/1.0/sprint', {
+    operation: `Create sprint ${localSprint.name}`,
+    method: 'POST',
+    headers: REMOTE_HEADERS,
+    body: JSON.stringify(sprintData)
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error(`${LOG_EMOJI.ERROR} Failed to create remote sprint "${localSprint.name}": ${errorText}`);
+    return null;
+  }
+
+  const created = await response.json();
+  console.log(`${LOG_EMOJI.SUCCESS} Created remote sprint "${created.name}" (${created.id}) on board ${board.name}`);
+  await storeSprintMapping(mappings, orgId, created, localSprint);
+  return created.id;
+}
+
+/**
+ * Translate a local sprint field value into the remote sprint ID to write.
+ * Returns undefined when the field should be left out of the payload.
+ */
+export async function translateSprintToRemote(value, org, mappings, syncOptions, orgId, remoteProjectKey) {
+  const sprint = pickOpenSprint(value);
+  if (!sprint) {
+    console.log(`⏭️ Skipping sprint field - issue is only in closed sprints`);
+    return undefined;
+  }
+
+  const remoteId = reverseMapping(mappings.sprintMappings || {})[String(sprint.id)];
+  if (remoteId) {
+    console.log(`🏃 Mapped sprint: ${sprint.name} (${sprint.id}) → ${remoteId}`);
+    return Number(remoteId);
+  }
+
+  if (syncOptions?.autoCreateSprints) {
+    try {
+      const createdId = await ensureRemoteSprint(sprint, org, mappings, orgId, remoteProjectKey);
+      if (createdId) return Number(createdId);
+    } catch (error) {
+      console.error(`${LOG_EMOJI.ERROR} Error creating remote sprint "${sprint.name}":`, error);
+    }
+  }
+
+  console.log(`${LOG_EMOJI.WARNING} No remote sprint mapped for "${sprint.name}" (${sprint.id}), skipping sprint field`);
+  return undefined;
+}
+
+/**
+ * Translate a remote sprint field value into the local sprint ID to write.
+ * Returns undefined when the field should be left out of the payload.
+ */
+export function translateSprintToLocal(value, sprintMappings) {
+  const sprint = pickOpenSprint(value);
+  if (!sprint) {
+    return undefined;
+  }
+
+  const mapping = sprintMappings?.[String(sprint.id)];
+  const localId = typeof mapping === 'string' ? mapping : mapping?.localId;
+  if (!localId) {
+    console.log(`${LOG_EMOJI.WARNING} No local sprint mapped for remote sprint "${sprint.name}" (${sprint.id}), skipping sprint field`);
+    return undefined;
+  }
+
+  console.log(`🏃 Mapped remote sprint: ${sprint.name} (${sprint.id}) → ${localId}`);
+  return Number(localId);
+}
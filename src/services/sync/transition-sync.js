@@ -1,21 +1,19 @@
-import api, { fetch, route } from '@forge/api';
+import api, { route } from '@forge/api';
 import { LOG_EMOJI, HTTP_STATUS } from '../../constants.js';
-import { retryWithBackoff } from '../../utils/retry.js';
 import { reverseMapping } from '../../utils/mapping.js';
+import { RemoteJiraClient } from '../jira/remote-client.js';
 
 export async function transitionRemoteIssue(remoteKey, statusName, config, statusMappings, syncResult = null) {
-  const auth = Buffer.from(`${config.remoteEmail}:${config.remoteApiToken}`).toString('base64');
   const reversedStatusMap = reverseMapping(statusMappings);
 
   console.log(`${LOG_EMOJI.STATUS} Checking status for ${remoteKey}, target: ${statusName}`);
   
   try {
     // First, check current status to avoid unnecessary transitions
-    const issueResponse = await fetch(
-      `${config.remoteUrl}/rest/api/3/issue/${remoteKey}?fields=status`,
+    const issueResponse = await new RemoteJiraClient(config).request(
+      `/rest/api/3/issue/${remoteKey}?fields=status`,
       {
         headers: {
-          'Authorization': `Basic ${auth}`,
           'Content-Type': 'application/json'
         }
       }
@@ -31,11 +29,10 @@ export async function transitionRemoteIssue(remoteKey, statusName, config, statu
       console.log(`${LOG_EMOJI.STATUS} ${remoteKey} current status: "${currentStatus}" → target: "${statusName}"`);
     }
 
-    const transitionsResponse = await fetch(
-      `${config.remoteUrl}/rest/api/3/issue/${remoteKey}/transitions`,
+    const transitionsResponse = await new RemoteJiraClient(config).request(
+      `/rest/api/3/issue/${remoteKey}/transitions`,
       {
         headers: {
-          'Authorization': `Basic ${auth}`,
           'Content-Type': 'application/json'
         }
       }
@@ -68,21 +65,19 @@ export async function transitionRemoteIssue(remoteKey, statusName, config, statu
 
     console.log(`Using transition: ${transition.name} → ${transition.to.name}`);
 
-    const transitionResponse = await retryWithBackoff(async () => {
-      return await fetch(
-        `${config.remoteUrl}/rest/api/3/issue/${remoteKey}/transitions?notifyUsers=false`,
-        {
-          method: 'POST',
-          headers: {
-            'Authorization': `Basic ${auth}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            transition: { id: transition.id }
-          })
-        }
-      );
-    }, `Transition ${remoteKey} to ${statusName}`);
+    const transitionResponse = await new RemoteJiraClient(config).request(
+      `/rest/api/3/issue/${remoteKey}/transitions?notifyUsers=false`,
+      {
+        operation: `Transition ${remoteKey} to ${statusName}`,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          transition: { id: transition.id }
+        })
+      }
+    );
 
     if (transitionResponse.ok || transitionResponse.status === HTTP_STATUS.NO_CONTENT) {
       console.log(`${LOG_EMOJI.SUCCESS} Transitioned ${remoteKey} to ${transition.to.name}`);
@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+import * as kvsStore from '../storage/kvs.js';
+import { isSyncing } from '../storage/flags.js';
+import { getAppAccountId } from '../jira/local-client.js';
+import { getSourceTimestamp } from './event-sequencing.js';
+import { ISSUE_UPDATE_MAX_WAIT_MS, MAX_COALESCED_CHANGELOG_ITEMS } from '../../constants.js';
+
+// A claimed burst is swapped for a marker instead of deleted (see claimPendingUpdate); KVS drops it after this
+const CLAIMED_MARKER_TTL_MS = 60 * 60 * 1000;
+
+function pendingKey(issueKey) {
+  return `pendingIssueSync:${issueKey}`;
+}
+
+async function getCachedAppAccountId() {
+  const cached = await kvsStore.get('appAccountId');
+  if (cached) {
+    return cached;
+  }
+  const accountId = await getAppAccountId();
+  if (accountId) {
+    await kvsStore.set('appAccountId', accountId);
+  }
+  return accountId;
+}
+
+/**
+ * Whether an issue event is the echo of a write made by this app.
+ * Events that name their author are checked against the app's account, so a user's edit
+ * is never mistaken for an echo just because a sync was running. Without an author the
+ * sync flag is the only signal.
+ */
+export async function isEchoEvent(event) {
+  const actor = event.atlassianId || event.user?.accountId;
+  if (actor) {
+    const appAccountId = await getCachedAppAccountId();
+    if (appAccountId) {
+      return actor === appAccountId;
+    }
+  }
+  return await isSyncing(event.issue.key);
+}
+
+/**
+ * Record an update for the issue's quiet window and return a token for the delayed queue item.
+ * Each update replaces the token, so only the item queued by the last edit in a burst syncs.
+ */
+export async function recordPendingUpdate(event) {
+  const key = pendingKey(event.issue.key);
+  const stored = await kvsStore.get(key);
+  // A claimed marker carries no burst, so this edit starts a new one
+  const existing = stored?.token ? stored : null;
+  const now = Date.now();
+  const token = crypto.randomUUID();
+  const changelogItems = [...(existing?.changelogItems || []), ...(event.changelog?.items || [])];
+
+  const pending = {
+    token,
+    eventType: event.eventType,
+    firstAt: existing?.firstAt || now,
+    latestAt: now,
+    events: (existing?.events || 0) + 1,
+    sourceTimestamp: Math.max(existing?.sourceTimestamp || 0, getSourceTimestamp(event)),
+    changelogItems: changelogItems.slice(-MAX_COALESCED_CHANGELOG_ITEMS),
+    // An event without a changelog, or a burst too long to keep, leaves the merged items incomplete
+    missingChangelog: Boolean(existing?.missingChangelog) || !event.changelog?.items?.length || changelogItems.length > MAX_COALESCED_CHANGELOG_ITEMS
+  };
+
+  const replaced = await kvsStore.swap(key, pending);
+  if ((replaced?.token || null) !== (existing?.token || null)) {
+    // Another update was recorded between the read and this write and its items were overwritten;
+    // the sync reads the issue changelog instead of trusting the merged items
+    await kvsStore.set(key, { ...pending, events: pending.events + 1, missingChangelog: true });
+  }
+  return token;
+}
+
+export async function clearPendingUpdate(issueKey) {
+  await kvsStore.del(pendingKey(issueKey));
+}
+
+/**
+ * Called when a coalesced queue item is delivered.
+ * Returns { status: 'superseded' } when a later edit owns the window (unless edits have kept
+ * coming past ISSUE_UPDATE_MAX_WAIT_MS), { status: 'deferred' } while another sync holds the
+ * issue, or { status: 'ready', event, events } with the burst's merged changelog.
+ */
+export async function claimPendingUpdate(issueKey, token) {
+  const key = pendingKey(issueKey);
+  const pending = await kvsStore.get(key);
+  if (!pending?.token) {
+    return { status: 'superseded' };
+  }
+
+  const overdue = Date.now() - pending.firstAt >= ISSUE_UPDATE_MAX_WAIT_MS;
+  if (pending.token !== token && !overdue) {
+    return { status: 'superseded' };
+  }
+
+  if (await isSyncing(issueKey)) {
+    return { status: 'deferred' };
+  }
+
+  // Swap rather than delete: an edit recorded since the read must not be wiped with the burst
+  const taken = await kvsStore.swap(key, { claimedToken: pending.token }, { ttl: CLAIMED_MARKER_TTL_MS });
+  if (taken?.token !== pending.token) {
+    if (taken?.token) {
+      await restorePendingUpdate(key, taken);
+    }
+    return { status: 'superseded' };
+  }
+
+  return {
+    status: 'ready',
+    events: taken.events,
+    event: {
+      eventType: taken.eventType,
+      issue: { key: issueKey },
+      sourceTimestamp: taken.sourceTimestamp,
+      // Without a complete changelog the sync reads the issue changelog instead
+      changelog: taken.missingChangelog ? undefined : { items: taken.changelogItems || [] }
+    }
+  };
+}
+
+// Puts back a burst that a claim swapped out after a later edit had replaced the one it read.
+// An edit recorded in between started a new burst over the marker; both are kept and the sync
+// reads the issue changelog, since neither holds all the items.
+async function restorePendingUpdate(key, burst) {
+  const replaced = await kvsStore.swap(key, burst);
+  if (replaced?.token) {
+    await kvsStore.set(key, {
+      ...replaced,
+      firstAt: Math.min(burst.firstAt, replaced.firstAt),
+      events: burst.events + replaced.events,
+      sourceTimestamp: Math.max(burst.sourceTimestamp || 0, replaced.sourceTimestamp || 0),
+      missingChangelog: true
+    });
+  }
+}
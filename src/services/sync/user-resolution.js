@@ -0,0 +1,151 @@
+import api, { route } from '@forge/api';
+import * as kvsStore from '../storage/kvs.js';
+import { LOG_EMOJI } from '../../constants.js';
+import { mapUserToRemote, mapUserToLocal } from '../../utils/mapping.js';
+import { RemoteJiraClient } from '../jira/remote-client.js';
+
+export const DEFAULT_USER_MAPPING_CONFIG = {
+  autoMapUsers: true,
+  fallbackUser: null
+};
+
+const USER_LOOKUP_TTL_MS = 1000 * 60 * 60 * 24; // 24 hours
+const USER_MISS_TTL_MS = 1000 * 60 * 60; // retry unmatched users hourly
+
+export function getUserMappingConfigKey(orgId) {
+  return orgId ? `userMappingConfig:${orgId}` : 'userMappingConfig';
+}
+
+export async function getUserMappingConfig(orgId) {
+  const config = await kvsStore.get(getUserMappingConfigKey(orgId));
+  return { ...DEFAULT_USER_MAPPING_CONFIG, ...(config || {}) };
+}
+
+function buildLookupKey(orgId, direction, accountId) {
+  return `userLookup:${orgId || 'legacy'}:${direction}:${accountId}`;
+}
+
+const REMOTE_HEADERS = {
+    'Accept': 'application/json'
+  };
+
+async function getLocalUserEmail(accountId) {
+  const response = await api.asApp().requestJira(route`/rest/api/3/user?accountId=${accountId}`);
+  if (!response.ok) return null;
+  const user = await response.json();
+  return user.emailAddress || null;
+}
+
+async function getRemoteUserEmail(accountId, org) {
+  const response = await new RemoteJiraClient(org).request(`/rest/api/3/user?accountId=${encodeURIComponent(accountId)}`, {
+    operation: `Get remote user ${accountId}`,
+    method: 'GET',
+    headers: REMOTE_HEADERS
+  });
+  if (!response.ok) return null;
+  const user = await response.json();
+  return user.emailAddress || null;
+}
+
+async function searchLocalUsers(email) {
+  const response = await api.asApp().requestJira(route`/rest/api/3/user/search?query=${email}`);
+  if (!response.ok) return [];
+  return await response.json();
+}
+
+async function searchRemoteUsers(email, org) {
+  const response = await new RemoteJiraClient(org).request(`/rest/api/3/user/search?query=${encodeURIComponent(email)}`, {
+    operation: `Search remote users by email`,
+    method: 'GET',
+    headers: REMOTE_HEADERS
+  });
+  if (!response.ok) return [];
+  return await response.json();
+}
+
+// Sites that hide email addresses return the single matching user without one
+export function pickUserByEmail(users, email) {
+  const candidates = (users || []).filter(u => u.accountType === 'atlassian' && u.active !== false);
+  const wanted = email.toLowerCase();
+  const exact = candidates.find(u => u.emailAddress && u.emailAddress.toLowerCase() === wanted);
+  if (exact) return exact;
+  if (candidates.length === 1 && !candidates[0].emailAddress) return candidates[0];
+  return null;
+}
+
+/**
+ * Find the account on the other site for a user that is not in the static mapping,
+ * by looking up the user's email there. Results (including misses) are cached in KVS.
+ *
+ * direction: 'outbound' (local user → remote account) or 'inbound' (remote user → local account)
+ */
+async function lookupUserByEmail(user, { direction, org, orgId }) {
+  const key = buildLookupKey(orgId, direction, user.accountId);
+  const cached = await kvsStore.get(key);
+  if (cached?.expiresAt > Date.now()) {
+    return cached.value?.accountId || null;
+  }
+
+  const email = user.emailAddress || (direction === 'outbound'
+    ? await getLocalUserEmail(user.accountId)
+    : await getRemoteUserEmail(user.accountId, org));
+
+  let match = null;
+  if (email) {
+    const users = direction === 'outbound'
+      ? await searchRemoteUsers(email, org)
+      : await searchLocalUsers(email);
+    match = pickUserByEmail(users, email);
+  }
+
+  if (match) {
+    console.log(`👤 Resolved ${direction === 'outbound' ? 'remote' : 'local'} user for ${user.accountId} by email → ${match.accountId}`);
+  } else {
+    console.log(`${LOG_EMOJI.WARNING} No ${direction === 'outbound' ? 'remote' : 'local'} user found by email for ${user.accountId}${email ? '' : ' (email not visible)'}`);
+  }
+
+  await kvsStore.set(key, { accountId: match?.accountId || null, email: email || null }, {
+    ttl: match ? USER_LOOKUP_TTL_MS : USER_MISS_TTL_MS
+  });
+  return match?.accountId || null;
+}
+
+/**
+ * Resolve a user field (assignee, reporter) for the other site.
+ * Static mapping first, then an email lookup when autoMapUsers is on, then config.fallbackUser.
+ *
+ * Returns { accountId } to set, null to unassign, or undefined to leave the field out.
+ */
+export async function resolveUserForField(user, { direction, org, orgId, userMappings, config = null }) {
+  if (!user?.accountId) {
+    return undefined;
+  }
+
+  const mapped = direction === 'outbound'
+    ? mapUserToRemote(user.accountId, userMappings || {})
+    : mapUserToLocal(user.accountId, userMappings || {});
+  if (mapped) {
+    return { accountId: mapped };
+  }
+
+  const effectiveConfig = config || await getUserMappingConfig(orgId);
+
+  if (effectiveConfig.autoMapUsers !== false) {
+    try {
+      const found = await lookupUserByEmail(user, { direction, org, orgId });
+      if (found) {
+        return { accountId: found };
+      }
+    } catch (error) {
+      console.error(`${LOG_EMOJI.ERROR} Error looking up user ${user.accountId} by email:`, error);
+    }
+  }
+
+  if (!effectiveConfig.fallbackUser) {
+    return undefined;
+  }
+  if (effectiveConfig.fallbackUser === 'unassigned') {
+    return null;
+  }
+  return { accountId: effectiveConfig.fallbackUser };
+}
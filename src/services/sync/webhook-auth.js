@@ -0,0 +1,279 @@
+import crypto from 'crypto';
+import * as kvsStore from '../storage/kvs.js';
+import { LOG_EMOJI, WEBHOOK_MAX_AGE_MS, WEBHOOK_MAX_CLOCK_SKEW_MS, WEBHOOK_DEDUPE_TTL_MS } from '../../constants.js';
+
+// Each organization authenticates its remote webhooks in one of two modes (org.incomingAuthMode):
+// 'query-secret' appends ?secret= to the webtrigger URL; 'signature' puts the same secret in the
+// remote webhook's Secret field, and Jira sends X-Hub-Signature: sha256=<HMAC-SHA256 of the raw body>.
+// Accepted deliveries are recorded at webhookDelivery:{orgId}:{identifier}:{event}:{entityId}, so a
+// retried or replayed delivery is acknowledged without being processed a second time.
+// Secrets are stored as { secret, version }. After a rotation the previous secret stays valid until
+// its grace window ends, and no further rotation is allowed before then. Every match is counted in a
+// secret-usage entity row per organization and secret version, updated with conditional writes.
+
+const USAGE_ENTITY = 'secret-usage';
+const USAGE_WRITE_ATTEMPTS = 5;
+
+export function getIncomingSecretKey(orgId) {
+  return `secret:${orgId}:incomingSecret`;
+}
+
+export function getPreviousIncomingSecretKey(orgId) {
+  return `secret:${orgId}:previousIncomingSecret`;
+}
+
+function getUsageKey(orgId, version) {
+  return `${orgId}:${version}`;
+}
+
+export function generateIncomingSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * The current incoming secret and its version. The version is stored with the secret, so a
+ * delivery matched right after a rotation is never counted against the previous version.
+ * @returns {Promise<{secret: string, version: number}|null>}
+ */
+export async function getIncomingSecret(org) {
+  const stored = await kvsStore.getSecret(getIncomingSecretKey(org.id));
+  if (!stored) {
+    return null;
+  }
+  // Secrets stored before versions were kept with them are plain strings
+  return typeof stored === 'string'
+    ? { secret: stored, version: org.incomingSecretVersion || 1 }
+    : { secret: stored.secret, version: stored.version };
+}
+
+export async function setIncomingSecret(orgId, secret, version = 1) {
+  await kvsStore.setSecret(getIncomingSecretKey(orgId), { secret, version });
+}
+
+/**
+ * Replaces an organization's incoming secret. The old secret is kept as the previous
+ * version and accepted for graceMs (not at all when graceMs is 0). Throws while the secret
+ * replaced by the last rotation is still accepted, since replacing it would reject senders
+ * that have not switched yet.
+ * @returns {Promise<{secret: string, version: number, previousValidUntil: string|null}>}
+ */
+export async function rotateIncomingSecret(org, graceMs) {
+  const previous = await kvsStore.getSecret(getPreviousIncomingSecretKey(org.id));
+  if (previous?.secret && previous.expiresAt > Date.now()) {
+    throw new Error(`The previous secret is accepted until ${new Date(previous.expiresAt).toISOString()}; rotate again after that`);
+  }
+
+  const current = await getIncomingSecret(org);
+  const currentVersion = current?.version || org.incomingSecretVersion || 1;
+  const previousValidUntil = current && graceMs > 0 ? Date.now() + graceMs : null;
+
+  if (previousValidUntil) {
+    await kvsStore.setSecret(getPreviousIncomingSecretKey(org.id), {
+      secret: current.secret,
+      version: currentVersion,
+      expiresAt: previousValidUntil
+    });
+  } else {
+    await kvsStore.deleteSecret(getPreviousIncomingSecretKey(org.id));
+  }
+
+  const secret = generateIncomingSecret();
+  await setIncomingSecret(org.id, secret, currentVersion + 1);
+  await pruneIncomingSecretUsage(org.id, currentVersion);
+  console.log(`${LOG_EMOJI.SUCCESS} Rotated incoming secret for ${org.id} to version ${currentVersion + 1}`);
+
+  return {
+    secret,
+    version: currentVersion + 1,
+    previousValidUntil: previousValidUntil ? new Date(previousValidUntil).toISOString() : null
+  };
+}
+
+// Current secret first, then the previous one while its grace window lasts
+async function getIncomingSecrets(org, now) {
+  const [current, previous] = await Promise.all([
+    getIncomingSecret(org),
+    kvsStore.getSecret(getPreviousIncomingSecretKey(org.id))
+  ]);
+  const secrets = [];
+  if (current) {
+    secrets.push(current);
+  }
+  if (previous?.secret && previous.expiresAt > now) {
+    secrets.push({ secret: previous.secret, version: previous.version });
+  }
+  return secrets;
+}
+
+export function getIncomingAuthMode(org) {
+  return org?.incomingAuthMode === 'signature' ? 'signature' : 'query-secret';
+}
+
+/**
+ * Reads a request header regardless of case; webtrigger headers arrive as arrays.
+ */
+export function getHeader(headers, name) {
+  const wanted = name.toLowerCase();
+  for (const [key, value] of Object.entries(headers || {})) {
+    if (key.toLowerCase() === wanted) {
+      return Array.isArray(value) ? value[0] : value;
+    }
+  }
+  return null;
+}
+
+export function signWebhookBody(secret, rawBody) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(rawBody, 'utf8').digest('hex')}`;
+}
+
+// Compares digests of both values, so neither their content nor their length shows in the timing
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || !a || !b) {
+    return false;
+  }
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Finds the organization that sent a delivery, checking the query secret against
+ * query-secret orgs and X-Hub-Signature against signature orgs. Every organization
+ * and secret version is checked so the response time does not reveal which one matched.
+ * @returns {Promise<{org: object, mode: string, secretVersion: number}|null>}
+ */
+export async function findWebhookOrganization(rawBody, headers, querySecret) {
+  const orgs = await kvsStore.get('organizations') || [];
+  const signature = (getHeader(headers, 'X-Hub-Signature') || '').toLowerCase();
+  const now = Date.now();
+
+  let match = null;
+  for (const org of orgs) {
+    const mode = getIncomingAuthMode(org);
+    for (const { secret, version } of await getIncomingSecrets(org, now)) {
+      const matches = mode === 'signature'
+        ? safeEqual(signWebhookBody(secret, rawBody), signature)
+        : safeEqual(secret, querySecret);
+      if (matches && !match) {
+        match = { org, mode, secretVersion: version };
+      }
+    }
+  }
+
+  if (match) {
+    console.log(`✅ Webhook authenticated for org ${match.org.id} (${match.mode}, secret version ${match.secretVersion})`);
+  }
+  return match;
+}
+
+/**
+ * Records that a secret version authenticated a delivery, so admins can see when
+ * the previous secret stops being used after a rotation. The count is only written
+ * while it still holds the value it was read with, so concurrent deliveries each count.
+ */
+export async function recordIncomingSecretUse(orgId, secretVersion) {
+  const key = getUsageKey(orgId, secretVersion);
+
+  for (let attempt = 0; attempt < USAGE_WRITE_ATTEMPTS; attempt++) {
+    const now = new Date().toISOString();
+    const entry = await kvsStore.getEntity(USAGE_ENTITY, key);
+    const written = entry
+      ? await kvsStore.setEntityIf(USAGE_ENTITY, key, {
+        ...entry,
+        lastMatchedAt: now,
+        deliveries: entry.deliveries + 1
+      }, 'deliveries', entry.deliveries)
+      : await kvsStore.createEntity(USAGE_ENTITY, key, {
+        orgId,
+        version: secretVersion,
+        firstMatchedAt: now,
+        lastMatchedAt: now,
+        deliveries: 1
+      });
+    if (written) {
+      return;
+    }
+  }
+  console.warn(`${LOG_EMOJI.WARNING} Could not record use of incoming secret version ${secretVersion} for ${orgId}`);
+}
+
+async function getIncomingSecretUsageRows(orgId) {
+  const { results } = await kvsStore.queryEntityIndex(USAGE_ENTITY, 'by-org', { partition: [orgId] });
+  return results;
+}
+
+/**
+ * First use, last use and delivery count of each recorded secret version, keyed by version.
+ */
+export async function getIncomingSecretUsage(orgId) {
+  const usage = {};
+  for (const { value } of await getIncomingSecretUsageRows(orgId)) {
+    usage[value.version] = {
+      firstMatchedAt: value.firstMatchedAt,
+      lastMatchedAt: value.lastMatchedAt,
+      deliveries: value.deliveries
+    };
+  }
+  return usage;
+}
+
+// Only the current and previous versions are of interest
+async function pruneIncomingSecretUsage(orgId, oldestKeptVersion) {
+  for (const { key, value } of await getIncomingSecretUsageRows(orgId)) {
+    if (value.version < oldestKeptVersion) {
+      await kvsStore.deleteEntity(USAGE_ENTITY, key);
+    }
+  }
+}
+
+export async function deleteIncomingSecretUsage(orgId) {
+  await pruneIncomingSecretUsage(orgId, Infinity);
+}
+
+function getDeliveryKey(orgId, identifier, webhookEvent, entityId) {
+  return `webhookDelivery:${orgId}:${identifier}:${webhookEvent || 'unknown'}:${entityId}`;
+}
+
+// The comment, worklog, attachment or link an event is about; the issue for issue events
+export function getWebhookEntityId(payload) {
+  const entity = payload?.comment || payload?.worklog || payload?.attachment || payload?.issueLink || payload?.issue;
+  return entity?.id ?? 'none';
+}
+
+/**
+ * Delivery ledger: refuses deliveries whose payload timestamp is outside the accepted
+ * window, reports a delivery already accepted for the same identifier
+ * (X-Atlassian-Webhook-Identifier, else a hash of the body), event and entity as a
+ * duplicate, and records the rest.
+ * @returns {Promise<{key: string, duplicate?: boolean}|{status: number, error: string}>}
+ */
+export async function claimWebhookDelivery(org, payload, rawBody, headers, now = Date.now()) {
+  const timestamp = Number(payload?.timestamp);
+  if (Number.isFinite(timestamp) && timestamp > 0) {
+    if (now - timestamp > WEBHOOK_MAX_AGE_MS) {
+      console.warn(`${LOG_EMOJI.WARNING} Rejected webhook for ${org.id}: timestamp ${new Date(timestamp).toISOString()} is too old`);
+      return { status: 401, error: 'Webhook delivery is too old' };
+    }
+    if (timestamp - now > WEBHOOK_MAX_CLOCK_SKEW_MS) {
+      console.warn(`${LOG_EMOJI.WARNING} Rejected webhook for ${org.id}: timestamp ${new Date(timestamp).toISOString()} is in the future`);
+      return { status: 401, error: 'Webhook timestamp is in the future' };
+    }
+  }
+
+  const identifier = getHeader(headers, 'X-Atlassian-Webhook-Identifier')
+    || crypto.createHash('sha256').update(rawBody).digest('hex');
+  const key = getDeliveryKey(org.id, identifier, payload?.webhookEvent, getWebhookEntityId(payload));
+
+  // A single conditional write, so of two concurrent retries only one is accepted
+  if (!await kvsStore.claim(key, { receivedAt: new Date(now).toISOString() }, WEBHOOK_DEDUPE_TTL_MS)) {
+    console.log(`${LOG_EMOJI.INFO} Suppressed duplicate webhook ${identifier} (${payload?.webhookEvent}) for ${org.id}`);
+    return { key, duplicate: true };
+  }
+  return { key };
+}
+
+/**
+ * Forgets a delivery that failed on our side, so the remote's retry of it is accepted.
+ */
+export async function releaseWebhookDelivery(key) {
+  await kvsStore.del(key);
+}
@@ -0,0 +1,389 @@
+import api, { route } from '@forge/api';
+import * as kvsStore from '../storage/kvs.js';
+import { LOG_EMOJI } from '../../constants.js';
+import { extractTextFromADF, buildSyncedWorklogADF, isSyncedWorklogComment } from '../../utils/adf.js';
+import { mapUserToRemote } from '../../utils/mapping.js';
+import { getRemoteKey, getOrganizationsWithTokens, getRemoteWorklogId, storeWorklogMapping, removeWorklogMapping } from '../storage/mappings.js';
+import { getFullIssue, getOrgName } from '../jira/local-client.js';
+import { trackWebhookSync } from '../storage/stats.js';
+import { isProjectAllowedToSync } from '../../utils/validation.js';
+import { isSyncing } from '../storage/flags.js';
+import { RemoteJiraClient } from '../jira/remote-client.js';
+
+// Estimates are synced as issue fields, so mirrored worklogs must not touch them
+const WORKLOG_QUERY = 'notifyUsers=false&adjustEstimate=leave';
+
+/**
+ * Copy local worklogs that have no remote counterpart yet.
+ * Used by issue create/update, bulk sync and scheduled sync to catch missed worklog events.
+ */
+export async function syncAllWorklogs(localKey, remoteKey, org, userMappings = {}, syncResult = null, orgId = null) {
+  try {
+    const response = await api.asApp().requestJira(
+      route`/rest/api/3/issue/${localKey}/worklog?maxResults=1000`,
+      { method: 'GET' }
+    );
+
+    if (!response.ok) {
+      console.log(`${LOG_EMOJI.WARNING} Could not fetch worklogs for ${localKey}`);
+      return { synced: 0, skipped: 0, failed: 0 };
+    }
+
+    const data = await response.json();
+    const worklogs = data.worklogs || [];
+    if (worklogs.length === 0) {
+      return { synced: 0, skipped: 0, failed: 0 };
+    }
+
+    const orgName = await getOrgName();
+    let synced = 0;
+    let skipped = 0;
+    let failed = 0;
+
+    for (const worklog of worklogs) {
+      if (isMirroredWorklog(worklog) || await getRemoteWorklogId(worklog.id, orgId)) {
+        skipped++;
+        continue;
+      }
+
+      try {
+        const created = await postRemoteWorklog(org, remoteKey, buildWorklogPayload(worklog, orgName, (accountId) => mapUserToRemote(accountId, userMappings)));
+        if (created?.id) {
+          await storeWorklogMapping(worklog.id, created.id, orgId);
+          synced++;
+        } else {
+          failed++;
+        }
+      } catch (error) {
+        console.error(`${LOG_EMOJI.ERROR} Error syncing worklog ${worklog.id}:`, error);
+        failed++;
+      }
+    }
+
+    if (synced > 0 || failed > 0) {
+      console.log(`${LOG_EMOJI.WORKLOG} Worklogs for ${localKey}: ${synced} synced, ${skipped} skipped, ${failed} failed`);
+    }
+    if (failed > 0 && syncResult) {
+      syncResult.addWarning(`${failed} worklog(s) failed to sync`);
+    }
+
+    return { synced, skipped, failed };
+  } catch (error) {
+    console.error(`${LOG_EMOJI.ERROR} Error syncing worklogs for ${localKey}:`, error);
+    return { synced: 0, skipped: 0, failed: 0 };
+  }
+}
+
+export async function syncWorklog(event) {
+  const target = await resolveWorklogEvent(event, 'create');
+  if (!target) {
+    return;
+  }
+
+  const { issue, worklog, organizations } = target;
+  const orgName = await getOrgName();
+
+  for (const org of organizations) {
+    const orgId = org.id === 'legacy' ? null : org.id;
+    const remoteKey = await resolveTargetIssue(issue, org, orgId);
+    if (!remoteKey) {
+      continue;
+    }
+
+    if (await getRemoteWorklogId(worklog.id, orgId)) {
+      console.log(`${LOG_EMOJI.SKIP} Worklog ${worklog.id} already synced to ${org.name}`);
+      continue;
+    }
+
+    const userMappings = await getUserMappings(org);
+    try {
+      const created = await postRemoteWorklog(org, remoteKey, buildWorklogPayload(worklog, orgName, (accountId) => mapUserToRemote(accountId, userMappings)));
+      if (!created?.id) {
+        throw new Error('Remote worklog was not created');
+      }
+
+      await storeWorklogMapping(worklog.id, created.id, orgId);
+      console.log(`${LOG_EMOJI.SUCCESS} Worklog ${worklog.id} synced to ${org.name} (${remoteKey}) → ${created.id}`);
+      await trackWebhookSync('worklog', true, null, org.id, issue.key, {
+        action: 'create',
+        remoteKey,
+        worklogId: worklog.id,
+        remoteWorklogId: created.id,
+        timeSpentSeconds: worklog.timeSpentSeconds
+      });
+    } catch (error) {
+      console.error(`${LOG_EMOJI.ERROR} Error syncing worklog to ${org.name}:`, error);
+      await trackWebhookSync('worklog', false, error.message, org.id, issue.key, {
+        action: 'create',
+        remoteKey,
+        worklogId: worklog.id
+      });
+    }
+  }
+}
+
+export async function syncWorklogUpdate(event) {
+  const target = await resolveWorklogEvent(event, 'update');
+  if (!target) {
+    return;
+  }
+
+  const { issue, worklog, organizations } = target;
+  const orgName = await getOrgName();
+
+  for (const org of organizations) {
+    const orgId = org.id === 'legacy' ? null : org.id;
+    const remoteWorklogId = await getRemoteWorklogId(worklog.id, orgId);
+    if (!remoteWorklogId) {
+      continue;
+    }
+
+    const remoteKey = await resolveTargetIssue(issue, org, orgId);
+    if (!remoteKey) {
+      continue;
+    }
+
+    const userMappings = await getUserMappings(org);
+    try {
+      const response = await new RemoteJiraClient(org).request(`/rest/api/3/issue/${remoteKey}/worklog/${remoteWorklogId}?${WORKLOG_QUERY}`, {
+        operation: `Update worklog ${remoteWorklogId} on ${remoteKey}`,
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(buildWorklogPayload(worklog, orgName, (accountId) => mapUserToRemote(accountId, userMappings)))
+      });
+
+      if (!response.ok) {
+        throw new Error(await response.text());
+      }
+
+      console.log(`${LOG_EMOJI.SUCCESS} Worklog edit synced to ${org.name} (${remoteKey}, worklog ${remoteWorklogId})`);
+      await trackWebhookSync('worklog', true, null, org.id, issue.key, {
+        action: 'update',
+        remoteKey,
+        worklogId: worklog.id,
+        remoteWorklogId
+      });
+    } catch (error) {
+      console.error(`${LOG_EMOJI.ERROR} Error syncing worklog edit to ${org.name}:`, error);
+      await trackWebhookSync('worklog', false, error.message, org.id, issue.key, {
+        action: 'update',
+        remoteKey,
+        worklogId: worklog.id,
+        remoteWorklogId
+      });
+    }
+  }
+}
+
+export async function syncWorklogDeletion(event) {
+  const target = await resolveWorklogEvent(event, 'delete');
+  if (!target) {
+    return;
+  }
+
+  const { issue, worklog, organizations } = target;
+
+  for (const org of organizations) {
+    const orgId = org.id === 'legacy' ? null : org.id;
+    const remoteWorklogId = await getRemoteWorklogId(worklog.id, orgId);
+    if (!remoteWorklogId) {
+      continue;
+    }
+
+    const remoteKey = await resolveTargetIssue(issue, org, orgId);
+    if (!remoteKey) {
+      continue;
+    }
+
+    try {
+      const response = await new RemoteJiraClient(org).request(`/rest/api/3/issue/${remoteKey}/worklog/${remoteWorklogId}?${WORKLOG_QUERY}`, {
+        operation: `Delete worklog ${remoteWorklogId} on ${remoteKey}`,
+        method: 'DELETE',
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (!response.ok && response.status !== 404) {
+        throw new Error(await response.text());
+      }
+
+      // Kept until the remote worklog is gone so a failed delete can be retried; a remote
+      // worklog_deleted webhook that still finds it gets a 404 locally, which is ignored
+      await removeWorklogMapping(worklog.id, remoteWorklogId, orgId);
+      console.log(`${LOG_EMOJI.SUCCESS} Worklog deletion synced to ${org.name} (${remoteKey}, worklog ${remoteWorklogId})`);
+      await trackWebhookSync('worklog', true, null, org.id, issue.key, {
+        action: 'delete',
+        remoteKey,
+        worklogId: worklog.id,
+        remoteWorklogId
+      });
+    } catch (error) {
+      console.error(`${LOG_EMOJI.ERROR} Error deleting worklog on ${org.name}:`, error);
+      await trackWebhookSync('worklog', false, error.message, org.id, issue.key, {
+        action: 'delete',
+        remoteKey,
+        worklogId: worklog.id,
+        remoteWorklogId
+      });
+    }
+  }
+}
+
+/**
+ * Build the worklog body for the other side. The API always records the integration user as author,
+ * so the original author is named in the comment header (and mentioned when mapAuthor finds a match).
+ */
+export function buildWorklogPayload(worklog, orgName, mapAuthor = null) {
+  const authorId = worklog.author?.accountId;
+  const userName = worklog.author?.displayName || worklog.author?.emailAddress || 'Unknown User';
+  const commentText = worklog.comment && typeof worklog.comment === 'object'
+    ? extractTextFromADF(worklog.comment)
+    : (worklog.comment || '');
+
+  return {
+    timeSpentSeconds: worklog.timeSpentSeconds,
+    started: worklog.started,
+    comment: buildSyncedWorklogADF({
+      orgName,
+      userName,
+      mappedAccountId: authorId && mapAuthor ? mapAuthor(authorId) : null,
+      commentText
+    })
+  };
+}
+
+/**
+ * Worklogs written by the app (or carrying the synced header) are mirrors of the
+ * other side and must never be sent back.
+ */
+export function isMirroredWorklog(worklog) {
+  return worklog?.author?.accountType === 'app' ||
+    worklog?.updateAuthor?.accountType === 'app' ||
+    isSyncedWorklogComment(worklog?.comment);
+}
+
+async function resolveWorklogEvent(event, action) {
+  const worklogId = event.worklog?.id;
+  const issueId = event.worklog?.issueId || event.issue?.id;
+
+  if (!worklogId || !issueId) {
+    console.log(`${LOG_EMOJI.WARNING} Worklog ${action} event missing worklog or issue id`);
+    return null;
+  }
+
+  const issue = await getFullIssue(issueId);
+  if (!issue) {
+    console.log(`${LOG_EMOJI.WARNING} Could not fetch issue ${issueId} for worklog ${worklogId}`);
+    return null;
+  }
+
+  if (await isSyncing(issue.key)) {
+    console.log(`⏭️ Skipping worklog ${action} for ${issue.key} - issue is currently syncing`);
+    return null;
+  }
+
+  // Deleted worklogs can no longer be fetched, the event payload is all we get
+  let worklog = event.worklog;
+  if (action !== 'delete') {
+    worklog = await getLocalWorklog(issue.key, worklogId);
+    if (!worklog) {
+      console.log(`${LOG_EMOJI.WARNING} Could not fetch worklog ${worklogId} on ${issue.key}`);
+      return null;
+    }
+    if (isMirroredWorklog(worklog)) {
+      console.log(`${LOG_EMOJI.INFO} Skipping mirrored worklog ${worklogId} on ${issue.key}`);
+      return null;
+    }
+  }
+
+  const organizations = await getWorklogSyncOrganizations();
+  const enabled = [];
+  for (const org of organizations) {
+    if (await isWorklogSyncEnabled(org)) {
+      enabled.push(org);
+    }
+  }
+
+  if (enabled.length === 0) {
+    console.log(`⏭️ Worklog ${action} skipped for ${issue.key}: worklog sync disabled for all organizations`);
+    return null;
+  }
+
+  return { issue, worklog, organizations: enabled };
+}
+
+async function resolveTargetIssue(issue, org, orgId) {
+  const projectKey = issue.fields.project.key;
+  const isAllowed = await isProjectAllowedToSync(projectKey, org);
+  if (!isAllowed) {
+    console.log(`⏭️ Skipping worklog on ${issue.key} for ${org.name} - project ${projectKey} not in allowed list`);
+    return null;
+  }
+
+  const remoteKey = await getRemoteKey(issue.key, orgId);
+  if (!remoteKey) {
+    console.log(`No remote issue found for ${issue.key} in ${org.name}`);
+  }
+  return remoteKey;
+}
+
+async function getLocalWorklog(issueKey, worklogId) {
+  try {
+    const response = await api.asApp().requestJira(route`/rest/api/3/issue/${issueKey}/worklog/${worklogId}`);
+    if (!response.ok) {
+      console.error(`Failed to fetch worklog ${worklogId} for issue ${issueKey}: ${response.status}`);
+      return null;
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching worklog:', error);
+    return null;
+  }
+}
+
+async function postRemoteWorklog(org, remoteKey, payload) {
+  const response = await new RemoteJiraClient(org).request(`/rest/api/3/issue/${remoteKey}/worklog?${WORKLOG_QUERY}`, {
+    operation: `Sync worklog to ${remoteKey}`,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(payload)
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error(`${LOG_EMOJI.ERROR} Worklog sync to ${remoteKey} failed: ${errorText}`);
+    return null;
+  }
+
+  return await response.json();
+}
+
+async function getUserMappings(org) {
+  return await kvsStore.get(org.id === 'legacy' ? 'userMappings' : `userMappings:${org.id}`) || {};
+}
+
+async function getWorklogSyncOrganizations() {
+  const organizations = await getOrganizationsWithTokens();
+
+  // Legacy support: check for old single-org config
+  const legacyConfig = await kvsStore.get('syncConfig');
+  if (legacyConfig && legacyConfig.remoteUrl && organizations.length === 0) {
+    organizations.push({
+      id: 'legacy',
+      name: 'Legacy Organization',
+      ...legacyConfig
+    });
+  }
+
+  return organizations;
+}
+
+async function isWorklogSyncEnabled(org) {
+  const syncOptions = await kvsStore.get(org.id === 'legacy' ? 'syncOptions' : `syncOptions:${org.id}`);
+  return syncOptions?.syncWorklogs === true;
+}
@@ -1,22 +1,100 @@
-import api, { route, fetch } from '@forge/api';
+import api, { route } from '@forge/api';
 import * as kvsStore from '../services/storage/kvs.js';
-import { getRemoteKey, addToMappingIndex, removeMapping, getOrganizationsWithTokens, storeMapping } from '../services/storage/mappings.js';
+import { getRemoteKey, getLocalKey, addToMappingIndex, removeMapping, getOrganizationsWithTokens, storeMapping } from '../services/storage/mappings.js';
 import { getFullIssue } from '../services/jira/local-client.js';
 import { createRemoteIssue, updateRemoteIssue } from '../services/sync/issue-sync.js';
 import { syncAttachments } from '../services/sync/attachment-sync.js';
 import { syncIssueLinks } from '../services/sync/link-sync.js';
 import { syncAllComments } from '../services/sync/comment-sync.js';
+import { syncAllWorklogs } from '../services/sync/worklog-sync.js';
+import { findAdoptionCandidates, getAdoptPreviewKey } from '../services/sync/adopt-existing.js';
+import { MAX_ADOPT_PREVIEW_PAIRS, RATE_BUDGET_TOKENS_PER_ISSUE } from '../constants.js';
+import { hasRemoteCredentials } from '../services/jira/remote-auth.js';
+import { RemoteJiraClient } from '../services/jira/remote-client.js';
+import { waitForRateBudget, RateBudgetExhaustedError } from '../services/storage/rate-budget.js';
+
+/**
+ * Adopt-existing mode: pair an unmapped local issue with the remote copy the rule finds.
+ * Exactly one unclaimed match is stored (or added to the preview on a dry run); none or
+ * several are reported and the issue is left alone.
+ */
+async function adoptExistingIssue(issue, org, remoteProjectKey, adoption) {
+  const candidates = await findAdoptionCandidates(issue, org, remoteProjectKey, adoption.matchBy, adoption.matchFieldId);
+  const orgId = org.id === 'legacy' ? null : org.id;
+
+  const available = [];
+  for (const candidate of candidates) {
+    if (adoption.claimed.has(candidate.key)) continue;
+    if (await getLocalKey(candidate.key, orgId)) continue;
+    available.push(candidate);
+  }
+
+  if (available.length === 0) {
+    return 'unmatched';
+  }
+  if (available.length > 1) {
+    if (adoption.ambiguous.length < MAX_ADOPT_PREVIEW_PAIRS) {
+      adoption.ambiguous.push({ localKey: issue.key, summary: issue.fields?.summary || '', candidates: available.map(c => c.key) });
+    }
+    return 'ambiguous';
+  }
+
+  const [match] = available;
+  adoption.claimed.add(match.key);
+  if (adoption.dryRun) {
+    if (adoption.pairs.length < MAX_ADOPT_PREVIEW_PAIRS) {
+      adoption.pairs.push({ localKey: issue.key, remoteKey: match.key, summary: issue.fields?.summary || '', remoteSummary: match.summary });
+    }
+    console.log(`[DRY RUN] Would adopt ${issue.key} → ${match.key}`);
+  } else {
+    await storeMapping(issue.key, match.key, orgId);
+    console.log(`✅ Adopted ${issue.key} → ${match.key}`);
+  }
+  return 'adopted';
+}
+
+// Issue-level failures are counted and skipped, but an exhausted rate budget stops the whole run
+function rethrowIfBudgetExhausted(error) {
+  if (error instanceof RateBudgetExhaustedError) {
+    throw error;
+  }
+}
 
 /**
  * Async event consumer for bulk sync operations.
  * This runs with 900 second timeout, allowing full sync of all issues.
+ * A run resumed with resumeBulkSync carries the checkpoint and totals of the paused run.
  */
 export async function run(event, context) {
   const startTime = Date.now();
   // Queue events have payload in event.body (from queue.push({ body: {...} }))
-  const { orgId, syncMissingData = false, updateExisting = false, dryRun = false } = event.body || event.payload || {};
+  const {
+    orgId,
+    syncMissingData = false,
+    updateExisting = false,
+    dryRun = false,
+    adoptExisting = false,
+    matchBy = 'summary',
+    matchFieldId = null,
+    checkpoint = null,
+    totals = {}
+  } = event.body || event.payload || {};
   
-  console.log(`🚀 Bulk sync started (org: ${orgId || 'all'}, syncMissingData: ${syncMissingData}, updateExisting: ${updateExisting}, dryRun: ${dryRun})`);
+  console.log(`🚀 Bulk sync ${checkpoint ? 'resumed' : 'started'} (org: ${orgId || 'all'}, syncMissingData: ${syncMissingData}, updateExisting: ${updateExisting}, dryRun: ${dryRun}, adoptExisting: ${adoptExisting ? matchBy : false})`);
+
+  let totalScanned = totals.scanned || 0;
+  let totalCreated = totals.created || 0;
+  let totalAlreadySynced = totals.alreadySynced || 0;
+  let totalRecreated = totals.recreated || 0;
+  let totalUpdated = totals.updated || 0;
+  let totalErrors = totals.errors || 0;
+  let totalAdopted = totals.adopted || 0;
+  let totalUnmatched = totals.unmatched || 0;
+  let totalAmbiguous = totals.ambiguous || 0;
+
+  // Last position known to be complete, stored when the rate budget pauses the run
+  let resumePoint = checkpoint;
+  let currentAdoption = null;
 
   try {
     // Get organizations
@@ -27,7 +105,7 @@ export async function run(event, context) {
       return { success: false, error: 'No organizations configured' };
     }
 
-    const orgsToScan = orgId 
+    let orgsToScan = orgId 
       ? organizations.filter(o => o.id === orgId)
       : organizations;
 
@@ -36,14 +114,16 @@ export async function run(event, context) {
       return { success: false, error: 'Organization not found' };
     }
 
-    let totalScanned = 0;
-    let totalCreated = 0;
-    let totalAlreadySynced = 0;
-    let totalRecreated = 0;
-    let totalUpdated = 0;
-    let totalErrors = 0;
+    if (checkpoint) {
+      const resumeIndex = orgsToScan.findIndex(o => o.id === checkpoint.orgId);
+      if (resumeIndex > 0) {
+        orgsToScan = orgsToScan.slice(resumeIndex);
+      }
+      console.log(`↩️ Resuming at ${checkpoint.orgId}/${checkpoint.projectKey}${checkpoint.afterKey ? ` after ${checkpoint.afterKey}` : ''}`);
+    }
 
     for (const org of orgsToScan) {
+      const resuming = checkpoint?.orgId === org.id;
       console.log(`📋 Processing organization: ${org.name}`);
       
       // Fetch API token from secret storage
@@ -53,18 +133,32 @@ export async function run(event, context) {
         remoteApiToken: token || org.remoteApiToken || ''
       };
       
-      if (!orgWithToken.remoteApiToken) {
-        console.error(`❌ No API token found for organization ${org.name}`);
+      if (!hasRemoteCredentials(orgWithToken)) {
+        console.error(`❌ No remote credentials found for organization ${org.name}`);
         totalErrors++;
         continue;
       }
       
+      // Pairings found in adopt-existing mode for this org
+      const savedAdoption = resuming ? checkpoint.adoption : null;
+      const adoption = {
+        matchBy,
+        matchFieldId,
+        dryRun,
+        claimed: new Set(savedAdoption?.claimed || []),
+        pairs: savedAdoption?.pairs || [],
+        ambiguous: savedAdoption?.ambiguous || []
+      };
+      currentAdoption = adoptExisting ? adoption : null;
+      const projectMappings = adoptExisting ? await kvsStore.get(`projectMappings:${orgWithToken.id}`) || {} : {};
+
       // Get org-specific mappings
-      const [userMappings, fieldMappings, statusMappings, issueTypeMappings, syncOptions] = await Promise.all([
+      const [userMappings, fieldMappings, statusMappings, issueTypeMappings, sprintMappings, syncOptions] = await Promise.all([
         kvsStore.get(`userMappings:${orgWithToken.id}`),
         kvsStore.get(`fieldMappings:${orgWithToken.id}`),
         kvsStore.get(`statusMappings:${orgWithToken.id}`),
         kvsStore.get(`issueTypeMappings:${orgWithToken.id}`),
+        kvsStore.get(`sprintMappings:${orgWithToken.id}`),
         kvsStore.get(`syncOptions:${orgWithToken.id}`)
       ]);
 
@@ -72,7 +166,8 @@ export async function run(event, context) {
         userMappings: userMappings || {},
         fieldMappings: fieldMappings || {},
         statusMappings: statusMappings || {},
-        issueTypeMappings: issueTypeMappings || {}
+        issueTypeMappings: issueTypeMappings || {},
+        sprintMappings: sprintMappings || {}
       };
 
       const effectiveSyncOptions = syncOptions || {
@@ -90,6 +185,7 @@ export async function run(event, context) {
         syncAttachments: effectiveSyncOptions.syncAttachments !== false,
         syncLinks: effectiveSyncOptions.syncLinks !== false,
         syncComments: effectiveSyncOptions.syncComments !== false,
+        syncWorklogs: effectiveSyncOptions.syncWorklogs === true,
         dryRun: !!effectiveSyncOptions.dryRun,
         forceCheckAttachments: !!effectiveSyncOptions.forceCheckAttachments,
         forceCheckLinks: !!effectiveSyncOptions.forceCheckLinks
@@ -124,7 +220,14 @@ export async function run(event, context) {
       const projectsData = await projectsResponse.json();
       const localProjects = projectsData.values || [];
       
-      const projectsToScan = localProjects.filter(p => allowedProjects.includes(p.key));
+      let projectsToScan = localProjects.filter(p => allowedProjects.includes(p.key));
+
+      if (resuming && checkpoint.projectKey) {
+        const resumeIndex = projectsToScan.findIndex(p => p.key === checkpoint.projectKey);
+        if (resumeIndex > 0) {
+          projectsToScan = projectsToScan.slice(resumeIndex);
+        }
+      }
 
       console.log(`📋 Found ${projectsToScan.length} local projects to scan`);
       
@@ -133,10 +236,17 @@ export async function run(event, context) {
         console.log(`📋 Scanning project: ${projectKey}`);
         
         // Build JQL
-        let jql = `project = ${projectKey} ORDER BY key ASC`;
+        let filter = `project = ${projectKey}`;
         if (orgWithToken.jqlFilter) {
-          jql = `project = ${projectKey} AND (${orgWithToken.jqlFilter}) ORDER BY key ASC`;
+          filter = `project = ${projectKey} AND (${orgWithToken.jqlFilter})`;
         }
+
+        let previousKey = null;
+        if (resuming && checkpoint.projectKey === projectKey && checkpoint.afterKey) {
+          filter += ` AND key > ${checkpoint.afterKey}`;
+          previousKey = checkpoint.afterKey;
+        }
+        const jql = `${filter} ORDER BY key ASC`;
         
         let hasMore = true;
         let nextPageToken = null;
@@ -173,6 +283,9 @@ export async function run(event, context) {
           
           for (const issue of issues) {
             const localKey = issue.key;
+            resumePoint = { orgId: org.id, projectKey, afterKey: previousKey };
+            await waitForRateBudget(orgWithToken.id, { tokens: RATE_BUDGET_TOKENS_PER_ISSUE });
+            previousKey = localKey;
             totalScanned++;
 
             // Update progress and check cancellation every 5 issues
@@ -184,12 +297,14 @@ export async function run(event, context) {
                 syncMissingData,
                 updateExisting,
                 dryRun,
+                adoptExisting,
                 progress: {
                   scanned: totalScanned,
                   created: totalCreated,
                   updated: totalUpdated,
                   alreadySynced: totalAlreadySynced,
                   recreated: totalRecreated,
+                  adopted: totalAdopted,
                   errors: totalErrors
                 }
               });
@@ -207,6 +322,7 @@ export async function run(event, context) {
                     updated: totalUpdated,
                     alreadySynced: totalAlreadySynced,
                     recreated: totalRecreated,
+                    adopted: totalAdopted,
                     errors: totalErrors,
                     elapsedSeconds: elapsed,
                     stoppedEarly: true,
@@ -224,6 +340,25 @@ export async function run(event, context) {
               remoteKey = await getRemoteKey(localKey, null); // Try legacy
             }
 
+            if (adoptExisting) {
+              // Only pair unmapped issues with remote copies; nothing is created or updated
+              if (remoteKey) {
+                totalAlreadySynced++;
+                continue;
+              }
+              try {
+                const outcome = await adoptExistingIssue(issue, orgWithToken, projectMappings[projectKey] || orgWithToken.remoteProjectKey, adoption);
+                if (outcome === 'adopted') totalAdopted++;
+                else if (outcome === 'ambiguous') totalAmbiguous++;
+                else totalUnmatched++;
+              } catch (adoptError) {
+                rethrowIfBudgetExhausted(adoptError);
+                console.error(`❌ Error matching ${localKey}:`, adoptError.message);
+                totalErrors++;
+              }
+              continue;
+            }
+
             if (!remoteKey) {
               // No mapping - check if issue with same summary exists on remote to avoid duplicates
               console.log(`🆕 ${localKey} has no mapping - checking remote...`);
@@ -232,15 +367,13 @@ export async function run(event, context) {
                 const fullIssue = await getFullIssue(localKey);
                 if (fullIssue) {
                   // Search for existing issue on remote
-                  const auth = Buffer.from(`${orgWithToken.remoteEmail}:${orgWithToken.remoteApiToken}`).toString('base64');
                   const searchJql = `project = ${orgWithToken.remoteProjectKey} AND summary ~ "${fullIssue.fields.summary.replace(/"/g, '\\"').substring(0, 50)}"`;
                   
-                  const searchResponse = await fetch(
-                    `${orgWithToken.remoteUrl}/rest/api/3/search/jql`,
+                  const searchResponse = await new RemoteJiraClient(orgWithToken).request(
+                    '/rest/api/3/search/jql',
                     {
                       method: 'POST',
                       headers: {
-                        'Authorization': `Basic ${auth}`,
                         'Content-Type': 'application/json'
                       },
                       body: JSON.stringify({
@@ -288,21 +421,20 @@ export async function run(event, context) {
                   }
                 }
               } catch (createError) {
+                rethrowIfBudgetExhausted(createError);
                 console.error(`❌ Error creating ${localKey}:`, createError.message);
                 totalErrors++;
               }
             } else {
               // Has mapping - verify remote issue still exists
-              const auth = Buffer.from(`${orgWithToken.remoteEmail}:${orgWithToken.remoteApiToken}`).toString('base64');
               
               let remoteExists = true;
               try {
-                const checkResponse = await fetch(
-                  `${orgWithToken.remoteUrl}/rest/api/3/issue/${remoteKey}?fields=key`,
+                const checkResponse = await new RemoteJiraClient(orgWithToken).request(
+                  `/rest/api/3/issue/${remoteKey}?fields=key`,
                   {
                     method: 'GET',
                     headers: {
-                      'Authorization': `Basic ${auth}`,
                       'Content-Type': 'application/json'
                     }
                   }
@@ -314,6 +446,7 @@ export async function run(event, context) {
                   remoteExists = false;
                 }
               } catch (e) {
+                rethrowIfBudgetExhausted(e);
                 console.log(`⚠️ Could not verify ${remoteKey}: ${e.message}`);
               }
               
@@ -366,6 +499,7 @@ export async function run(event, context) {
                       }
                     }
                   } catch (updateError) {
+                    rethrowIfBudgetExhausted(updateError);
                     console.error(`❌ Error updating ${localKey}:`, updateError.message);
                     totalErrors++;
                   }
@@ -384,8 +518,12 @@ export async function run(event, context) {
                       if (effectiveSyncOptions.syncComments !== false) {
                         await syncAllComments(localKey, remoteKey, fullIssue, orgWithToken, null, orgWithToken.id);
                       }
+                      if (effectiveSyncOptions.syncWorklogs === true) {
+                        await syncAllWorklogs(localKey, remoteKey, orgWithToken, mappings.userMappings, null, orgWithToken.id);
+                      }
                     }
                   } catch (error) {
+                    rethrowIfBudgetExhausted(error);
                     console.error(`Error syncing missing data for ${localKey}:`, error.message);
                   }
                 }
@@ -397,10 +535,23 @@ export async function run(event, context) {
           hasMore = !!nextPageToken && issues.length > 0;
         }
       }
+
+      if (adoptExisting && dryRun) {
+        await kvsStore.set(getAdoptPreviewKey(orgWithToken.id), {
+          createdAt: new Date().toISOString(),
+          matchBy,
+          matchFieldId,
+          pairs: adoption.pairs,
+          ambiguous: adoption.ambiguous,
+          truncated: adoption.pairs.length >= MAX_ADOPT_PREVIEW_PAIRS
+        });
+      }
     }
 
     const elapsed = Math.round((Date.now() - startTime) / 1000);
-    const message = `Bulk sync complete: ${totalScanned} scanned, ${totalCreated} created, ${totalUpdated} updated, ${totalAlreadySynced} already synced, ${totalRecreated} recreated, ${totalErrors} errors (${elapsed}s)`;
+    const message = adoptExisting
+      ? `Adopt existing complete: ${totalScanned} scanned, ${totalAdopted} ${dryRun ? 'proposed' : 'adopted'}, ${totalAmbiguous} ambiguous, ${totalUnmatched} unmatched, ${totalAlreadySynced} already synced, ${totalErrors} errors (${elapsed}s)`
+      : `Bulk sync complete: ${totalScanned} scanned, ${totalCreated} created, ${totalUpdated} updated, ${totalAlreadySynced} already synced, ${totalRecreated} recreated, ${totalErrors} errors (${elapsed}s)`;
     console.log(`✅ ${message}`);
 
     // Store sync result for UI to poll
@@ -413,14 +564,57 @@ export async function run(event, context) {
         updated: totalUpdated,
         alreadySynced: totalAlreadySynced,
         recreated: totalRecreated,
+        adopted: totalAdopted,
+        ambiguous: totalAmbiguous,
+        unmatched: totalUnmatched,
         errors: totalErrors,
         elapsedSeconds: elapsed,
-        dryRun
+        dryRun,
+        adoptExisting
       }
     });
 
     return { success: true, message };
   } catch (error) {
+    if (error instanceof RateBudgetExhaustedError && resumePoint) {
+      const resumeAt = new Date(error.resumeAt).toISOString();
+      console.warn(`⏸️ Bulk sync paused at ${resumePoint.orgId}/${resumePoint.projectKey} until ${resumeAt}: remote rate budget exhausted`);
+
+      await kvsStore.set('bulkSyncStatus', {
+        status: 'paused',
+        timestamp: new Date().toISOString(),
+        resumeAt,
+        orgId: orgId || 'all',
+        syncMissingData,
+        updateExisting,
+        dryRun,
+        adoptExisting,
+        matchBy,
+        matchFieldId,
+        checkpoint: {
+          ...resumePoint,
+          adoption: currentAdoption && {
+            claimed: [...currentAdoption.claimed],
+            pairs: currentAdoption.pairs,
+            ambiguous: currentAdoption.ambiguous
+          }
+        },
+        progress: {
+          scanned: totalScanned,
+          created: totalCreated,
+          updated: totalUpdated,
+          alreadySynced: totalAlreadySynced,
+          recreated: totalRecreated,
+          adopted: totalAdopted,
+          ambiguous: totalAmbiguous,
+          unmatched: totalUnmatched,
+          errors: totalErrors
+        }
+      });
+
+      return { success: false, paused: true, resumeAt };
+    }
+
     console.error('❌ Bulk sync failed:', error);
     
     await kvsStore.set('bulkSyncStatus', {
@@ -1,6 +1,13 @@
-import { syncComment } from '../services/sync/comment-sync.js';
+import { enqueueOrRun } from '../services/sync/outbound-queue.js';
 
 export async function run(event, context) {
-  console.log(`💬 Comment trigger fired`);
-  await syncComment(event);
+  console.log(`💬 Comment trigger fired: ${event.eventType}`);
+
+  if (event.eventType === 'avi:jira:updated:comment') {
+    await enqueueOrRun('comment-update', event);
+  } else if (event.eventType === 'avi:jira:deleted:comment') {
+    await enqueueOrRun('comment-delete', event);
+  } else {
+    await enqueueOrRun('comment', event);
+  }
 }
@@ -0,0 +1,19 @@
+import { processInboundDrain } from '../services/sync/inbound-queue.js';
+
+/**
+ * Async consumer for remote webhook deliveries accepted by the incoming webtrigger.
+ * Each event names one remote issue; processInboundDrain works through its stored events in order.
+ */
+export async function run(event, context) {
+  const drain = event.body || event.payload;
+  if (!drain?.orgId || !drain?.issueRef) {
+    console.error('❌ Inbound queue event without an organization and remote issue');
+    return;
+  }
+
+  try {
+    await processInboundDrain(drain);
+  } catch (error) {
+    console.error(`❌ Inbound queue event for ${drain.orgId}/${drain.issueRef} could not be processed:`, error);
+  }
+}
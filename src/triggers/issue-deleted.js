@@ -1,6 +1,6 @@
 import { getRemoteKey, getOrganizationsWithTokens } from '../services/storage/mappings.js';
 import { cleanupIssueData } from '../services/storage/cleanup.js';
-import { fetch } from '@forge/api';
+import { RemoteJiraClient } from '../services/jira/remote-client.js';
 
 export async function run(event, context) {
   console.log(`🗑️ Issue deleted trigger fired`);
@@ -37,13 +37,10 @@ export async function run(event, context) {
 
       console.log(`🗑️ Found remote issue ${remoteKey} in ${org.name}, deleting...`);
 
-      const auth = Buffer.from(`${org.remoteEmail}:${org.remoteApiToken}`).toString('base64');
-
       try {
-        const response = await fetch(`${org.remoteUrl}/rest/api/3/issue/${remoteKey}`, {
+        const response = await new RemoteJiraClient(org).request(`/rest/api/3/issue/${remoteKey}`, {
           method: 'DELETE',
           headers: {
-            'Authorization': `Basic ${auth}`,
             'Content-Type': 'application/json'
           }
         });
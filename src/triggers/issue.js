@@ -1,7 +1,7 @@
 import * as kvsStore from '../services/storage/kvs.js';
 import { RECENT_CREATION_WINDOW_MS } from '../constants.js';
 import { getRemoteKey } from '../services/storage/mappings.js';
-import { syncIssue } from '../services/sync/issue-sync.js';
+import { enqueueOrRun, enqueueCoalescedUpdate } from '../services/sync/outbound-queue.js';
 
 export async function run(event, context) {
   console.log(`🔔 Trigger fired: ${event.eventType}`);
@@ -72,5 +72,11 @@ export async function run(event, context) {
     });
   }
   
-  await syncIssue(event);
+  // Bursts of edits are synced once per quiet window instead of once per event
+  if (event.eventType === 'avi:jira:updated:issue') {
+    await enqueueCoalescedUpdate(event);
+    return;
+  }
+
+  await enqueueOrRun('issue', event);
 }
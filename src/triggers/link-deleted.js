@@ -1,5 +1,7 @@
-import api, { route, fetch } from '@forge/api';
+import api, { route } from '@forge/api';
 import { getRemoteKey, getOrganizationsWithTokens, removeLinkMapping } from '../services/storage/mappings.js';
+import { consumeLinkDeletedBySync } from '../services/storage/flags.js';
+import { RemoteJiraClient } from '../services/jira/remote-client.js';
 
 export async function run(event, context) {
   console.log(`🔗🗑️ Link deleted trigger fired`);
@@ -13,6 +15,12 @@ export async function run(event, context) {
       return;
     }
 
+    // Deletions mirrored from a remote org mark the deleted link
+    if (await consumeLinkDeletedBySync(linkId)) {
+      console.log(`⏭️ Link deletion came from an incoming sync, not propagating back`);
+      return;
+    }
+
     // Get source and destination issue info
     let sourceIssueKey = null;
     let destinationIssueKey = null;
@@ -76,16 +84,13 @@ export async function run(event, context) {
 
       console.log(`🔗🗑️ Looking for link ${remoteSourceKey} → ${remoteDestKey} in ${org.name}`);
 
-      const auth = Buffer.from(`${org.remoteEmail}:${org.remoteApiToken}`).toString('base64');
-
       try {
         // First, find the link on remote by fetching the issue's links
-        const issueResponse = await fetch(
-          `${org.remoteUrl}/rest/api/3/issue/${remoteSourceKey}?fields=issuelinks`,
+        const issueResponse = await new RemoteJiraClient(org).request(
+          `/rest/api/3/issue/${remoteSourceKey}?fields=issuelinks`,
           {
             method: 'GET',
             headers: {
-              'Authorization': `Basic ${auth}`,
               'Content-Type': 'application/json'
             }
           }
@@ -112,12 +117,11 @@ export async function run(event, context) {
         }
 
         // Delete the link
-        const deleteResponse = await fetch(
-          `${org.remoteUrl}/rest/api/3/issueLink/${matchingLink.id}`,
+        const deleteResponse = await new RemoteJiraClient(org).request(
+          `/rest/api/3/issueLink/${matchingLink.id}`,
           {
             method: 'DELETE',
             headers: {
-              'Authorization': `Basic ${auth}`,
               'Content-Type': 'application/json'
             }
           }
@@ -1,5 +1,5 @@
 import api, { route } from '@forge/api';
-import { syncIssue } from '../services/sync/issue-sync.js';
+import { enqueueOrRun } from '../services/sync/outbound-queue.js';
 import { LOG_EMOJI } from '../constants.js';
 
 export async function run(event, context) {
@@ -39,25 +39,11 @@ export async function run(event, context) {
       }
     }
     
-    // Sync target issue first (e.g., the Epic) if it exists
-    // This ensures the target is synced before we try to create the link
-    if (targetIssueKey) {
-      console.log(`${LOG_EMOJI.LINK} Syncing target issue first: ${targetIssueKey}`);
-      const targetEvent = {
-        eventType: 'avi:jira:updated:issue',
-        issue: { key: targetIssueKey }
-      };
-      await syncIssue(targetEvent);
-    }
-    
-    // Now sync source issue (which will pick up the link)
-    if (sourceIssueKey) {
-      console.log(`${LOG_EMOJI.LINK} Syncing source issue: ${sourceIssueKey}`);
-      const sourceEvent = {
-        eventType: 'avi:jira:updated:issue',
-        issue: { key: sourceIssueKey }
-      };
-      await syncIssue(sourceEvent);
+    // The queue consumer syncs the target first (e.g., the Epic), then the source,
+    // so the source picks up the link once the target exists remotely
+    if (sourceIssueKey || targetIssueKey) {
+      console.log(`${LOG_EMOJI.LINK} Queueing link sync: ${targetIssueKey || '-'} then ${sourceIssueKey || '-'}`);
+      await enqueueOrRun('link', { sourceIssueKey, targetIssueKey });
     }
     
     if (!sourceIssueKey && !targetIssueKey) {
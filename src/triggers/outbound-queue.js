@@ -0,0 +1,19 @@
+import { processOutboundItem } from '../services/sync/outbound-queue.js';
+
+/**
+ * Async consumer for outbound issue, comment and link syncs queued by the triggers.
+ * Failures are re-queued by processOutboundItem itself, so this never throws back to the queue.
+ */
+export async function run(event, context) {
+  const item = event.body || event.payload;
+  if (!item?.id || !item?.type) {
+    console.error('❌ Outbound queue event without a work item');
+    return;
+  }
+
+  try {
+    await processOutboundItem(item);
+  } catch (error) {
+    console.error(`❌ Outbound queue item ${item.id} could not be processed:`, error);
+  }
+}
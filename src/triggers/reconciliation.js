@@ -0,0 +1,18 @@
+import { runReconciliation } from '../services/sync/reconciliation.js';
+
+/**
+ * Async consumer for reconciliation runs started from the Diagnostics tab.
+ */
+export async function run(event, context) {
+  const payload = event.body || event.payload;
+  if (!payload?.orgId) {
+    console.error('❌ Reconciliation event without an organization');
+    return;
+  }
+
+  try {
+    await runReconciliation(payload.orgId);
+  } catch (error) {
+    console.error(`❌ Reconciliation for ${payload.orgId} could not run:`, error);
+  }
+}
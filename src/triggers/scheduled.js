@@ -1,4 +1,5 @@
 import { performScheduledSync } from '../services/scheduled/scheduled-sync.js';
+import { purgeExpiredParkedEvents } from '../services/sync/event-sequencing.js';
 
 export async function run(event, context) {
   console.log(`⏰ Scheduled sync trigger fired`);
@@ -8,4 +9,9 @@ export async function run(event, context) {
   } catch (error) {
     console.error(`❌ Scheduled sync failed:`, error);
   }
+  try {
+    await purgeExpiredParkedEvents();
+  } catch (error) {
+    console.error(`❌ Purging expired parked events failed:`, error);
+  }
 }
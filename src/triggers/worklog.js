@@ -0,0 +1,14 @@
+import { syncWorklog, syncWorklogUpdate, syncWorklogDeletion } from '../services/sync/worklog-sync.js';
+import { LOG_EMOJI } from '../constants.js';
+
+export async function run(event, context) {
+  console.log(`${LOG_EMOJI.WORKLOG} Worklog trigger fired: ${event.eventType}`);
+
+  if (event.eventType === 'avi:jira:updated:worklog') {
+    await syncWorklogUpdate(event);
+  } else if (event.eventType === 'avi:jira:deleted:worklog') {
+    await syncWorklogDeletion(event);
+  } else {
+    await syncWorklog(event);
+  }
+}
@@ -69,6 +69,162 @@ export async function replaceMediaIdsInADF(adf, attachmentMapping) {
   return cloned;
 }
 
+const ISSUE_KEY_REGEX = /\b[A-Z][A-Z0-9_]+-\d+\b/g;
+const BROWSE_URL_REGEX = /\/browse\/([A-Z][A-Z0-9_]+-\d+)/;
+const MEDIA_NODE_TYPES = new Set(['media', 'mediaInline']);
+const MEDIA_CONTAINER_TYPES = new Set(['mediaSingle', 'mediaGroup']);
+
+/**
+ * Prepare a description ADF document for the other side of a sync.
+ * The document tree is kept as-is (tables, code blocks, headings, lists, panels,
+ * status lozenges, marks); only references that point into the source site are rewritten:
+ *   - media IDs via attachmentMapping (unmapped media dropped when dropUnmappedMedia is set)
+ *   - user mentions via mapUser (unmapped mentions become plain "@Name" text)
+ *   - issue keys in text, inline cards and links via resolveIssueKey
+ */
+export async function transformADF(adf, options = {}) {
+  if (!adf || typeof adf !== 'object') return adf;
+
+  const {
+    attachmentMapping = {},
+    dropUnmappedMedia = false,
+    mapUser = null,
+    resolveIssueKey = null,
+    targetBaseUrl = null
+  } = options;
+
+  const cloned = Object.keys(attachmentMapping).length > 0
+    ? await replaceMediaIdsInADF(adf, attachmentMapping)
+    : JSON.parse(JSON.stringify(adf));
+
+  const mappedMediaIds = new Set(Object.values(attachmentMapping).map(String));
+  const issueKeyMap = resolveIssueKey
+    ? await resolveIssueKeys(collectIssueKeys(cloned), resolveIssueKey)
+    : {};
+  const baseUrl = targetBaseUrl ? targetBaseUrl.replace(/\/+$/, '') : null;
+
+  function rewriteUrl(url) {
+    const match = typeof url === 'string' ? url.match(BROWSE_URL_REGEX) : null;
+    if (!match || !issueKeyMap[match[1]]) return null;
+    return { key: issueKeyMap[match[1]], url: baseUrl ? `${baseUrl}/browse/${issueKeyMap[match[1]]}` : null };
+  }
+
+  function traverse(node, inCode = false) {
+    if (!node || typeof node !== 'object') return node;
+
+    if (MEDIA_NODE_TYPES.has(node.type)) {
+      if (dropUnmappedMedia && !mappedMediaIds.has(String(node.attrs?.id))) {
+        return null;
+      }
+      return node;
+    }
+
+    if (node.type === 'mention' && mapUser && node.attrs?.id) {
+      const mappedId = mapUser(node.attrs.id);
+      if (mappedId) {
+        node.attrs.id = mappedId;
+        return node;
+      }
+      // Foreign account IDs render as broken mentions, keep the display name instead
+      return { type: 'text', text: node.attrs.text || '@unknown' };
+    }
+
+    if (node.type === 'inlineCard' && node.attrs?.url) {
+      const rewritten = rewriteUrl(node.attrs.url);
+      if (rewritten) {
+        if (!rewritten.url) {
+          return { type: 'text', text: rewritten.key };
+        }
+        node.attrs.url = rewritten.url;
+      }
+      return node;
+    }
+
+    if (node.type === 'text') {
+      const codeMarked = Array.isArray(node.marks) && node.marks.some(mark => mark.type === 'code');
+      if (!inCode && !codeMarked && typeof node.text === 'string') {
+        node.text = node.text.replace(ISSUE_KEY_REGEX, key => issueKeyMap[key] || key);
+      }
+      if (Array.isArray(node.marks)) {
+        for (const mark of node.marks) {
+          if (mark.type === 'link' && mark.attrs?.href) {
+            const rewritten = rewriteUrl(mark.attrs.href);
+            if (rewritten?.url) mark.attrs.href = rewritten.url;
+          }
+        }
+      }
+      return node;
+    }
+
+    if (Array.isArray(node.content)) {
+      const childInCode = inCode || node.type === 'codeBlock';
+      node.content = node.content
+        .map((child, index) => (index === 0 && isCrossReferenceParagraph(child))
+          ? child
+          : traverse(child, childInCode))
+        .filter(child => child !== null);
+
+      if (MEDIA_CONTAINER_TYPES.has(node.type) && node.content.length === 0) {
+        return null;
+      }
+    }
+
+    return node;
+  }
+
+  return traverse(cloned);
+}
+
+function isCrossReferenceParagraph(node) {
+  return node?.type === 'paragraph' &&
+    node.content?.[0]?.text?.startsWith('🔗 ') &&
+    node.content?.[0]?.text?.includes(' ↔ ');
+}
+
+function collectIssueKeys(adf) {
+  const keys = new Set();
+
+  function traverse(node, inCode = false) {
+    if (!node || typeof node !== 'object') return;
+    if (node.type === 'text' && typeof node.text === 'string') {
+      const codeMarked = Array.isArray(node.marks) && node.marks.some(mark => mark.type === 'code');
+      if (!inCode && !codeMarked) {
+        (node.text.match(ISSUE_KEY_REGEX) || []).forEach(key => keys.add(key));
+      }
+      (node.marks || []).forEach(mark => {
+        const match = mark.type === 'link' ? mark.attrs?.href?.match(BROWSE_URL_REGEX) : null;
+        if (match) keys.add(match[1]);
+      });
+    }
+    if (node.type === 'inlineCard') {
+      const match = node.attrs?.url?.match(BROWSE_URL_REGEX);
+      if (match) keys.add(match[1]);
+    }
+    if (Array.isArray(node.content)) {
+      node.content.forEach((child, index) => {
+        if (index === 0 && isCrossReferenceParagraph(child)) return;
+        traverse(child, inCode || node.type === 'codeBlock');
+      });
+    }
+  }
+
+  traverse(adf);
+  return keys;
+}
+
+async function resolveIssueKeys(keys, resolveIssueKey) {
+  const resolved = {};
+  for (const key of keys) {
+    try {
+      const mapped = await resolveIssueKey(key);
+      if (mapped) resolved[key] = mapped;
+    } catch (error) {
+      console.log(`⚠️ Could not resolve issue key ${key}: ${error.message}`);
+    }
+  }
+  return resolved;
+}
+
 export function textToADFWithAuthor(text, orgName, userName) {
   const prefix = `[Comment from ${orgName} - User: ${userName}]:\n\n`;
   const fullText = prefix + (text || '');
@@ -113,6 +269,25 @@ export function buildSyncedCommentADF({
   };
 }
 
+export function buildSyncedWorklogADF({ orgName, userName, mappedAccountId = null, commentText }) {
+  const header = buildParagraph(`[Worklog from ${orgName} - User: ${userName}]:`);
+  if (mappedAccountId) {
+    header.content.push({ type: 'text', text: ' ' });
+    header.content.push({ type: 'mention', attrs: { id: mappedAccountId, text: `@${userName}` } });
+  }
+
+  const content = [header];
+  if (commentText) {
+    content.push(buildParagraph(commentText));
+  }
+
+  return {
+    type: 'doc',
+    version: 1,
+    content
+  };
+}
+
 function buildParagraph(text) {
   if (!text) {
     return { type: 'paragraph', content: [] };
@@ -208,8 +383,22 @@ export function prependCrossReferenceToADF(adf, localKey, remoteKey, localOrgNam
 }
 
 const SYNC_PREFIX_REGEX = /^\[Comment from [^\]]+\]:\s*/i;
+const WORKLOG_PREFIX_REGEX = /^\[Worklog from [^\]]+ - User: [^\]]+\]:/;
 const ACCOUNT_MENTION_REGEX = /\[~accountid:[^\]]+\]/gi;
 
+/**
+ * Read the cross-reference line written by prependCrossReferenceToADF.
+ * Returns { localKey, remoteKey } as written on the line, or null when the description has none.
+ */
+export function readCrossReferenceFromADF(adf) {
+  const first = adf?.content?.[0];
+  if (!isCrossReferenceParagraph(first)) {
+    return null;
+  }
+  const match = first.content[0].text.match(/^🔗 (\S+) ↔ (\S+)/);
+  return match ? { localKey: match[1], remoteKey: match[2] } : null;
+}
+
 export function stripSyncPrefix(text) {
   if (!text) {
     return '';
@@ -217,6 +406,14 @@ export function stripSyncPrefix(text) {
   return text.replace(SYNC_PREFIX_REGEX, '').trimStart();
 }
 
+export function isSyncedWorklogComment(comment) {
+  if (!comment) {
+    return false;
+  }
+  const text = typeof comment === 'object' ? extractTextFromADF(comment) : String(comment);
+  return WORKLOG_PREFIX_REGEX.test(text.trimStart());
+}
+
 export function sanitizeCommentText(text) {
   if (!text) {
     return '';
@@ -1,4 +1,4 @@
-import { MAX_RETRY_ATTEMPTS, RETRY_BASE_DELAY_MS, RATE_LIMIT_RETRY_DELAY_MS, HTTP_STATUS, LOG_EMOJI } from '../constants.js';
+import { MAX_RETRY_ATTEMPTS, RETRY_BASE_DELAY_MS, RATE_LIMIT_RETRY_DELAY_MS, MAX_RATE_LIMIT_WAIT_MS, HTTP_STATUS, LOG_EMOJI } from '../constants.js';
 import { trackApiCall } from '../services/storage/stats.js';
 
 const MAX_DELAY = 30000; // 30 seconds max delay
@@ -12,7 +12,9 @@ export async function retryWithBackoff(fn, operation = 'operation', maxRetries =
     backoffMultiplier = BACKOFF_MULTIPLIER,
     onRetry = null,
     endpoint = null,
-    orgId = null
+    orgId = null,
+    rateLimitDelay = null, // (response) => ms, e.g. derived from Retry-After
+    maxRateLimitWait = MAX_RATE_LIMIT_WAIT_MS
   } = options;
 
   let lastError;
@@ -21,20 +23,27 @@ export async function retryWithBackoff(fn, operation = 'operation', maxRetries =
     try {
       const result = await fn();
 
-      // Check for rate limiting (HTTP 429)
+      // Check for rate limiting (HTTP 429). It counts as an attempt, so a site that keeps
+      // throttling cannot hold the invocation in a wait loop.
       if (result && result.status === HTTP_STATUS.TOO_MANY_REQUESTS) {
-        const delay = RATE_LIMIT_RETRY_DELAY_MS;
-        console.warn(`${LOG_EMOJI.WARNING} Rate limit hit during ${operation}, waiting ${delay}ms...`);
-        
+        const delay = rateLimitDelay ? rateLimitDelay(result) : RATE_LIMIT_RETRY_DELAY_MS;
+
         // Track rate limit hit
         await trackApiCall(endpoint || operation, false, true, orgId);
-        
+
+        if (attempt === maxRetries - 1 || delay > maxRateLimitWait) {
+          console.warn(`${LOG_EMOJI.WARNING} Rate limit hit during ${operation}, giving up (retry after ${delay}ms)`);
+          return result;
+        }
+
+        console.warn(`${LOG_EMOJI.WARNING} Rate limit hit during ${operation}, waiting ${delay}ms...`);
+
         if (onRetry) {
           await onRetry(attempt, delay, { message: 'Rate limited', statusCode: 429 });
         }
         
         await sleep(delay);
-        continue; // Don't count this as a regular retry attempt
+        continue;
       }
 
       // Track successful API call
@@ -46,6 +55,11 @@ export async function retryWithBackoff(fn, operation = 'operation', maxRetries =
       lastError = error;
       const isLastAttempt = attempt === maxRetries - 1;
 
+      // Errors that say so (e.g. an exhausted rate budget, raised before any request) are not retried
+      if (error.retryable === false) {
+        throw error;
+      }
+
       // Check if it's a rate limit error (429)
       const isRateLimit = error.statusCode === 429 || 
                          error.status === 429 ||
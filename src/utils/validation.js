@@ -1,3 +1,5 @@
+import { INCOMING_AUTH_MODES } from '../constants.js';
+
 // Input validation utilities
 
 /**
@@ -84,17 +86,31 @@ export function validateArray(value, fieldName) {
  * Validates organization payload
  */
 export function validateOrganizationPayload(payload) {
-  validateRequired(payload, ['name', 'remoteUrl', 'remoteEmail', 'remoteProjectKey']);
+  const authType = payload.authType || 'basic';
+  if (!['basic', 'oauth'].includes(authType)) {
+    throw new Error('authType must be basic or oauth');
+  }
+  const incomingAuthMode = payload.incomingAuthMode || 'query-secret';
+  if (!INCOMING_AUTH_MODES.includes(incomingAuthMode)) {
+    throw new Error(`incomingAuthMode must be one of: ${INCOMING_AUTH_MODES.join(', ')}`);
+  }
+  validateRequired(payload, authType === 'oauth'
+    ? ['name', 'remoteUrl', 'oauthClientId', 'remoteProjectKey']
+    : ['name', 'remoteUrl', 'remoteEmail', 'remoteProjectKey']);
   
   return {
     name: validateString(payload.name, 'name', 100),
     remoteUrl: validateUrl(payload.remoteUrl, 'remoteUrl'),
-    remoteEmail: validateEmail(payload.remoteEmail, 'remoteEmail'),
+    authType,
+    remoteEmail: payload.remoteEmail ? validateEmail(payload.remoteEmail, 'remoteEmail') : '',
     remoteApiToken: payload.remoteApiToken ? validateString(payload.remoteApiToken, 'remoteApiToken', 500) : undefined,
+    oauthClientId: payload.oauthClientId ? validateString(payload.oauthClientId, 'oauthClientId', 200) : '',
+    oauthClientSecret: payload.oauthClientSecret ? validateString(payload.oauthClientSecret, 'oauthClientSecret', 500) : undefined,
     remoteProjectKey: validateString(payload.remoteProjectKey, 'remoteProjectKey', 20),
     allowedProjects: payload.allowedProjects ? validateArray(payload.allowedProjects, 'allowedProjects') : [],
     jqlFilter: payload.jqlFilter ? validateString(payload.jqlFilter, 'jqlFilter', 500) : '',
-    syncDirection: payload.syncDirection ? validateString(payload.syncDirection, 'syncDirection', 20) : 'push'
+    syncDirection: payload.syncDirection ? validateString(payload.syncDirection, 'syncDirection', 20) : 'push',
+    incomingAuthMode
   };
 }
 
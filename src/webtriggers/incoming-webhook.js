@@ -1,4 +1,20 @@
-import { processIncomingWebhook } from '../services/sync/incoming-sync.js';
+import { enqueueInbound } from '../services/sync/inbound-queue.js';
+import { trackWebhookSync } from '../services/storage/stats.js';
+import {
+  findWebhookOrganization,
+  claimWebhookDelivery,
+  releaseWebhookDelivery,
+  recordIncomingSecretUse,
+  getHeader
+} from '../services/sync/webhook-auth.js';
+
+function jsonResponse(statusCode, body) {
+  return {
+    body: JSON.stringify(body),
+    statusCode,
+    headers: { 'Content-Type': 'application/json' }
+  };
+}
 
 export async function run(request) {
   console.log(`📨 Webtrigger invoked. Method: ${request.method}`);
@@ -16,20 +32,18 @@ export async function run(request) {
       return response;
     }
 
-    // Parse Body safely
+    // Parse Body safely; signatures are computed over the raw text
     let body;
+    let rawBody;
     try {
       if (!request.body) {
         throw new Error('Empty body');
       }
-      body = typeof request.body === 'string' ? JSON.parse(request.body) : request.body;
+      rawBody = typeof request.body === 'string' ? request.body : JSON.stringify(request.body);
+      body = JSON.parse(rawBody);
     } catch (e) {
       console.error('Failed to parse webhook body:', e);
-      return {
-        body: JSON.stringify({ error: 'Invalid JSON body' }),
-        statusCode: 400,
-        headers: { 'Content-Type': 'application/json' }
-      };
+      return jsonResponse(400, { error: 'Invalid JSON body' });
     }
 
     let { secret } = request.queryParameters || {};
@@ -39,28 +53,45 @@ export async function run(request) {
       secret = secret[0];
     }
 
-    if (!secret) {
-      console.warn('Missing secret in query parameters');
-      return {
-        body: JSON.stringify({ error: 'Missing secret' }),
-        statusCode: 401,
-        headers: { 'Content-Type': 'application/json' }
-      };
+    if (!secret && !getHeader(request.headers, 'X-Hub-Signature')) {
+      console.warn('Missing secret in query parameters and X-Hub-Signature header');
+      return jsonResponse(401, { error: 'Missing secret or signature' });
+    }
+
+    const match = await findWebhookOrganization(rawBody, request.headers, secret);
+    if (!match) {
+      console.warn('Incoming webhook did not match any organization secret or signature');
+      return jsonResponse(401, { error: 'Invalid secret or signature' });
     }
+
+    if (match.org.syncDirection !== 'bidirectional') {
+      console.warn(`Incoming webhook for non-bidirectional org: ${match.org.name}`);
+      return jsonResponse(403, { error: 'Bidirectional sync not enabled' });
+    }
+
+    const delivery = await claimWebhookDelivery(match.org, body, rawBody, request.headers);
+    if (delivery.error) {
+      return jsonResponse(delivery.status, { error: delivery.error });
+    }
+    if (delivery.duplicate) {
+      // A 2xx stops the remote from retrying a delivery that was already handled
+      await trackWebhookSync('duplicate', false, null, match.org.id, body.issue?.key || null);
+      return jsonResponse(200, { message: 'Duplicate delivery ignored' });
+    }
+    await recordIncomingSecretUse(match.org.id, match.secretVersion);
     
-    const result = await processIncomingWebhook(body, secret);
+    // Syncing can take minutes (attachments, parent waits), so it runs on the inbound queue
+    try {
+      await enqueueInbound(match.org, body);
+    } catch (error) {
+      // Let the remote's retry of this delivery through
+      await releaseWebhookDelivery(delivery.key);
+      throw error;
+    }
     
-    return {
-      body: JSON.stringify(result.body),
-      statusCode: result.status,
-      headers: { 'Content-Type': 'application/json' }
-    };
+    return jsonResponse(202, { message: 'Queued' });
   } catch (error) {
     console.error('Error processing incoming webhook:', error);
-    return {
-      body: JSON.stringify({ error: 'Internal Server Error', details: error.message }),
-      statusCode: 500,
-      headers: { 'Content-Type': 'application/json' }
-    };
+    return jsonResponse(500, { error: 'Internal Server Error', details: error.message });
   }
 }
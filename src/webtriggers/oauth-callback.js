@@ -0,0 +1,59 @@
+import * as kvsStore from '../services/storage/kvs.js';
+import { consumeOAuthState, completeOAuthAuthorization } from '../services/jira/remote-auth.js';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+function htmlResponse(statusCode, title, message) {
+  const safeTitle = escapeHtml(title);
+  return {
+    body: `<!DOCTYPE html><html><head><title>${safeTitle}</title></head><body><h2>${safeTitle}</h2><p>${escapeHtml(message)}</p></body></html>`,
+    statusCode,
+    headers: { 'Content-Type': 'text/html' }
+  };
+}
+
+function firstParam(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+// Redirect target of the OAuth 2.0 (3LO) consent screen
+export async function run(request) {
+  console.log(`🔑 OAuth callback invoked. Method: ${request.method}`);
+
+  const params = request.queryParameters || {};
+  const code = firstParam(params.code);
+  const state = firstParam(params.state);
+  const error = firstParam(params.error);
+
+  try {
+    const stored = await consumeOAuthState(state);
+    if (!stored) {
+      return htmlResponse(400, 'Authorization link expired', 'Start the connection again from the Sync Connector settings.');
+    }
+
+    if (error || !code) {
+      console.warn(`OAuth authorization for ${stored.orgId} was not granted: ${error || 'missing code'}`);
+      return htmlResponse(400, 'Authorization was not granted', 'No changes were made. You can close this window.');
+    }
+
+    const orgs = await kvsStore.get('organizations') || [];
+    const index = orgs.findIndex(o => o.id === stored.orgId);
+    if (index === -1) {
+      return htmlResponse(404, 'Organization not found', 'The organization was deleted before the connection finished.');
+    }
+
+    await completeOAuthAuthorization(orgs[index], code, stored.redirectUri);
+
+    orgs[index] = { ...orgs[index], oauthConnectedAt: new Date().toISOString() };
+    await kvsStore.set('organizations', orgs);
+
+    return htmlResponse(200, 'Connected', `${orgs[index].name} is connected. You can close this window and return to the Sync Connector settings.`);
+  } catch (err) {
+    console.error('Error completing OAuth authorization:', err);
+    return htmlResponse(500, 'Connection failed', 'The authorization could not be completed. Check the client ID, secret and callback URL, then try again.');
+  }
+}
@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { createRoot } from 'react-dom/client';
-import { invoke } from '@forge/bridge';
+import { invoke, router } from '@forge/bridge';
 import Button from '@atlaskit/button';
 import Form, { Field } from '@atlaskit/form';
 import TextField from '@atlaskit/textfield';
@@ -15,6 +15,12 @@ import { token } from '@atlaskit/tokens';
 import '@atlaskit/css-reset';
 import ErrorBoundary from './components/ErrorBoundary';
 import Diagnostics from './components/Diagnostics';
+import ConflictQueue from './components/ConflictQueue';
+import DeadLetterQueue from './components/DeadLetterQueue';
+import OptionMappings from './components/OptionMappings';
+import FieldDirections from './components/FieldDirections';
+import IssueMappingTable from './components/IssueMappingTable';
+import AdoptExisting from './components/AdoptExisting';
 
 const surfaceCard = (overrides = {}) => ({
   background: token('color.background.neutral', '#FFFFFF'),
@@ -127,14 +133,18 @@ const App = () => {
   const [localStatuses, setLocalStatuses] = useState([]);
   const [remoteIssueTypes, setRemoteIssueTypes] = useState([]);
   const [localIssueTypes, setLocalIssueTypes] = useState([]);
+  const [remoteSprints, setRemoteSprints] = useState([]);
+  const [localSprints, setLocalSprints] = useState([]);
   const [localProjects, setLocalProjects] = useState([]);
 
   // Mappings
   const [userMappings, setUserMappings] = useState({});
+  const [userMappingConfig, setUserMappingConfig] = useState({ autoMapUsers: true, fallbackUser: null });
   const [fieldMappings, setFieldMappings] = useState({});
   const [statusMappings, setStatusMappings] = useState({});
   const [issueTypeMappings, setIssueTypeMappings] = useState({});
   const [projectMappings, setProjectMappings] = useState({});
+  const [sprintMappings, setSprintMappings] = useState({});
 
   // Sync options
   const [syncOptions, setSyncOptions] = useState({
@@ -142,7 +152,10 @@ const App = () => {
     syncAttachments: true,
     syncLinks: true,
     syncCrossReference: true,
-    recreateDeletedIssues: false
+    recreateDeletedIssues: false,
+    syncWorklogs: false,
+    autoCreateSprints: false,
+    conflictPolicy: 'newest'
   });
 
   // Stats
@@ -155,6 +168,7 @@ const App = () => {
   const [issueExporting, setIssueExporting] = useState(false);
   const [scanningDeleted, setScanningDeleted] = useState(false);
   const [scanProgress, setScanProgress] = useState(null); // Track scan progress across multiple runs
+  const [pausedBulkSync, setPausedBulkSync] = useState(null); // Bulk sync stopped by the remote rate budget
 
   // Scheduled sync manual trigger
   const [scheduledSyncLoading, setScheduledSyncLoading] = useState(false);
@@ -194,6 +208,7 @@ const App = () => {
 
   useEffect(() => {
     loadOrganizations();
+    loadPausedBulkSync();
   }, []);
 
   useEffect(() => {
@@ -202,6 +217,15 @@ const App = () => {
     }
   }, [selectedOrgId]);
 
+  const loadPausedBulkSync = async () => {
+    try {
+      const statusResult = await invoke('getBulkSyncStatus');
+      setPausedBulkSync(statusResult.status?.status === 'paused' ? statusResult.status : null);
+    } catch (error) {
+      console.error('Error loading bulk sync status:', error);
+    }
+  };
+
   const loadOrganizations = async () => {
     try {
       const orgs = await invoke('getOrganizations');
@@ -219,21 +243,24 @@ const App = () => {
   const loadOrgData = async (orgId) => {
     try {
       // Load mappings and last sync time
-      const [userMappingData, fieldMappingData, statusMappingData, issueTypeMappingData, projectMappingData, syncOptionsData, lastSyncData] = await Promise.all([
+      const [userMappingData, fieldMappingData, statusMappingData, issueTypeMappingData, projectMappingData, sprintMappingData, syncOptionsData, lastSyncData] = await Promise.all([
         invoke('getUserMappings', { orgId }),
         invoke('getFieldMappings', { orgId }),
         invoke('getStatusMappings', { orgId }),
         invoke('getIssueTypeMappings', { orgId }),
         invoke('getProjectMappings', { orgId }),
+        invoke('getSprintMappings', { orgId }),
         invoke('getSyncOptions', { orgId }),
         invoke('getLastSyncTime', { orgId })
       ]);
 
       if (userMappingData?.mappings) setUserMappings(userMappingData.mappings);
+      if (userMappingData?.config) setUserMappingConfig(userMappingData.config);
       if (fieldMappingData) setFieldMappings(fieldMappingData);
       if (statusMappingData) setStatusMappings(statusMappingData);
       if (issueTypeMappingData) setIssueTypeMappings(issueTypeMappingData);
       if (projectMappingData) setProjectMappings(projectMappingData);
+      if (sprintMappingData) setSprintMappings(sprintMappingData);
       if (syncOptionsData) setSyncOptions(syncOptionsData);
       if (lastSyncData?.lastSync) setLastSyncTime(lastSyncData.lastSync);
     } catch (error) {
@@ -274,11 +301,13 @@ const App = () => {
       if (remoteData.fields) setRemoteFields(remoteData.fields);
       if (remoteData.statuses) setRemoteStatuses(remoteData.statuses);
       if (remoteData.issueTypes) setRemoteIssueTypes(remoteData.issueTypes);
+      if (remoteData.sprints) setRemoteSprints(remoteData.sprints);
 
       if (localData.users) setLocalUsers(localData.users);
       if (localData.fields) setLocalFields(localData.fields);
       if (localData.statuses) setLocalStatuses(localData.statuses);
       if (localData.issueTypes) setLocalIssueTypes(localData.issueTypes);
+      if (localData.sprints) setLocalSprints(localData.sprints);
 
       showMessage('Mapping data loaded successfully', 'success');
     } catch (error) {
@@ -497,6 +526,68 @@ const App = () => {
     }
   };
 
+  const handleConnectOAuth = async () => {
+    if (!selectedOrgId) return;
+
+    setSaving(true);
+    try {
+      const result = await invoke('startOAuthAuthorization', { orgId: selectedOrgId });
+      if (result.success) {
+        await router.open(result.authorizeUrl);
+        showMessage('Finish the consent screen in the new tab, then refresh this page.', 'info', true);
+      } else {
+        showMessage(`Error: ${result.error}`, 'error');
+      }
+    } catch (error) {
+      showMessage('Error starting OAuth connection: ' + error.message, 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDisconnectOAuth = async () => {
+    if (!selectedOrgId) return;
+    if (!confirm('Disconnect this organization? Sync stops until it is connected again.')) return;
+
+    setSaving(true);
+    try {
+      const result = await invoke('disconnectOAuth', { orgId: selectedOrgId });
+      if (result.success) {
+        showMessage('OAuth connection removed', 'success');
+        await loadOrganizations();
+      } else {
+        showMessage(`Error: ${result.error}`, 'error');
+      }
+    } catch (error) {
+      showMessage('Error disconnecting: ' + error.message, 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRotateIncomingSecret = async (graceHours) => {
+    if (!selectedOrgId) return;
+    const warning = graceHours > 0
+      ? `Rotate the incoming secret? The current secret stays valid for ${graceHours} hours while you update the remote webhook.`
+      : 'Rotate the incoming secret? The current secret stops working immediately.';
+    if (!confirm(warning)) return;
+
+    setSaving(true);
+    try {
+      const result = await invoke('rotateIncomingSecret', { orgId: selectedOrgId, graceHours });
+      if (result.success) {
+        showMessage(result.message, 'success', true);
+        await loadOrganizations();
+      } else {
+        showMessage(`Error: ${result.error}`, 'error');
+      }
+    } catch (error) {
+      showMessage('Error rotating secret: ' + error.message, 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
   const handleAutoMatch = async (type, remoteItems, localItems, currentMappings, setMappings) => {
     if (!selectedOrgId) return;
     
@@ -581,6 +672,7 @@ const App = () => {
         case 'field': return { remote: remoteFields, local: localFields, setter: setFieldMappings };
         case 'status': return { remote: remoteStatuses, local: localStatuses, setter: setStatusMappings };
         case 'issueType': return { remote: remoteIssueTypes, local: localIssueTypes, setter: setIssueTypeMappings };
+        case 'sprint': return { remote: remoteSprints, local: localSprints, setter: setSprintMappings };
       }
     };
 
@@ -603,7 +695,8 @@ const App = () => {
       'user': setUserMappings,
       'field': setFieldMappings,
       'status': setStatusMappings,
-      'issueType': setIssueTypeMappings
+      'issueType': setIssueTypeMappings,
+      'sprint': setSprintMappings
     };
     const setter = setterMap[type];
     setter(prev => {
@@ -623,20 +716,22 @@ const App = () => {
         'field': fieldMappings,
         'status': statusMappings,
         'issueType': issueTypeMappings,
-        'project': projectMappings
+        'project': projectMappings,
+        'sprint': sprintMappings
       };
       const methodMap = {
         'user': 'saveUserMappings',
         'field': 'saveFieldMappings',
         'status': 'saveStatusMappings',
         'issueType': 'saveIssueTypeMappings',
-        'project': 'saveProjectMappings'
+        'project': 'saveProjectMappings',
+        'sprint': 'saveSprintMappings'
       };
       const mappings = mappingsMap[type];
       const method = methodMap[type];
 
       const payload = type === 'user'
-        ? { orgId: selectedOrgId, mappings, config: { autoMapUsers: false, fallbackUser: 'unassigned' } }
+        ? { orgId: selectedOrgId, mappings, config: userMappingConfig }
         : { orgId: selectedOrgId, mappings };
 
       await invoke(method, payload);
@@ -700,8 +795,76 @@ const App = () => {
     }
   };
 
+  // Poll the background bulk sync until it completes, fails, is cancelled or pauses
+  const pollBulkSyncStatus = async (attempts = 0) => {
+    if (attempts > 180) { // Max 3 minutes of polling (every 1 second)
+      showMessage('⏳ Sync is still running in background. Refresh to check status.', 'info', true);
+      setScanningDeleted(false);
+      return;
+    }
+    
+    try {
+      const statusResult = await invoke('getBulkSyncStatus');
+      const status = statusResult.status || {};
+      
+      if (status.status === 'complete') {
+        const results = status.results || {};
+        const parts = [];
+        const createdCount = (results.created || 0) + (results.recreated || 0);
+        
+        if (results.dryRun) {
+          parts.push(`[DRY RUN] Would create ${createdCount}, would update ${results.updated}`);
+        } else {
+          if (createdCount > 0) parts.push(`${createdCount} created`);
+          if (results.updated) parts.push(`${results.updated} updated`);
+        }
+        parts.push(`${results.alreadySynced || 0} already synced`);
+        showMessage(
+          `✅ Sync complete! ${parts.join(', ')} (${results.elapsedSeconds || 0}s)`,
+          'success',
+          true
+        );
+        setScanProgress(null);
+        setScanningDeleted(false);
+        await loadStats();
+      } else if (status.status === 'error') {
+        showMessage(`❌ Sync failed: ${status.error}`, 'error', true);
+        setScanProgress(null);
+        setScanningDeleted(false);
+      } else if (status.status === 'cancelled') {
+        const results = status.results || {};
+        showMessage(
+          `🛑 Sync cancelled. ${results.created || 0} created, ${results.alreadySynced || 0} already synced before cancel.`,
+          'info',
+          true
+        );
+        setScanProgress(null);
+        setScanningDeleted(false);
+      } else if (status.status === 'paused') {
+        const progress = status.progress || {};
+        showMessage(
+          `Sync paused: the remote rate budget is exhausted until ${formatDateTimeEuro(status.resumeAt)}. ${progress.scanned || 0} issues scanned so far. Resume to continue from ${status.checkpoint?.afterKey || status.checkpoint?.projectKey || 'where it stopped'}.`,
+          'info',
+          true
+        );
+        setPausedBulkSync(status);
+        setScanningDeleted(false);
+      } else if (status.status === 'running') {
+        // Still running, poll again
+        setTimeout(() => pollBulkSyncStatus(attempts + 1), 1000);
+      } else {
+        // Unknown status, keep polling
+        setTimeout(() => pollBulkSyncStatus(attempts + 1), 1000);
+      }
+    } catch (pollError) {
+      console.error('Poll error:', pollError);
+      setTimeout(() => pollBulkSyncStatus(attempts + 1), 2000);
+    }
+  };
+
   const handleScanForDeletedIssues = async (existingProgress = null, options = {}) => {
     setScanningDeleted(true);
+    setPausedBulkSync(null);
     const { updateExisting = false, dryRun = false } = options;
     
     // Initialize or continue progress tracking
@@ -722,65 +885,7 @@ const App = () => {
           showMessage(`⏳ Bulk sync started in background. Checking status...`, 'info', true);
           
           // Poll for completion
-          const pollStatus = async (attempts = 0) => {
-            if (attempts > 180) { // Max 3 minutes of polling (every 1 second)
-              showMessage('⏳ Sync is still running in background. Refresh to check status.', 'info', true);
-              setScanningDeleted(false);
-              return;
-            }
-            
-            try {
-              const statusResult = await invoke('getBulkSyncStatus');
-              const status = statusResult.status || {};
-              
-              if (status.status === 'complete') {
-                const results = status.results || {};
-                const parts = [];
-                const createdCount = (results.created || 0) + (results.recreated || 0);
-                
-                if (results.dryRun) {
-                  parts.push(`[DRY RUN] Would create ${createdCount}, would update ${results.updated}`);
-                } else {
-                  if (createdCount > 0) parts.push(`${createdCount} created`);
-                  if (results.updated) parts.push(`${results.updated} updated`);
-                }
-                parts.push(`${results.alreadySynced || 0} already synced`);
-                showMessage(
-                  `✅ Sync complete! ${parts.join(', ')} (${results.elapsedSeconds || 0}s)`,
-                  'success',
-                  true
-                );
-                setScanProgress(null);
-                setScanningDeleted(false);
-                await loadStats();
-              } else if (status.status === 'error') {
-                showMessage(`❌ Sync failed: ${status.error}`, 'error', true);
-                setScanProgress(null);
-                setScanningDeleted(false);
-              } else if (status.status === 'cancelled') {
-                const results = status.results || {};
-                showMessage(
-                  `🛑 Sync cancelled. ${results.created || 0} created, ${results.alreadySynced || 0} already synced before cancel.`,
-                  'info',
-                  true
-                );
-                setScanProgress(null);
-                setScanningDeleted(false);
-              } else if (status.status === 'running') {
-                // Still running, poll again
-                setTimeout(() => pollStatus(attempts + 1), 1000);
-              } else {
-                // Unknown status, keep polling
-                setTimeout(() => pollStatus(attempts + 1), 1000);
-              }
-            } catch (pollError) {
-              console.error('Poll error:', pollError);
-              setTimeout(() => pollStatus(attempts + 1), 2000);
-            }
-          };
-          
-          // Start polling after a brief delay
-          setTimeout(() => pollStatus(0), 1000);
+          setTimeout(() => pollBulkSyncStatus(0), 1000);
           return;
         }
         
@@ -822,6 +927,22 @@ const App = () => {
     setScanningDeleted(false);
   };
 
+  const handleResumeBulkSync = async () => {
+    try {
+      const result = await invoke('resumeBulkSync');
+      if (result.success) {
+        setPausedBulkSync(null);
+        setScanningDeleted(true);
+        showMessage(result.message, 'info', true);
+        setTimeout(() => pollBulkSyncStatus(0), 1000);
+      } else {
+        showMessage(`Error: ${result.error}`, 'error');
+      }
+    } catch (error) {
+      showMessage('Error: ' + error.message, 'error');
+    }
+  };
+
   // Cancel bulk sync
   const handleCancelBulkSync = async () => {
     try {
@@ -1230,9 +1351,20 @@ const App = () => {
                     scanProgress={scanProgress}
                     resetScanProgress={resetScanProgress}
                     handleCancelBulkSync={handleCancelBulkSync}
+                    pausedBulkSync={pausedBulkSync}
+                    handleResumeBulkSync={handleResumeBulkSync}
                     handleTriggerScheduledSync={handleTriggerScheduledSync}
                     scheduledSyncLoading={scheduledSyncLoading}
                   />
+                  <div style={surfaceCard({ marginTop: token('space.200', '16px') })}>
+                    <ConflictQueue selectedOrgId={selectedOrgId} />
+                  </div>
+                  <div style={surfaceCard({ marginTop: token('space.200', '16px') })}>
+                    <DeadLetterQueue selectedOrgId={selectedOrgId} />
+                  </div>
+                  <div style={surfaceCard({ marginTop: token('space.200', '16px') })}>
+                    <AdoptExisting selectedOrgId={selectedOrgId} />
+                  </div>
                 </div>
               </TabPanel>
 
@@ -1254,6 +1386,9 @@ const App = () => {
                     handleImportSettings={handleImportButtonClick}
                     exportingSettings={exportingSettings}
                     importingSettings={importingSettings}
+                    handleConnectOAuth={handleConnectOAuth}
+                    handleDisconnectOAuth={handleDisconnectOAuth}
+                    handleRotateIncomingSecret={handleRotateIncomingSecret}
                   />
                 </div>
               </TabPanel>
@@ -1271,8 +1406,12 @@ const App = () => {
                     localStatuses={localStatuses}
                     remoteIssueTypes={remoteIssueTypes}
                     localIssueTypes={localIssueTypes}
+                    remoteSprints={remoteSprints}
+                    localSprints={localSprints}
                     userMappings={userMappings}
                     setUserMappings={setUserMappings}
+                    userMappingConfig={userMappingConfig}
+                    setUserMappingConfig={setUserMappingConfig}
                     fieldMappings={fieldMappings}
                     setFieldMappings={setFieldMappings}
                     statusMappings={statusMappings}
@@ -1281,6 +1420,8 @@ const App = () => {
                     setIssueTypeMappings={setIssueTypeMappings}
                     projectMappings={projectMappings}
                     setProjectMappings={setProjectMappings}
+                    sprintMappings={sprintMappings}
+                    setSprintMappings={setSprintMappings}
                     addMapping={addMapping}
                     deleteMapping={deleteMapping}
                     handleSaveMappings={handleSaveMappings}
@@ -1289,6 +1430,9 @@ const App = () => {
                     saving={saving}
                     handleAutoMatch={handleAutoMatch}
                   />
+                  <div style={surfaceCard({ marginTop: token('space.200', '16px') })}>
+                    <IssueMappingTable selectedOrgId={selectedOrgId} />
+                  </div>
                 </div>
               </TabPanel>
 
@@ -1561,13 +1705,49 @@ const App = () => {
 };
 
 // Configuration Panel Component
+const CONFLICT_POLICY_OPTIONS = [
+  { value: 'newest', label: 'Most recent edit wins' },
+  { value: 'local', label: 'Local site always wins' },
+  { value: 'remote', label: 'Remote site always wins' },
+  { value: 'manual', label: 'Hold for manual review (Conflict Queue)' }
+];
+
+const SECRET_GRACE_OPTIONS = [
+  { value: 0, label: 'No grace period' },
+  { value: 1, label: '1 hour' },
+  { value: 24, label: '24 hours' },
+  { value: 72, label: '3 days' },
+  { value: 168, label: '7 days' }
+];
+
+// Usage of one secret version, as recorded by the incoming webhook
+const describeSecretUsage = (usage) => (
+  usage?.lastMatchedAt
+    ? `last used ${formatDateTimeEuro(usage.lastMatchedAt)} (${usage.deliveries} deliveries)`
+    : 'not used yet'
+);
+
+const FALLBACK_USER_OPTIONS = [
+  { value: 'none', label: 'Leave the field unchanged' },
+  { value: 'unassigned', label: 'Unassign' },
+  { value: 'user', label: 'Assign to a specific user' }
+];
+
+// fallbackUser is null (leave unchanged), 'unassigned', or an account ID
+const fallbackMode = (fallbackUser) => {
+  if (fallbackUser === null || fallbackUser === undefined) return 'none';
+  return fallbackUser === 'unassigned' ? 'unassigned' : 'user';
+};
+
 const ConfigurationPanel = ({
   selectedOrg, localProjects, loadProjects, dataLoading,
   toggleProjectSelection, handleSaveProjectFilter, syncOptions,
   setSyncOptions, handleSaveSyncOptions, saving,
-  handleExportSettings, handleImportSettings, exportingSettings, importingSettings
+  handleExportSettings, handleImportSettings, exportingSettings, importingSettings,
+  handleConnectOAuth, handleDisconnectOAuth, handleRotateIncomingSecret
 }) => {
   const [projectsExpanded, setProjectsExpanded] = useState(false);
+  const [secretGraceHours, setSecretGraceHours] = useState(24);
   const gridGap = token('space.300', '24px');
 
   const toggleProjects = () => {
@@ -1638,8 +1818,20 @@ const ConfigurationPanel = ({
           }}>
             <dt style={{ fontWeight: 600 }}>URL</dt>
             <dd style={{ margin: 0, wordBreak: 'break-all' }}>{selectedOrg.remoteUrl || '—'}</dd>
-            <dt style={{ fontWeight: 600 }}>Email</dt>
-            <dd style={{ margin: 0, wordBreak: 'break-all' }}>{selectedOrg.remoteEmail || '—'}</dd>
+            <dt style={{ fontWeight: 600 }}>Auth</dt>
+            <dd style={{ margin: 0 }}>
+              {selectedOrg.authType === 'oauth' ? (
+                <Lozenge appearance={selectedOrg.oauthConnectedAt ? 'success' : 'moved'}>
+                  {selectedOrg.oauthConnectedAt ? 'OAuth connected' : 'OAuth not connected'}
+                </Lozenge>
+              ) : 'API token'}
+            </dd>
+            {selectedOrg.authType !== 'oauth' && (
+              <>
+                <dt style={{ fontWeight: 600 }}>Email</dt>
+                <dd style={{ margin: 0, wordBreak: 'break-all' }}>{selectedOrg.remoteEmail || '—'}</dd>
+              </>
+            )}
             <dt style={{ fontWeight: 600 }}>Project</dt>
             <dd style={{ margin: 0 }}>{selectedOrg.remoteProjectKey || '—'}</dd>
             <dt style={{ fontWeight: 600 }}>Direction</dt>
@@ -1651,6 +1843,10 @@ const ConfigurationPanel = ({
             
             {selectedOrg.syncDirection === 'bidirectional' && (
               <>
+                <dt style={{ fontWeight: 600 }}>Webhook Auth</dt>
+                <dd style={{ margin: 0 }}>
+                  {(INCOMING_AUTH_MODE_OPTIONS.find(option => option.value === selectedOrg.incomingAuthMode) || INCOMING_AUTH_MODE_OPTIONS[0]).label}
+                </dd>
                 <dt style={{ fontWeight: 600, alignSelf: 'start', marginTop: '4px' }}>Incoming URL</dt>
                 <dd style={{ margin: 0 }}>
                   {selectedOrg.incomingWebhookUrl ? (
@@ -1684,10 +1880,44 @@ const ConfigurationPanel = ({
                       {selectedOrg.incomingSecret}
                     </code>
                   ) : '—'}
+                  {selectedOrg.incomingSecret && (
+                    <div style={{ fontSize: '11px', color: '#6B778C', marginTop: '4px' }}>
+                      Version {selectedOrg.incomingSecretVersion || 1}: {describeSecretUsage(selectedOrg.incomingSecretUsage?.[selectedOrg.incomingSecretVersion || 1])}
+                    </div>
+                  )}
+                  {selectedOrg.previousIncomingSecretValidUntil && new Date(selectedOrg.previousIncomingSecretValidUntil) > new Date() && (
+                    <div style={{ fontSize: '11px', color: '#6B778C' }}>
+                      Version {(selectedOrg.incomingSecretVersion || 1) - 1} accepted until {formatDateTimeEuro(selectedOrg.previousIncomingSecretValidUntil)}: {describeSecretUsage(selectedOrg.incomingSecretUsage?.[(selectedOrg.incomingSecretVersion || 1) - 1])}
+                    </div>
+                  )}
+                  <div style={{ display: 'flex', gap: token('space.100', '8px'), alignItems: 'center', marginTop: '8px' }}>
+                    <div style={{ minWidth: '160px' }}>
+                      <Select
+                        options={SECRET_GRACE_OPTIONS}
+                        value={SECRET_GRACE_OPTIONS.find(option => option.value === secretGraceHours)}
+                        onChange={(option) => setSecretGraceHours(option?.value ?? 24)}
+                      />
+                    </div>
+                    <Button appearance="default" onClick={() => handleRotateIncomingSecret(secretGraceHours)} isDisabled={saving}>
+                      Rotate Secret
+                    </Button>
+                  </div>
                 </dd>
               </>
             )}
           </dl>
+          {selectedOrg.authType === 'oauth' && (
+            <div style={{ display: 'flex', gap: token('space.100', '8px'), marginTop: token('space.150', '12px') }}>
+              <Button appearance="primary" onClick={handleConnectOAuth} isLoading={saving}>
+                {selectedOrg.oauthConnectedAt ? 'Reconnect with Atlassian' : 'Connect with Atlassian'}
+              </Button>
+              {selectedOrg.oauthConnectedAt && (
+                <Button appearance="subtle" onClick={handleDisconnectOAuth} isDisabled={saving}>
+                  Disconnect
+                </Button>
+              )}
+            </div>
+          )}
         </div>
 
         <div style={surfaceCard({ display: 'flex', flexDirection: 'column', gap: token('space.150', '12px') })}>
@@ -1697,6 +1927,8 @@ const ConfigurationPanel = ({
               { key: 'syncComments', label: 'Sync Comments' },
               { key: 'syncAttachments', label: 'Sync Attachments' },
               { key: 'syncLinks', label: 'Sync Issue Links' },
+              { key: 'syncWorklogs', label: 'Sync Worklogs (logged time, with author attribution)' },
+              { key: 'autoCreateSprints', label: 'Auto-Create Sprints (create unmapped sprints on the remote scrum board)' },
               { key: 'syncCrossReference', label: 'Add Cross-Reference in Description (show linked issue keys in both orgs)' },
               { key: 'recreateDeletedIssues', label: 'Recreate Deleted Issues (re-sync issues deleted in target org)' }
             ].map(option => (
@@ -1709,6 +1941,14 @@ const ConfigurationPanel = ({
               />
             ))}
           </div>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: token('space.050', '4px') }}>
+            <label style={{ fontSize: '13px', fontWeight: 600 }}>When a field changed on both sides</label>
+            <Select
+              options={CONFLICT_POLICY_OPTIONS}
+              value={CONFLICT_POLICY_OPTIONS.find(option => option.value === (syncOptions.conflictPolicy || 'newest'))}
+              onChange={(option) => setSyncOptions({ ...syncOptions, conflictPolicy: option?.value || 'newest' })}
+            />
+          </div>
           <Button
             appearance="subtle"
             onClick={handleSaveSyncOptions}
@@ -1800,10 +2040,10 @@ const ConfigurationPanel = ({
 // Mappings Panel Component
 const MappingsPanel = ({
   selectedOrg, remoteUsers, localUsers, remoteFields, localFields,
-  remoteStatuses, localStatuses, remoteIssueTypes, localIssueTypes,
-  userMappings, setUserMappings, fieldMappings, setFieldMappings,
+  remoteStatuses, localStatuses, remoteIssueTypes, localIssueTypes, remoteSprints, localSprints,
+  userMappings, setUserMappings, userMappingConfig, setUserMappingConfig, fieldMappings, setFieldMappings,
   statusMappings, setStatusMappings, issueTypeMappings, setIssueTypeMappings,
-  projectMappings, setProjectMappings,
+  projectMappings, setProjectMappings, sprintMappings, setSprintMappings,
   addMapping, deleteMapping, handleSaveMappings, loadMappingData, dataLoading, saving,
   handleAutoMatch
 }) => {
@@ -1815,6 +2055,8 @@ const MappingsPanel = ({
   const [newStatusLocal, setNewStatusLocal] = useState('');
   const [newIssueTypeRemote, setNewIssueTypeRemote] = useState('');
   const [newIssueTypeLocal, setNewIssueTypeLocal] = useState('');
+  const [newSprintRemote, setNewSprintRemote] = useState('');
+  const [newSprintLocal, setNewSprintLocal] = useState('');
   const [newProjectSource, setNewProjectSource] = useState('');
   const [newProjectTarget, setNewProjectTarget] = useState('');
 
@@ -1823,7 +2065,11 @@ const MappingsPanel = ({
 
   const MappingSection = ({ title, type, remotePlaceholder, localPlaceholder, remoteItems, localItems, mappings, setMappings, newRemote, setNewRemote, newLocal, setNewLocal }) => {
     const itemKey = type === 'user' ? 'accountId' : 'id';
-    const itemLabel = type === 'user' ? (item) => `${item.displayName}${item.emailAddress ? ` (${item.emailAddress})` : ''}` : (item) => `${item.name}`;
+    const itemLabel = type === 'user'
+      ? (item) => `${item.displayName}${item.emailAddress ? ` (${item.emailAddress})` : ''}`
+      : type === 'sprint'
+        ? (item) => `${item.name}${item.boardName ? ` (${item.boardName})` : ''}`
+        : (item) => `${item.name}`;
 
     // Sort items alphabetically
     const sortedRemoteItems = [...remoteItems].sort((a, b) => itemLabel(a).localeCompare(itemLabel(b)));
@@ -1951,6 +2197,38 @@ const MappingsPanel = ({
             setNewLocal={setNewUserLocal}
           />
 
+          <div style={surfaceCard({ marginBottom: token('space.250', '20px'), display: 'flex', flexDirection: 'column', gap: token('space.150', '12px') })}>
+            <div>
+              <h4 style={{ margin: '0 0 4px 0' }}>Unmapped Users</h4>
+              <div style={{ fontSize: '13px', color: '#6B778C' }}>
+                Applies to assignee and reporter in both directions when a user is not in the mappings above. Saved with User Mappings.
+              </div>
+            </div>
+            <Checkbox
+              label="Look up unmapped users by email on the other site (results cached for 24 hours)"
+              name="autoMapUsers"
+              isChecked={userMappingConfig?.autoMapUsers !== false}
+              onChange={(e) => setUserMappingConfig({ ...userMappingConfig, autoMapUsers: e.target.checked })}
+            />
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: token('space.150', '12px') }}>
+              <Select
+                options={FALLBACK_USER_OPTIONS}
+                value={FALLBACK_USER_OPTIONS.find(option => option.value === fallbackMode(userMappingConfig?.fallbackUser))}
+                onChange={(option) => setUserMappingConfig({
+                  ...userMappingConfig,
+                  fallbackUser: option?.value === 'unassigned' ? 'unassigned' : option?.value === 'user' ? '' : null
+                })}
+              />
+              {fallbackMode(userMappingConfig?.fallbackUser) === 'user' && (
+                <TextField
+                  value={userMappingConfig?.fallbackUser || ''}
+                  onChange={(e) => setUserMappingConfig({ ...userMappingConfig, fallbackUser: e.target.value.trim() })}
+                  placeholder="Fallback account ID (must exist on both sites)"
+                />
+              )}
+            </div>
+          </div>
+
           <MappingSection
             title="Field Mappings"
             type="field"
@@ -1966,6 +2244,18 @@ const MappingsPanel = ({
             setNewLocal={setNewFieldLocal}
           />
 
+          <div style={surfaceCard({ marginBottom: token('space.250', '20px') })}>
+            <OptionMappings
+              selectedOrgId={selectedOrg?.id}
+              remoteFields={remoteFields}
+              localFields={localFields}
+            />
+          </div>
+
+          <div style={surfaceCard({ marginBottom: token('space.250', '20px') })}>
+            <FieldDirections selectedOrgId={selectedOrg?.id} fieldMappings={fieldMappings} />
+          </div>
+
           <MappingSection
             title="Status Mappings"
             type="status"
@@ -1996,6 +2286,21 @@ const MappingsPanel = ({
             setNewLocal={setNewIssueTypeLocal}
           />
 
+          <MappingSection
+            title="Sprint Mappings"
+            type="sprint"
+            remotePlaceholder="Select remote sprint"
+            localPlaceholder="Select local sprint"
+            remoteItems={remoteSprints || []}
+            localItems={localSprints || []}
+            mappings={sprintMappings || {}}
+            setMappings={setSprintMappings}
+            newRemote={newSprintRemote}
+            setNewRemote={setNewSprintRemote}
+            newLocal={newSprintLocal}
+            setNewLocal={setNewSprintLocal}
+          />
+
           {/* Project Mappings - simple text inputs, no dropdowns needed */}
           <div style={surfaceCard({ marginBottom: token('space.250', '20px') })}>
             <div style={{ marginBottom: token('space.200', '16px') }}>
@@ -2089,6 +2394,7 @@ const SyncActivityPanel = ({
   organizations, onExportIssues, issueExporting, onIssueImportClick, issueImporting,
   selectedOrg, syncOptions, handleScanForDeletedIssues, scanningDeleted,
   scanProgress, resetScanProgress, handleCancelBulkSync,
+  pausedBulkSync, handleResumeBulkSync,
   handleTriggerScheduledSync, scheduledSyncLoading
 }) => {
   console.log('[Debug] SyncActivityPanel rendered', { onExportIssues: !!onExportIssues, organizations: organizations?.length });
@@ -2249,7 +2555,8 @@ const SyncActivityPanel = ({
     'link-synced': { label: 'Link Synced', appearance: 'success' },
     'link-error': { label: 'Link Error', appearance: 'removed' },
     'link-pending': { label: 'Link Pending', appearance: 'inprogress' },
-    'link-dropped': { label: 'Link Dropped', appearance: 'default' }
+    'link-dropped': { label: 'Link Dropped', appearance: 'default' },
+    paused: { label: 'Paused', appearance: 'inprogress' }
   };
 
   const formatSyncDetails = (details) => {
@@ -2300,6 +2607,8 @@ const SyncActivityPanel = ({
         return `Dropped pending link for ${event.issueKey || 'issue'}`;
       case 'error':
         return `Sync error${event.issueKey ? ' on ' + event.issueKey : ''}`;
+      case 'paused':
+        return `Paused ${event.orgName || 'organization'} during ${event.phase || 'sync'} until ${event.resumeAt ? formatHelsinkiTime(event.resumeAt) : 'its rate budget recovers'}`;
       default:
         return 'Scheduled event';
     }
@@ -2336,7 +2645,10 @@ const SyncActivityPanel = ({
                 <StatCard label="Issues Created" value={syncStats.webhook.issuesCreated || 0} color="#00875A" />
                 <StatCard label="Issues Updated" value={syncStats.webhook.issuesUpdated || 0} color="#0052CC" />
                 <StatCard label="Comments Synced" value={syncStats.webhook.commentsSynced || 0} color="#403294" />
+                <StatCard label="Attachments Deleted" value={syncStats.webhook.attachmentsDeleted || 0} color="#403294" />
+                <StatCard label="Worklogs Synced" value={syncStats.webhook.worklogsSynced || 0} color="#403294" />
                 <StatCard label="Loops Prevented" value={syncStats.webhook.loopsPrevented || 0} color="#00875A" />
+                <StatCard label="Duplicates Suppressed" value={syncStats.webhook.duplicatesSuppressed || 0} color="#00875A" />
                 <StatCard label="Issues Skipped" value={syncStats.webhook.issuesSkipped || 0} color="#FF991F" />
               </div>
               {syncStats.webhook.lastSync && (
@@ -2562,6 +2874,69 @@ const SyncActivityPanel = ({
                 </div>
               )}
 
+              {/* By Organization Breakdown */}
+              {syncStats.apiUsage.byOrg && Object.keys(syncStats.apiUsage.byOrg).length > 0 && (
+                <div style={{ marginTop: token('space.200', '16px') }}>
+                  <h5 style={{ marginBottom: '8px' }}>Remote Calls by Organization</h5>
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+                    {Object.entries(syncStats.apiUsage.byOrg)
+                      .sort((a, b) => b[1].calls - a[1].calls)
+                      .map(([orgId, data]) => {
+                        const org = organizations.find(o => o.id === orgId);
+                        return (
+                          <div key={orgId} style={{
+                            padding: '8px 12px',
+                            background: token('color.background.neutral.subtle', '#F4F5F7'),
+                            borderRadius: '6px',
+                            fontSize: '12px',
+                            display: 'flex',
+                            alignItems: 'center',
+                            gap: '8px'
+                          }}>
+                            <span style={{ fontWeight: 600 }}>{org?.name || orgId}</span>
+                            <span style={{ color: '#6B778C' }}>{data.calls} calls</span>
+                            {data.rateLimits > 0 && (
+                              <span style={{ color: '#DE350B', fontSize: '11px' }}>({data.rateLimits} limited)</span>
+                            )}
+                          </div>
+                        );
+                      })}
+                  </div>
+                </div>
+              )}
+
+              {/* Remaining rate budget per remote organization */}
+              {syncStats.apiUsage.remoteBudgets && Object.keys(syncStats.apiUsage.remoteBudgets).length > 0 && (
+                <div style={{ marginTop: token('space.200', '16px') }}>
+                  <h5 style={{ marginBottom: '8px' }}>Remote Rate Budget</h5>
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+                    {Object.entries(syncStats.apiUsage.remoteBudgets).map(([orgId, budget]) => {
+                      const org = organizations.find(o => o.id === orgId);
+                      return (
+                        <div key={orgId} style={{
+                          padding: '8px 12px',
+                          background: token('color.background.neutral.subtle', '#F4F5F7'),
+                          borderRadius: '6px',
+                          fontSize: '12px',
+                          display: 'flex',
+                          alignItems: 'center',
+                          gap: '8px'
+                        }}>
+                          <span style={{ fontWeight: 600 }}>{org?.name || (orgId === 'legacy' ? 'Legacy' : orgId)}</span>
+                          <span style={{ color: '#6B778C' }}>{budget.tokens} / {budget.capacity} requests, refilling {budget.refillPerSecond}/s</span>
+                          {budget.remoteRemaining !== null && (
+                            <span style={{ color: '#6B778C' }}>remote reports {budget.remoteRemaining}{budget.remoteLimit !== null ? ` of ${budget.remoteLimit}` : ''} left</span>
+                          )}
+                          {budget.blockedUntil && (
+                            <span style={{ color: '#DE350B', fontSize: '11px' }}>paused until {formatDateTimeEuro(budget.blockedUntil)}</span>
+                          )}
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              )}
+
               {/* Hourly History Chart */}
               {syncStats.apiUsage.history && syncStats.apiUsage.history.length > 0 && (
                 <div style={{ marginTop: token('space.200', '16px') }}>
@@ -2846,6 +3221,16 @@ const SyncActivityPanel = ({
                   Cancel
                 </Button>
               )}
+              {pausedBulkSync && !scanningDeleted && (
+                <Button 
+                  appearance="subtle" 
+                  onClick={handleResumeBulkSync}
+                  style={{ ...lozengeButtonStyle, background: '#DEEBFF', color: '#0747A6' }}
+                  title={pausedBulkSync.resumeAt ? `Rate budget recovers at ${formatDateTimeEuro(pausedBulkSync.resumeAt)}` : undefined}
+                >
+                  Resume
+                </Button>
+              )}
               {scanProgress && !scanningDeleted && (
                 <Button 
                   appearance="subtle" 
@@ -3200,8 +3585,28 @@ const IssueImportModal = ({ data, options, onOptionChange, onConfirm, onClose, i
 };
 
 // Org Modal Component
+const AUTH_TYPE_OPTIONS = [
+  { label: 'API token (email and token)', value: 'basic' },
+  { label: 'OAuth 2.0 app (authorization code)', value: 'oauth' }
+];
+
+const INCOMING_AUTH_MODE_OPTIONS = [
+  { label: 'Secret in URL (?secret=)', value: 'query-secret' },
+  { label: 'Signed webhook (X-Hub-Signature)', value: 'signature' }
+];
+
 const OrgModal = ({ editingOrg, onClose, onSave, saving }) => {
   const [syncDirection, setSyncDirection] = useState(editingOrg?.syncDirection || 'push');
+  const [incomingAuthMode, setIncomingAuthMode] = useState(editingOrg?.incomingAuthMode || 'query-secret');
+  const [authType, setAuthType] = useState(editingOrg?.authType || 'basic');
+  const [oauthCallbackUrl, setOauthCallbackUrl] = useState(null);
+
+  useEffect(() => {
+    if (authType !== 'oauth' || oauthCallbackUrl) return;
+    invoke('getOAuthCallbackUrl')
+      .then(result => result?.success && setOauthCallbackUrl(result.callbackUrl))
+      .catch(error => console.error('Failed to load OAuth callback URL', error));
+  }, [authType]);
 
   return (
   <ModalDialog onClose={onClose} width="large">
@@ -3278,27 +3683,96 @@ const OrgModal = ({ editingOrg, onClose, onSave, saving }) => {
                 padding: token('space.200', '16px'),
                 borderRadius: token('border.radius', '8px')
               }}>
-                <Field
-                  name="remoteEmail"
-                  defaultValue={editingOrg?.remoteEmail || ''}
-                  isRequired
-                  label="Admin Email"
-                >
-                  {({ fieldProps }) => (
-                    <TextField {...fieldProps} placeholder="admin@example.com" />
-                  )}
-                </Field>
+                <div style={{ gridColumn: '1 / -1' }}>
+                  <Field
+                    name="authType"
+                    defaultValue={authType}
+                    label="Credential Type"
+                  >
+                    {({ fieldProps }) => (
+                      <Select
+                        {...fieldProps}
+                        options={AUTH_TYPE_OPTIONS}
+                        value={AUTH_TYPE_OPTIONS.find(option => option.value === fieldProps.value) || AUTH_TYPE_OPTIONS[0]}
+                        onChange={(option) => {
+                          fieldProps.onChange(option.value);
+                          setAuthType(option.value);
+                        }}
+                      />
+                    )}
+                  </Field>
+                </div>
 
-                <Field
-                  name="remoteApiToken"
-                  defaultValue={editingOrg?.remoteApiToken || ''}
-                  isRequired
-                  label="API Token"
-                >
-                  {({ fieldProps }) => (
-                    <TextField {...fieldProps} type="password" placeholder="••••••••••••" />
-                  )}
-                </Field>
+                {authType === 'oauth' ? (
+                  <>
+                    <Field
+                      name="oauthClientId"
+                      defaultValue={editingOrg?.oauthClientId || ''}
+                      isRequired
+                      label="Client ID"
+                    >
+                      {({ fieldProps }) => (
+                        <TextField {...fieldProps} placeholder="From the developer console app" />
+                      )}
+                    </Field>
+
+                    <Field
+                      name="oauthClientSecret"
+                      defaultValue=""
+                      isRequired={!editingOrg?.oauthClientId}
+                      label="Client Secret"
+                    >
+                      {({ fieldProps }) => (
+                        <TextField
+                          {...fieldProps}
+                          type="password"
+                          placeholder={editingOrg?.oauthClientId ? 'Leave blank to keep the current secret' : '••••••••••••'}
+                        />
+                      )}
+                    </Field>
+
+                    <div style={{ gridColumn: '1 / -1', fontSize: '12px', color: token('color.text.subtle', '#6B778C') }}>
+                      Create an OAuth 2.0 (3LO) app in the Atlassian developer console with the Jira API scopes read:jira-work, write:jira-work and read:jira-user (plus the Jira Software sprint and board scopes for sprint sync), and set its callback URL to:
+                      <code style={{
+                        display: 'block',
+                        marginTop: '4px',
+                        padding: '4px 8px',
+                        background: '#FFFFFF',
+                        borderRadius: '4px',
+                        fontSize: '11px',
+                        wordBreak: 'break-all',
+                        border: '1px solid #DFE1E6'
+                      }}>
+                        {oauthCallbackUrl || 'Loading...'}
+                      </code>
+                      After saving, use Connect with Atlassian and consent as a service account on the remote site.
+                    </div>
+                  </>
+                ) : (
+                  <>
+                    <Field
+                      name="remoteEmail"
+                      defaultValue={editingOrg?.remoteEmail || ''}
+                      isRequired
+                      label="Admin Email"
+                    >
+                      {({ fieldProps }) => (
+                        <TextField {...fieldProps} placeholder="admin@example.com" />
+                      )}
+                    </Field>
+
+                    <Field
+                      name="remoteApiToken"
+                      defaultValue={editingOrg?.remoteApiToken || ''}
+                      isRequired
+                      label="API Token"
+                    >
+                      {({ fieldProps }) => (
+                        <TextField {...fieldProps} type="password" placeholder="••••••••••••" />
+                      )}
+                    </Field>
+                  </>
+                )}
               </div>
             </div>
 
@@ -3391,6 +3865,26 @@ const OrgModal = ({ editingOrg, onClose, onSave, saving }) => {
                   )}
                 </Field>
 
+                {syncDirection === 'bidirectional' && (
+                  <Field
+                    name="incomingAuthMode"
+                    defaultValue={incomingAuthMode}
+                    label="Incoming Webhook Authentication"
+                  >
+                    {({ fieldProps }) => (
+                      <Select
+                        {...fieldProps}
+                        options={INCOMING_AUTH_MODE_OPTIONS}
+                        value={INCOMING_AUTH_MODE_OPTIONS.find(option => option.value === fieldProps.value) || INCOMING_AUTH_MODE_OPTIONS[0]}
+                        onChange={(option) => {
+                          fieldProps.onChange(option.value);
+                          setIncomingAuthMode(option.value);
+                        }}
+                      />
+                    )}
+                  </Field>
+                )}
+
                 {syncDirection === 'bidirectional' && (
                   <div style={{ marginTop: '16px' }}>
                     {editingOrg?.incomingWebhookUrl ? (
@@ -3415,9 +3909,30 @@ const OrgModal = ({ editingOrg, onClose, onSave, saving }) => {
                             wordBreak: 'break-all',
                             border: '1px solid #A1BDD9'
                           }}>
-                            {editingOrg.incomingWebhookUrl}?secret={editingOrg.incomingSecret}
+                            {incomingAuthMode === 'signature'
+                              ? editingOrg.incomingWebhookUrl
+                              : `${editingOrg.incomingWebhookUrl}?secret=${editingOrg.incomingSecret}`}
                           </code>
                         </div>
+                        {incomingAuthMode === 'signature' && (
+                          <div style={{ marginBottom: '8px' }}>
+                            <div style={{ fontSize: '11px', fontWeight: 600, color: '#006644' }}>Secret:</div>
+                            <div style={{ fontSize: '11px', color: '#172B4D', marginBottom: '4px' }}>
+                              Enter this in the webhook's Secret field. Jira signs each delivery with it and unsigned deliveries are rejected.
+                            </div>
+                            <code style={{ 
+                              display: 'block', 
+                              padding: '8px', 
+                              background: '#FFFFFF', 
+                              borderRadius: '4px', 
+                              fontSize: '11px', 
+                              wordBreak: 'break-all',
+                              border: '1px solid #A1BDD9'
+                            }}>
+                              {editingOrg.incomingSecret}
+                            </code>
+                          </div>
+                        )}
                         <div style={{ marginBottom: '8px' }}>
                           <div style={{ fontSize: '11px', fontWeight: 600, color: '#006644' }}>JQL Filter (CRITICAL):</div>
                           <div style={{ fontSize: '11px', color: '#172B4D', marginBottom: '4px' }}>
@@ -0,0 +1,226 @@
+import React, { useState, useEffect } from 'react';
+import { invoke } from '@forge/bridge';
+import Button from '@atlaskit/button';
+import Select from '@atlaskit/select';
+import TextField from '@atlaskit/textfield';
+import SectionMessage from '@atlaskit/section-message';
+import Spinner from '@atlaskit/spinner';
+import { token } from '@atlaskit/tokens';
+
+const MATCH_OPTIONS = [
+  { value: 'summary', label: 'Same summary' },
+  { value: 'customField', label: 'Remote custom field holds the local key' },
+  { value: 'crossReference', label: 'Cross-reference line in the remote description' }
+];
+
+const cellStyle = {
+  padding: '6px 8px',
+  borderBottom: '1px solid #DFE1E6',
+  fontSize: '13px',
+  textAlign: 'left'
+};
+
+const AdoptExisting = ({ selectedOrgId }) => {
+  const [matchBy, setMatchBy] = useState('summary');
+  const [matchFieldId, setMatchFieldId] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [committing, setCommitting] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const loadPreview = async () => {
+    if (!selectedOrgId) return;
+    try {
+      const result = await invoke('getAdoptPreview', { orgId: selectedOrgId });
+      setPreview(result?.success ? result.preview : null);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  useEffect(() => {
+    setMessage(null);
+    setPreview(null);
+    loadPreview();
+  }, [selectedOrgId]);
+
+  const waitForScan = async (attempts = 0) => {
+    if (attempts > 300) {
+      setMessage({ type: 'info', text: 'The preview is still running in the background. Refresh to check again.' });
+      setRunning(false);
+      return;
+    }
+
+    try {
+      const statusResult = await invoke('getBulkSyncStatus');
+      const status = statusResult.status || {};
+      if (status.status === 'running') {
+        setTimeout(() => waitForScan(attempts + 1), 2000);
+        return;
+      }
+      if (status.status === 'complete') {
+        const results = status.results || {};
+        setMessage({
+          type: 'success',
+          text: `Scanned ${results.scanned || 0} issues: ${results.adopted || 0} pairings found, ${results.ambiguous || 0} with several candidates, ${results.unmatched || 0} without a match.`
+        });
+        await loadPreview();
+      } else if (status.status === 'error') {
+        setMessage({ type: 'error', text: status.error });
+      } else {
+        setMessage({ type: 'info', text: 'The preview was cancelled.' });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+    setRunning(false);
+  };
+
+  const runPreview = async () => {
+    setRunning(true);
+    setMessage(null);
+    try {
+      const result = await invoke('scanForDeletedIssues', {
+        orgId: selectedOrgId,
+        adoptExisting: true,
+        dryRun: true,
+        matchBy,
+        matchFieldId: matchBy === 'customField' ? matchFieldId.trim() : null
+      });
+      if (!result.success) {
+        setMessage({ type: 'error', text: result.error });
+        setRunning(false);
+        return;
+      }
+      waitForScan();
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+      setRunning(false);
+    }
+  };
+
+  const commitPreview = async () => {
+    if (!confirm(`Link ${preview.pairs.length} issue pair(s)? They will sync as if the app had created them.`)) return;
+    setCommitting(true);
+    setMessage(null);
+    try {
+      const result = await invoke('commitAdoptPreview', { orgId: selectedOrgId });
+      setMessage({ type: result.success ? 'success' : 'error', text: result.success ? result.message : result.error });
+      if (result.success) {
+        setPreview(null);
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setCommitting(false);
+    }
+  };
+
+  const ruleLabel = (value) => MATCH_OPTIONS.find(option => option.value === value)?.label || value;
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: token('space.150', '12px') }}>
+      <div>
+        <h4 style={{ margin: '0 0 4px 0' }}>Adopt Existing Remote Issues</h4>
+        <div style={{ fontSize: '13px', color: '#6B778C' }}>
+          For partners that already have copies of your issues. Finds the remote copy of each unmapped issue and links the two instead of creating a duplicate. Nothing is linked until you review the preview.
+        </div>
+      </div>
+
+      {message && (
+        <SectionMessage appearance={message.type === 'success' ? 'success' : message.type === 'info' ? 'information' : 'error'}>
+          <p>{message.text}</p>
+        </SectionMessage>
+      )}
+
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'flex-end', flexWrap: 'wrap' }}>
+        <div style={{ width: '340px' }}>
+          <label style={{ fontSize: '12px' }}>Match rule</label>
+          <Select
+            options={MATCH_OPTIONS}
+            value={MATCH_OPTIONS.find(option => option.value === matchBy)}
+            onChange={(option) => setMatchBy(option?.value || 'summary')}
+          />
+        </div>
+        {matchBy === 'customField' && (
+          <div style={{ width: '200px' }}>
+            <label htmlFor="adopt-field-id" style={{ fontSize: '12px' }}>Remote field ID</label>
+            <TextField
+              id="adopt-field-id"
+              value={matchFieldId}
+              onChange={(e) => setMatchFieldId(e.target.value)}
+              placeholder="customfield_10050"
+            />
+          </div>
+        )}
+        <Button
+          appearance="primary"
+          onClick={runPreview}
+          isLoading={running}
+          isDisabled={!selectedOrgId || committing || (matchBy === 'customField' && !matchFieldId.trim())}
+        >
+          Preview Pairings
+        </Button>
+      </div>
+
+      {running && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px', color: '#6B778C' }}>
+          <Spinner size="small" /> Searching the remote project for existing copies...
+        </div>
+      )}
+
+      {preview && !running && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: token('space.100', '8px') }}>
+          <div style={{ fontSize: '13px', color: '#6B778C' }}>
+            Preview from {new Date(preview.createdAt).toLocaleString()}, matched by {ruleLabel(preview.matchBy).toLowerCase()}.
+            {preview.truncated && ' Only the first pairings are listed; link them and run the preview again for the rest.'}
+          </div>
+
+          {preview.pairs.length === 0 ? (
+            <div style={{ fontSize: '13px', color: '#6B778C' }}>No pairings found.</div>
+          ) : (
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr>
+                  <th style={cellStyle}>Local issue</th>
+                  <th style={cellStyle}>Remote issue</th>
+                  <th style={cellStyle}>Summary</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.pairs.map(pair => (
+                  <tr key={pair.localKey}>
+                    <td style={cellStyle}><strong>{pair.localKey}</strong></td>
+                    <td style={cellStyle}><strong>{pair.remoteKey}</strong></td>
+                    <td style={{ ...cellStyle, color: '#6B778C' }}>{pair.summary}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {preview.ambiguous?.length > 0 && (
+            <SectionMessage appearance="warning" title={`${preview.ambiguous.length} issue(s) matched more than one remote issue`}>
+              <p>These are not linked. Use Link Issues in the Mappings tab to pick the right one.</p>
+              <ul style={{ margin: 0 }}>
+                {preview.ambiguous.slice(0, 20).map(entry => (
+                  <li key={entry.localKey}>{entry.localKey}: {entry.candidates.join(', ')}</li>
+                ))}
+              </ul>
+            </SectionMessage>
+          )}
+
+          {preview.pairs.length > 0 && (
+            <div>
+              <Button appearance="primary" onClick={commitPreview} isLoading={committing} isDisabled={running}>
+                Link {preview.pairs.length} Pair{preview.pairs.length === 1 ? '' : 's'}
+              </Button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdoptExisting;
@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react';
+import { invoke } from '@forge/bridge';
+import Button from '@atlaskit/button';
+import SectionMessage from '@atlaskit/section-message';
+import Spinner from '@atlaskit/spinner';
+import Lozenge from '@atlaskit/lozenge';
+import { token } from '@atlaskit/tokens';
+
+const FIELD_LABELS = {
+  summary: 'Summary',
+  description: 'Description',
+  priority: 'Priority',
+  labels: 'Labels',
+  duedate: 'Due date',
+  components: 'Components',
+  fixVersions: 'Fix versions',
+  versions: 'Affects versions'
+};
+
+const cellStyle = {
+  padding: '6px 8px',
+  borderBottom: '1px solid #DFE1E6',
+  fontSize: '12px',
+  verticalAlign: 'top',
+  wordBreak: 'break-word'
+};
+
+const ConflictQueue = ({ selectedOrgId }) => {
+  const [conflicts, setConflicts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [resolving, setResolving] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const loadConflicts = async () => {
+    if (!selectedOrgId) return;
+    setLoading(true);
+    try {
+      const result = await invoke('getConflicts', { orgId: selectedOrgId });
+      setConflicts(result?.conflicts || []);
+      if (result && !result.success) {
+        setMessage({ type: 'error', text: result.error });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setMessage(null);
+    loadConflicts();
+  }, [selectedOrgId]);
+
+  const resolve = async (localKey, winner) => {
+    setResolving(`${localKey}:${winner}`);
+    setMessage(null);
+    try {
+      const result = await invoke('resolveConflict', { orgId: selectedOrgId, localKey, winner });
+      setMessage({ type: result.success ? 'success' : 'error', text: result.success ? result.message : result.error });
+      if (result.success) {
+        setConflicts(conflicts.filter(conflict => conflict.localKey !== localKey));
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setResolving(null);
+    }
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: token('space.150', '12px') }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <div>
+          <h4 style={{ margin: '0 0 4px 0' }}>Conflict Queue</h4>
+          <div style={{ fontSize: '13px', color: '#6B778C' }}>
+            Fields edited on both sides since the last sync. Only filled when the conflict policy is set to manual.
+          </div>
+        </div>
+        <Button appearance="subtle" onClick={loadConflicts} isDisabled={loading || !selectedOrgId}>
+          Refresh
+        </Button>
+      </div>
+
+      {message && (
+        <SectionMessage appearance={message.type === 'success' ? 'success' : 'error'}>
+          <p>{message.text}</p>
+        </SectionMessage>
+      )}
+
+      {loading && <Spinner size="medium" />}
+
+      {!loading && conflicts.length === 0 && (
+        <div style={{ fontSize: '13px', color: '#6B778C' }}>No conflicts waiting for review.</div>
+      )}
+
+      {!loading && conflicts.map(conflict => (
+        <div
+          key={conflict.localKey}
+          style={{ border: '1px solid #DFE1E6', borderRadius: '6px', padding: token('space.150', '12px') }}
+        >
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+            <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+              <strong>{conflict.localKey}</strong>
+              <span style={{ color: '#6B778C' }}>/</span>
+              <strong>{conflict.remoteKey}</strong>
+              <Lozenge appearance="moved">{Object.keys(conflict.fields || {}).length} field(s)</Lozenge>
+            </div>
+            <div style={{ fontSize: '11px', color: '#6B778C' }}>
+              {conflict.detectedAt ? new Date(conflict.detectedAt).toLocaleString() : ''}
+            </div>
+          </div>
+          <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '8px' }}>
+            <thead>
+              <tr>
+                <th style={{ ...cellStyle, textAlign: 'left', width: '20%' }}>Field</th>
+                <th style={{ ...cellStyle, textAlign: 'left', width: '40%' }}>Local</th>
+                <th style={{ ...cellStyle, textAlign: 'left', width: '40%' }}>Remote</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(conflict.fields || {}).map(([field, values]) => (
+                <tr key={field}>
+                  <td style={cellStyle}>{FIELD_LABELS[field] || field}</td>
+                  <td style={cellStyle}>{values.local || <em>empty</em>}</td>
+                  <td style={cellStyle}>{values.remote || <em>empty</em>}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <Button
+              appearance="primary"
+              onClick={() => resolve(conflict.localKey, 'local')}
+              isLoading={resolving === `${conflict.localKey}:local`}
+              isDisabled={!!resolving}
+            >
+              Keep local
+            </Button>
+            <Button
+              appearance="default"
+              onClick={() => resolve(conflict.localKey, 'remote')}
+              isLoading={resolving === `${conflict.localKey}:remote`}
+              isDisabled={!!resolving}
+            >
+              Keep remote
+            </Button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ConflictQueue;
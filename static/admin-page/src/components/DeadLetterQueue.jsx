@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import { invoke } from '@forge/bridge';
+import Button from '@atlaskit/button';
+import SectionMessage from '@atlaskit/section-message';
+import Spinner from '@atlaskit/spinner';
+import Lozenge from '@atlaskit/lozenge';
+import { token } from '@atlaskit/tokens';
+
+const TYPE_LABELS = {
+  issue: 'Issue',
+  comment: 'Comment',
+  'comment-update': 'Comment edit',
+  'comment-delete': 'Comment deletion',
+  link: 'Issue link'
+};
+
+const DeadLetterQueue = ({ selectedOrgId }) => {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [working, setWorking] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const loadItems = async () => {
+    if (!selectedOrgId) return;
+    setLoading(true);
+    try {
+      const result = await invoke('getDeadLetters', { orgId: selectedOrgId });
+      setItems(result?.items || []);
+      if (result && !result.success) {
+        setMessage({ type: 'error', text: result.error });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setMessage(null);
+    loadItems();
+  }, [selectedOrgId]);
+
+  const act = async (id, action) => {
+    setWorking(`${id}:${action}`);
+    setMessage(null);
+    try {
+      const result = await invoke(action === 'retry' ? 'retryDeadLetter' : 'discardDeadLetter', { id });
+      setMessage({ type: result.success ? 'success' : 'error', text: result.success ? result.message : result.error });
+      if (result.success) {
+        setItems(items.filter(item => item.id !== id));
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setWorking(null);
+    }
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: token('space.150', '12px') }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <div>
+          <h4 style={{ margin: '0 0 4px 0' }}>Failed Outbound Syncs</h4>
+          <div style={{ fontSize: '13px', color: '#6B778C' }}>
+            Changes that could not reach the remote site after repeated retries. Retry puts them back on the queue.
+          </div>
+        </div>
+        <Button appearance="subtle" onClick={loadItems} isDisabled={loading || !selectedOrgId}>
+          Refresh
+        </Button>
+      </div>
+
+      {message && (
+        <SectionMessage appearance={message.type === 'success' ? 'success' : 'error'}>
+          <p>{message.text}</p>
+        </SectionMessage>
+      )}
+
+      {loading && <Spinner size="medium" />}
+
+      {!loading && items.length === 0 && (
+        <div style={{ fontSize: '13px', color: '#6B778C' }}>No failed syncs.</div>
+      )}
+
+      {!loading && items.map(item => (
+        <div
+          key={item.id}
+          style={{ border: '1px solid #DFE1E6', borderRadius: '6px', padding: token('space.150', '12px') }}
+        >
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+            <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+              <strong>{item.label}</strong>
+              <Lozenge appearance="removed">{TYPE_LABELS[item.type] || item.type}</Lozenge>
+              <span style={{ fontSize: '12px', color: '#6B778C' }}>{item.attempts} attempts</span>
+            </div>
+            <div style={{ fontSize: '11px', color: '#6B778C' }}>
+              {item.deadLetteredAt ? new Date(item.deadLetteredAt).toLocaleString() : ''}
+            </div>
+          </div>
+          <div style={{ fontSize: '12px', color: '#172B4D', marginBottom: '8px', wordBreak: 'break-word' }}>
+            {item.lastError || 'Unknown error'}
+          </div>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <Button
+              appearance="primary"
+              onClick={() => act(item.id, 'retry')}
+              isLoading={working === `${item.id}:retry`}
+              isDisabled={!!working}
+            >
+              Retry
+            </Button>
+            <Button
+              appearance="subtle"
+              onClick={() => act(item.id, 'discard')}
+              isLoading={working === `${item.id}:discard`}
+              isDisabled={!!working}
+            >
+              Discard
+            </Button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default DeadLetterQueue;
@@ -8,6 +8,7 @@ import { token } from '@atlaskit/tokens';
 import CheckCircleIcon from '@atlaskit/icon/glyph/check-circle';
 import ErrorIcon from '@atlaskit/icon/glyph/error';
 import WarningIcon from '@atlaskit/icon/glyph/warning';
+import ReconciliationReport from './ReconciliationReport';
 
 const Diagnostics = ({ selectedOrgId }) => {
   const [loading, setLoading] = useState(false);
@@ -250,6 +251,10 @@ const Diagnostics = ({ selectedOrgId }) => {
           </div>
         )}
       </div>
+
+      <div style={{ marginTop: '40px', borderTop: `1px solid ${token('color.border', '#eee')}`, paddingTop: '20px' }}>
+        <ReconciliationReport selectedOrgId={selectedOrgId} />
+      </div>
     </div>
   );
 };
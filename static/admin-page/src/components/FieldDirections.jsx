@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from 'react';
+import { invoke } from '@forge/bridge';
+import Button from '@atlaskit/button';
+import Select from '@atlaskit/select';
+import SectionMessage from '@atlaskit/section-message';
+import Spinner from '@atlaskit/spinner';
+import { token } from '@atlaskit/tokens';
+
+const DIRECTION_OPTIONS = [
+  { value: 'both', label: 'Both directions' },
+  { value: 'push', label: 'Push only (local to remote)' },
+  { value: 'pull', label: 'Pull only (remote to local)' },
+  { value: 'never', label: 'Never' }
+];
+
+const STANDARD_FIELDS = [
+  { key: 'summary', label: 'Summary' },
+  { key: 'description', label: 'Description' },
+  { key: 'priority', label: 'Priority' },
+  { key: 'labels', label: 'Labels' },
+  { key: 'duedate', label: 'Due date' },
+  { key: 'assignee', label: 'Assignee' },
+  { key: 'components', label: 'Components' },
+  { key: 'versions', label: 'Fix and affects versions' },
+  { key: 'status', label: 'Status and resolution' }
+];
+
+const FieldDirections = ({ selectedOrgId, fieldMappings = {} }) => {
+  const [directions, setDirections] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    if (!selectedOrgId) return;
+    setMessage(null);
+    setLoading(true);
+    invoke('getFieldDirections', { orgId: selectedOrgId })
+      .then(data => setDirections(data || {}))
+      .catch(error => setMessage({ type: 'error', text: error.message }))
+      .finally(() => setLoading(false));
+  }, [selectedOrgId]);
+
+  // Custom fields are keyed by their remote field ID, like the field mappings
+  const customFields = Object.entries(fieldMappings).map(([remoteId, mapping]) => ({
+    key: remoteId,
+    label: typeof mapping === 'object' && mapping.remoteName
+      ? `${mapping.remoteName} / ${mapping.localName || mapping.localId}`
+      : remoteId
+  }));
+
+  const save = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const result = await invoke('saveFieldDirections', { orgId: selectedOrgId, directions });
+      setMessage({ type: result.success ? 'success' : 'error', text: result.success ? result.message : result.error });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderRow = (field) => (
+    <div key={field.key} style={{ display: 'grid', gridTemplateColumns: '1fr 260px', gap: token('space.150', '12px'), alignItems: 'center' }}>
+      <span style={{ fontSize: '13px' }}>{field.label}</span>
+      <Select
+        options={DIRECTION_OPTIONS}
+        value={DIRECTION_OPTIONS.find(option => option.value === (directions[field.key] || 'both'))}
+        onChange={(option) => setDirections({ ...directions, [field.key]: option?.value || 'both' })}
+      />
+    </div>
+  );
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: token('space.150', '12px') }}>
+      <div>
+        <h4 style={{ margin: '0 0 4px 0' }}>Field Directions</h4>
+        <div style={{ fontSize: '13px', color: '#6B778C' }}>
+          Decide which site owns each field on updates. Pull only applies to two-way organizations. New issues are always created with all mapped fields.
+        </div>
+      </div>
+
+      {message && (
+        <SectionMessage appearance={message.type === 'success' ? 'success' : 'error'}>
+          <p>{message.text}</p>
+        </SectionMessage>
+      )}
+
+      {loading ? <Spinner size="medium" /> : (
+        <>
+          {STANDARD_FIELDS.map(renderRow)}
+          {customFields.length > 0 && (
+            <h5 style={{ margin: '8px 0 0 0' }}>Custom field mappings</h5>
+          )}
+          {customFields.map(renderRow)}
+          <div>
+            <Button appearance="subtle" onClick={save} isLoading={saving} isDisabled={!selectedOrgId}>
+              Save Field Directions
+            </Button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default FieldDirections;
@@ -0,0 +1,276 @@
+import React, { useState, useEffect } from 'react';
+import { invoke } from '@forge/bridge';
+import Button from '@atlaskit/button';
+import TextField from '@atlaskit/textfield';
+import SectionMessage from '@atlaskit/section-message';
+import Spinner from '@atlaskit/spinner';
+import { token } from '@atlaskit/tokens';
+
+const PAGE_SIZE = 25;
+
+const cellStyle = {
+  padding: '8px',
+  borderBottom: '1px solid #DFE1E6',
+  fontSize: '13px',
+  textAlign: 'left'
+};
+
+const IssueMappingTable = ({ selectedOrgId }) => {
+  const [mappings, setMappings] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [filters, setFilters] = useState({ localKeyPrefix: '', remoteKeyPrefix: '', projectKey: '' });
+  const [appliedFilters, setAppliedFilters] = useState(filters);
+  // cursors[i] is the cursor that loads page i; page 0 starts without one
+  const [cursors, setCursors] = useState([null]);
+  const [page, setPage] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [working, setWorking] = useState(null);
+  const [repointKey, setRepointKey] = useState(null);
+  const [repointTarget, setRepointTarget] = useState('');
+  const [newLocalKey, setNewLocalKey] = useState('');
+  const [newRemoteKey, setNewRemoteKey] = useState('');
+
+  const loadPage = async (pageIndex = page, activeFilters = appliedFilters, pageCursors = cursors) => {
+    if (!selectedOrgId) return;
+    setLoading(true);
+    try {
+      const result = await invoke('listIssueMappings', {
+        orgId: selectedOrgId,
+        cursor: pageCursors[pageIndex],
+        limit: PAGE_SIZE,
+        ...activeFilters
+      });
+      if (result?.success) {
+        setMappings(result.mappings || []);
+        setNextCursor(result.nextCursor || null);
+        setPage(pageIndex);
+      } else {
+        setMessage({ type: 'error', text: result?.error || 'Could not load mappings' });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    const reset = { localKeyPrefix: '', remoteKeyPrefix: '', projectKey: '' };
+    setMessage(null);
+    setFilters(reset);
+    setAppliedFilters(reset);
+    setCursors([null]);
+    loadPage(0, reset, [null]);
+  }, [selectedOrgId]);
+
+  const applyFilters = () => {
+    setAppliedFilters(filters);
+    setCursors([null]);
+    loadPage(0, filters, [null]);
+  };
+
+  const goNext = () => {
+    const nextCursors = [...cursors.slice(0, page + 1), nextCursor];
+    setCursors(nextCursors);
+    loadPage(page + 1, appliedFilters, nextCursors);
+  };
+
+  const goPrevious = () => {
+    loadPage(Math.max(page - 1, 0));
+  };
+
+  const runAction = async (key, resolverName, payload, successText) => {
+    setWorking(key);
+    setMessage(null);
+    try {
+      const result = await invoke(resolverName, { orgId: selectedOrgId, ...payload });
+      if (result?.success) {
+        setMessage({ type: 'success', text: successText });
+        await loadPage();
+        return true;
+      }
+      setMessage({ type: 'error', text: result?.error || 'Request failed' });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setWorking(null);
+    }
+    return false;
+  };
+
+  const createMapping = async () => {
+    const created = await runAction('create', 'createIssueMapping', {
+      localKey: newLocalKey,
+      remoteKey: newRemoteKey
+    }, `Linked ${newLocalKey.toUpperCase()} to ${newRemoteKey.toUpperCase()}`);
+    if (created) {
+      setNewLocalKey('');
+      setNewRemoteKey('');
+    }
+  };
+
+  const repoint = async (mapping) => {
+    const done = await runAction(`${mapping.localKey}:repoint`, 'repointIssueMapping', {
+      localKey: mapping.localKey,
+      remoteKey: repointTarget
+    }, `${mapping.localKey} now points to ${repointTarget.toUpperCase()}`);
+    if (done) {
+      setRepointKey(null);
+      setRepointTarget('');
+    }
+  };
+
+  const unlink = async (mapping) => {
+    if (!confirm(`Unlink ${mapping.localKey} from ${mapping.remoteKey}? Both issues are kept, but they will no longer sync and their comment, attachment and link mappings are removed.`)) return;
+    await runAction(`${mapping.localKey}:unlink`, 'unlinkIssueMapping', {
+      localKey: mapping.localKey,
+      remoteKey: mapping.remoteKey
+    }, `Unlinked ${mapping.localKey}`);
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: token('space.150', '12px') }}>
+      <div>
+        <h4 style={{ margin: '0 0 4px 0' }}>Issue Mappings</h4>
+        <div style={{ fontSize: '13px', color: '#6B778C' }}>
+          Synced issue pairs for this organization. Link existing issues, point a local issue at a different remote issue, or unlink a pair without deleting either issue.
+        </div>
+      </div>
+
+      {message && (
+        <SectionMessage appearance={message.type === 'success' ? 'success' : 'error'}>
+          <p>{message.text}</p>
+        </SectionMessage>
+      )}
+
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'flex-end', flexWrap: 'wrap' }}>
+        <div style={{ width: '160px' }}>
+          <label htmlFor="mapping-filter-project" style={{ fontSize: '12px' }}>Local project</label>
+          <TextField
+            id="mapping-filter-project"
+            value={filters.projectKey}
+            onChange={(e) => setFilters({ ...filters, projectKey: e.target.value })}
+            placeholder="e.g. SCRUM"
+          />
+        </div>
+        <div style={{ width: '160px' }}>
+          <label htmlFor="mapping-filter-local" style={{ fontSize: '12px' }}>Local key starts with</label>
+          <TextField
+            id="mapping-filter-local"
+            value={filters.localKeyPrefix}
+            onChange={(e) => setFilters({ ...filters, localKeyPrefix: e.target.value })}
+            placeholder="e.g. SCRUM-12"
+          />
+        </div>
+        <div style={{ width: '160px' }}>
+          <label htmlFor="mapping-filter-remote" style={{ fontSize: '12px' }}>Remote key starts with</label>
+          <TextField
+            id="mapping-filter-remote"
+            value={filters.remoteKeyPrefix}
+            onChange={(e) => setFilters({ ...filters, remoteKeyPrefix: e.target.value })}
+            placeholder="e.g. PART-"
+          />
+        </div>
+        <Button onClick={applyFilters} isDisabled={loading}>Filter</Button>
+      </div>
+
+      {loading && <Spinner size="medium" />}
+
+      {!loading && mappings.length === 0 && (
+        <div style={{ fontSize: '13px', color: '#6B778C' }}>No mappings found.</div>
+      )}
+
+      {!loading && mappings.length > 0 && (
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th style={cellStyle}>Local issue</th>
+              <th style={cellStyle}>Remote issue</th>
+              <th style={cellStyle}>Linked</th>
+              <th style={cellStyle}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {mappings.map(mapping => (
+              <tr key={mapping.localKey}>
+                <td style={cellStyle}><strong>{mapping.localKey}</strong></td>
+                <td style={cellStyle}>
+                  {repointKey === mapping.localKey ? (
+                    <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+                      <TextField
+                        value={repointTarget}
+                        onChange={(e) => setRepointTarget(e.target.value)}
+                        placeholder={mapping.remoteKey}
+                        isCompact
+                      />
+                      <Button
+                        appearance="primary"
+                        onClick={() => repoint(mapping)}
+                        isLoading={working === `${mapping.localKey}:repoint`}
+                        isDisabled={!repointTarget.trim() || !!working}
+                      >
+                        Save
+                      </Button>
+                      <Button appearance="subtle" onClick={() => setRepointKey(null)}>Cancel</Button>
+                    </div>
+                  ) : mapping.remoteKey}
+                </td>
+                <td style={{ ...cellStyle, color: '#6B778C' }}>
+                  {mapping.createdAt ? new Date(mapping.createdAt).toLocaleString() : ''}
+                </td>
+                <td style={{ ...cellStyle, whiteSpace: 'nowrap', textAlign: 'right' }}>
+                  <Button
+                    appearance="subtle"
+                    onClick={() => { setRepointKey(mapping.localKey); setRepointTarget(''); }}
+                    isDisabled={!!working}
+                  >
+                    Re-point
+                  </Button>
+                  <Button
+                    appearance="subtle"
+                    onClick={() => unlink(mapping)}
+                    isLoading={working === `${mapping.localKey}:unlink`}
+                    isDisabled={!!working}
+                  >
+                    Unlink
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+        <Button onClick={goPrevious} isDisabled={loading || page === 0}>Previous</Button>
+        <span style={{ fontSize: '13px', color: '#6B778C' }}>Page {page + 1}</span>
+        <Button onClick={goNext} isDisabled={loading || !nextCursor}>Next</Button>
+      </div>
+
+      <div style={{ borderTop: '1px solid #DFE1E6', paddingTop: token('space.150', '12px') }}>
+        <h5 style={{ margin: '0 0 8px 0' }}>Link existing issues</h5>
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'flex-end', flexWrap: 'wrap' }}>
+          <div style={{ width: '160px' }}>
+            <label htmlFor="mapping-new-local" style={{ fontSize: '12px' }}>Local issue key</label>
+            <TextField id="mapping-new-local" value={newLocalKey} onChange={(e) => setNewLocalKey(e.target.value)} placeholder="e.g. SCRUM-1" />
+          </div>
+          <div style={{ width: '160px' }}>
+            <label htmlFor="mapping-new-remote" style={{ fontSize: '12px' }}>Remote issue key</label>
+            <TextField id="mapping-new-remote" value={newRemoteKey} onChange={(e) => setNewRemoteKey(e.target.value)} placeholder="e.g. PART-1" />
+          </div>
+          <Button
+            appearance="primary"
+            onClick={createMapping}
+            isLoading={working === 'create'}
+            isDisabled={!newLocalKey.trim() || !newRemoteKey.trim() || !!working}
+          >
+            Link Issues
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default IssueMappingTable;
@@ -0,0 +1,219 @@
+import React, { useState, useEffect } from 'react';
+import { invoke } from '@forge/bridge';
+import Button from '@atlaskit/button';
+import TextField from '@atlaskit/textfield';
+import SectionMessage from '@atlaskit/section-message';
+import Spinner from '@atlaskit/spinner';
+import Lozenge from '@atlaskit/lozenge';
+import { token } from '@atlaskit/tokens';
+
+const cellStyle = {
+  padding: '6px 8px',
+  borderBottom: '1px solid #DFE1E6',
+  fontSize: '12px',
+  verticalAlign: 'middle',
+  wordBreak: 'break-word'
+};
+
+const OptionMappings = ({ selectedOrgId, remoteFields = [], localFields = [] }) => {
+  const [overrides, setOverrides] = useState({});
+  const [unmapped, setUnmapped] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const fieldName = (fields, id) => fields.find(f => f.id === id)?.name || id;
+
+  const load = async () => {
+    if (!selectedOrgId) return;
+    setLoading(true);
+    try {
+      const [overrideData, unmappedData] = await Promise.all([
+        invoke('getOptionMappings', { orgId: selectedOrgId }),
+        invoke('getUnmappedOptions', { orgId: selectedOrgId })
+      ]);
+      setOverrides(overrideData || {});
+      setUnmapped(unmappedData?.options || []);
+      if (unmappedData && !unmappedData.success) {
+        setMessage({ type: 'error', text: unmappedData.error });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setMessage(null);
+    setDrafts({});
+    load();
+  }, [selectedOrgId]);
+
+  // Overrides are always stored as remote option name → local option name
+  const mapEntry = (entry) => {
+    const target = (drafts[entry.key] || '').trim();
+    if (!target) return;
+    const [remoteOption, localOption] = entry.direction === 'outbound'
+      ? [target, entry.option]
+      : [entry.option, target];
+    setOverrides(prev => ({
+      ...prev,
+      [entry.remoteFieldId]: { ...(prev[entry.remoteFieldId] || {}), [remoteOption]: localOption }
+    }));
+    setUnmapped(prev => prev.filter(item => item.key !== entry.key));
+  };
+
+  const deleteOverride = (remoteFieldId, remoteOption) => {
+    setOverrides(prev => {
+      const fieldOverrides = { ...(prev[remoteFieldId] || {}) };
+      delete fieldOverrides[remoteOption];
+      const updated = { ...prev, [remoteFieldId]: fieldOverrides };
+      if (Object.keys(fieldOverrides).length === 0) {
+        delete updated[remoteFieldId];
+      }
+      return updated;
+    });
+  };
+
+  const dismiss = async (entry) => {
+    try {
+      const result = await invoke('dismissUnmappedOptions', { orgId: selectedOrgId, keys: [entry.key] });
+      if (result.success) {
+        setUnmapped(prev => prev.filter(item => item.key !== entry.key));
+      } else {
+        setMessage({ type: 'error', text: result.error });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const result = await invoke('saveOptionMappings', { orgId: selectedOrgId, mappings: overrides });
+      setMessage({ type: result.success ? 'success' : 'error', text: result.success ? result.message : result.error });
+      if (result.success) {
+        await load();
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const overrideRows = Object.entries(overrides).flatMap(([remoteFieldId, options]) =>
+    Object.entries(options || {}).map(([remoteOption, localOption]) => ({ remoteFieldId, remoteOption, localOption }))
+  );
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: token('space.150', '12px') }}>
+      <div>
+        <h4 style={{ margin: '0 0 4px 0' }}>Option Mappings ({overrideRows.length})</h4>
+        <div style={{ fontSize: '13px', color: '#6B778C' }}>
+          Select, multi-select, radio, checkbox and cascading field values are matched by option name.
+          Options that could not be matched during sync are listed below; map them to an option name on the other site.
+        </div>
+      </div>
+
+      {message && (
+        <SectionMessage appearance={message.type === 'success' ? 'success' : 'error'}>
+          <p>{message.text}</p>
+        </SectionMessage>
+      )}
+
+      {loading && <Spinner size="medium" />}
+
+      {!loading && (
+        <>
+          <div>
+            <h5 style={{ margin: '0 0 8px 0' }}>Unmapped options ({unmapped.length})</h5>
+            {unmapped.length === 0 ? (
+              <div style={{ fontSize: '13px', color: '#6B778C', fontStyle: 'italic' }}>No unmatched options seen during sync.</div>
+            ) : (
+              <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr>
+                    <th style={{ ...cellStyle, textAlign: 'left' }}>Field</th>
+                    <th style={{ ...cellStyle, textAlign: 'left' }}>Option</th>
+                    <th style={{ ...cellStyle, textAlign: 'left' }}>Direction</th>
+                    <th style={{ ...cellStyle, textAlign: 'left', width: '30%' }}>Map to</th>
+                    <th style={cellStyle}></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {unmapped.map(entry => (
+                    <tr key={entry.key}>
+                      <td style={cellStyle}>
+                        {fieldName(remoteFields, entry.remoteFieldId)}
+                        <span style={{ color: '#6B778C' }}> / {fieldName(localFields, entry.localFieldId)}</span>
+                      </td>
+                      <td style={cellStyle}>
+                        {entry.option} <Lozenge>{entry.count}x</Lozenge>
+                      </td>
+                      <td style={cellStyle}>{entry.direction === 'outbound' ? 'Local to remote' : 'Remote to local'}</td>
+                      <td style={cellStyle}>
+                        <TextField
+                          isCompact
+                          value={drafts[entry.key] || ''}
+                          onChange={(e) => setDrafts({ ...drafts, [entry.key]: e.target.value })}
+                          placeholder={entry.direction === 'outbound' ? 'Remote option name' : 'Local option name'}
+                        />
+                      </td>
+                      <td style={{ ...cellStyle, whiteSpace: 'nowrap' }}>
+                        <Button appearance="subtle" onClick={() => mapEntry(entry)} isDisabled={!(drafts[entry.key] || '').trim()}>
+                          Map
+                        </Button>
+                        <Button appearance="subtle" onClick={() => dismiss(entry)}>
+                          Dismiss
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          <div>
+            <h5 style={{ margin: '0 0 8px 0' }}>Overrides</h5>
+            {overrideRows.length === 0 ? (
+              <div style={{ fontSize: '13px', color: '#6B778C', fontStyle: 'italic' }}>No overrides yet</div>
+            ) : (
+              overrideRows.map(row => (
+                <div key={`${row.remoteFieldId}:${row.remoteOption}`} style={{
+                  padding: '8px 12px',
+                  background: token('color.background.neutral.subtle', '#F4F5F7'),
+                  borderRadius: token('border.radius', '8px'),
+                  marginBottom: '4px',
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  fontSize: '13px'
+                }}>
+                  <span>
+                    <span style={{ color: '#6B778C' }}>{fieldName(remoteFields, row.remoteFieldId)}: </span>
+                    <strong>{row.remoteOption}</strong> → {row.localOption}
+                  </span>
+                  <Button appearance="subtle" onClick={() => deleteOverride(row.remoteFieldId, row.remoteOption)}>Delete</Button>
+                </div>
+              ))
+            )}
+          </div>
+
+          <div>
+            <Button appearance="subtle" onClick={save} isLoading={saving} isDisabled={!selectedOrgId}>
+              Save Option Mappings
+            </Button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default OptionMappings;
@@ -0,0 +1,204 @@
+import React, { useState, useEffect } from 'react';
+import { invoke } from '@forge/bridge';
+import Button from '@atlaskit/button';
+import SectionMessage from '@atlaskit/section-message';
+import Spinner from '@atlaskit/spinner';
+import Lozenge from '@atlaskit/lozenge';
+import { token } from '@atlaskit/tokens';
+
+const TYPE_LABELS = {
+  field: 'Field mismatch',
+  status: 'Status mismatch',
+  comments: 'Missing comments',
+  attachments: 'Missing attachments',
+  links: 'Missing links',
+  'remote-deleted': 'Remote deleted',
+  'local-deleted': 'Local deleted',
+  unmapped: 'Remote not mapped'
+};
+
+const FIX_LABELS = {
+  push: 'Push local issue',
+  'recreate-remote': 'Recreate on remote',
+  'drop-mapping': 'Remove mapping',
+  'pull-remote': 'Create locally'
+};
+
+const ReconciliationReport = ({ selectedOrgId }) => {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [starting, setStarting] = useState(false);
+  const [working, setWorking] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const loadReport = async () => {
+    if (!selectedOrgId) return;
+    setLoading(true);
+    try {
+      const result = await invoke('getReconciliationReport', { orgId: selectedOrgId });
+      if (result?.success) {
+        setReport(result.report);
+      } else {
+        setMessage({ type: 'error', text: result?.error || 'Could not load the report' });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setMessage(null);
+    setReport(null);
+    loadReport();
+  }, [selectedOrgId]);
+
+  const running = report?.status === 'queued' || report?.status === 'running';
+
+  // Poll while the consumer is working through the mappings
+  useEffect(() => {
+    if (!running) return undefined;
+    const timer = setTimeout(loadReport, 5000);
+    return () => clearTimeout(timer);
+  }, [report]);
+
+  const startReconciliation = async () => {
+    setStarting(true);
+    setMessage(null);
+    try {
+      const result = await invoke('startReconciliation', { orgId: selectedOrgId });
+      if (!result.success) {
+        setMessage({ type: 'error', text: result.error });
+      }
+      await loadReport();
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const fixItem = async (item) => {
+    setWorking(item.id);
+    setMessage(null);
+    try {
+      const result = await invoke('fixDriftItem', { orgId: selectedOrgId, itemId: item.id });
+      if (result.success) {
+        setMessage({ type: 'success', text: `${FIX_LABELS[item.fix]}: ${item.localKey || item.remoteKey} done` });
+        setReport({
+          ...report,
+          items: report.items.filter(entry => entry.id !== item.id),
+          counts: { ...report.counts, [item.type]: Math.max((report.counts[item.type] || 1) - 1, 0) }
+        });
+      } else {
+        setMessage({ type: 'error', text: result.error });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setWorking(null);
+    }
+  };
+
+  const counts = Object.entries(report?.counts || {}).filter(([, count]) => count > 0);
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: token('space.150', '12px') }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <div>
+          <h3 style={{ margin: '0 0 4px 0' }}>Reconciliation Report</h3>
+          <div style={{ fontSize: '13px', color: '#6B778C' }}>
+            Compares every mapped issue on both sites and lists where they have drifted apart. Runs in the background.
+          </div>
+        </div>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <Button appearance="subtle" onClick={loadReport} isDisabled={loading}>
+            Refresh
+          </Button>
+          <Button appearance="primary" onClick={startReconciliation} isLoading={starting} isDisabled={running}>
+            Run Reconciliation
+          </Button>
+        </div>
+      </div>
+
+      {message && (
+        <SectionMessage appearance={message.type === 'success' ? 'success' : 'error'}>
+          <p>{message.text}</p>
+        </SectionMessage>
+      )}
+
+      {loading && !report && <Spinner size="medium" />}
+
+      {!loading && !report && (
+        <div style={{ fontSize: '13px', color: '#6B778C' }}>No reconciliation has been run for this organization.</div>
+      )}
+
+      {report && (
+        <div style={{ fontSize: '13px', color: '#6B778C' }}>
+          {running && <span>Running, {report.mappingsChecked || 0} mappings checked so far. </span>}
+          {report.status === 'complete' && (
+            <span>
+              Checked {report.mappingsChecked} mappings and {report.remoteScanned} remote issues
+              {report.completedAt ? ` on ${new Date(report.completedAt).toLocaleString()}` : ''}.
+              {!report.remoteScanComplete && ' The remote scan stopped at its limit.'}
+            </span>
+          )}
+          {report.status === 'failed' && (
+            <span style={{ color: '#DE350B' }}>Reconciliation failed: {report.error}</span>
+          )}
+        </div>
+      )}
+
+      {counts.length > 0 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+          {counts.map(([type, count]) => (
+            <Lozenge key={type} appearance="moved">{`${TYPE_LABELS[type] || type}: ${count}`}</Lozenge>
+          ))}
+        </div>
+      )}
+
+      {report?.truncated && (
+        <SectionMessage appearance="warning">
+          <p>Only the first items are listed. Fix these and run reconciliation again to see the rest.</p>
+        </SectionMessage>
+      )}
+
+      {report?.status === 'complete' && report.items?.length === 0 && (
+        <div style={{ fontSize: '13px', color: '#6B778C' }}>No drift found.</div>
+      )}
+
+      {(report?.items || []).map(item => (
+        <div
+          key={item.id}
+          style={{ border: '1px solid #DFE1E6', borderRadius: '6px', padding: token('space.150', '12px') }}
+        >
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px' }}>
+            <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap' }}>
+              <strong>{item.localKey || '-'}</strong>
+              <span style={{ color: '#6B778C' }}>/</span>
+              <strong>{item.remoteKey || '-'}</strong>
+              <Lozenge appearance="removed">{TYPE_LABELS[item.type] || item.type}</Lozenge>
+            </div>
+            {item.fix && (
+              <Button
+                onClick={() => fixItem(item)}
+                isLoading={working === item.id}
+                isDisabled={!!working}
+              >
+                {FIX_LABELS[item.fix]}
+              </Button>
+            )}
+          </div>
+          {item.details && (
+            <div style={{ fontSize: '12px', color: '#172B4D', marginTop: '8px', wordBreak: 'break-word' }}>
+              {item.details}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ReconciliationReport;
@@ -0,0 +1,68 @@
+import { transformADF, buildSyncedWorklogADF, isSyncedWorklogComment } from '../src/utils/adf.js';
+
+describe('transformADF', () => {
+  const doc = {
+    type: 'doc',
+    version: 1,
+    content: [
+      { type: 'heading', attrs: { level: 2 }, content: [{ type: 'text', text: 'See LOC-1' }] },
+      {
+        type: 'paragraph',
+        content: [
+          { type: 'mention', attrs: { id: 'local-user', text: '@Ana' } },
+          { type: 'text', text: ' ' },
+          { type: 'mention', attrs: { id: 'unknown-user', text: '@Bo' } }
+        ]
+      },
+      { type: 'codeBlock', content: [{ type: 'text', text: 'LOC-1 stays' }] },
+      { type: 'mediaSingle', content: [{ type: 'media', attrs: { id: 'att-1', type: 'file' } }] },
+      { type: 'mediaSingle', content: [{ type: 'media', attrs: { id: 'att-2', type: 'file' } }] },
+      { type: 'paragraph', content: [{ type: 'inlineCard', attrs: { url: 'https://local.atlassian.net/browse/LOC-1' } }] }
+    ]
+  };
+
+  const options = {
+    attachmentMapping: { 'att-1': 'remote-att-1' },
+    dropUnmappedMedia: true,
+    mapUser: (id) => (id === 'local-user' ? 'remote-user' : null),
+    resolveIssueKey: async (key) => (key === 'LOC-1' ? 'REM-9' : null),
+    targetBaseUrl: 'https://remote.atlassian.net/'
+  };
+
+  test('keeps structure and rewrites references', async () => {
+    const result = await transformADF(doc, options);
+
+    expect(result.content[0]).toEqual({ type: 'heading', attrs: { level: 2 }, content: [{ type: 'text', text: 'See REM-9' }] });
+    expect(result.content[1].content[0].attrs.id).toBe('remote-user');
+    expect(result.content[1].content[2]).toEqual({ type: 'text', text: '@Bo' });
+    expect(result.content[2].content[0].text).toBe('LOC-1 stays');
+    expect(result.content[3].content[0].attrs.id).toBe('remote-att-1');
+    expect(result.content[4].content[0].attrs.url).toBe('https://remote.atlassian.net/browse/REM-9');
+    expect(result.content).toHaveLength(5);
+  });
+
+  test('does not mutate the source document', async () => {
+    const before = JSON.stringify(doc);
+    await transformADF(doc, options);
+    expect(JSON.stringify(doc)).toBe(before);
+  });
+
+  test('leaves the cross-reference line untouched', async () => {
+    const withRef = {
+      type: 'doc',
+      version: 1,
+      content: [{ type: 'paragraph', content: [{ type: 'text', text: '🔗 LOC-1 ↔ REM-9', marks: [{ type: 'em' }] }] }]
+    };
+    const result = await transformADF(withRef, options);
+    expect(result.content[0].content[0].text).toBe('🔗 LOC-1 ↔ REM-9');
+  });
+});
+
+describe('synced worklog comments', () => {
+  test('header is recognised so mirrored worklogs are not sent back', () => {
+    const body = buildSyncedWorklogADF({ orgName: 'Partner', userName: 'Ana', mappedAccountId: 'acc-1', commentText: 'Review' });
+    expect(body.content[0].content[2]).toEqual({ type: 'mention', attrs: { id: 'acc-1', text: '@Ana' } });
+    expect(isSyncedWorklogComment(body)).toBe(true);
+    expect(isSyncedWorklogComment('Fixed the build')).toBe(false);
+  });
+});
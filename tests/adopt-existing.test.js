@@ -0,0 +1,72 @@
+import { fetch } from '@forge/api';
+import * as kvsStore from '../src/services/storage/kvs.js';
+import { getRemoteKey, getLocalKey, storeMapping } from '../src/services/storage/mappings.js';
+import { findAdoptionCandidates, commitAdoptPreview } from '../src/services/sync/adopt-existing.js';
+
+jest.mock('@forge/api', () => ({ __esModule: true, fetch: jest.fn() }));
+jest.mock('../src/services/storage/kvs.js');
+jest.mock('../src/services/storage/mappings.js', () => ({
+  getRemoteKey: jest.fn(),
+  getLocalKey: jest.fn(),
+  storeMapping: jest.fn()
+}));
+jest.mock('../src/utils/retry.js', () => ({ retryWithBackoff: (fn) => fn() }));
+
+const org = { id: 'org-1', remoteUrl: 'https://remote.example', remoteEmail: 'a@b.c', remoteApiToken: 't' };
+
+function searchReturns(issues) {
+  fetch.mockResolvedValue({ ok: true, json: async () => ({ issues }) });
+}
+
+function crossReference(text) {
+  return { type: 'doc', version: 1, content: [{ type: 'paragraph', content: [{ type: 'text', text, marks: [{ type: 'em' }] }] }] };
+}
+
+describe('adopt existing remote issues', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('keeps only exact summary matches from the text search', async () => {
+    searchReturns([
+      { key: 'REM-1', fields: { summary: 'Login fails' } },
+      { key: 'REM-2', fields: { summary: 'Login fails on Safari' } }
+    ]);
+
+    const candidates = await findAdoptionCandidates({ key: 'LOC-1', fields: { summary: 'Login fails' } }, org, 'REM', 'summary');
+
+    expect(candidates).toEqual([{ key: 'REM-1', summary: 'Login fails' }]);
+    expect(JSON.parse(fetch.mock.calls[0][1].body).jql).toBe('project = "REM" AND summary ~ "Login fails"');
+  });
+
+  test('matches the cross-reference line on either side and the key in a custom field', async () => {
+    searchReturns([
+      { key: 'REM-1', fields: { description: crossReference('🔗 REM-1 ↔ LOC-1') } },
+      { key: 'REM-2', fields: { description: crossReference('🔗 LOC-10 ↔ REM-2') } }
+    ]);
+    expect(await findAdoptionCandidates({ key: 'LOC-1', fields: {} }, org, 'REM', 'crossReference')).toEqual([{ key: 'REM-1', summary: '' }]);
+
+    searchReturns([{ key: 'REM-3', fields: { summary: 'S', customfield_10050: 'LOC-1' } }]);
+    expect(await findAdoptionCandidates({ key: 'LOC-1', fields: {} }, org, 'REM', 'customField', 'customfield_10050')).toEqual([{ key: 'REM-3', summary: 'S' }]);
+    expect(JSON.parse(fetch.mock.calls[1][1].body).jql).toBe('project = "REM" AND cf[10050] ~ "\\"LOC-1\\""');
+  });
+
+  test('commits previewed pairs that are still unmapped', async () => {
+    kvsStore.get.mockResolvedValue({
+      pairs: [
+        { localKey: 'LOC-1', remoteKey: 'REM-1' },
+        { localKey: 'LOC-2', remoteKey: 'REM-2' }
+      ]
+    });
+    getRemoteKey.mockResolvedValue(null);
+    getLocalKey.mockImplementation(async (remoteKey) => (remoteKey === 'REM-2' ? 'LOC-9' : null));
+
+    const result = await commitAdoptPreview('org-1');
+
+    expect(storeMapping).toHaveBeenCalledTimes(1);
+    expect(storeMapping).toHaveBeenCalledWith('LOC-1', 'REM-1', 'org-1');
+    expect(result.linked).toBe(1);
+    expect(result.skipped).toEqual([expect.objectContaining({ localKey: 'LOC-2', reason: 'remote already mapped to LOC-9' })]);
+    expect(kvsStore.del).toHaveBeenCalledWith('adoptPreview:org-1');
+  });
+});
@@ -0,0 +1,112 @@
+import * as kvsStore from '../src/services/storage/kvs.js';
+import { getLocalKey, storeAttachmentMapping } from '../src/services/storage/mappings.js';
+import { deleteAttachment as deleteLocalAttachment } from '../src/services/jira/local-client.js';
+import { deleteAttachment as deleteRemoteAttachment } from '../src/services/jira/remote-client.js';
+import { processIncomingWebhook } from '../src/services/sync/incoming-sync.js';
+import { syncAttachmentDeletions } from '../src/services/sync/attachment-sync.js';
+
+jest.mock('@forge/api', () => ({
+  __esModule: true,
+  default: { asApp: jest.fn() },
+  route: jest.fn((strings, ...values) => strings.reduce((out, s, i) => out + s + (values[i] ?? ''), ''))
+}));
+jest.mock('../src/services/storage/kvs.js');
+jest.mock('../src/services/storage/mappings.js', () => ({
+  ...jest.requireActual('../src/services/storage/mappings.js'),
+  getLocalKey: jest.fn()
+}));
+jest.mock('../src/services/storage/stats.js', () => ({ trackWebhookSync: jest.fn() }));
+jest.mock('../src/services/jira/remote-auth.js', () => ({ hasRemoteCredentials: jest.fn(() => true) }));
+jest.mock('../src/services/jira/remote-client.js');
+jest.mock('../src/services/jira/local-client.js');
+jest.mock('../src/services/sync/event-sequencing.js');
+jest.mock('../src/services/sync/inbound-queue.js', () => ({ enqueueInbound: jest.fn() }));
+
+const org = { id: 'org-1', name: 'Partner', syncDirection: 'bidirectional', allowedProjects: ['LOC'] };
+
+const remoteAttachmentDeleted = {
+  webhookEvent: 'attachment_deleted',
+  issue: { id: '10001', key: 'REM-1' },
+  attachment: { id: '900', filename: 'spec.pdf' }
+};
+
+// Changelog item Jira records when an attachment is removed from the local issue
+const localAttachmentRemoved = { field: 'Attachment', fieldId: 'attachment', from: '100', fromString: 'spec.pdf', to: null };
+
+describe('attachment deletion', () => {
+  let stored;
+  let syncingDuringDelete;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    stored = {};
+    kvsStore.get.mockImplementation(async (key) => stored[key] ?? null);
+    kvsStore.set.mockImplementation(async (key, value) => { stored[key] = value; });
+    kvsStore.del.mockImplementation(async (key) => { delete stored[key]; });
+    kvsStore.getSecret.mockResolvedValue('token');
+    getLocalKey.mockImplementation(async (remoteKey) => (remoteKey === 'REM-1' ? 'LOC-1' : null));
+
+    deleteLocalAttachment.mockImplementation(async () => {
+      syncingDuringDelete = Boolean(stored['syncing:LOC-1']);
+      return true;
+    });
+    deleteRemoteAttachment.mockResolvedValue(true);
+
+    await storeAttachmentMapping('100', '900', 'org-1');
+  });
+
+  test('deletes the local copy of a remote attachment and removes the mapping', async () => {
+    const result = await processIncomingWebhook(remoteAttachmentDeleted, org);
+
+    expect(result.status).toBe(200);
+    expect(deleteLocalAttachment).toHaveBeenCalledWith('100');
+    expect(syncingDuringDelete).toBe(true);
+    expect(stored['syncing:LOC-1']).toBeUndefined();
+    expect(stored['org-1:attachment-mapping:100']).toBeUndefined();
+    expect(stored['org-1:attachment-remote-to-local:900']).toBeUndefined();
+  });
+
+  test('keeps the mapping when the local delete fails', async () => {
+    deleteLocalAttachment.mockResolvedValue(false);
+
+    await processIncomingWebhook(remoteAttachmentDeleted, org);
+
+    expect(stored['org-1:attachment-mapping:100']).toBe('900');
+    expect(stored['syncing:LOC-1']).toBeUndefined();
+  });
+
+  test('deletes the remote copy of a local attachment and removes the mapping', async () => {
+    const result = await syncAttachmentDeletions('LOC-1', [localAttachmentRemoved], org, null, 'org-1');
+
+    expect(result).toEqual({ deleted: 1, skipped: 0, failed: 0 });
+    expect(deleteRemoteAttachment).toHaveBeenCalledWith('900', org);
+    expect(stored['org-1:attachment-mapping:100']).toBeUndefined();
+  });
+
+  test('keeps the mapping when the remote delete fails', async () => {
+    deleteRemoteAttachment.mockResolvedValue(false);
+
+    const result = await syncAttachmentDeletions('LOC-1', [localAttachmentRemoved], org, null, 'org-1');
+
+    expect(result.failed).toBe(1);
+    expect(stored['org-1:attachment-mapping:100']).toBe('900');
+  });
+
+  test('does not send a deletion mirrored from the remote back', async () => {
+    await processIncomingWebhook(remoteAttachmentDeleted, org);
+
+    // Jira records the local delete in the changelog, which reaches the outbound sync
+    const result = await syncAttachmentDeletions('LOC-1', [localAttachmentRemoved], org, null, 'org-1');
+
+    expect(result).toEqual({ deleted: 0, skipped: 1, failed: 0 });
+    expect(deleteRemoteAttachment).not.toHaveBeenCalled();
+  });
+
+  test('does not mirror back a remote deletion of an attachment the local side already deleted', async () => {
+    await syncAttachmentDeletions('LOC-1', [localAttachmentRemoved], org, null, 'org-1');
+
+    await processIncomingWebhook(remoteAttachmentDeleted, org);
+
+    expect(deleteLocalAttachment).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,60 @@
+import api from '@forge/api';
+import { getLastSyncedLocalUpdated } from '../src/services/storage/mappings.js';
+import { buildChangeSet, pruneUnchangedFields, resolveChangeSet } from '../src/services/sync/change-set.js';
+
+jest.mock('@forge/api', () => ({ __esModule: true, default: { asApp: jest.fn() }, route: jest.fn((strings, ...values) => strings.reduce((out, s, i) => out + s + (values[i] ?? ''), '')) }));
+jest.mock('../src/services/storage/mappings.js', () => ({ getLastSyncedLocalUpdated: jest.fn() }));
+
+describe('changelog change sets', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('maps changelog names onto issue fields', () => {
+    const changes = buildChangeSet([
+      { field: 'Link', fieldtype: 'jira' },
+      { field: 'Fix Version', fieldId: 'fixVersions' },
+      { field: 'Sprint', fieldId: 'customfield_10020' },
+      { field: 'resolution', fieldId: 'resolution' }
+    ]);
+    expect(changes.has('issuelinks')).toBe(true);
+    expect(changes.has('fixVersions')).toBe(true);
+    expect(changes.has('customfield_10020')).toBe(true);
+    expect(changes.has('status')).toBe(true);
+  });
+
+  test('drops unchanged fields and keeps ones it cannot attribute', () => {
+    const fields = { summary: 'A', priority: { name: 'High' }, customfield_2: 'x', customfield_3: 'y', customfield_9: 'epic' };
+    const localFieldIdFor = (key) => ({ customfield_2: 'customfield_1', customfield_3: 'customfield_4' })[key];
+
+    const removed = pruneUnchangedFields(fields, new Set(['priority', 'customfield_1']), localFieldIdFor);
+
+    expect(removed).toEqual(['summary', 'customfield_3']);
+    expect(Object.keys(fields)).toEqual(['priority', 'customfield_2', 'customfield_9']);
+  });
+
+  test('reads the changelog after the last sync and ignores app-authored entries', async () => {
+    getLastSyncedLocalUpdated.mockResolvedValue('2024-05-01T10:00:00.000+0000');
+    const requestJira = jest.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        isLast: true,
+        values: [
+          { created: '2024-05-01T10:00:00.000+0000', author: { accountType: 'atlassian' }, items: [{ field: 'summary', fieldId: 'summary' }] },
+          { created: '2024-05-01T11:00:00.000+0000', author: { accountType: 'app' }, items: [{ field: 'description', fieldId: 'description' }] },
+          { created: '2024-05-01T12:00:00.000+0000', author: { accountType: 'atlassian' }, items: [{ field: 'labels', fieldId: 'labels' }] }
+        ]
+      })
+    });
+    api.asApp.mockReturnValue({ requestJira });
+
+    const changes = await resolveChangeSet('A-1', undefined, 'org-1');
+
+    expect([...changes]).toEqual(['labels']);
+  });
+
+  test('falls back to a full update without a sync baseline', async () => {
+    getLastSyncedLocalUpdated.mockResolvedValue(null);
+    expect(await resolveChangeSet('A-1', [], 'org-1')).toBeNull();
+  });
+});
@@ -1,4 +1,4 @@
-import { cleanupIssueData } from '../src/services/storage/cleanup.js';
+import { cleanupIssueData, unlinkIssueData } from '../src/services/storage/cleanup.js';
 import * as kvsStore from '../src/services/storage/kvs.js';
 import * as mappings from '../src/services/storage/mappings.js';
 import * as flags from '../src/services/storage/flags.js';
@@ -34,6 +34,55 @@ describe('Cleanup Service', () => {
     expect(kvsStore.del).toHaveBeenCalledWith(`syncing:${issueKey}`);
   });
 
+  test('cleanupIssueData should remove comment, attachment and link mappings of a related issue', async () => {
+    mappings.getRemoteCommentId.mockResolvedValue('900');
+    const relatedIssue = {
+      fields: {
+        comment: { comments: [{ id: '100' }] },
+        attachment: [{ id: '200' }],
+        issuelinks: [{ id: '300' }]
+      }
+    };
+
+    await cleanupIssueData('TEST-1', 'REMOTE-1', 'org-1', { relatedIssue });
+
+    expect(mappings.removeIssueSyncState).toHaveBeenCalledWith('TEST-1', 'org-1');
+    expect(mappings.removeCommentMapping).toHaveBeenCalledWith('100', '900', 'org-1');
+    expect(mappings.removeAttachmentMapping).toHaveBeenCalledWith('200', 'org-1');
+    expect(mappings.removeLinkMapping).toHaveBeenCalledWith('300', 'org-1');
+  });
+
+  test('unlinkIssueData should remove only the organization\'s state, including worklog mappings', async () => {
+    mappings.getRemoteCommentId.mockResolvedValue('900');
+    mappings.getRemoteWorklogId.mockResolvedValue('950');
+    const relatedIssue = {
+      fields: {
+        comment: { comments: [{ id: '100' }] },
+        worklog: { total: 1, worklogs: [{ id: '150' }] },
+        attachment: [{ id: '200' }],
+        issuelinks: [{ id: '300' }]
+      }
+    };
+
+    await unlinkIssueData('TEST-1', 'REMOTE-1', 'org-1', relatedIssue);
+
+    expect(mappings.removeMapping).toHaveBeenCalledWith('TEST-1', 'REMOTE-1', 'org-1');
+    expect(mappings.removeIssueSyncState).toHaveBeenCalledWith('TEST-1', 'org-1');
+    expect(mappings.removeCommentMapping).toHaveBeenCalledWith('100', '900', 'org-1');
+    expect(mappings.removeWorklogMapping).toHaveBeenCalledWith('150', '950', 'org-1');
+    expect(mappings.removeAttachmentMapping).toHaveBeenCalledWith('200', 'org-1');
+    expect(mappings.removeLinkMapping).toHaveBeenCalledWith('300', 'org-1');
+    // Pending links, creation timestamps and sync flags are shared by every organization
+    expect(kvsStore.del).not.toHaveBeenCalled();
+    expect(flags.removeIssueFromPendingLinksIndex).not.toHaveBeenCalled();
+  });
+
+  test('unlinkIssueData should let the caller see a failed removal', async () => {
+    mappings.removeMapping.mockRejectedValue(new Error('Storage error'));
+
+    await expect(unlinkIssueData('TEST-1', 'REMOTE-1', 'org-1')).rejects.toThrow('Storage error');
+  });
+
   test('cleanupIssueData should handle errors gracefully', async () => {
     mappings.removeMapping.mockRejectedValue(new Error('Storage error'));
     
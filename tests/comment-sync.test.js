@@ -0,0 +1,184 @@
+import api from '@forge/api';
+import * as kvsStore from '../src/services/storage/kvs.js';
+import {
+  getRemoteKey,
+  getLocalKey,
+  getOrganizationsWithTokens,
+  getRemoteCommentId,
+  getLocalCommentId,
+  removeCommentMapping
+} from '../src/services/storage/mappings.js';
+import { getFullComment, getOrgName } from '../src/services/jira/local-client.js';
+import { RemoteJiraClient } from '../src/services/jira/remote-client.js';
+import { enqueueOrRun } from '../src/services/sync/outbound-queue.js';
+import { syncCommentUpdate, syncCommentDeletion } from '../src/services/sync/comment-sync.js';
+import { processIncomingWebhook } from '../src/services/sync/incoming-sync.js';
+import { run as onComment } from '../src/triggers/comment.js';
+import { buildSyncedCommentADF, textToADF } from '../src/utils/adf.js';
+
+jest.mock('@forge/api', () => ({
+  __esModule: true,
+  default: { asApp: jest.fn() },
+  route: jest.fn((strings, ...values) => strings.reduce((out, s, i) => out + s + (values[i] ?? ''), ''))
+}));
+jest.mock('../src/services/storage/kvs.js');
+jest.mock('../src/services/storage/mappings.js');
+jest.mock('../src/services/storage/stats.js', () => ({ trackWebhookSync: jest.fn() }));
+jest.mock('../src/services/jira/remote-auth.js', () => ({ hasRemoteCredentials: jest.fn(() => true) }));
+jest.mock('../src/services/jira/remote-client.js');
+jest.mock('../src/services/jira/local-client.js');
+jest.mock('../src/services/sync/event-sequencing.js');
+jest.mock('../src/services/sync/inbound-queue.js', () => ({ enqueueInbound: jest.fn() }));
+jest.mock('../src/services/sync/outbound-queue.js', () => ({ enqueueOrRun: jest.fn() }));
+jest.mock('../src/utils/validation.js', () => ({ isProjectAllowedToSync: jest.fn(async () => true) }));
+
+const org = { id: 'org-1', name: 'Partner', syncDirection: 'bidirectional', allowedProjects: ['LOC'] };
+
+function jsonResponse(body, status = 200) {
+  return { ok: status < 300, status, json: async () => body, text: async () => JSON.stringify(body) };
+}
+
+const localEvent = { issue: { key: 'LOC-1' }, comment: { id: '100' } };
+
+function remotePayload(webhookEvent, comment = {}) {
+  return {
+    webhookEvent,
+    issue: { id: '10001', key: 'REM-1' },
+    comment: { id: '900', author: { displayName: 'Grace' }, body: textToADF('Edited on the remote'), ...comment }
+  };
+}
+
+describe('comment edits and deletions', () => {
+  let stored;
+  let localRequest;
+  let remoteRequest;
+  let syncingDuringRequest;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stored = {};
+    kvsStore.get.mockImplementation(async (key) => stored[key] ?? null);
+    kvsStore.set.mockImplementation(async (key, value) => { stored[key] = value; });
+    kvsStore.del.mockImplementation(async (key) => { delete stored[key]; });
+    kvsStore.getSecret.mockResolvedValue('token');
+
+    getOrganizationsWithTokens.mockResolvedValue([org]);
+    getRemoteKey.mockImplementation(async (localKey) => (localKey === 'LOC-1' ? 'REM-1' : null));
+    getLocalKey.mockImplementation(async (remoteKey) => (remoteKey === 'REM-1' ? 'LOC-1' : null));
+    getRemoteCommentId.mockImplementation(async (localId) => (localId === '100' ? '900' : null));
+    getLocalCommentId.mockImplementation(async (remoteId) => (remoteId === '900' ? '100' : null));
+    getOrgName.mockResolvedValue('Local Org');
+    getFullComment.mockResolvedValue({ id: '100', author: { displayName: 'Ada' }, body: textToADF('Edited locally') });
+
+    localRequest = jest.fn(async () => {
+      syncingDuringRequest = Boolean(stored['syncing:LOC-1']);
+      return jsonResponse({}, 200);
+    });
+    api.asApp.mockReturnValue({ requestJira: localRequest });
+    remoteRequest = jest.fn(async () => jsonResponse({}, 200));
+    RemoteJiraClient.mockImplementation(() => ({ request: remoteRequest }));
+  });
+
+  test('the comment trigger queues edits and deletions separately', async () => {
+    await onComment({ eventType: 'avi:jira:updated:comment', ...localEvent });
+    await onComment({ eventType: 'avi:jira:deleted:comment', ...localEvent });
+
+    expect(enqueueOrRun).toHaveBeenNthCalledWith(1, 'comment-update', expect.objectContaining(localEvent));
+    expect(enqueueOrRun).toHaveBeenNthCalledWith(2, 'comment-delete', expect.objectContaining(localEvent));
+  });
+
+  describe('outgoing', () => {
+    test('updates the mapped remote comment with the synced header', async () => {
+      const result = await syncCommentUpdate(localEvent);
+
+      expect(result.failures).toEqual([]);
+      expect(remoteRequest).toHaveBeenCalledWith('/rest/api/3/issue/REM-1/comment/900?notifyUsers=false', expect.objectContaining({ method: 'PUT' }));
+      const { body } = JSON.parse(remoteRequest.mock.calls[0][1].body);
+      expect(body).toEqual(buildSyncedCommentADF({ orgName: 'Local Org', userName: 'Ada', responseText: 'Edited locally' }));
+    });
+
+    test('does not send back edits the app made or edits made while the issue is syncing', async () => {
+      getFullComment.mockResolvedValue({ id: '100', author: { displayName: 'Ada' }, updateAuthor: { accountType: 'app' }, body: textToADF('Mirrored') });
+      await syncCommentUpdate(localEvent);
+
+      stored['syncing:LOC-1'] = { value: 'true', expiresAt: Date.now() + 60000 };
+      getFullComment.mockResolvedValue({ id: '100', author: { displayName: 'Ada' }, body: textToADF('Edited locally') });
+      await syncCommentUpdate(localEvent);
+      await syncCommentDeletion(localEvent);
+
+      expect(remoteRequest).not.toHaveBeenCalled();
+    });
+
+    test('skips comments that were never synced', async () => {
+      const event = { issue: { key: 'LOC-1' }, comment: { id: '101' } };
+
+      await syncCommentUpdate(event);
+      await syncCommentDeletion(event);
+
+      expect(remoteRequest).not.toHaveBeenCalled();
+    });
+
+    test('deletes the remote comment and removes the mapping only once it is gone', async () => {
+      remoteRequest.mockResolvedValueOnce(jsonResponse({ error: 'unavailable' }, 503));
+      const failed = await syncCommentDeletion(localEvent);
+
+      expect(failed.failures).toHaveLength(1);
+      expect(removeCommentMapping).not.toHaveBeenCalled();
+
+      remoteRequest.mockResolvedValueOnce(jsonResponse({}, 204));
+      await syncCommentDeletion(localEvent);
+
+      expect(remoteRequest).toHaveBeenLastCalledWith('/rest/api/3/issue/REM-1/comment/900', expect.objectContaining({ method: 'DELETE' }));
+      expect(removeCommentMapping).toHaveBeenCalledWith('100', '900', 'org-1');
+    });
+  });
+
+  describe('incoming', () => {
+    test('applies a remote edit to the local copy while the issue is marked as syncing', async () => {
+      const result = await processIncomingWebhook(remotePayload('comment_updated'), org);
+
+      expect(result.status).toBe(200);
+      expect(localRequest).toHaveBeenCalledWith('/rest/api/3/issue/LOC-1/comment/100', expect.objectContaining({ method: 'PUT' }));
+      const { body } = JSON.parse(localRequest.mock.calls[0][1].body);
+      expect(body).toEqual(buildSyncedCommentADF({ orgName: 'Partner', userName: 'Grace', responseText: 'Edited on the remote' }));
+      expect(syncingDuringRequest).toBe(true);
+      expect(stored['syncing:LOC-1']).toBeUndefined();
+    });
+
+    test('ignores edits of comments the app wrote on the remote', async () => {
+      await processIncomingWebhook(remotePayload('comment_updated', { updateAuthor: { accountType: 'app' } }), org);
+      await processIncomingWebhook(remotePayload('comment_updated', {
+        body: buildSyncedCommentADF({ orgName: 'Local Org', userName: 'Ada', responseText: 'Mirrored' })
+      }), org);
+
+      expect(localRequest).not.toHaveBeenCalled();
+    });
+
+    test('ignores edits and deletions of remote comments without a local copy', async () => {
+      await processIncomingWebhook(remotePayload('comment_updated', { id: '901' }), org);
+      await processIncomingWebhook(remotePayload('comment_deleted', { id: '901' }), org);
+
+      expect(localRequest).not.toHaveBeenCalled();
+    });
+
+    test('deletes the local copy and then removes the mapping', async () => {
+      const result = await processIncomingWebhook(remotePayload('comment_deleted'), org);
+
+      expect(result.status).toBe(200);
+      expect(localRequest).toHaveBeenCalledWith('/rest/api/3/issue/LOC-1/comment/100', { method: 'DELETE' });
+      expect(syncingDuringRequest).toBe(true);
+      expect(removeCommentMapping).toHaveBeenCalledWith('100', '900', 'org-1');
+      expect(stored['syncing:LOC-1']).toBeUndefined();
+    });
+
+    test('keeps the mapping when the local delete fails', async () => {
+      localRequest.mockResolvedValueOnce(jsonResponse({ error: 'unavailable' }, 503));
+
+      const result = await processIncomingWebhook(remotePayload('comment_deleted'), org);
+
+      expect(result.status).toBe(500);
+      expect(removeCommentMapping).not.toHaveBeenCalled();
+      expect(stored['syncing:LOC-1']).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,55 @@
+import { checkFieldConflicts, fingerprintFields } from '../src/services/sync/conflict-resolution.js';
+import * as kvsStore from '../src/services/storage/kvs.js';
+import * as mappings from '../src/services/storage/mappings.js';
+
+jest.mock('../src/services/storage/kvs.js');
+jest.mock('../src/services/storage/mappings.js');
+
+describe('checkFieldConflicts', () => {
+  const baseline = { summary: 'Original', labels: ['a'], updated: '2024-01-01T00:00:00.000Z' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mappings.getFieldSnapshot.mockResolvedValue({
+      local: fingerprintFields(baseline),
+      remote: fingerprintFields(baseline)
+    });
+  });
+
+  const check = (policy, direction = 'outbound') => checkFieldConflicts({
+    direction,
+    localKey: 'LOC-1',
+    remoteKey: 'REM-1',
+    orgId: 'org-1',
+    localFields: { ...baseline, summary: 'Local edit', labels: ['b'], updated: '2024-01-02T00:00:00.000Z' },
+    remoteFields: { ...baseline, summary: 'Remote edit', updated: '2024-01-03T00:00:00.000Z' },
+    policy
+  });
+
+  test('only flags fields changed on both sides', async () => {
+    const result = await check('local');
+    expect(result.conflicts.map(c => c.field)).toEqual(['summary']);
+    expect(result.blockedFields).toEqual([]);
+  });
+
+  test('newest edit wins', async () => {
+    expect((await check('newest', 'outbound')).blockedFields).toEqual(['summary']);
+    expect((await check('newest', 'inbound')).blockedFields).toEqual([]);
+  });
+
+  test('manual policy holds the field and queues the conflict', async () => {
+    const result = await check('manual');
+    expect(result.blockedFields).toEqual(['summary']);
+    expect(kvsStore.set).toHaveBeenCalledWith('conflict:org-1:LOC-1', expect.objectContaining({
+      remoteKey: 'REM-1',
+      fields: { summary: { local: 'Local edit', remote: 'Remote edit' } }
+    }));
+  });
+
+  test('no conflicts without a baseline snapshot', async () => {
+    mappings.getFieldSnapshot.mockResolvedValue(null);
+    const result = await check('manual');
+    expect(result.conflicts).toEqual([]);
+    expect(kvsStore.set).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,115 @@
+import * as kvsStore from '../src/services/storage/kvs.js';
+import {
+  isStaleEvent,
+  recordAppliedRemoteUpdate,
+  expectMapping,
+  isAwaitingMapping,
+  parkEvent,
+  releaseParkedEvents,
+  purgeExpiredParkedEvents
+} from '../src/services/sync/event-sequencing.js';
+import { MAX_PARKED_EVENTS } from '../src/constants.js';
+
+jest.mock('../src/services/storage/kvs.js');
+
+describe('event sequencing', () => {
+  let stored;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stored = {};
+    kvsStore.get.mockImplementation(async (key) => stored[key] ?? null);
+    kvsStore.set.mockImplementation(async (key, value, options = {}) => {
+      stored[key] = options.ttl ? { value, expiresAt: Date.now() + options.ttl } : value;
+    });
+    kvsStore.del.mockImplementation(async (key) => { delete stored[key]; });
+    // Unordered on purpose: replay order must come from the keys
+    kvsStore.queryByPrefix.mockImplementation(async (prefix) => Object.keys(stored)
+      .filter(key => key.startsWith(prefix))
+      .reverse()
+      .map(key => ({ key, value: stored[key] })));
+    kvsStore.queryPage.mockImplementation(async (prefix) => ({
+      results: Object.keys(stored).filter(key => key.startsWith(prefix)).map(key => ({ key, value: stored[key] })),
+      nextCursor: null
+    }));
+  });
+
+  test('drops remote events at or before the last applied remote state', async () => {
+    await recordAppliedRemoteUpdate('LOC-1', '2024-01-01T10:00:00.000+0000', 'org-1');
+
+    expect(await isStaleEvent('LOC-1', 'remote', Date.parse('2024-01-01T09:59:59Z'), 'org-1')).toBe(true);
+    expect(await isStaleEvent('LOC-1', 'remote', Date.parse('2024-01-01T10:00:00Z'), 'org-1')).toBe(true);
+    expect(await isStaleEvent('LOC-1', 'remote', Date.parse('2024-01-01T10:00:01Z'), 'org-1')).toBe(false);
+    // Events without a timestamp and other organizations are never stale
+    expect(await isStaleEvent('LOC-1', 'remote', undefined, 'org-1')).toBe(false);
+    expect(await isStaleEvent('LOC-1', 'remote', Date.parse('2024-01-01T09:00:00Z'), 'org-2')).toBe(false);
+  });
+
+  test('never moves the applied remote state backwards', async () => {
+    await recordAppliedRemoteUpdate('LOC-1', '2024-01-01T10:00:00.000+0000', 'org-1');
+    await recordAppliedRemoteUpdate('LOC-1', '2024-01-01T09:00:00.000+0000', 'org-1');
+
+    expect(stored['org-1:last-applied-remote:LOC-1']).toBe('2024-01-01T10:00:00.000+0000');
+  });
+
+  test('compares local events with the last synced local state', async () => {
+    stored['org-1:last-synced-updated:LOC-1'] = '2024-01-01T10:00:00.000+0000';
+
+    expect(await isStaleEvent('LOC-1', 'local', Date.parse('2024-01-01T09:00:00Z'), 'org-1')).toBe(true);
+    expect(await isStaleEvent('LOC-1', 'local', Date.parse('2024-01-01T11:00:00Z'), 'org-1')).toBe(false);
+  });
+
+  test('releases parked events oldest first and deletes them once released', async () => {
+    await expectMapping('org-1', 'REM-1');
+    expect(await isAwaitingMapping('org-1', 'REM-1')).toBe(true);
+
+    await parkEvent('org-1', 'issue:REM-1', { webhookEvent: 'comment_created', timestamp: 1700000000500 });
+    await parkEvent('org-1', 'issue:REM-1', { webhookEvent: 'jira:issue_updated', timestamp: 1700000000000 });
+    await parkEvent('org-1', 'issue:REM-2', { webhookEvent: 'jira:issue_updated', timestamp: 1700000000000 });
+
+    const released = [];
+    expect(await releaseParkedEvents('org-1', 'issue:REM-1', async (payload) => { released.push(payload.webhookEvent); })).toBe(2);
+
+    expect(released).toEqual(['jira:issue_updated', 'comment_created']);
+    expect(Object.keys(stored).filter(key => key.includes('issue:REM-1'))).toEqual([]);
+    expect(Object.keys(stored).filter(key => key.includes('issue:REM-2'))).toHaveLength(1);
+    expect(await isAwaitingMapping('org-1', 'REM-1')).toBe(false);
+  });
+
+  test('keeps an event parked when releasing it fails', async () => {
+    await expectMapping('org-1', 'REM-1');
+    await parkEvent('org-1', 'issue:REM-1', { webhookEvent: 'jira:issue_updated', timestamp: 1700000000000 });
+    await parkEvent('org-1', 'issue:REM-1', { webhookEvent: 'comment_created', timestamp: 1700000000500 });
+    const release = jest.fn()
+      .mockResolvedValueOnce()
+      .mockRejectedValueOnce(new Error('queue unavailable'));
+
+    await expect(releaseParkedEvents('org-1', 'issue:REM-1', release)).rejects.toThrow('queue unavailable');
+
+    const left = Object.keys(stored).filter(key => key.includes('issue:REM-1'));
+    expect(left.map(key => stored[key].value.webhookEvent)).toEqual(['comment_created']);
+    expect(await isAwaitingMapping('org-1', 'REM-1')).toBe(true);
+  });
+
+  test('does not release expired events and stops parking at the limit', async () => {
+    stored['parkedEvent:org-1:attachment:55:1700000000000:old'] = { value: { webhookEvent: 'attachment_created' }, expiresAt: Date.now() - 1 };
+    const release = jest.fn();
+    expect(await releaseParkedEvents('org-1', 'attachment:55', release)).toBe(0);
+    expect(release).not.toHaveBeenCalled();
+    expect(stored['parkedEvent:org-1:attachment:55:1700000000000:old']).toBeUndefined();
+
+    for (let i = 0; i < MAX_PARKED_EVENTS; i++) {
+      expect(await parkEvent('org-1', 'issue:REM-1', { webhookEvent: 'comment_created', timestamp: 1700000000000 + i })).toBe(true);
+    }
+    expect(await parkEvent('org-1', 'issue:REM-1', { webhookEvent: 'comment_created' })).toBe(false);
+  });
+
+  test('purges expired parked events and markers', async () => {
+    await parkEvent(null, 'issue:REM-1', { webhookEvent: 'comment_created' });
+    stored['parkedEvent:legacy:issue:REM-2:1700000000000:old'] = { value: {}, expiresAt: Date.now() - 1 };
+    stored['awaitingMapping:legacy:REM-2'] = { value: {}, expiresAt: Date.now() - 1 };
+
+    expect(await purgeExpiredParkedEvents()).toBe(2);
+    expect(Object.keys(stored)).toEqual([expect.stringMatching(/^parkedEvent:legacy:issue:REM-1:/)]);
+  });
+});
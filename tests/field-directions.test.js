@@ -0,0 +1,25 @@
+import { filterFieldsByDirection, allowsDirection } from '../src/services/sync/field-directions.js';
+
+jest.mock('../src/services/storage/kvs.js');
+
+describe('field direction matrix', () => {
+  const directions = { summary: 'push', status: 'pull', versions: 'never', customfield_200: 'pull' };
+
+  test('defaults to both directions', () => {
+    expect(allowsDirection({}, 'priority', 'push')).toBe(true);
+    expect(allowsDirection(directions, 'status', 'push')).toBe(false);
+    expect(allowsDirection(directions, 'status', 'pull')).toBe(true);
+  });
+
+  test('removes fields owned by the other side from a push payload', () => {
+    const fields = { summary: 'A', priority: { name: 'High' }, fixVersions: [], customfield_200: 'x' };
+    expect(filterFieldsByDirection(fields, directions, 'push')).toEqual(['fixVersions', 'customfield_200']);
+    expect(Object.keys(fields)).toEqual(['summary', 'priority']);
+  });
+
+  test('keys custom fields by their remote ID when pulling', () => {
+    const fields = { summary: 'A', customfield_100: 'x' };
+    filterFieldsByDirection(fields, directions, 'pull', (key) => (key === 'customfield_100' ? 'customfield_200' : undefined));
+    expect(fields).toEqual({ customfield_100: 'x' });
+  });
+});
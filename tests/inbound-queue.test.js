@@ -0,0 +1,126 @@
+import * as kvsStore from '../src/services/storage/kvs.js';
+import { processIncomingWebhook } from '../src/services/sync/incoming-sync.js';
+import { enqueueInbound, processInboundDrain, getRemoteIssueRef } from '../src/services/sync/inbound-queue.js';
+import { acquireLock, releaseLock } from '../src/services/storage/locks.js';
+
+const mockPush = jest.fn();
+jest.mock('@forge/events', () => ({ Queue: jest.fn(() => ({ push: mockPush })) }));
+jest.mock('../src/services/storage/kvs.js');
+jest.mock('../src/services/storage/stats.js', () => ({ trackWebhookSync: jest.fn() }));
+jest.mock('../src/services/storage/locks.js', () => ({ acquireLock: jest.fn(), releaseLock: jest.fn() }));
+jest.mock('../src/services/sync/incoming-sync.js', () => ({ processIncomingWebhook: jest.fn() }));
+jest.mock('../src/services/sync/outbound-queue.js', () => ({ getRetryDelaySeconds: jest.fn(() => 30) }));
+
+const org = { id: 'org-1', name: 'Remote', syncDirection: 'bidirectional' };
+
+describe('inbound queue', () => {
+  let stored;
+  let locks;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stored = { organizations: [org] };
+    locks = {};
+    acquireLock.mockImplementation(async (name) => {
+      if (locks[name]) return null;
+      locks[name] = `owner-${Object.keys(locks).length}`;
+      return locks[name];
+    });
+    releaseLock.mockImplementation(async (name, owner) => {
+      if (locks[name] === owner) delete locks[name];
+    });
+    kvsStore.get.mockImplementation(async (key) => stored[key] ?? null);
+    kvsStore.set.mockImplementation(async (key, value, options = {}) => {
+      stored[key] = options.ttl ? { value, expiresAt: Date.now() + options.ttl } : value;
+    });
+    kvsStore.del.mockImplementation(async (key) => { delete stored[key]; });
+    // Unordered on purpose: the drain must not rely on the store's ordering
+    kvsStore.queryByPrefix.mockImplementation(async (prefix) => Object.keys(stored)
+      .filter(key => key.startsWith(prefix))
+      .reverse()
+      .map(key => ({ key, value: stored[key] })));
+    processIncomingWebhook.mockResolvedValue({ status: 200, body: { message: 'Processed' } });
+  });
+
+  test('groups events by remote issue', () => {
+    expect(getRemoteIssueRef({ issue: { id: 10001 }, comment: { id: '5' } })).toBe('10001');
+    expect(getRemoteIssueRef({ worklog: { issueId: '10002' } })).toBe('10002');
+    expect(getRemoteIssueRef({ webhookEvent: 'jira:issue_link_created', issueLink: { sourceIssueId: 10003 } })).toBe('10003');
+    expect(getRemoteIssueRef({})).toBe('none');
+  });
+
+  test('stores the delivery and queues only the remote issue it belongs to', async () => {
+    const payload = { webhookEvent: 'jira:issue_created', timestamp: 1700000000000, issue: { id: '10001', key: 'REM-1' } };
+
+    const key = await enqueueInbound(org, payload);
+
+    expect(key).toMatch(/^inboundItem:org-1:10001:1700000000000:\d{13}:/);
+    expect(stored[key]).toMatchObject({ payload, attempts: 0 });
+    expect(mockPush).toHaveBeenCalledWith({ body: { orgId: 'org-1', issueRef: '10001' } });
+    // Events of the new issue are parked until its create is mapped
+    expect(stored['awaitingMapping:org-1:REM-1']).toMatchObject({ expiresAt: expect.any(Number) });
+  });
+
+  test('removes the stored delivery when it cannot be queued', async () => {
+    mockPush.mockRejectedValueOnce(new Error('queue unavailable'));
+
+    await expect(enqueueInbound(org, { webhookEvent: 'jira:issue_created', issue: { id: '10001' } })).rejects.toThrow('queue unavailable');
+    expect(Object.keys(stored).filter(key => key.startsWith('inboundItem:'))).toEqual([]);
+  });
+
+  test('processes the events of an issue in the order they happened', async () => {
+    const updated = { webhookEvent: 'jira:issue_updated', timestamp: 1700000000500, issue: { id: '10001' } };
+    const created = { webhookEvent: 'jira:issue_created', timestamp: 1700000000000, issue: { id: '10001' } };
+    await enqueueInbound(org, updated);
+    await enqueueInbound(org, created);
+
+    const result = await processInboundDrain({ orgId: 'org-1', issueRef: '10001' });
+
+    expect(result).toEqual({ status: 'drained', processed: 2 });
+    expect(processIncomingWebhook.mock.calls.map(([payload]) => payload.webhookEvent)).toEqual(['jira:issue_created', 'jira:issue_updated']);
+    expect(Object.keys(stored)).toEqual(['organizations']);
+  });
+
+  test('hands the delivery back while another consumer drains the same issue', async () => {
+    locks['inboundLock:org-1:10001'] = 'other-consumer';
+    await enqueueInbound(org, { webhookEvent: 'jira:issue_updated', issue: { id: '10001' } });
+    mockPush.mockClear();
+
+    const result = await processInboundDrain({ orgId: 'org-1', issueRef: '10001' });
+
+    expect(result.status).toBe('busy');
+    expect(processIncomingWebhook).not.toHaveBeenCalled();
+    expect(mockPush).toHaveBeenCalledWith({ body: { orgId: 'org-1', issueRef: '10001' }, delayInSeconds: 15 });
+  });
+
+  test('holds back later events until a failed one has been retried', async () => {
+    await enqueueInbound(org, { webhookEvent: 'jira:issue_created', timestamp: 1700000000000, issue: { id: '10001' } });
+    await enqueueInbound(org, { webhookEvent: 'jira:issue_updated', timestamp: 1700000000500, issue: { id: '10001' } });
+    mockPush.mockClear();
+    processIncomingWebhook.mockResolvedValueOnce({ status: 500, body: { error: 'Remote unavailable' } });
+
+    const result = await processInboundDrain({ orgId: 'org-1', issueRef: '10001' });
+
+    expect(result).toEqual({ status: 'retrying', processed: 0 });
+    expect(processIncomingWebhook).toHaveBeenCalledTimes(1);
+    const [failedKey] = Object.keys(stored).filter(key => key.includes(':1700000000000:'));
+    expect(stored[failedKey]).toMatchObject({ attempts: 1, lastError: 'Remote unavailable' });
+    expect(mockPush).toHaveBeenCalledWith({ body: { orgId: 'org-1', issueRef: '10001' }, delayInSeconds: 30 });
+    expect(locks['inboundLock:org-1:10001']).toBeUndefined();
+
+    // An earlier delivery for the issue must not skip the backoff
+    expect(await processInboundDrain({ orgId: 'org-1', issueRef: '10001' })).toEqual({ status: 'waiting', processed: 0 });
+    expect(processIncomingWebhook).toHaveBeenCalledTimes(1);
+  });
+
+  test('drops events the sync rejects and continues with the next one', async () => {
+    await enqueueInbound(org, { webhookEvent: 'comment_created', timestamp: 1700000000000, issue: { id: '10001' } });
+    await enqueueInbound(org, { webhookEvent: 'jira:issue_updated', timestamp: 1700000000500, issue: { id: '10001' } });
+    processIncomingWebhook.mockResolvedValueOnce({ status: 400, body: { error: 'No comment in payload' } });
+
+    const result = await processInboundDrain({ orgId: 'org-1', issueRef: '10001' });
+
+    expect(result).toEqual({ status: 'drained', processed: 2 });
+    expect(processIncomingWebhook).toHaveBeenCalledTimes(2);
+  });
+});
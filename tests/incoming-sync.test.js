@@ -0,0 +1,67 @@
+import * as kvsStore from '../src/services/storage/kvs.js';
+import { getLocalKey } from '../src/services/storage/mappings.js';
+import { isAwaitingMapping, parkEvent } from '../src/services/sync/event-sequencing.js';
+import { processIncomingWebhook } from '../src/services/sync/incoming-sync.js';
+
+jest.mock('@forge/api', () => ({
+  __esModule: true,
+  default: { asApp: jest.fn() },
+  route: jest.fn((strings, ...values) => strings.reduce((out, s, i) => out + s + (values[i] ?? ''), ''))
+}));
+jest.mock('../src/services/storage/kvs.js');
+jest.mock('../src/services/storage/mappings.js');
+jest.mock('../src/services/storage/flags.js');
+jest.mock('../src/services/storage/stats.js', () => ({ trackWebhookSync: jest.fn() }));
+jest.mock('../src/services/jira/remote-auth.js', () => ({ hasRemoteCredentials: jest.fn(() => true) }));
+jest.mock('../src/services/jira/remote-client.js');
+jest.mock('../src/services/jira/local-client.js');
+jest.mock('../src/services/sync/event-sequencing.js');
+jest.mock('../src/services/sync/inbound-queue.js', () => ({ enqueueInbound: jest.fn() }));
+
+const org = { id: 'org-1', name: 'Partner', syncDirection: 'bidirectional', allowedProjects: ['LOC'] };
+
+function updatedPayload(key) {
+  return {
+    webhookEvent: 'jira:issue_updated',
+    timestamp: 1700000000000,
+    issue: { id: '10001', key },
+    changelog: { items: [{ field: 'summary' }] }
+  };
+}
+
+describe('incoming events for unmapped remote issues', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    kvsStore.get.mockResolvedValue(null);
+    kvsStore.getSecret.mockResolvedValue('token');
+    getLocalKey.mockResolvedValue(null);
+    parkEvent.mockResolvedValue(true);
+  });
+
+  test('ignores events of a remote issue that was never created through the sync', async () => {
+    isAwaitingMapping.mockResolvedValue(false);
+
+    const result = await processIncomingWebhook(updatedPayload('OLD-1'), org);
+
+    expect(result.status).toBe(200);
+    expect(isAwaitingMapping).toHaveBeenCalledWith('org-1', 'OLD-1');
+    expect(parkEvent).not.toHaveBeenCalled();
+  });
+
+  test('parks events of a remote issue whose create is still pending', async () => {
+    isAwaitingMapping.mockResolvedValue(true);
+    const payload = updatedPayload('REM-1');
+
+    await processIncomingWebhook(payload, org);
+
+    expect(parkEvent).toHaveBeenCalledWith('org-1', 'issue:REM-1', payload);
+  });
+
+  test('does not park for an organization without a local project to create issues in', async () => {
+    isAwaitingMapping.mockResolvedValue(true);
+
+    await processIncomingWebhook(updatedPayload('REM-1'), { ...org, allowedProjects: [] });
+
+    expect(parkEvent).not.toHaveBeenCalled();
+  });
+});
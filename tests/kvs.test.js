@@ -0,0 +1,62 @@
+import { kvs } from '@forge/kvs';
+import { set, claim, swap } from '../src/services/storage/kvs.js';
+
+jest.mock('@forge/kvs', () => ({
+  kvs: { get: jest.fn(), set: jest.fn(), delete: jest.fn() },
+  WhereConditions: {}
+}));
+
+function conflict() {
+  return Object.assign(new Error('Key already exists'), { code: 'KEY_ALREADY_EXISTS' });
+}
+
+describe('kvs wrapper', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('passes the TTL to KVS and keeps the expiry for readers', async () => {
+    await set('k', 'v', { ttl: 90500 });
+
+    expect(kvs.set).toHaveBeenCalledWith('k', { value: 'v', expiresAt: expect.any(Number) }, { ttl: { value: 91, unit: 'SECONDS' } });
+  });
+
+  test('claims a key only when no unexpired value is stored', async () => {
+    expect(await claim('k', 'first', 60000)).toBe(true);
+    expect(kvs.set).toHaveBeenCalledWith('k', expect.objectContaining({ value: 'first' }), expect.objectContaining({ keyPolicy: 'FAIL_IF_EXISTS' }));
+
+    kvs.set.mockRejectedValueOnce(conflict());
+    kvs.get.mockResolvedValueOnce({ value: 'first', expiresAt: Date.now() + 60000 });
+    expect(await claim('k', 'second', 60000)).toBe(false);
+  });
+
+  test('takes over an expired key unless another caller already did', async () => {
+    const expired = { value: 'old', expiresAt: Date.now() - 1 };
+
+    kvs.set.mockRejectedValueOnce(conflict()).mockResolvedValueOnce({ key: 'k', value: expired });
+    kvs.get.mockResolvedValueOnce(expired);
+    expect(await claim('k', 'new', 60000)).toBe(true);
+
+    kvs.set.mockRejectedValueOnce(conflict()).mockResolvedValueOnce({ key: 'k', value: { value: 'other', expiresAt: Date.now() + 60000 } });
+    kvs.get.mockResolvedValueOnce(expired);
+    expect(await claim('k', 'late', 60000)).toBe(false);
+  });
+
+  test('rethrows write errors that are not about an existing key', async () => {
+    kvs.set.mockRejectedValueOnce(new Error('STORAGE_LIMIT_EXCEEDED'));
+    kvs.get.mockResolvedValueOnce(undefined);
+
+    await expect(claim('k', 'v', 60000)).rejects.toThrow('STORAGE_LIMIT_EXCEEDED');
+  });
+
+  test('returns the value a swap replaced', async () => {
+    kvs.set.mockResolvedValueOnce({ key: 'k', value: { token: 'a' } });
+    expect(await swap('k', { token: 'b' })).toEqual({ token: 'a' });
+
+    kvs.set.mockResolvedValueOnce(undefined);
+    expect(await swap('k', { token: 'c' })).toBeNull();
+
+    await swap('k', { token: 'd' }, { ttl: 60000 });
+    expect(kvs.set).toHaveBeenLastCalledWith('k', { token: 'd' }, { keyPolicy: 'OVERRIDE', returnValue: 'PREVIOUS', ttl: { value: 60, unit: 'SECONDS' } });
+  });
+});
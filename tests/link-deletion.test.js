@@ -0,0 +1,112 @@
+import api from '@forge/api';
+import * as kvsStore from '../src/services/storage/kvs.js';
+import { getLocalKey, getRemoteKey, getOrganizationsWithTokens, removeLinkMapping } from '../src/services/storage/mappings.js';
+import { RemoteJiraClient } from '../src/services/jira/remote-client.js';
+import { processIncomingWebhook } from '../src/services/sync/incoming-sync.js';
+import { run as onLinkDeleted } from '../src/triggers/link-deleted.js';
+
+jest.mock('@forge/api', () => ({
+  __esModule: true,
+  default: { asApp: jest.fn() },
+  route: jest.fn((strings, ...values) => strings.reduce((out, s, i) => out + s + (values[i] ?? ''), ''))
+}));
+jest.mock('../src/services/storage/kvs.js');
+jest.mock('../src/services/storage/mappings.js');
+jest.mock('../src/services/storage/stats.js', () => ({ trackWebhookSync: jest.fn() }));
+jest.mock('../src/services/jira/remote-auth.js', () => ({ hasRemoteCredentials: jest.fn(() => true) }));
+jest.mock('../src/services/jira/remote-client.js');
+jest.mock('../src/services/jira/local-client.js');
+jest.mock('../src/services/sync/event-sequencing.js');
+jest.mock('../src/services/sync/inbound-queue.js', () => ({ enqueueInbound: jest.fn() }));
+
+const org = { id: 'org-1', name: 'Partner', syncDirection: 'bidirectional', allowedProjects: ['LOC'] };
+
+function jsonResponse(body, status = 200) {
+  return { ok: status < 300, status, json: async () => body, text: async () => JSON.stringify(body) };
+}
+
+const remoteLinkDeleted = {
+  webhookEvent: 'jira:issue_link_deleted',
+  issueLink: { id: '88', type: { name: 'Blocks' }, outwardIssue: { key: 'REM-1' }, inwardIssue: { key: 'REM-2' } }
+};
+
+describe('issue link deletion', () => {
+  let stored;
+  let localRequest;
+  let localDeleteStatus;
+  let flagsDuringDelete;
+  let remoteRequest;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stored = {};
+    kvsStore.get.mockImplementation(async (key) => stored[key] ?? null);
+    kvsStore.set.mockImplementation(async (key, value) => { stored[key] = value; });
+    kvsStore.del.mockImplementation(async (key) => { delete stored[key]; });
+    kvsStore.getSecret.mockResolvedValue('token');
+
+    getLocalKey.mockImplementation(async (remoteKey) => ({ 'REM-1': 'LOC-1', 'REM-2': 'LOC-2' })[remoteKey] || null);
+    getRemoteKey.mockImplementation(async (localKey) => ({ 'LOC-1': 'REM-1', 'LOC-2': 'REM-2' })[localKey] || null);
+    getOrganizationsWithTokens.mockResolvedValue([org]);
+
+    localDeleteStatus = 204;
+    localRequest = jest.fn(async (path, options = {}) => {
+      if (options.method === 'DELETE') {
+        flagsDuringDelete = Object.keys(stored).sort();
+        return jsonResponse({}, localDeleteStatus);
+      }
+      if (path === '/rest/api/3/issue/LOC-1?fields=issuelinks') {
+        return jsonResponse({ fields: { issuelinks: [{ id: '500', type: { name: 'Blocks' }, inwardIssue: { key: 'LOC-2' } }] } });
+      }
+      if (path === '/rest/api/3/issue/10001') return jsonResponse({ key: 'LOC-1' });
+      if (path === '/rest/api/3/issue/10002') return jsonResponse({ key: 'LOC-2' });
+      return jsonResponse({}, 404);
+    });
+    api.asApp.mockReturnValue({ requestJira: localRequest });
+
+    remoteRequest = jest.fn(async (path, options = {}) => {
+      if (options.method === 'DELETE') {
+        return jsonResponse({}, 204);
+      }
+      return jsonResponse({ fields: { issuelinks: [{ id: '900', type: { name: 'Blocks' }, inwardIssue: { key: 'REM-2' } }] } });
+    });
+    RemoteJiraClient.mockImplementation(() => ({ request: remoteRequest }));
+  });
+
+  test('deletes the local link, removes its mapping and clears the issue sync flags', async () => {
+    const result = await processIncomingWebhook(remoteLinkDeleted, org);
+
+    expect(result.status).toBe(200);
+    expect(localRequest).toHaveBeenCalledWith('/rest/api/3/issueLink/500', { method: 'DELETE' });
+    expect(flagsDuringDelete).toEqual(['syncing-link-delete:500', 'syncing:LOC-1', 'syncing:LOC-2']);
+    expect(removeLinkMapping).toHaveBeenCalledWith('500', 'org-1');
+    expect(stored['syncing-link-delete:500']).toMatchObject({ value: 'true' });
+    expect(stored['syncing:LOC-1']).toBeUndefined();
+    expect(stored['syncing:LOC-2']).toBeUndefined();
+  });
+
+  test('the trigger skips only the link the incoming sync deleted', async () => {
+    await processIncomingWebhook(remoteLinkDeleted, org);
+
+    await onLinkDeleted({ issueLink: { id: '500', sourceIssueId: '10001', destinationIssueId: '10002', issueLinkType: { name: 'Blocks' } } });
+    expect(remoteRequest).not.toHaveBeenCalled();
+    expect(stored['syncing-link-delete:500']).toBeUndefined();
+
+    // A user deleting another link between the same issues is still mirrored
+    await onLinkDeleted({ issueLink: { id: '501', sourceIssueId: '10001', destinationIssueId: '10002', issueLinkType: { name: 'Blocks' } } });
+    expect(remoteRequest).toHaveBeenCalledWith('/rest/api/3/issueLink/900', expect.objectContaining({ method: 'DELETE' }));
+    expect(removeLinkMapping).toHaveBeenLastCalledWith('501', 'org-1');
+  });
+
+  test('clears the marker and keeps the mapping when the local delete fails', async () => {
+    localDeleteStatus = 500;
+
+    const result = await processIncomingWebhook(remoteLinkDeleted, org);
+
+    expect(result.status).toBe(500);
+    expect(stored['syncing-link-delete:500']).toBeUndefined();
+    expect(removeLinkMapping).not.toHaveBeenCalled();
+    expect(stored['syncing:LOC-1']).toBeUndefined();
+    expect(stored['syncing:LOC-2']).toBeUndefined();
+  });
+});
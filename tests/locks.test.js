@@ -0,0 +1,47 @@
+import * as kvsStore from '../src/services/storage/kvs.js';
+import { acquireLock, releaseLock } from '../src/services/storage/locks.js';
+
+jest.mock('../src/services/storage/kvs.js');
+
+describe('sync locks', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('takes a free lock with a write that fails if the lock exists', async () => {
+    kvsStore.createEntity.mockResolvedValue(true);
+
+    const owner = await acquireLock('inboundLock:org-1:10001', 60000);
+
+    expect(owner).toEqual(expect.any(String));
+    expect(kvsStore.createEntity).toHaveBeenCalledWith('sync-lock', 'inboundLock:org-1:10001', { owner, expiresAt: expect.any(Number) }, { ttl: 60000 });
+  });
+
+  test('does not take a lock another invocation holds', async () => {
+    kvsStore.createEntity.mockResolvedValue(false);
+    kvsStore.getEntity.mockResolvedValue({ owner: 'other', expiresAt: Date.now() + 60000 });
+
+    expect(await acquireLock('inboundLock:org-1:10001', 60000)).toBeNull();
+    expect(kvsStore.setEntityIf).not.toHaveBeenCalled();
+  });
+
+  test('takes over an expired lock only while its stale owner is still recorded', async () => {
+    kvsStore.createEntity.mockResolvedValue(false);
+    kvsStore.getEntity.mockResolvedValue({ owner: 'crashed', expiresAt: Date.now() - 1 });
+    kvsStore.setEntityIf.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+    const owner = await acquireLock('inboundLock:org-1:10001', 60000);
+    expect(owner).toEqual(expect.any(String));
+    expect(kvsStore.setEntityIf).toHaveBeenCalledWith('sync-lock', 'inboundLock:org-1:10001', { owner, expiresAt: expect.any(Number) }, 'owner', 'crashed', { ttl: 60000 });
+
+    // Another invocation took it over first
+    expect(await acquireLock('inboundLock:org-1:10001', 60000)).toBeNull();
+  });
+
+  test('releases a lock only for its owner', async () => {
+    kvsStore.deleteEntityIf.mockResolvedValue(false);
+
+    expect(await releaseLock('inboundLock:org-1:10001', 'owner-1')).toBe(false);
+    expect(kvsStore.deleteEntityIf).toHaveBeenCalledWith('sync-lock', 'inboundLock:org-1:10001', 'owner', 'owner-1');
+  });
+});
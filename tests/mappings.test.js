@@ -0,0 +1,117 @@
+import * as kvsStore from '../src/services/storage/kvs.js';
+import { getRemoteKey, storeMapping, listMappings, migrateMappingStorage } from '../src/services/storage/mappings.js';
+
+jest.mock('../src/services/storage/kvs.js', () => ({
+  get: jest.fn(),
+  set: jest.fn(),
+  del: jest.fn(),
+  getSecret: jest.fn(),
+  queryByPrefix: jest.fn(),
+  queryPage: jest.fn(),
+  getEntity: jest.fn(),
+  setEntity: jest.fn(),
+  deleteEntity: jest.fn(),
+  queryEntityIndex: jest.fn(),
+  transaction: jest.fn(),
+  WhereConditions: {
+    equalTo: (value) => ({ condition: 'EQUAL_TO', values: [value] }),
+    beginsWith: (value) => ({ condition: 'BEGINS_WITH', values: [value] })
+  }
+}));
+
+describe('issue mapping storage', () => {
+  let storage;
+  let tx;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storage = {};
+    kvsStore.get.mockImplementation(async (key) => storage[key] ?? null);
+    kvsStore.getEntity.mockResolvedValue(null);
+    kvsStore.queryEntityIndex.mockResolvedValue({ results: [], nextCursor: null });
+    kvsStore.queryPage.mockResolvedValue({ results: [], nextCursor: null });
+    tx = { set: jest.fn(() => tx), delete: jest.fn(() => tx), execute: jest.fn() };
+    kvsStore.transaction.mockReturnValue(tx);
+  });
+
+  test('stores one entity row and drops rows that pointed other issues at the remote key', async () => {
+    kvsStore.queryEntityIndex.mockResolvedValue({
+      results: [{ key: 'org-1:LOC-9', value: { orgId: 'org-1', localKey: 'LOC-9', remoteKey: 'REM-1' } }],
+      nextCursor: null
+    });
+
+    await storeMapping('LOC-1', 'REM-1', 'org-1');
+
+    expect(tx.set).toHaveBeenCalledWith('org-1:LOC-1', expect.objectContaining({ orgId: 'org-1', localKey: 'LOC-1', remoteKey: 'REM-1' }), { entityName: 'issue-mapping' });
+    expect(tx.delete).toHaveBeenCalledWith('org-1:LOC-9', { entityName: 'issue-mapping' });
+    expect(tx.execute).toHaveBeenCalled();
+    // Not migrated yet, so the key-value copies are cleaned up as well
+    expect(kvsStore.del).toHaveBeenCalledWith('org-1:local-to-remote:LOC-1');
+  });
+
+  test('reads the older key-value layout until the migration has run', async () => {
+    storage['org-1:local-to-remote:LOC-1'] = 'REM-1';
+
+    expect(await getRemoteKey('LOC-1', 'org-1')).toBe('REM-1');
+
+    await migrateMappingStorage();
+    expect(await getRemoteKey('LOC-1', 'org-1')).toBeNull();
+  });
+
+  test('lists a page by remote key prefix on the remote index', async () => {
+    kvsStore.queryEntityIndex.mockResolvedValue({
+      results: [{ key: 'legacy:LOC-1', value: { localKey: 'LOC-1', remoteKey: 'REM-1' } }],
+      nextCursor: 'next'
+    });
+
+    const page = await listMappings(null, { remoteKeyPrefix: 'REM-', limit: 25 });
+
+    expect(kvsStore.queryEntityIndex).toHaveBeenCalledWith('issue-mapping', 'by-org-remote', expect.objectContaining({
+      partition: ['legacy'],
+      where: { condition: 'BEGINS_WITH', values: ['REM-'] },
+      limit: 25
+    }));
+    expect(page).toEqual({ mappings: [{ localKey: 'LOC-1', remoteKey: 'REM-1' }], nextCursor: 'next' });
+  });
+
+  test('migration moves key-value pairs into the entity and resumes where it stopped', async () => {
+    storage.organizations = [{ id: 'org-1' }];
+    storage['org-1:remote-to-local:REM-1'] = 'LOC-1';
+    storage['mapping-meta:org-1:LOC-1'] = { createdAt: '2023-05-01T00:00:00.000Z' };
+    kvsStore.queryPage.mockImplementation(async (prefix, { cursor }) => {
+      if (prefix === 'org-1:local-to-remote:' && !cursor) {
+        return { results: [{ key: 'org-1:local-to-remote:LOC-1', value: 'REM-1' }], nextCursor: 'page-2' };
+      }
+      if (prefix === 'org-1:local-to-remote:') {
+        return { results: [{ key: 'org-1:local-to-remote:LOC-2', value: 'REM-2' }], nextCursor: null };
+      }
+      return { results: [], nextCursor: null };
+    });
+    kvsStore.set.mockImplementation(async (key, value) => { storage[key] = value; });
+    kvsStore.del.mockImplementation(async (key) => { delete storage[key]; });
+
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now')
+      .mockReturnValueOnce(now)
+      .mockReturnValueOnce(now)
+      .mockReturnValueOnce(now + 30000);
+    const first = await migrateMappingStorage();
+    clock.mockRestore();
+
+    expect(first).toEqual({ done: false, migrated: 1 });
+    expect(kvsStore.setEntity).toHaveBeenCalledWith('issue-mapping', 'org-1:LOC-1', expect.objectContaining({
+      orgId: 'org-1',
+      remoteKey: 'REM-1',
+      createdAt: '2023-05-01T00:00:00.000Z'
+    }));
+    expect(kvsStore.del).toHaveBeenCalledWith('org-1:remote-to-local:REM-1');
+    expect(storage.mappingStorageMigration).toEqual({ scopeIndex: 0, cursor: 'page-2', migrated: 1 });
+
+    const second = await migrateMappingStorage();
+
+    expect(second).toEqual({ done: true, migrated: 2 });
+    expect(kvsStore.setEntity).toHaveBeenCalledWith('issue-mapping', 'org-1:LOC-2', expect.objectContaining({ remoteKey: 'REM-2' }));
+    expect(storage.mappingStorageMigrated).toEqual(expect.objectContaining({ migrated: 2 }));
+    expect(storage.mappingStorageMigration).toBeUndefined();
+  });
+});
@@ -0,0 +1,35 @@
+import { translateOptionValue, getOptionFieldKind } from '../src/services/sync/option-mapping.js';
+
+jest.mock('@forge/api', () => ({ __esModule: true, default: {}, route: jest.fn(), fetch: jest.fn() }));
+jest.mock('../src/services/storage/kvs.js');
+
+describe('translateOptionValue', () => {
+  const allowed = [
+    { id: '200', value: 'High' },
+    { id: '201', value: 'Low' },
+    { id: '300', value: 'EMEA', children: [{ id: '301', value: 'Germany' }] }
+  ];
+
+  test('detects option field kinds from the schema', () => {
+    expect(getOptionFieldKind({ custom: 'com.atlassian.jira.plugin.system.customfieldtypes:cascadingselect' })).toBe('cascading');
+    expect(getOptionFieldKind({ custom: 'com.atlassian.jira.plugin.system.customfieldtypes:multicheckboxes' })).toBe('multi');
+    expect(getOptionFieldKind({ custom: 'com.atlassian.jira.plugin.system.customfieldtypes:textfield' })).toBeNull();
+  });
+
+  test('matches options by name and applies overrides', () => {
+    expect(translateOptionValue({ id: '10', value: 'high ' }, 'single', allowed).value).toEqual({ id: '200' });
+    expect(translateOptionValue({ id: '11', value: 'Minor' }, 'single', allowed, { Minor: 'Low' }).value).toEqual({ id: '201' });
+  });
+
+  test('leaves the field out when any option has no counterpart', () => {
+    const result = translateOptionValue([{ id: '10', value: 'High' }, { id: '12', value: 'Urgent' }], 'multi', allowed);
+    expect(result.value).toBeUndefined();
+    expect(result.unmapped).toEqual(['Urgent']);
+  });
+
+  test('translates cascading parent and child', () => {
+    const value = { id: '50', value: 'EMEA', child: { id: '51', value: 'Germany' } };
+    expect(translateOptionValue(value, 'cascading', allowed).value).toEqual({ id: '300', child: { id: '301' } });
+    expect(translateOptionValue(value, 'cascading', null).value).toEqual({ value: 'EMEA', child: { value: 'Germany' } });
+  });
+});
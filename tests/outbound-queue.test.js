@@ -0,0 +1,69 @@
+import { Queue } from '@forge/events';
+import * as kvsStore from '../src/services/storage/kvs.js';
+import { syncIssue } from '../src/services/sync/issue-sync.js';
+import { processOutboundItem, getRetryDelaySeconds } from '../src/services/sync/outbound-queue.js';
+
+const mockPush = jest.fn();
+jest.mock('@forge/events', () => ({ Queue: jest.fn(() => ({ push: mockPush })) }));
+jest.mock('../src/services/storage/kvs.js');
+jest.mock('../src/services/storage/flags.js', () => ({ isSyncing: jest.fn() }));
+jest.mock('../src/services/sync/issue-sync.js', () => ({ syncIssue: jest.fn() }));
+jest.mock('../src/services/sync/comment-sync.js', () => ({
+  syncComment: jest.fn(),
+  syncCommentUpdate: jest.fn(),
+  syncCommentDeletion: jest.fn()
+}));
+
+describe('outbound queue', () => {
+  const item = { id: 'item-1', type: 'issue', event: { eventType: 'avi:jira:updated:issue', issue: { key: 'A-1' } }, orgIds: null };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    kvsStore.get.mockResolvedValue(null);
+  });
+
+  test('doubles the delay up to the queue maximum', () => {
+    expect(getRetryDelaySeconds(1)).toBe(30);
+    expect(getRetryDelaySeconds(3)).toBe(120);
+    expect(getRetryDelaySeconds(10)).toBe(900);
+  });
+
+  test('re-queues only the failed organizations with a delay', async () => {
+    syncIssue.mockResolvedValue({ failures: [{ orgId: 'org-2', error: 'HTTP 503' }] });
+
+    const result = await processOutboundItem(item);
+
+    expect(result).toEqual({ status: 'retrying', attempts: 1, delayInSeconds: 30 });
+    expect(kvsStore.set).toHaveBeenCalledWith('outboundItem:item-1', expect.objectContaining({ attempts: 1, lastError: 'org-2: HTTP 503' }));
+    expect(Queue).toHaveBeenCalledWith({ key: 'outbound-sync-queue' });
+    expect(mockPush).toHaveBeenCalledWith({
+      body: expect.objectContaining({ id: 'item-1', orgIds: ['org-2'] }),
+      delayInSeconds: 30
+    });
+  });
+
+  test('moves the item to the dead-letter store after the last attempt', async () => {
+    kvsStore.get.mockResolvedValue({ attempts: 5, firstFailedAt: '2024-01-01T00:00:00.000Z' });
+    syncIssue.mockRejectedValue(new Error('socket hang up'));
+
+    const result = await processOutboundItem(item);
+
+    expect(result.status).toBe('dead-lettered');
+    expect(kvsStore.set).toHaveBeenCalledWith('deadLetter:item-1', expect.objectContaining({
+      attempts: 6,
+      label: 'A-1',
+      lastError: 'socket hang up',
+      firstFailedAt: '2024-01-01T00:00:00.000Z'
+    }));
+    expect(kvsStore.del).toHaveBeenCalledWith('outboundItem:item-1');
+    expect(mockPush).not.toHaveBeenCalled();
+  });
+
+  test('clears the attempt count once a retry succeeds', async () => {
+    kvsStore.get.mockResolvedValue({ attempts: 2 });
+    syncIssue.mockResolvedValue({ failures: [] });
+
+    expect(await processOutboundItem(item)).toEqual({ status: 'synced', attempts: 3 });
+    expect(kvsStore.del).toHaveBeenCalledWith('outboundItem:item-1');
+  });
+});
@@ -0,0 +1,155 @@
+import * as kvsStore from '../src/services/storage/kvs.js';
+import {
+  acquireRateToken,
+  waitForRateBudget,
+  recordRateLimitResponse,
+  getRateBudgets,
+  RateBudgetExhaustedError
+} from '../src/services/storage/rate-budget.js';
+import { retryWithBackoff } from '../src/utils/retry.js';
+import { RATE_BUDGET_CAPACITY, RATE_BUDGET_REFILL_PER_SECOND } from '../src/constants.js';
+
+jest.mock('../src/services/storage/kvs.js');
+jest.mock('../src/services/storage/stats.js', () => ({ trackApiCall: jest.fn() }));
+
+function response(status, headers = {}) {
+  return { ok: status >= 200 && status < 300, status, headers: { get: (name) => headers[name] ?? null } };
+}
+
+function storedBudget(orgId) {
+  const calls = kvsStore.set.mock.calls.filter(([key]) => key === `rateBudget:${orgId}`);
+  return calls.length > 0 ? calls[calls.length - 1][1] : null;
+}
+
+describe('remote rate budget', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    kvsStore.get.mockResolvedValue(null);
+  });
+
+  test('takes one token per request from a full bucket without waiting', async () => {
+    for (let i = 0; i < 5; i++) {
+      await acquireRateToken('org-tokens', { maxWaitMs: 0 });
+    }
+
+    await expect(waitForRateBudget('org-tokens', { tokens: RATE_BUDGET_CAPACITY - 5, maxWaitMs: 0 })).resolves.toBeUndefined();
+    await expect(waitForRateBudget('org-tokens', { tokens: RATE_BUDGET_CAPACITY, maxWaitMs: 0 }))
+      .rejects.toBeInstanceOf(RateBudgetExhaustedError);
+  });
+
+  test('blocks the bucket for Retry-After and halves the refill rate on a 429', async () => {
+    await recordRateLimitResponse('org-429', response(429), 30000);
+
+    const saved = storedBudget('org-429');
+    expect(saved.tokens).toBe(0);
+    expect(saved.refillPerSecond).toBe(RATE_BUDGET_REFILL_PER_SECOND / 2);
+    expect(saved.blockedUntil).toBeGreaterThan(Date.now() + 25000);
+
+    const error = await acquireRateToken('org-429', { maxWaitMs: 1000 }).catch(e => e);
+    expect(error).toBeInstanceOf(RateBudgetExhaustedError);
+    expect(error.orgId).toBe('org-429');
+    expect(error.retryable).toBe(false);
+    expect(error.resumeAt).toBeGreaterThan(Date.now() + 25000);
+  });
+
+  test('keeps a recovered refill rate when it reconciles with storage', async () => {
+    const now = jest.spyOn(Date, 'now');
+    let clock = Date.parse('2026-10-01T10:00:00Z');
+    now.mockImplementation(() => clock);
+    // Stored copies, as KVS would return them, so in-memory changes only reach storage when saved
+    const stored = {};
+    kvsStore.set.mockImplementation(async (key, value) => { stored[key] = JSON.parse(JSON.stringify(value)); });
+    kvsStore.get.mockImplementation(async (key) => (stored[key] ? { ...stored[key] } : null));
+
+    try {
+      await recordRateLimitResponse('org-recover', response(429), 0);
+      expect(stored['rateBudget:org-recover'].refillPerSecond).toBe(RATE_BUDGET_REFILL_PER_SECOND / 2);
+
+      clock += 1000;
+      for (let i = 0; i < 10; i++) {
+        await recordRateLimitResponse('org-recover', response(200));
+      }
+      // Past the sync interval, so the next call merges the in-memory bucket with the stored one
+      clock += 10000;
+      await recordRateLimitResponse('org-recover', response(200));
+
+      const saved = stored['rateBudget:org-recover'];
+      expect(saved.refillPerSecond).toBeGreaterThan(RATE_BUDGET_REFILL_PER_SECOND / 2 + 0.9);
+
+      // A 429 seen by another invocation after the recovery lowers the rate again
+      stored['rateBudget:org-recover'] = { ...saved, refillPerSecond: 1, refillChangedAt: clock + 1 };
+      clock += 10000;
+      await recordRateLimitResponse('org-recover', response(500));
+      expect(stored['rateBudget:org-recover'].refillPerSecond).toBe(1);
+    } finally {
+      now.mockRestore();
+    }
+  });
+
+  test('caps tokens at the remaining count the remote reports and waits for its reset', async () => {
+    const resetAt = new Date(Date.now() + 120000).toISOString();
+    await recordRateLimitResponse('org-headers', response(200, {
+      'X-RateLimit-Limit': '100',
+      'X-RateLimit-Remaining': '0',
+      'X-RateLimit-Reset': resetAt
+    }));
+
+    await expect(waitForRateBudget('org-headers', { tokens: 1, maxWaitMs: 60000 }))
+      .rejects.toMatchObject({ name: 'RateBudgetExhaustedError', resumeAt: Date.parse(resetAt) });
+  });
+
+  test('asks a loop to wait for a full issue worth of requests ahead of time', async () => {
+    for (let i = 0; i < RATE_BUDGET_CAPACITY; i++) {
+      await acquireRateToken('org-loop', { maxWaitMs: 0 });
+    }
+
+    await expect(waitForRateBudget('org-loop', { tokens: 10, maxWaitMs: 100 }))
+      .rejects.toBeInstanceOf(RateBudgetExhaustedError);
+  });
+
+  test('reports the stored budget of each organization', async () => {
+    kvsStore.get.mockImplementation(async (key) => key === 'rateBudget:org-stats'
+      ? { tokens: 12.7, refillPerSecond: 2.5, blockedUntil: 0, updatedAt: Date.now(), remote: { limit: 100, remaining: 40 }, lastRateLimitedAt: '2026-10-01T10:00:00.000Z' }
+      : null);
+
+    const budgets = await getRateBudgets(['org-stats', 'legacy']);
+
+    expect(budgets['org-stats']).toEqual({
+      tokens: 12,
+      capacity: RATE_BUDGET_CAPACITY,
+      refillPerSecond: 2.5,
+      blockedUntil: null,
+      remoteLimit: 100,
+      remoteRemaining: 40,
+      lastRateLimitedAt: '2026-10-01T10:00:00.000Z'
+    });
+    expect(budgets.legacy.tokens).toBe(RATE_BUDGET_CAPACITY);
+  });
+});
+
+describe('retryWithBackoff rate limits', () => {
+  test('counts each 429 as an attempt and hands back the last one', async () => {
+    const fn = jest.fn().mockResolvedValue(response(429));
+
+    const result = await retryWithBackoff(fn, 'test', 3, { rateLimitDelay: () => 0 });
+
+    expect(result.status).toBe(429);
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  test('gives up at once when Retry-After is longer than it may wait', async () => {
+    const fn = jest.fn().mockResolvedValue(response(429));
+
+    const result = await retryWithBackoff(fn, 'test', 3, { rateLimitDelay: () => 600000, maxRateLimitWait: 60000 });
+
+    expect(result.status).toBe(429);
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not retry errors marked as not retryable', async () => {
+    const fn = jest.fn().mockRejectedValue(new RateBudgetExhaustedError('org-1', Date.now() + 60000));
+
+    await expect(retryWithBackoff(fn, 'test', 3)).rejects.toBeInstanceOf(RateBudgetExhaustedError);
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
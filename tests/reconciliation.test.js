@@ -0,0 +1,119 @@
+import api, { fetch } from '@forge/api';
+import * as kvsStore from '../src/services/storage/kvs.js';
+import { getAllMappings, getOrganizationsWithTokens, getRemoteCommentId, removeMapping } from '../src/services/storage/mappings.js';
+import { syncIssue } from '../src/services/sync/issue-sync.js';
+import { runReconciliation, fixDriftItem } from '../src/services/sync/reconciliation.js';
+
+jest.mock('@forge/api', () => ({
+  __esModule: true,
+  default: { asApp: jest.fn() },
+  fetch: jest.fn(),
+  route: jest.fn((strings, ...values) => strings.reduce((out, s, i) => out + s + (values[i] ?? ''), ''))
+}));
+jest.mock('../src/services/storage/kvs.js');
+jest.mock('../src/services/storage/mappings.js', () => ({
+  getAllMappings: jest.fn(),
+  getOrganizationsWithTokens: jest.fn(),
+  getRemoteCommentId: jest.fn(),
+  removeMapping: jest.fn()
+}));
+jest.mock('../src/utils/retry.js', () => ({ retryWithBackoff: (fn) => fn() }));
+jest.mock('../src/services/sync/issue-sync.js', () => ({ syncIssue: jest.fn() }));
+jest.mock('../src/services/sync/incoming-sync.js', () => ({ applyRemoteIssueCreate: jest.fn() }));
+
+const org = { id: 'org-1', name: 'Partner', remoteUrl: 'https://remote.example', remoteEmail: 'a@b.c', remoteApiToken: 't', remoteProjectKey: 'REM' };
+
+function issue(key, fields = {}) {
+  return {
+    key,
+    fields: {
+      summary: 'Same',
+      status: { id: '1', name: 'To Do' },
+      comment: { comments: [] },
+      attachment: [],
+      issuelinks: [],
+      ...fields
+    }
+  };
+}
+
+function jsonResponse(body, ok = true) {
+  return { ok, status: ok ? 200 : 404, json: async () => body };
+}
+
+describe('reconciliation report', () => {
+  let localRequest;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    kvsStore.get.mockResolvedValue(null);
+    getOrganizationsWithTokens.mockResolvedValue([org]);
+    getRemoteCommentId.mockResolvedValue(null);
+    localRequest = jest.fn();
+    api.asApp.mockReturnValue({ requestJira: localRequest });
+  });
+
+  test('reports drift, deleted issues and unmapped remote issues', async () => {
+    getAllMappings.mockResolvedValue([
+      { localKey: 'LOC-1', remoteKey: 'REM-1' },
+      { localKey: 'LOC-2', remoteKey: 'REM-2' }
+    ]);
+    localRequest.mockImplementation(async (path) => {
+      if (path.includes('/search/jql')) {
+        return jsonResponse({ issues: [issue('LOC-1', { summary: 'Changed', comment: { comments: [{ id: '10', author: { accountType: 'atlassian' } }] } })] });
+      }
+      return jsonResponse({}, false);
+    });
+    fetch.mockImplementation(async (url, options) => {
+      const body = JSON.parse(options.body || '{}');
+      if (body.jql?.startsWith('key in')) {
+        return jsonResponse({ issues: [issue('REM-1'), issue('REM-2')] });
+      }
+      return jsonResponse({ issues: [{ key: 'REM-1' }, { key: 'REM-3', fields: { summary: 'New remote' } }] });
+    });
+
+    const report = await runReconciliation('org-1');
+
+    expect(report.status).toBe('complete');
+    expect(report.mappingsChecked).toBe(2);
+    expect(report.counts).toEqual({ field: 1, comments: 1, 'local-deleted': 1, unmapped: 1 });
+    expect(report.items).toEqual(expect.arrayContaining([
+      expect.objectContaining({ type: 'field', localKey: 'LOC-1', fix: 'push', details: 'Different values: summary' }),
+      expect.objectContaining({ type: 'local-deleted', localKey: 'LOC-2', fix: 'drop-mapping' }),
+      expect.objectContaining({ type: 'unmapped', remoteKey: 'REM-3', fix: 'pull-remote' })
+    ]));
+    expect(kvsStore.set).toHaveBeenLastCalledWith('reconciliationReport:org-1', report);
+  });
+
+  test('fixes push the issue to the one organization and drop the item', async () => {
+    const stored = {
+      counts: { status: 1, 'remote-deleted': 1 },
+      items: [
+        { id: 'status:LOC-1:REM-1', type: 'status', fix: 'push', localKey: 'LOC-1', remoteKey: 'REM-1' },
+        { id: 'remote-deleted:LOC-2:REM-2', type: 'remote-deleted', fix: 'recreate-remote', localKey: 'LOC-2', remoteKey: 'REM-2' }
+      ]
+    };
+    kvsStore.get.mockResolvedValue(stored);
+    syncIssue.mockResolvedValue({ failures: [] });
+
+    await fixDriftItem('org-1', 'remote-deleted:LOC-2:REM-2');
+
+    expect(removeMapping).toHaveBeenCalledWith('LOC-2', 'REM-2', 'org-1');
+    expect(syncIssue).toHaveBeenCalledWith(
+      { eventType: 'avi:jira:updated:issue', issue: { key: 'LOC-2' } },
+      { orgIds: ['org-1'], fullUpdate: true }
+    );
+    expect(kvsStore.set).toHaveBeenCalledWith('reconciliationReport:org-1', expect.objectContaining({
+      counts: { status: 1, 'remote-deleted': 0 },
+      items: [expect.objectContaining({ id: 'status:LOC-1:REM-1' })]
+    }));
+  });
+
+  test('keeps the item when the push fails', async () => {
+    kvsStore.get.mockResolvedValue({ counts: { status: 1 }, items: [{ id: 'status:LOC-1:REM-1', type: 'status', fix: 'push', localKey: 'LOC-1' }] });
+    syncIssue.mockResolvedValue({ failures: [{ orgId: 'org-1', error: 'HTTP 400' }] });
+
+    await expect(fixDriftItem('org-1', 'status:LOC-1:REM-1')).rejects.toThrow('HTTP 400');
+    expect(kvsStore.set).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,97 @@
+import { fetch } from '@forge/api';
+import * as kvsStore from '../src/services/storage/kvs.js';
+import { remoteFetch, getRemoteAuthHeader, consumeOAuthState } from '../src/services/jira/remote-auth.js';
+
+jest.mock('@forge/api', () => ({ __esModule: true, fetch: jest.fn() }));
+jest.mock('../src/services/storage/kvs.js');
+
+function jsonResponse(status, body) {
+  return { ok: status >= 200 && status < 300, status, json: async () => body, text: async () => JSON.stringify(body) };
+}
+
+function oauthOrg(id) {
+  return { id, name: 'Partner', authType: 'oauth', oauthClientId: 'client-1', remoteUrl: 'https://partner.atlassian.net/' };
+}
+
+function storeSecrets(tokens) {
+  kvsStore.getSecret.mockImplementation(async (key) => {
+    if (key.endsWith(':oauth')) return tokens;
+    if (key.endsWith(':oauthClientSecret')) return 'client-secret';
+    return null;
+  });
+}
+
+describe('remote auth provider', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('sends Basic auth to the site URL for API token orgs', async () => {
+    fetch.mockResolvedValue(jsonResponse(200, {}));
+    const org = { id: 'org-1', remoteUrl: 'https://partner.atlassian.net', remoteEmail: 'a@b.c', remoteApiToken: 't' };
+
+    await remoteFetch(org, 'https://partner.atlassian.net/rest/api/3/myself', { headers: { Accept: 'application/json' } });
+
+    expect(fetch).toHaveBeenCalledWith('https://partner.atlassian.net/rest/api/3/myself', {
+      headers: { Accept: 'application/json', Authorization: `Basic ${Buffer.from('a@b.c:t').toString('base64')}` }
+    });
+  });
+
+  test('routes OAuth requests through the API gateway and refreshes once on 401', async () => {
+    storeSecrets({ accessToken: 'old', refreshToken: 'refresh-1', expiresAt: Date.now() + 3600000, cloudId: 'cloud-1' });
+    fetch
+      .mockResolvedValueOnce(jsonResponse(401, {}))
+      .mockResolvedValueOnce(jsonResponse(200, { access_token: 'new', refresh_token: 'refresh-2', expires_in: 3600 }))
+      .mockResolvedValueOnce(jsonResponse(200, { key: 'REM-1' }));
+
+    const response = await remoteFetch(oauthOrg('org-2'), 'https://partner.atlassian.net/rest/api/3/issue/REM-1');
+
+    expect(response.status).toBe(200);
+    expect(fetch.mock.calls[0][0]).toBe('https://api.atlassian.com/ex/jira/cloud-1/rest/api/3/issue/REM-1');
+    expect(fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer old');
+    expect(JSON.parse(fetch.mock.calls[1][1].body)).toEqual({
+      client_id: 'client-1',
+      client_secret: 'client-secret',
+      grant_type: 'refresh_token',
+      refresh_token: 'refresh-1'
+    });
+    expect(fetch.mock.calls[2][1].headers.Authorization).toBe('Bearer new');
+    expect(kvsStore.setSecret).toHaveBeenCalledWith('secret:org-2:oauth', expect.objectContaining({
+      accessToken: 'new',
+      refreshToken: 'refresh-2',
+      cloudId: 'cloud-1'
+    }));
+  });
+
+  test('refreshes an expired access token before using it', async () => {
+    storeSecrets({ accessToken: 'stale', refreshToken: 'refresh-1', expiresAt: Date.now() - 1000, cloudId: 'cloud-1' });
+    fetch.mockResolvedValueOnce(jsonResponse(200, { access_token: 'fresh', refresh_token: 'refresh-2', expires_in: 3600 }));
+
+    expect(await getRemoteAuthHeader(oauthOrg('org-3'))).toBe('Bearer fresh');
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('uses tokens rotated by another invocation when the refresh is rejected', async () => {
+    kvsStore.getSecret.mockImplementation(async (key) => {
+      if (key.endsWith(':oauthClientSecret')) return 'client-secret';
+      return kvsStore.getSecret.mock.calls.filter(([k]) => k.endsWith(':oauth')).length > 1
+        ? { accessToken: 'rotated', refreshToken: 'refresh-2', expiresAt: Date.now() + 3600000, cloudId: 'cloud-1' }
+        : { accessToken: 'stale', refreshToken: 'refresh-1', expiresAt: Date.now() - 1000, cloudId: 'cloud-1' };
+    });
+    fetch.mockResolvedValueOnce(jsonResponse(400, { error: 'invalid_grant' }));
+
+    expect(await getRemoteAuthHeader(oauthOrg('org-4'))).toBe('Bearer rotated');
+  });
+
+  test('accepts an authorization state only once and only before it expires', async () => {
+    kvsStore.get.mockResolvedValueOnce({ value: { orgId: 'org-5' }, expiresAt: Date.now() + 1000 });
+    expect(await consumeOAuthState('abc')).toEqual({ orgId: 'org-5' });
+    expect(kvsStore.del).toHaveBeenCalledWith('oauthState:abc');
+
+    kvsStore.get.mockResolvedValueOnce({ value: { orgId: 'org-5' }, expiresAt: Date.now() - 1000 });
+    expect(await consumeOAuthState('def')).toBeNull();
+
+    kvsStore.get.mockResolvedValueOnce(null);
+    expect(await consumeOAuthState('abc')).toBeNull();
+  });
+});
@@ -0,0 +1,92 @@
+import { fetch } from '@forge/api';
+import { trackApiCall } from '../src/services/storage/stats.js';
+import { RemoteJiraClient, RemoteJiraError, parseRetryAfter } from '../src/services/jira/remote-client.js';
+
+jest.mock('@forge/api', () => ({ __esModule: true, fetch: jest.fn() }));
+jest.mock('../src/services/storage/kvs.js');
+jest.mock('../src/services/storage/stats.js', () => ({ trackApiCall: jest.fn() }));
+
+function response(status, body, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => headers[name] ?? null },
+    json: async () => body,
+    text: async () => JSON.stringify(body)
+  };
+}
+
+const org = { id: 'org-1', name: 'Partner', remoteUrl: 'https://partner.atlassian.net/', remoteEmail: 'a@b.c', remoteApiToken: 't' };
+
+describe('remote Jira client', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('resolves paths against the site, encodes JSON bodies and records the call for the organization', async () => {
+    fetch.mockResolvedValueOnce(response(201, { key: 'REM-1' }));
+
+    const result = await new RemoteJiraClient(org).post('/rest/api/3/issue?notifyUsers=false', { fields: { summary: 'S' } });
+
+    expect(result.status).toBe(201);
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe('https://partner.atlassian.net/rest/api/3/issue?notifyUsers=false');
+    expect(init.method).toBe('POST');
+    expect(init.body).toBe('{"fields":{"summary":"S"}}');
+    expect(init.headers).toEqual(expect.objectContaining({
+      'Accept': 'application/json',
+      'Content-Type': 'application/json',
+      'Authorization': expect.stringMatching(/^Basic /)
+    }));
+    expect(trackApiCall).toHaveBeenCalledWith('POST /rest/api/3/issue', true, false, 'org-1');
+  });
+
+  test('waits as long as Retry-After asks before repeating a rate-limited request', async () => {
+    fetch
+      .mockResolvedValueOnce(response(429, {}, { 'Retry-After': '0' }))
+      .mockResolvedValueOnce(response(200, { key: 'REM-1' }));
+
+    const result = await new RemoteJiraClient(org).getJson('/rest/api/3/issue/REM-1');
+
+    expect(result).toEqual({ key: 'REM-1' });
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(trackApiCall).toHaveBeenNthCalledWith(1, 'GET /rest/api/3/issue/REM-1', false, true, 'org-1');
+    expect(trackApiCall).toHaveBeenNthCalledWith(2, 'GET /rest/api/3/issue/REM-1', true, false, 'org-1');
+  });
+
+  test('hands back the last server error once retries are exhausted', async () => {
+    fetch.mockResolvedValue(response(503, {}));
+
+    const result = await new RemoteJiraClient(org).get('/rest/api/3/field', { retries: 1 });
+
+    expect(result.status).toBe(503);
+    expect(trackApiCall).toHaveBeenCalledWith('GET /rest/api/3/field', false, false, 'org-1');
+  });
+
+  test('raises typed errors for failed JSON requests and network failures', async () => {
+    const client = new RemoteJiraClient(org);
+
+    fetch.mockResolvedValueOnce(response(404, { errorMessages: ['Issue does not exist'] }));
+    expect(await client.getJson('/rest/api/3/issue/REM-9', { allowNotFound: true })).toBeNull();
+
+    fetch.mockResolvedValueOnce(response(403, {}));
+    await expect(client.getJson('/rest/api/3/issue/REM-9')).rejects.toMatchObject({
+      name: 'RemoteJiraError',
+      status: 403,
+      orgId: 'org-1'
+    });
+
+    fetch.mockRejectedValueOnce(new Error('socket hang up'));
+    const error = await client.get('/rest/api/3/myself', { retries: 1 }).catch(e => e);
+    expect(error).toBeInstanceOf(RemoteJiraError);
+    expect(error.status).toBeNull();
+    expect(error.cause.message).toBe('socket hang up');
+  });
+
+  test('reads Retry-After as seconds or an HTTP date', () => {
+    expect(parseRetryAfter(response(429, {}, { 'Retry-After': '5' }))).toBe(5000);
+    const inTenSeconds = new Date(Date.now() + 10000).toUTCString();
+    expect(parseRetryAfter(response(429, {}, { 'Retry-After': inTenSeconds }))).toBeGreaterThan(8000);
+    expect(parseRetryAfter(response(429, {}), 1234)).toBe(1234);
+  });
+});
@@ -0,0 +1,36 @@
+import { isSprintFieldValue, pickOpenSprint, translateSprintToLocal, translateSprintToRemote } from '../src/services/sync/sprint-sync.js';
+
+jest.mock('@forge/api', () => ({ __esModule: true, default: {}, route: jest.fn(), fetch: jest.fn() }));
+jest.mock('../src/services/storage/kvs.js');
+
+describe('sprint translation', () => {
+  const sprints = [
+    { id: 10, name: 'Sprint 1', state: 'closed', boardId: 1 },
+    { id: 11, name: 'Sprint 2', state: 'active', boardId: 1 },
+    { id: 12, name: 'Sprint 3', state: 'future', boardId: 1 }
+  ];
+
+  test('recognises sprint field values only', () => {
+    expect(isSprintFieldValue(sprints)).toBe(true);
+    expect(isSprintFieldValue([{ id: '1', value: 'Option' }])).toBe(false);
+    expect(isSprintFieldValue([])).toBe(false);
+  });
+
+  test('prefers the active sprint, then a future one', () => {
+    expect(pickOpenSprint(sprints).id).toBe(11);
+    expect(pickOpenSprint([sprints[0], sprints[2]]).id).toBe(12);
+    expect(pickOpenSprint([sprints[0]])).toBeNull();
+  });
+
+  test('translates through the mapping in both directions', async () => {
+    const mappings = { sprintMappings: { 501: { localId: '11', remoteName: 'Sprint 2', localName: 'Sprint 2' } } };
+
+    expect(await translateSprintToRemote(sprints, {}, mappings, {}, 'org-1', 'REM')).toBe(501);
+    expect(translateSprintToLocal([{ id: 501, name: 'Sprint 2', state: 'active', boardId: 7 }], mappings.sprintMappings)).toBe(11);
+  });
+
+  test('leaves unmapped and closed-only sprints out', async () => {
+    expect(await translateSprintToRemote([sprints[2]], {}, { sprintMappings: {} }, {}, 'org-1', 'REM')).toBeUndefined();
+    expect(translateSprintToLocal([sprints[0]], { 10: { localId: '99' } })).toBeUndefined();
+  });
+});
@@ -0,0 +1,125 @@
+import * as kvsStore from '../src/services/storage/kvs.js';
+import { isSyncing } from '../src/services/storage/flags.js';
+import { getAppAccountId } from '../src/services/jira/local-client.js';
+import { isEchoEvent, recordPendingUpdate, claimPendingUpdate } from '../src/services/sync/update-coalescing.js';
+
+jest.mock('../src/services/storage/kvs.js');
+jest.mock('../src/services/storage/flags.js', () => ({ isSyncing: jest.fn() }));
+jest.mock('../src/services/jira/local-client.js', () => ({ getAppAccountId: jest.fn() }));
+
+describe('issue update coalescing', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    kvsStore.get.mockResolvedValue(null);
+    isSyncing.mockResolvedValue(false);
+  });
+
+  test('merges changelog items and replaces the token on each update', async () => {
+    const existing = { token: 'old', firstAt: 1000, events: 1, changelogItems: [{ field: 'summary' }] };
+    kvsStore.get.mockResolvedValue(existing);
+    kvsStore.swap.mockResolvedValue(existing);
+
+    const token = await recordPendingUpdate({
+      eventType: 'avi:jira:updated:issue',
+      issue: { key: 'A-1' },
+      changelog: { items: [{ field: 'Attachment' }] }
+    });
+
+    expect(token).not.toBe('old');
+    expect(kvsStore.swap).toHaveBeenCalledWith('pendingIssueSync:A-1', expect.objectContaining({
+      token,
+      firstAt: 1000,
+      events: 2,
+      changelogItems: [{ field: 'summary' }, { field: 'Attachment' }],
+      missingChangelog: false
+    }));
+    expect(kvsStore.set).not.toHaveBeenCalled();
+  });
+
+  test('falls back to the issue changelog when a concurrent update was overwritten', async () => {
+    kvsStore.get.mockResolvedValue({ token: 'old', firstAt: 1000, events: 1, changelogItems: [{ field: 'summary' }] });
+    // Another invocation wrote its update after this one read the pending state
+    kvsStore.swap.mockResolvedValue({ token: 'concurrent', firstAt: 1000, events: 2, changelogItems: [{ field: 'summary' }, { field: 'priority' }] });
+
+    const token = await recordPendingUpdate({
+      eventType: 'avi:jira:updated:issue',
+      issue: { key: 'A-1' },
+      changelog: { items: [{ field: 'labels' }] }
+    });
+
+    expect(kvsStore.set).toHaveBeenCalledWith('pendingIssueSync:A-1', expect.objectContaining({ token, missingChangelog: true }));
+  });
+
+  test('only the latest token claims the window', async () => {
+    const pending = { token: 'latest', firstAt: Date.now(), events: 3, changelogItems: [], eventType: 'avi:jira:updated:issue', sourceTimestamp: 1700000000000 };
+    kvsStore.get.mockResolvedValue(pending);
+    kvsStore.swap.mockResolvedValue(pending);
+
+    expect(await claimPendingUpdate('A-1', 'earlier')).toEqual({ status: 'superseded' });
+    expect(kvsStore.swap).not.toHaveBeenCalled();
+
+    const claim = await claimPendingUpdate('A-1', 'latest');
+    expect(claim.status).toBe('ready');
+    expect(claim.events).toBe(3);
+    expect(claim.event.sourceTimestamp).toBe(1700000000000);
+    expect(kvsStore.swap).toHaveBeenCalledWith('pendingIssueSync:A-1', { claimedToken: 'latest' }, { ttl: expect.any(Number) });
+    expect(kvsStore.del).not.toHaveBeenCalled();
+  });
+
+  test('puts back an edit recorded between reading and claiming the window', async () => {
+    const read = { token: 'latest', firstAt: Date.now(), events: 1, changelogItems: [{ field: 'summary' }] };
+    const newer = { token: 'newer', firstAt: read.firstAt, events: 2, changelogItems: [{ field: 'summary' }, { field: 'labels' }] };
+    kvsStore.get.mockResolvedValue(read);
+    kvsStore.swap
+      .mockResolvedValueOnce(newer)
+      .mockResolvedValueOnce({ claimedToken: 'latest' });
+
+    expect(await claimPendingUpdate('A-1', 'latest')).toEqual({ status: 'superseded' });
+    expect(kvsStore.swap).toHaveBeenLastCalledWith('pendingIssueSync:A-1', newer);
+    expect(kvsStore.set).not.toHaveBeenCalled();
+  });
+
+  test('merges an edit that started a new burst while the claimed one was put back', async () => {
+    const read = { token: 'latest', firstAt: 1000, events: 1, changelogItems: [] };
+    kvsStore.get.mockResolvedValue(read);
+    kvsStore.swap
+      .mockResolvedValueOnce({ token: 'newer', firstAt: 1000, events: 2, changelogItems: [] })
+      .mockResolvedValueOnce({ token: 'newest', firstAt: 5000, events: 1, changelogItems: [{ field: 'priority' }] });
+
+    expect(await claimPendingUpdate('A-1', 'latest')).toEqual({ status: 'superseded' });
+    expect(kvsStore.set).toHaveBeenCalledWith('pendingIssueSync:A-1', expect.objectContaining({
+      token: 'newest',
+      firstAt: 1000,
+      events: 3,
+      missingChangelog: true
+    }));
+  });
+
+  test('starts a new burst over a claimed marker', async () => {
+    kvsStore.get.mockResolvedValue({ claimedToken: 'latest' });
+    kvsStore.swap.mockResolvedValue({ claimedToken: 'latest' });
+
+    await recordPendingUpdate({ eventType: 'avi:jira:updated:issue', issue: { key: 'A-1' }, changelog: { items: [{ field: 'labels' }] } });
+
+    expect(kvsStore.swap).toHaveBeenCalledWith('pendingIssueSync:A-1', expect.objectContaining({ events: 1, missingChangelog: false }));
+    expect(kvsStore.set).not.toHaveBeenCalled();
+    expect(await claimPendingUpdate('A-1', 'latest')).toEqual({ status: 'superseded' });
+  });
+
+  test('defers instead of dropping while the issue is syncing', async () => {
+    kvsStore.get.mockResolvedValue({ token: 't', firstAt: Date.now(), events: 1 });
+    isSyncing.mockResolvedValue(true);
+
+    expect(await claimPendingUpdate('A-1', 't')).toEqual({ status: 'deferred' });
+    expect(kvsStore.swap).not.toHaveBeenCalled();
+  });
+
+  test('treats only the app account as an echo when the event names its author', async () => {
+    getAppAccountId.mockResolvedValue('app-1');
+    isSyncing.mockResolvedValue(true);
+
+    expect(await isEchoEvent({ atlassianId: 'user-7', issue: { key: 'A-1' } })).toBe(false);
+    expect(await isEchoEvent({ atlassianId: 'app-1', issue: { key: 'A-1' } })).toBe(true);
+    expect(await isEchoEvent({ issue: { key: 'A-1' } })).toBe(true);
+  });
+});
@@ -0,0 +1,61 @@
+import { fetch } from '@forge/api';
+import * as kvsStore from '../src/services/storage/kvs.js';
+import { resolveUserForField, pickUserByEmail } from '../src/services/sync/user-resolution.js';
+
+jest.mock('@forge/api', () => ({ __esModule: true, default: { asApp: jest.fn() }, route: jest.fn(), fetch: jest.fn() }));
+jest.mock('../src/services/storage/kvs.js');
+jest.mock('../src/utils/retry.js', () => ({ retryWithBackoff: (fn) => fn() }));
+
+describe('resolveUserForField', () => {
+  const org = { id: 'org-1', remoteUrl: 'https://remote.atlassian.net', remoteEmail: 'a@b.c', remoteApiToken: 't' };
+  const user = { accountId: 'local-1', emailAddress: 'ana@example.com' };
+  const options = (config) => ({ direction: 'outbound', org, orgId: 'org-1', userMappings: {}, config });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    kvsStore.get.mockResolvedValue(null);
+  });
+
+  test('uses the static mapping first', async () => {
+    const result = await resolveUserForField(user, { ...options({}), userMappings: { 'remote-9': { localId: 'local-1' } } });
+    expect(result).toEqual({ accountId: 'remote-9' });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('looks up by email and caches the result', async () => {
+    fetch.mockResolvedValue({
+      ok: true,
+      json: async () => [{ accountId: 'remote-2', accountType: 'atlassian', emailAddress: 'Ana@example.com' }]
+    });
+
+    const result = await resolveUserForField(user, options({ autoMapUsers: true, fallbackUser: null }));
+
+    expect(result).toEqual({ accountId: 'remote-2' });
+    expect(kvsStore.set).toHaveBeenCalledWith(
+      'userLookup:org-1:outbound:local-1',
+      { accountId: 'remote-2', email: 'ana@example.com' },
+      expect.objectContaining({ ttl: expect.any(Number) })
+    );
+  });
+
+  test('serves cached lookups without calling the remote site', async () => {
+    kvsStore.get.mockResolvedValue({ value: { accountId: 'remote-3' }, expiresAt: Date.now() + 1000 });
+    expect(await resolveUserForField(user, options({ autoMapUsers: true }))).toEqual({ accountId: 'remote-3' });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('falls back to the configured user when nothing matches', async () => {
+    expect(await resolveUserForField(user, options({ autoMapUsers: false, fallbackUser: 'unassigned' }))).toBeNull();
+    expect(await resolveUserForField(user, options({ autoMapUsers: false, fallbackUser: 'bot-1' }))).toEqual({ accountId: 'bot-1' });
+    expect(await resolveUserForField(user, options({ autoMapUsers: false, fallbackUser: null }))).toBeUndefined();
+  });
+
+  test('only accepts an email match or a single hidden-email result', () => {
+    const users = [
+      { accountId: 'a', accountType: 'atlassian' },
+      { accountId: 'b', accountType: 'atlassian' }
+    ];
+    expect(pickUserByEmail(users, 'x@y.z')).toBeNull();
+    expect(pickUserByEmail([users[0]], 'x@y.z').accountId).toBe('a');
+  });
+});
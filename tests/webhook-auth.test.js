@@ -0,0 +1,226 @@
+import crypto from 'crypto';
+import * as kvsStore from '../src/services/storage/kvs.js';
+import {
+  findWebhookOrganization,
+  claimWebhookDelivery,
+  signWebhookBody,
+  rotateIncomingSecret,
+  recordIncomingSecretUse,
+  getIncomingSecretUsage
+} from '../src/services/sync/webhook-auth.js';
+import { run } from '../src/webtriggers/incoming-webhook.js';
+import { enqueueInbound } from '../src/services/sync/inbound-queue.js';
+
+jest.mock('../src/services/storage/kvs.js');
+jest.mock('../src/services/sync/inbound-queue.js', () => ({ enqueueInbound: jest.fn() }));
+
+const orgs = [
+  { id: 'org-query', name: 'Query', syncDirection: 'bidirectional' },
+  { id: 'org-signed', name: 'Signed', syncDirection: 'bidirectional', incomingAuthMode: 'signature' }
+];
+const secrets = {
+  'secret:org-query:incomingSecret': 'query-secret-value',
+  'secret:org-signed:incomingSecret': 'signing-secret-value'
+};
+
+function webhookRequest(payload, { secret, signature, identifier } = {}) {
+  const body = JSON.stringify(payload);
+  const headers = {};
+  if (signature) headers['x-hub-signature'] = [signature];
+  if (identifier) headers['x-atlassian-webhook-identifier'] = [identifier];
+  return { method: 'POST', body, headers, queryParameters: secret ? { secret: [secret] } : {} };
+}
+
+describe('incoming webhook authentication', () => {
+  let stored;
+  let entities;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stored = {};
+    entities = {};
+    kvsStore.get.mockImplementation(async (key) => (key === 'organizations' ? orgs : stored[key] ?? null));
+    kvsStore.set.mockImplementation(async (key, value, options = {}) => {
+      stored[key] = options.ttl ? { value, expiresAt: Date.now() + options.ttl } : value;
+    });
+    kvsStore.del.mockImplementation(async (key) => { delete stored[key]; });
+    kvsStore.claim.mockImplementation(async (key, value, ttl) => {
+      if (stored[key]?.expiresAt > Date.now()) return false;
+      stored[key] = { value, expiresAt: Date.now() + ttl };
+      return true;
+    });
+    kvsStore.getSecret.mockImplementation(async (key) => secrets[key] ?? stored[key] ?? null);
+    kvsStore.setSecret.mockImplementation(async (key, value) => { stored[key] = value; });
+    kvsStore.deleteSecret.mockImplementation(async (key) => { delete stored[key]; });
+    kvsStore.getEntity.mockImplementation(async (entity, key) => {
+      const value = entities[`${entity}/${key}`];
+      return value ? { ...value } : undefined;
+    });
+    kvsStore.createEntity.mockImplementation(async (entity, key, value) => {
+      if (entities[`${entity}/${key}`]) return false;
+      entities[`${entity}/${key}`] = value;
+      return true;
+    });
+    kvsStore.setEntityIf.mockImplementation(async (entity, key, value, field, expected) => {
+      if (entities[`${entity}/${key}`]?.[field] !== expected) return false;
+      entities[`${entity}/${key}`] = value;
+      return true;
+    });
+    kvsStore.deleteEntity.mockImplementation(async (entity, key) => { delete entities[`${entity}/${key}`]; });
+    kvsStore.queryEntityIndex.mockImplementation(async (entity, index, { partition }) => ({
+      results: Object.entries(entities)
+        .filter(([id, value]) => id.startsWith(`${entity}/`) && value.orgId === partition[0])
+        .map(([id, value]) => ({ key: id.slice(entity.length + 1), value })),
+      nextCursor: null
+    }));
+    enqueueInbound.mockResolvedValue('inboundItem:key');
+  });
+
+  test('accepts a body signed with the secret of a signature-mode org', async () => {
+    const payload = { webhookEvent: 'jira:issue_updated', timestamp: Date.now() };
+    const signature = signWebhookBody('signing-secret-value', JSON.stringify(payload));
+
+    const response = await run(webhookRequest(payload, { signature, identifier: 'delivery-1' }));
+
+    expect(response.statusCode).toBe(202);
+    expect(enqueueInbound).toHaveBeenCalledWith(orgs[1], payload);
+  });
+
+  test('rejects a tampered body and a signature made with another secret', async () => {
+    const payload = { webhookEvent: 'jira:issue_updated', timestamp: Date.now() };
+    const signature = signWebhookBody('signing-secret-value', JSON.stringify({ ...payload, webhookEvent: 'jira:issue_deleted' }));
+
+    expect((await run(webhookRequest(payload, { signature }))).statusCode).toBe(401);
+    expect((await run(webhookRequest(payload, { signature: signWebhookBody('wrong', JSON.stringify(payload)) }))).statusCode).toBe(401);
+    expect(enqueueInbound).not.toHaveBeenCalled();
+  });
+
+  test('only accepts the mode each organization has chosen', async () => {
+    const payload = { webhookEvent: 'jira:issue_updated' };
+    const raw = JSON.stringify(payload);
+
+    expect(await findWebhookOrganization(raw, {}, 'query-secret-value')).toEqual({ org: orgs[0], mode: 'query-secret', secretVersion: 1 });
+    expect(await findWebhookOrganization(raw, {}, 'signing-secret-value')).toBeNull();
+    expect(await findWebhookOrganization(raw, { 'X-Hub-Signature': signWebhookBody('query-secret-value', raw) }, null)).toBeNull();
+  });
+
+  test('acknowledges a delivery it has already accepted without processing it again', async () => {
+    const payload = { webhookEvent: 'comment_created', timestamp: Date.now(), issue: { key: 'REM-1' }, comment: { id: '10100' } };
+
+    expect((await run(webhookRequest(payload, { secret: 'query-secret-value', identifier: 'delivery-2' }))).statusCode).toBe(202);
+    const duplicate = await run(webhookRequest(payload, { secret: 'query-secret-value', identifier: 'delivery-2' }));
+
+    expect(duplicate.statusCode).toBe(200);
+    expect(JSON.parse(duplicate.body)).toEqual({ message: 'Duplicate delivery ignored' });
+    expect(enqueueInbound).toHaveBeenCalledTimes(1);
+    expect(stored.webhookSyncStats.duplicatesSuppressed).toBe(1);
+    expect(stored.webhookSyncStats.byOrg['org-query'].duplicatesSuppressed).toBe(1);
+  });
+
+  test('keys the ledger by identifier, event type and entity', async () => {
+    const comment = { webhookEvent: 'comment_created', issue: { id: '1' }, comment: { id: '10100' } };
+    const raw = JSON.stringify(comment);
+    const headers = { 'X-Atlassian-Webhook-Identifier': 'delivery-5' };
+
+    expect(await claimWebhookDelivery(orgs[0], comment, raw, headers)).toEqual({ key: 'webhookDelivery:org-query:delivery-5:comment_created:10100' });
+    expect(await claimWebhookDelivery(orgs[0], { ...comment, comment: { id: '10101' } }, raw, headers)).not.toHaveProperty('duplicate');
+    expect(await claimWebhookDelivery(orgs[0], { ...comment, webhookEvent: 'comment_updated' }, raw, headers)).not.toHaveProperty('duplicate');
+    expect(await claimWebhookDelivery(orgs[0], comment, raw, headers)).toMatchObject({ duplicate: true });
+  });
+
+  test('lets the remote retry a delivery that could not be queued', async () => {
+    const payload = { webhookEvent: 'jira:issue_updated', timestamp: Date.now() };
+    enqueueInbound.mockRejectedValueOnce(new Error('queue unavailable'));
+
+    expect((await run(webhookRequest(payload, { secret: 'query-secret-value', identifier: 'delivery-3' }))).statusCode).toBe(500);
+    expect((await run(webhookRequest(payload, { secret: 'query-secret-value', identifier: 'delivery-3' }))).statusCode).toBe(202);
+  });
+
+  test('rejects deliveries outside the timestamp window', async () => {
+    const now = Date.now();
+    const raw = '{}';
+
+    expect(await claimWebhookDelivery(orgs[0], { timestamp: now - 31 * 60 * 1000 }, raw, {}, now)).toMatchObject({ status: 401 });
+    expect(await claimWebhookDelivery(orgs[0], { timestamp: now + 10 * 60 * 1000 }, raw, {}, now)).toMatchObject({ status: 401 });
+
+    const accepted = await claimWebhookDelivery(orgs[0], { timestamp: now - 60000 }, raw, {}, now);
+    const bodyHash = crypto.createHash('sha256').update(raw).digest('hex');
+    expect(accepted).toEqual({ key: `webhookDelivery:org-query:${bodyHash}:unknown:none` });
+  });
+
+  test('asks for a secret or signature before looking up organizations', async () => {
+    const response = await run(webhookRequest({ webhookEvent: 'jira:issue_updated' }));
+
+    expect(response.statusCode).toBe(401);
+    expect(kvsStore.getSecret).not.toHaveBeenCalled();
+  });
+
+  test('keeps the previous secret valid during the grace period after a rotation', async () => {
+    const org = { id: 'org-query', incomingSecretVersion: 1 };
+    const rotated = await rotateIncomingSecret(org, 60 * 60 * 1000);
+    // Read the rotated secret from storage; organizations still says version 1, as it does
+    // until the resolver has saved the new version
+    delete secrets['secret:org-query:incomingSecret'];
+
+    try {
+      expect(rotated.version).toBe(2);
+      expect(stored['secret:org-query:incomingSecret']).toEqual({ secret: rotated.secret, version: 2 });
+      expect(rotated.secret).not.toBe('query-secret-value');
+      expect(await findWebhookOrganization('{}', {}, rotated.secret)).toMatchObject({ secretVersion: 2 });
+      expect(await findWebhookOrganization('{}', {}, 'query-secret-value')).toMatchObject({ secretVersion: 1 });
+
+      stored['secret:org-query:previousIncomingSecret'].expiresAt = Date.now() - 1;
+      expect(await findWebhookOrganization('{}', {}, 'query-secret-value')).toBeNull();
+    } finally {
+      secrets['secret:org-query:incomingSecret'] = 'query-secret-value';
+    }
+  });
+
+  test('drops the previous secret at once when rotated without a grace period', async () => {
+    const rotated = await rotateIncomingSecret({ id: 'org-query' }, 0);
+
+    expect(rotated.previousValidUntil).toBeNull();
+    expect(kvsStore.deleteSecret).toHaveBeenCalledWith('secret:org-query:previousIncomingSecret');
+  });
+
+  test('records which secret version authenticated each delivery', async () => {
+    const payload = { webhookEvent: 'jira:issue_updated', timestamp: Date.now() };
+
+    await run(webhookRequest(payload, { secret: 'query-secret-value', identifier: 'delivery-4' }));
+
+    const usage = await getIncomingSecretUsage('org-query');
+    expect(usage).toMatchObject({ 1: { deliveries: 1 } });
+    expect(usage[1].lastMatchedAt).toBeDefined();
+  });
+
+  test('counts every one of several deliveries recorded at the same time', async () => {
+    await Promise.all([
+      recordIncomingSecretUse('org-query', 1),
+      recordIncomingSecretUse('org-query', 1),
+      recordIncomingSecretUse('org-query', 1)
+    ]);
+
+    expect(await getIncomingSecretUsage('org-query')).toMatchObject({ 1: { deliveries: 3 } });
+  });
+
+  test('refuses to rotate while the previous secret is still accepted', async () => {
+    const org = { id: 'org-rotating' };
+    stored['secret:org-rotating:incomingSecret'] = { secret: 'first-secret', version: 1 };
+    await recordIncomingSecretUse('org-rotating', 1);
+
+    const second = await rotateIncomingSecret(org, 60 * 60 * 1000);
+    await recordIncomingSecretUse('org-rotating', 2);
+
+    await expect(rotateIncomingSecret(org, 60 * 60 * 1000)).rejects.toThrow('The previous secret is accepted until');
+    expect(stored['secret:org-rotating:incomingSecret']).toEqual({ secret: second.secret, version: 2 });
+    expect(stored['secret:org-rotating:previousIncomingSecret']).toMatchObject({ secret: 'first-secret', version: 1 });
+
+    // Once the grace period is over, rotating again replaces it and drops the usage of version 1
+    stored['secret:org-rotating:previousIncomingSecret'].expiresAt = Date.now() - 1;
+    const third = await rotateIncomingSecret(org, 60 * 60 * 1000);
+
+    expect(third.version).toBe(3);
+    expect(stored['secret:org-rotating:previousIncomingSecret']).toMatchObject({ secret: second.secret, version: 2 });
+    expect(Object.keys(await getIncomingSecretUsage('org-rotating'))).toEqual(['2']);
+  });
+});
@@ -0,0 +1,140 @@
+import api from '@forge/api';
+import * as kvsStore from '../src/services/storage/kvs.js';
+import { getRemoteKey, getOrganizationsWithTokens, getRemoteWorklogId, storeWorklogMapping, removeWorklogMapping } from '../src/services/storage/mappings.js';
+import { getFullIssue, getOrgName } from '../src/services/jira/local-client.js';
+import { RemoteJiraClient } from '../src/services/jira/remote-client.js';
+import {
+  syncWorklog,
+  syncWorklogUpdate,
+  syncWorklogDeletion,
+  buildWorklogPayload,
+  isMirroredWorklog
+} from '../src/services/sync/worklog-sync.js';
+
+jest.mock('@forge/api', () => ({
+  __esModule: true,
+  default: { asApp: jest.fn() },
+  route: jest.fn((strings, ...values) => strings.reduce((out, s, i) => out + s + (values[i] ?? ''), ''))
+}));
+jest.mock('../src/services/storage/kvs.js');
+jest.mock('../src/services/storage/mappings.js', () => ({
+  getRemoteKey: jest.fn(),
+  getOrganizationsWithTokens: jest.fn(),
+  getRemoteWorklogId: jest.fn(),
+  storeWorklogMapping: jest.fn(),
+  removeWorklogMapping: jest.fn()
+}));
+jest.mock('../src/services/jira/local-client.js', () => ({ getFullIssue: jest.fn(), getOrgName: jest.fn() }));
+jest.mock('../src/services/jira/remote-client.js', () => ({ RemoteJiraClient: jest.fn() }));
+jest.mock('../src/services/storage/stats.js', () => ({ trackWebhookSync: jest.fn() }));
+jest.mock('../src/services/storage/flags.js', () => ({ isSyncing: jest.fn(async () => false) }));
+jest.mock('../src/utils/validation.js', () => ({ isProjectAllowedToSync: jest.fn(async () => true) }));
+
+const org = { id: 'org-1', name: 'Partner' };
+
+function jsonResponse(body, status = 200) {
+  return { ok: status < 300, status, json: async () => body, text: async () => JSON.stringify(body) };
+}
+
+const localWorklog = {
+  id: '100',
+  issueId: '10001',
+  timeSpentSeconds: 3600,
+  started: '2024-01-01T09:00:00.000+0000',
+  author: { accountId: 'user-1', displayName: 'Ada' },
+  comment: { type: 'doc', version: 1, content: [{ type: 'paragraph', content: [{ type: 'text', text: 'Reviewed the design' }] }] }
+};
+
+describe('worklog sync', () => {
+  let syncOptions;
+  let localRequest;
+  let remoteRequest;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    syncOptions = { syncWorklogs: true };
+    kvsStore.get.mockImplementation(async (key) => {
+      if (key === 'syncOptions:org-1') return syncOptions;
+      if (key === 'userMappings:org-1') return { 'user-1': 'remote-user-1' };
+      return null;
+    });
+    getOrganizationsWithTokens.mockResolvedValue([org]);
+    getFullIssue.mockResolvedValue({ key: 'LOC-1', fields: { project: { key: 'LOC' } } });
+    getOrgName.mockResolvedValue('Local Org');
+    getRemoteKey.mockResolvedValue('REM-1');
+    getRemoteWorklogId.mockResolvedValue(null);
+
+    localRequest = jest.fn(async () => jsonResponse(localWorklog));
+    api.asApp.mockReturnValue({ requestJira: localRequest });
+    remoteRequest = jest.fn(async () => jsonResponse({ id: '900' }, 201));
+    RemoteJiraClient.mockImplementation(() => ({ request: remoteRequest }));
+  });
+
+  test('builds the remote payload with a header naming the author and the comment as ADF', () => {
+    const payload = buildWorklogPayload(localWorklog, 'Local Org', (accountId) => (accountId === 'user-1' ? 'remote-user-1' : null));
+
+    expect(payload).toMatchObject({ timeSpentSeconds: 3600, started: '2024-01-01T09:00:00.000+0000' });
+    expect(payload.comment.type).toBe('doc');
+    const [header, body] = payload.comment.content;
+    expect(header.content[0].text).toBe('[Worklog from Local Org - User: Ada]:');
+    expect(header.content).toContainEqual({ type: 'mention', attrs: { id: 'remote-user-1', text: '@Ada' } });
+    expect(body.content[0].text).toBe('Reviewed the design');
+  });
+
+  test('recognises mirrored worklogs by their header or app author', () => {
+    const mirrored = buildWorklogPayload(localWorklog, 'Remote Org');
+
+    expect(isMirroredWorklog({ comment: mirrored.comment })).toBe(true);
+    expect(isMirroredWorklog({ comment: '[Worklog from Remote Org - User: Ada]: notes' })).toBe(true);
+    expect(isMirroredWorklog({ author: { accountType: 'app' } })).toBe(true);
+    expect(isMirroredWorklog(localWorklog)).toBe(false);
+  });
+
+  test('does not send a worklog that came from the other side back', async () => {
+    localRequest.mockResolvedValue(jsonResponse({ ...localWorklog, comment: buildWorklogPayload(localWorklog, 'Remote Org').comment }));
+
+    await syncWorklog({ worklog: { id: '100', issueId: '10001' } });
+
+    expect(remoteRequest).not.toHaveBeenCalled();
+  });
+
+  test('syncs only to organizations that opted in to worklog sync', async () => {
+    syncOptions = { syncWorklogs: 'yes' };
+    await syncWorklog({ worklog: { id: '100', issueId: '10001' } });
+    expect(remoteRequest).not.toHaveBeenCalled();
+
+    syncOptions = { syncWorklogs: true };
+    await syncWorklog({ worklog: { id: '100', issueId: '10001' } });
+    expect(remoteRequest).toHaveBeenCalledWith('/rest/api/3/issue/REM-1/worklog?notifyUsers=false&adjustEstimate=leave', expect.objectContaining({ method: 'POST' }));
+    expect(storeWorklogMapping).toHaveBeenCalledWith('100', '900', 'org-1');
+  });
+
+  test('updates the mapped remote worklog', async () => {
+    getRemoteWorklogId.mockResolvedValue('900');
+    remoteRequest.mockResolvedValue(jsonResponse({ id: '900' }));
+
+    await syncWorklogUpdate({ worklog: { id: '100', issueId: '10001' } });
+
+    expect(getRemoteWorklogId).toHaveBeenCalledWith('100', 'org-1');
+    expect(remoteRequest).toHaveBeenCalledWith('/rest/api/3/issue/REM-1/worklog/900?notifyUsers=false&adjustEstimate=leave', expect.objectContaining({ method: 'PUT' }));
+  });
+
+  test('skips updates of worklogs that were never synced', async () => {
+    await syncWorklogUpdate({ worklog: { id: '100', issueId: '10001' } });
+
+    expect(remoteRequest).not.toHaveBeenCalled();
+  });
+
+  test('removes the worklog mapping only after the remote delete succeeds', async () => {
+    getRemoteWorklogId.mockResolvedValue('900');
+    remoteRequest.mockResolvedValueOnce(jsonResponse({ error: 'unavailable' }, 503));
+
+    await syncWorklogDeletion({ worklog: { id: '100', issueId: '10001' } });
+    expect(removeWorklogMapping).not.toHaveBeenCalled();
+
+    remoteRequest.mockResolvedValueOnce({ ok: false, status: 404, text: async () => '' });
+    await syncWorklogDeletion({ worklog: { id: '100', issueId: '10001' } });
+    expect(remoteRequest).toHaveBeenLastCalledWith('/rest/api/3/issue/REM-1/worklog/900?notifyUsers=false&adjustEstimate=leave', expect.objectContaining({ method: 'DELETE' }));
+    expect(removeWorklogMapping).toHaveBeenCalledWith('100', '900', 'org-1');
+  });
+});